@@ -0,0 +1,314 @@
+/*
+ * lib/analytics.js - Estadísticas de los vehículos publicados
+ *
+ * El catálogo y la página de detalle avisan a POST /api/eventos cuando
+ * una tarjeta de un vehículo se ve en pantalla (impresión), cuando se
+ * abre su página (vista), cuando se usa su galería de fotos y cuando se
+ * hace clic en el botón de WhatsApp. No se usan scripts de terceros ni
+ * cookies, y las visitas del administrador con sesión no se cuentan.
+ *
+ * Privacidad: para contar visitantes únicos, cada evento se asocia a un
+ * hash de la IP y el navegador combinados con una "sal" aleatoria que
+ * cambia cada día y sólo existe en memoria. Los hashes se usan para no
+ * contar dos veces al mismo visitante en el día y se descartan junto con
+ * la sal: en `store.analytics` sólo se guarda, por día, vehículo y tipo
+ * de evento, el total y la cantidad de visitantes únicos. Al reiniciar
+ * el servidor se genera otra sal, de modo que un visitante de ese día
+ * puede contarse una vez más como único. Los eventos ya contados en el
+ * día tienen un máximo (MAX_VISTOS): al superarlo se olvidan los más
+ * viejos, para que un cliente que envía eventos con navegadores
+ * distintos no agote la memoria del servidor.
+ *
+ * Endpoints (ver registerAnalyticsRoutes):
+ *   POST /api/eventos       → Registra un evento { tipo, vehiculoIds } (público, limitado
+ *                             por IP). Responde 204.
+ *   GET  /api/estadisticas  → Por vehículo: eventos por día entre `desde` y `hasta`
+ *                             (AAAA-MM-DD; por defecto los últimos 30 días), totales,
+ *                             conversión de vistas a WhatsApp y días publicado (admin).
+ */
+
+const crypto = require('crypto');
+const { estadoDe } = require('./lifecycle');
+const { createRateLimiter } = require('./rate-limit');
+const { localNow, isValidDate, addDays } = require('./bookings');
+const seo = require('./seo');
+
+// Tipos de evento, en el orden del embudo
+const TIPOS_EVENTO = ['impresion', 'vista', 'galeria', 'whatsapp'];
+// Vehículos por evento: las impresiones de una página del catálogo se
+// envían juntas
+const MAX_VEHICULOS = 50;
+// Eventos ya contados que se recuerdan para los visitantes únicos (unos
+// pocos MB de memoria como máximo)
+const MAX_VISTOS = 100000;
+// Los vehículos publicados se consultan al store a lo sumo una vez por
+// minuto; un vehículo recién cargado empieza a sumar eventos después
+const VEHICLES_TTL = 60 * 1000;
+// Período por defecto y máximo del reporte, en días
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 366;
+
+// Eventos permitidos por IP: 60 por minuto
+const RATE_LIMIT = { windowMs: 60 * 1000, max: 60 };
+
+/**
+ * Valida un evento enviado por el sitio. `vehiculoId` se acepta como
+ * alternativa a una lista de un solo vehículo.
+ * @param {object} body
+ * @returns {{data: object, errores: null}|{data: null, errores: Object<string, string>}}
+ */
+function validateEvent(body) {
+  const input = body && typeof body === 'object' ? body : {};
+  const errores = {};
+  if (!TIPOS_EVENTO.includes(input.tipo)) {
+    errores.tipo = 'Debe ser uno de: ' + TIPOS_EVENTO.join(', ');
+  }
+  const lista = input.vehiculoIds !== undefined ? input.vehiculoIds : [input.vehiculoId];
+  const ids = [];
+  if (!Array.isArray(lista) || !lista.length || lista.length > MAX_VEHICULOS) {
+    errores.vehiculoIds = 'Debe ser una lista de 1 a ' + MAX_VEHICULOS + ' vehículos';
+  } else {
+    for (const value of lista) {
+      const id = Number(value);
+      if (!Number.isInteger(id) || id < 1) {
+        errores.vehiculoIds = 'Vehículo inválido';
+        break;
+      }
+      if (!ids.includes(id)) ids.push(id);
+    }
+  }
+  if (Object.keys(errores).length) {
+    return { data: null, errores };
+  }
+  return { data: { tipo: input.tipo, vehiculoIds: ids }, errores: null };
+}
+
+/**
+ * Crea el registro en memoria de los visitantes del día. La sal y los
+ * visitantes vistos se renuevan al cambiar la fecha en la agencia.
+ * @returns {function(object, string, number): {fecha: string, unico: boolean}}
+ *   Recibe la petición, el tipo de evento y el vehículo; indica la fecha
+ *   del evento y si es el primero de ese visitante en el día.
+ */
+function createVisitorRegistry() {
+  let fecha = null;
+  let sal = null;
+  // Eventos ya contados hoy: "tipo:vehiculoId:visitante"
+  let vistos = new Set();
+
+  return function register(req, tipo, vehiculoId) {
+    const hoy = localNow().fecha;
+    if (hoy !== fecha) {
+      fecha = hoy;
+      sal = crypto.randomBytes(16);
+      vistos = new Set();
+    }
+    const visitante = crypto
+      .createHmac('sha256', sal)
+      .update(req.ip + '\n' + (req.get('user-agent') || ''))
+      .digest('base64')
+      .slice(0, 16);
+    const clave = tipo + ':' + vehiculoId + ':' + visitante;
+    if (vistos.has(clave)) return { fecha, unico: false };
+    // El Set conserva el orden de inserción: el primero es el más viejo
+    if (vistos.size >= MAX_VISTOS) vistos.delete(vistos.values().next().value);
+    vistos.add(clave);
+    return { fecha, unico: true };
+  };
+}
+
+/**
+ * Todos los vehículos no archivados, de los más nuevos a los más viejos.
+ * @param {object} store
+ * @returns {Promise<object[]>}
+ */
+async function listPublishedVehicles(store) {
+  const vehiculos = [];
+  for (let page = 1; ; page++) {
+    const result = await store.vehicles.list({
+      filters: { archivados: false },
+      sort: { field: 'createdAt', dir: -1 },
+      page,
+      limit: 100,
+    });
+    vehiculos.push(...result.vehiculos);
+    if (vehiculos.length >= result.total || !result.vehiculos.length) break;
+  }
+  return vehiculos;
+}
+
+/**
+ * Crea la consulta de los ids de los vehículos publicados que usa
+ * POST /api/eventos, con los ids en memoria durante VEHICLES_TTL para no
+ * leer el store en cada evento.
+ * @param {object} store
+ * @returns {function(): Promise<Set<number>>}
+ */
+function createPublishedIds(store) {
+  let ids = null;
+  let vence = 0;
+  // Consulta en curso, compartida por los eventos que llegan mientras tanto
+  let pendiente = null;
+
+  return function publishedIds() {
+    if (ids && Date.now() < vence) return Promise.resolve(ids);
+    if (!pendiente) {
+      pendiente = listPublishedVehicles(store)
+        .then((vehiculos) => {
+          ids = new Set(vehiculos.map((v) => v.id));
+          vence = Date.now() + VEHICLES_TTL;
+          return ids;
+        })
+        .finally(() => {
+          pendiente = null;
+        });
+    }
+    return pendiente;
+  };
+}
+
+/**
+ * Interpreta el período del reporte. Devuelve [{desde, hasta}, errores].
+ * @param {object} query
+ */
+function parsePeriod(query) {
+  const hoy = localNow().fecha;
+  const hasta = query.hasta === undefined || query.hasta === '' ? hoy : query.hasta;
+  const desde = query.desde === undefined || query.desde === '' ? null : query.desde;
+  const errores = {};
+  if (!isValidDate(hasta)) errores.hasta = 'Debe ser una fecha AAAA-MM-DD';
+  if (desde !== null && !isValidDate(desde)) errores.desde = 'Debe ser una fecha AAAA-MM-DD';
+  if (Object.keys(errores).length) return [null, errores];
+  const periodo = { desde: desde || addDays(hasta, 1 - DEFAULT_DAYS), hasta };
+  if (periodo.desde > periodo.hasta) return [null, { desde: 'Debe ser anterior a la fecha final' }];
+  if (periodo.desde < addDays(periodo.hasta, 1 - MAX_DAYS)) {
+    return [null, { desde: 'El período no puede superar los ' + MAX_DAYS + ' días' }];
+  }
+  return [periodo, null];
+}
+
+// Días enteros entre dos instantes (null si falta alguno)
+function daysBetween(desde, hasta) {
+  if (!desde || !hasta) return null;
+  return Math.max(0, Math.floor((new Date(hasta).getTime() - new Date(desde).getTime()) / (24 * 60 * 60 * 1000)));
+}
+
+// Contador en cero para cada tipo de evento
+function emptyCounts() {
+  return Object.fromEntries(TIPOS_EVENTO.map((tipo) => [tipo, 0]));
+}
+
+/**
+ * Arma el reporte del panel para los vehículos no archivados: eventos por
+ * día (totales), totales y visitantes únicos del período, conversión de
+ * vistas a clics en WhatsApp (porcentaje de visitantes únicos) y días
+ * publicado, desde la carga hasta hoy o hasta la venta.
+ * @param {object} store
+ * @param {{desde: string, hasta: string}} periodo
+ * @returns {Promise<object>}
+ */
+async function buildReport(store, { desde, hasta }) {
+  const fechas = [];
+  for (let f = desde; f <= hasta; f = addDays(f, 1)) fechas.push(f);
+  const indice = new Map(fechas.map((f, i) => [f, i]));
+
+  const vehiculos = await listPublishedVehicles(store);
+  const porVehiculo = new Map(
+    vehiculos.map((v) => {
+      const vendido = estadoDe(v) === 'vendido' && v.fechasEstado && v.fechasEstado.vendido;
+      return [
+        v.id,
+        {
+          id: v.id,
+          vehiculo: v.marca + ' ' + v.modelo + ' ' + v.anio,
+          estado: estadoDe(v),
+          url: seo.vehiclePath(v),
+          createdAt: v.createdAt || null,
+          diasPublicado: daysBetween(v.createdAt, vendido || new Date()),
+          totales: emptyCounts(),
+          unicos: emptyCounts(),
+          conversion: null,
+          serie: Object.fromEntries(TIPOS_EVENTO.map((tipo) => [tipo, fechas.map(() => 0)])),
+        },
+      ];
+    })
+  );
+  (await store.analytics.list({ desde, hasta })).forEach((r) => {
+    const item = porVehiculo.get(r.vehiculoId);
+    if (!item || !indice.has(r.fecha) || !TIPOS_EVENTO.includes(r.tipo)) return;
+    item.totales[r.tipo] += r.total;
+    item.unicos[r.tipo] += r.unicos;
+    item.serie[r.tipo][indice.get(r.fecha)] += r.total;
+  });
+  porVehiculo.forEach((item) => {
+    if (item.unicos.vista) {
+      item.conversion = Math.round((item.unicos.whatsapp / item.unicos.vista) * 1000) / 10;
+    }
+  });
+
+  // Los más vistos primero
+  const lista = [...porVehiculo.values()].sort((a, b) => b.totales.vista - a.totales.vista || a.id - b.id);
+  return { desde, hasta, fechas, vehiculos: lista };
+}
+
+/**
+ * Registra las rutas de estadísticas.
+ * @param {import('express').Express} app
+ * @param {{store: object, requireAdmin: function, getSessionUser: function}} options
+ */
+function registerAnalyticsRoutes(app, { store, requireAdmin, getSessionUser }) {
+  const rateLimit = createRateLimiter({
+    ...RATE_LIMIT,
+    message: 'Demasiados eventos desde tu conexión.',
+  });
+  const register = createVisitorRegistry();
+  const publishedIds = createPublishedIds(store);
+
+  app.post('/api/eventos', rateLimit, async (req, res) => {
+    const { data, errores } = validateEvent(req.body);
+    if (errores) {
+      return res.status(400).json({ error: 'Datos inválidos', errores });
+    }
+    // Las visitas del administrador no cuentan
+    if (getSessionUser(req)) {
+      return res.status(204).end();
+    }
+    try {
+      // Los vehículos inexistentes o archivados se ignoran: una tarjeta
+      // puede seguir en pantalla después de archivar el vehículo
+      const ids = await publishedIds();
+      const entradas = [];
+      let fecha = null;
+      data.vehiculoIds.forEach((id) => {
+        if (!ids.has(id)) return;
+        const evento = register(req, data.tipo, id);
+        fecha = evento.fecha;
+        entradas.push({ vehiculoId: id, tipo: data.tipo, unico: evento.unico });
+      });
+      if (entradas.length) await store.analytics.increment(fecha, entradas);
+      res.status(204).end();
+    } catch (err) {
+      console.error('Error al registrar evento:', err);
+      res.status(500).json({ error: 'Error interno al registrar el evento' });
+    }
+  });
+
+  app.get('/api/estadisticas', requireAdmin, async (req, res) => {
+    const [periodo, errores] = parsePeriod(req.query);
+    if (errores) {
+      return res.status(400).json({ error: 'Datos inválidos', errores });
+    }
+    try {
+      res.json(await buildReport(store, periodo));
+    } catch (err) {
+      console.error('Error al generar estadísticas:', err);
+      res.status(500).json({ error: 'Error interno al generar las estadísticas' });
+    }
+  });
+}
+
+module.exports = {
+  TIPOS_EVENTO,
+  validateEvent,
+  registerAnalyticsRoutes,
+};
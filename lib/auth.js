@@ -0,0 +1,206 @@
+/*
+ * lib/auth.js - Autenticación del administrador
+ *
+ * Las credenciales del administrador llegan en la configuración (ver
+ * lib/config.js) y nunca se guardan en texto plano:
+ *
+ *   ADMIN_USER           → Nombre de usuario (por defecto "admin").
+ *   ADMIN_PASSWORD_HASH  → Hash de la contraseña generado con
+ *                          `npm run hash-password -- <contraseña>`.
+ *   SESSION_SECRET       → Clave con la que se firman las sesiones. Si no
+ *                          se define se genera una al azar en cada arranque,
+ *                          por lo que las sesiones se pierden al reiniciar.
+ *
+ * createAuth devuelve el middleware y las rutas ligados a esas
+ * credenciales, de modo que cada aplicación creada con createApp tiene
+ * las suyas.
+ *
+ * Al iniciar sesión se entrega una cookie HttpOnly con un token firmado
+ * (HMAC-SHA256) que contiene el usuario y la fecha de expiración. No se
+ * guarda estado en el servidor: basta con verificar la firma.
+ */
+
+const crypto = require('crypto');
+
+const COOKIE_NAME = 'aec_sesion';
+// Duración de la sesión: 8 horas
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+const SCRYPT_KEYLEN = 64;
+
+/**
+ * Genera el hash de una contraseña con scrypt y una sal aleatoria.
+ * El resultado tiene la forma "scrypt$<sal>$<hash>" (ambos en hex).
+ * @param {string} password
+ * @returns {string}
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN).toString('hex');
+  return 'scrypt$' + salt + '$' + hash;
+}
+
+/**
+ * Compara una contraseña con un hash generado por hashPassword.
+ * @param {string} password
+ * @param {string} stored
+ * @returns {boolean}
+ */
+function verifyPassword(password, stored) {
+  const parts = String(stored || '').split('$');
+  if (parts.length !== 3 || parts[0] !== 'scrypt') return false;
+  const expected = Buffer.from(parts[2], 'hex');
+  const actual = crypto.scryptSync(String(password), parts[1], expected.length);
+  return expected.length > 0 && crypto.timingSafeEqual(expected, actual);
+}
+
+// Extrae el valor de una cookie de la cabecera Cookie. Un valor mal
+// codificado se trata como si la cookie no estuviera.
+function readCookie(req, name) {
+  const header = req.headers.cookie;
+  if (!header) return null;
+  for (const part of header.split(';')) {
+    const idx = part.indexOf('=');
+    if (idx === -1) continue;
+    if (part.slice(0, idx).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(idx + 1).trim());
+      } catch (err) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+
+/**
+ * Crea la autenticación del administrador con las credenciales indicadas.
+ * @param {{adminUser?: string, passwordHash?: string, sessionSecret?: string, secureCookies?: boolean}} [options]
+ * @returns {{getSessionUser: function, requireAdmin: function, registerAuthRoutes: function}}
+ */
+function createAuth({ adminUser = 'admin', passwordHash = '', sessionSecret = '', secureCookies = false } = {}) {
+  const secret = sessionSecret || crypto.randomBytes(32).toString('hex');
+
+  // Firma un texto con la clave de sesión
+  function sign(value) {
+    return crypto.createHmac('sha256', secret).update(value).digest('base64url');
+  }
+
+  // Crea un token de sesión firmado para el usuario indicado
+  function createToken(usuario) {
+    const payload = Buffer.from(
+      JSON.stringify({ u: usuario, exp: Date.now() + SESSION_TTL_MS })
+    ).toString('base64url');
+    return payload + '.' + sign(payload);
+  }
+
+  // Verifica un token de sesión. Devuelve el nombre de usuario si la firma
+  // es válida y no expiró, o null en caso contrario.
+  function verifyToken(token) {
+    if (typeof token !== 'string') return null;
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+    const expected = Buffer.from(sign(payload));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return null;
+    }
+    try {
+      const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (!data || typeof data.exp !== 'number' || data.exp < Date.now()) return null;
+      return data.u || null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // Construye la cabecera Set-Cookie de la sesión
+  function sessionCookie(req, value, maxAgeMs) {
+    const attrs = [
+      COOKIE_NAME + '=' + encodeURIComponent(value),
+      'Path=/',
+      'HttpOnly',
+      'SameSite=Strict',
+      'Max-Age=' + Math.floor(maxAgeMs / 1000),
+    ];
+    if (req.secure || secureCookies) attrs.push('Secure');
+    return attrs.join('; ');
+  }
+
+  /**
+   * Devuelve el usuario autenticado de la petición o null.
+   * @param {import('express').Request} req
+   * @returns {string|null}
+   */
+  function getSessionUser(req) {
+    return verifyToken(readCookie(req, COOKIE_NAME));
+  }
+
+  /**
+   * Middleware que exige una sesión de administrador válida. Responde 401 si
+   * la petición no trae sesión o si ésta expiró. Deja el usuario en
+   * `req.adminUser` para los manejadores siguientes.
+   */
+  function requireAdmin(req, res, next) {
+    const usuario = getSessionUser(req);
+    if (!usuario) {
+      return res.status(401).json({ error: 'Se requiere iniciar sesión como administrador' });
+    }
+    req.adminUser = usuario;
+    next();
+  }
+
+  /**
+   * Registra las rutas de autenticación en la aplicación:
+   *   POST /api/auth/login   → Valida usuario y contraseña y entrega la cookie.
+   *   POST /api/auth/logout  → Elimina la cookie de sesión.
+   *   GET  /api/auth/sesion  → Indica si hay una sesión activa.
+   * @param {import('express').Express} app
+   */
+  function registerAuthRoutes(app) {
+    if (!sessionSecret) {
+      console.warn('SESSION_SECRET no definido: las sesiones no sobrevivirán a un reinicio.');
+    }
+    if (!passwordHash) {
+      console.warn('ADMIN_PASSWORD_HASH no definido: el acceso de administrador está deshabilitado.');
+    }
+
+    app.post('/api/auth/login', (req, res) => {
+      const { usuario, password } = req.body || {};
+      if (!passwordHash) {
+        return res.status(503).json({ error: 'Acceso de administrador no configurado' });
+      }
+      if (
+        typeof usuario !== 'string' ||
+        typeof password !== 'string' ||
+        usuario !== adminUser ||
+        !verifyPassword(password, passwordHash)
+      ) {
+        return res.status(401).json({ error: 'Usuario o contraseña incorrectos' });
+      }
+      res.setHeader('Set-Cookie', sessionCookie(req, createToken(usuario), SESSION_TTL_MS));
+      res.json({ success: true, usuario });
+    });
+
+    app.post('/api/auth/logout', (req, res) => {
+      res.setHeader('Set-Cookie', sessionCookie(req, '', 0));
+      res.json({ success: true });
+    });
+
+    app.get('/api/auth/sesion', (req, res) => {
+      const usuario = getSessionUser(req);
+      if (!usuario) {
+        return res.status(401).json({ error: 'Sin sesión activa' });
+      }
+      res.json({ usuario });
+    });
+  }
+
+  return { getSessionUser, requireAdmin, registerAuthRoutes };
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  createAuth,
+};
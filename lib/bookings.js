@@ -0,0 +1,546 @@
+/*
+ * lib/bookings.js - Turnos para pruebas de manejo y visitas
+ *
+ * Desde la página de detalle, un visitante elige un día y un horario para
+ * probar el vehículo o verlo en la agencia. Los horarios salen del horario
+ * de atención configurado (franjas, días de la semana y duración de cada
+ * turno, ver parseSchedule) sin los feriados que carga el administrador.
+ * Un vehículo no puede tener dos turnos confirmados en el mismo horario:
+ * cada store lo garantiza al crear el turno (ver bookings.create en
+ * lib/store/index.js). Las fechas y horas son las de la agencia
+ * (Argentina, UTC-3 todo el año).
+ *
+ * Cada turno tiene un código aleatorio con el que el cliente descarga el
+ * archivo .ics para agregarlo a su calendario, sin exponer los turnos de
+ * otras personas por id. El formulario se protege contra spam igual que
+ * las consultas (campo trampa `sitio` y límite de envíos por IP).
+ *
+ * Endpoints (ver registerBookingRoutes):
+ *   GET    /api/turnos/disponibilidad     → Horarios de un vehículo (vehiculoId) desde `desde`
+ *                                           (hoy por defecto) durante `dias` días (14, máx. 31).
+ *   POST   /api/turnos                    → Reserva un turno (público). 409 si el horario se
+ *                                           ocupó mientras el cliente lo elegía.
+ *   GET    /api/turnos/:codigo/calendario.ics → Archivo de calendario del turno.
+ *   GET    /api/turnos                    → Agenda (admin), filtrable por desde, hasta y estado.
+ *   PATCH  /api/turnos/:id                → Cancela un turno ({ estado: 'cancelado' }).
+ *   GET    /api/turnos/feriados           → Feriados cargados (admin).
+ *   POST   /api/turnos/feriados           → Agrega un feriado { fecha, motivo }.
+ *   DELETE /api/turnos/feriados/:fecha    → Quita un feriado.
+ */
+
+const crypto = require('crypto');
+const { estadoDe } = require('./lifecycle');
+const { createRateLimiter } = require('./rate-limit');
+const { getSettings } = require('./settings');
+const { EMAIL_RE, PHONE_RE, checkText } = require('./validation');
+
+const ESTADOS_TURNO = ['confirmado', 'cancelado'];
+// Tipos de turno y su descripción en el calendario
+const TIPOS_TURNO = { prueba: 'Prueba de manejo', visita: 'Visita' };
+
+// Horario de atención por defecto (el de la sección de contacto): lunes a
+// viernes de 9:30 a 12 y de 17 a 19, en turnos de 30 minutos
+const DEFAULT_SCHEDULE = { horario: '09:30-12:00,17:00-19:00', dias: '1-5', duracion: 30 };
+// Diferencia horaria de la agencia con UTC, en minutos (Argentina no usa
+// horario de verano)
+const UTC_OFFSET_MINUTES = -3 * 60;
+// Días hacia adelante en los que se puede reservar
+const MAX_DAYS_AHEAD = 30;
+// Anticipación mínima para reservar un turno del mismo día, en minutos
+const MIN_NOTICE_MINUTES = 60;
+
+const LIMITS = {
+  nombre: { maxLength: 100 },
+  telefono: { maxLength: 30 },
+  email: { maxLength: 120 },
+  motivo: { maxLength: 80 },
+  dias: { max: 31 },
+};
+
+// Reservas permitidas por IP: 5 cada 10 minutos
+const RATE_LIMIT = { windowMs: 10 * 60 * 1000, max: 5 };
+
+const FECHA_RE = /^\d{4}-\d{2}-\d{2}$/;
+const HORA_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const CODIGO_RE = /^[a-f0-9]{16}$/;
+
+// Minutos desde la medianoche de una hora "HH:MM"
+function toMinutes(hora) {
+  const [h, m] = hora.split(':').map(Number);
+  return h * 60 + m;
+}
+
+// Hora "HH:MM" de una cantidad de minutos desde la medianoche
+function toHora(minutos) {
+  return String(Math.floor(minutos / 60)).padStart(2, '0') + ':' + String(minutos % 60).padStart(2, '0');
+}
+
+// Indica si `fecha` es una fecha "AAAA-MM-DD" existente
+function isValidDate(fecha) {
+  if (typeof fecha !== 'string' || !FECHA_RE.test(fecha)) return false;
+  const d = new Date(fecha + 'T00:00:00Z');
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === fecha;
+}
+
+// Suma días a una fecha "AAAA-MM-DD"
+function addDays(fecha, dias) {
+  const d = new Date(fecha + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + dias);
+  return d.toISOString().slice(0, 10);
+}
+
+// Día de la semana de una fecha (0 = domingo)
+function weekday(fecha) {
+  return new Date(fecha + 'T00:00:00Z').getUTCDay();
+}
+
+/**
+ * Fecha y hora actuales en la agencia.
+ * @param {Date} [now]
+ * @returns {{fecha: string, minutos: number}}
+ */
+function localNow(now = new Date()) {
+  const d = new Date(now.getTime() + UTC_OFFSET_MINUTES * 60 * 1000);
+  return { fecha: d.toISOString().slice(0, 10), minutos: d.getUTCHours() * 60 + d.getUTCMinutes() };
+}
+
+/**
+ * Instante en que empieza un turno.
+ * @param {string} fecha AAAA-MM-DD
+ * @param {string} hora HH:MM
+ * @returns {Date}
+ */
+function toInstant(fecha, hora) {
+  const [y, mo, d] = fecha.split('-').map(Number);
+  return new Date(Date.UTC(y, mo - 1, d) + (toMinutes(hora) - UTC_OFFSET_MINUTES) * 60 * 1000);
+}
+
+/**
+ * Interpreta el horario de atención. Lanza un error si algún valor es
+ * inválido, para detectarlo al iniciar el servidor.
+ * @param {{horario?: string, dias?: string, duracion?: string|number}} options
+ *   horario: franjas "HH:MM-HH:MM" separadas por comas.
+ *   dias: días de la semana (0 = domingo) como lista y/o rangos: "1-5", "1,3,5", "1-6".
+ *   duracion: minutos de cada turno.
+ * @returns {{duracion: number, dias: number[], horas: string[]}}
+ */
+function parseSchedule({ horario, dias, duracion } = {}) {
+  const texto = horario || DEFAULT_SCHEDULE.horario;
+  const minutos = duracion === undefined || duracion === '' ? DEFAULT_SCHEDULE.duracion : Number(duracion);
+  if (!Number.isInteger(minutos) || minutos < 10 || minutos > 240) {
+    throw new Error('La duración de los turnos debe ser un entero entre 10 y 240 minutos: ' + duracion);
+  }
+  const horas = [];
+  texto.split(',').forEach((franja) => {
+    const [inicio, fin] = franja.trim().split('-');
+    if (!HORA_RE.test(inicio || '') || !HORA_RE.test(fin || '') || toMinutes(inicio) >= toMinutes(fin)) {
+      throw new Error('Franja horaria inválida: "' + franja.trim() + '" (formato HH:MM-HH:MM)');
+    }
+    for (let m = toMinutes(inicio); m + minutos <= toMinutes(fin); m += minutos) {
+      if (!horas.includes(toHora(m))) horas.push(toHora(m));
+    }
+  });
+  const listaDias = [];
+  (dias || DEFAULT_SCHEDULE.dias).split(',').forEach((parte) => {
+    const match = /^\s*([0-6])(?:\s*-\s*([0-6]))?\s*$/.exec(parte);
+    if (!match) throw new Error('Días de atención inválidos: "' + parte.trim() + '" (0 = domingo, 6 = sábado)');
+    const desde = Number(match[1]);
+    const hasta = match[2] === undefined ? desde : Number(match[2]);
+    for (let d = desde; d <= hasta; d++) {
+      if (!listaDias.includes(d)) listaDias.push(d);
+    }
+  });
+  if (!horas.length || !listaDias.length) {
+    throw new Error('El horario de atención no tiene turnos disponibles');
+  }
+  return { duracion: minutos, dias: listaDias.sort(), horas: horas.sort() };
+}
+
+/**
+ * Horarios de un vehículo para cada día con atención, desde `desde` durante
+ * `dias` días. Se omiten los días sin atención, los feriados, los
+ * horarios pasados (o sin la anticipación mínima) y los días fuera del
+ * plazo de reserva.
+ * @param {object} store
+ * @param {{duracion: number, dias: number[], horas: string[]}} schedule
+ * @param {{vehiculoId: number, desde: string, dias: number}} options
+ * @returns {Promise<Array<{fecha: string, horarios: Array<{hora: string, disponible: boolean}>}>>}
+ */
+async function availability(store, schedule, { vehiculoId, desde, dias }) {
+  const hoy = localNow();
+  const limite = addDays(hoy.fecha, MAX_DAYS_AHEAD);
+  const inicio = desde > hoy.fecha ? desde : hoy.fecha;
+  const fin = addDays(desde, dias - 1) < limite ? addDays(desde, dias - 1) : limite;
+  if (inicio > fin) return [];
+  const [feriados, turnos] = await Promise.all([
+    store.holidays.list(),
+    store.bookings.list({ vehiculoId, desde: inicio, hasta: fin, estado: 'confirmado' }),
+  ]);
+  const cerrados = new Set(feriados.map((f) => f.fecha));
+  const ocupados = new Set(turnos.map((t) => t.fecha + ' ' + t.hora));
+  const result = [];
+  for (let fecha = inicio; fecha <= fin; fecha = addDays(fecha, 1)) {
+    if (!schedule.dias.includes(weekday(fecha)) || cerrados.has(fecha)) continue;
+    const horarios = schedule.horas
+      .filter((hora) => fecha > hoy.fecha || toMinutes(hora) >= hoy.minutos + MIN_NOTICE_MINUTES)
+      .map((hora) => ({ hora, disponible: !ocupados.has(fecha + ' ' + hora) }));
+    if (horarios.length) result.push({ fecha, horarios });
+  }
+  return result;
+}
+
+/**
+ * Verifica que un horario se pueda reservar: día y hora del horario de
+ * atención, no feriado, dentro del plazo y con la anticipación mínima.
+ * @param {{duracion: number, dias: number[], horas: string[]}} schedule
+ * @param {Array<{fecha: string, motivo: string}>} feriados
+ * @param {string} fecha
+ * @param {string} hora
+ * @returns {{campo: string, mensaje: string}|null} El error, o null si es válido
+ */
+function checkSlot(schedule, feriados, fecha, hora) {
+  const hoy = localNow();
+  const feriado = feriados.find((f) => f.fecha === fecha);
+  if (feriado) {
+    return { campo: 'fecha', mensaje: 'Ese día no atendemos' + (feriado.motivo ? ' (' + feriado.motivo + ')' : '') };
+  }
+  if (!schedule.dias.includes(weekday(fecha))) return { campo: 'fecha', mensaje: 'Ese día no atendemos' };
+  if (fecha < hoy.fecha || fecha > addDays(hoy.fecha, MAX_DAYS_AHEAD)) {
+    return { campo: 'fecha', mensaje: 'Elige un día de los próximos ' + MAX_DAYS_AHEAD + ' días' };
+  }
+  if (!schedule.horas.includes(hora)) return { campo: 'hora', mensaje: 'Ese horario no está disponible' };
+  if (fecha === hoy.fecha && toMinutes(hora) < hoy.minutos + MIN_NOTICE_MINUTES) {
+    return { campo: 'hora', mensaje: 'Ese horario ya pasó o está demasiado próximo' };
+  }
+  return null;
+}
+
+/**
+ * Valida una reserva recibida del formulario público. El horario se
+ * verifica aparte con checkSlot, que necesita los feriados.
+ * @param {object} body
+ * @returns {{data: object, errores: null}|{data: null, errores: Object<string, string>}}
+ */
+function validateBooking(body) {
+  const input = body && typeof body === 'object' ? body : {};
+  const data = {};
+  const errores = {};
+
+  const vehiculoId = Number(input.vehiculoId);
+  if (!Number.isInteger(vehiculoId) || vehiculoId < 1) errores.vehiculoId = 'Vehículo inválido';
+  else data.vehiculoId = vehiculoId;
+  if (!isValidDate(input.fecha)) errores.fecha = 'Elige un día';
+  else data.fecha = input.fecha;
+  if (typeof input.hora !== 'string' || !HORA_RE.test(input.hora)) errores.hora = 'Elige un horario';
+  else data.hora = input.hora;
+  if (input.tipo === undefined || input.tipo === null || input.tipo === '') data.tipo = 'prueba';
+  else if (TIPOS_TURNO[input.tipo]) data.tipo = input.tipo;
+  else errores.tipo = 'Debe ser uno de: ' + Object.keys(TIPOS_TURNO).join(', ');
+
+  ['nombre', 'telefono', 'email'].forEach((field) => {
+    const [value, error] = checkText(input[field], LIMITS[field]);
+    if (error) errores[field] = error;
+    else data[field] = value;
+  });
+  if (!errores.nombre && !data.nombre) errores.nombre = 'Este campo es obligatorio';
+  if (!errores.email && data.email && !EMAIL_RE.test(data.email)) {
+    errores.email = 'El email no es válido';
+  }
+  if (!errores.telefono && data.telefono && !PHONE_RE.test(data.telefono)) {
+    errores.telefono = 'El teléfono no es válido';
+  }
+  if (!errores.telefono && !errores.email && !data.telefono && !data.email) {
+    errores.telefono = 'Indica un teléfono o un email para poder confirmarte el turno';
+  }
+
+  if (Object.keys(errores).length) {
+    return { data: null, errores };
+  }
+  return { data, errores: null };
+}
+
+/**
+ * Valida un feriado { fecha, motivo }.
+ * @param {object} body
+ * @returns {{data: object, errores: null}|{data: null, errores: Object<string, string>}}
+ */
+function validateHoliday(body) {
+  const input = body && typeof body === 'object' ? body : {};
+  const errores = {};
+  if (!isValidDate(input.fecha)) errores.fecha = 'Debe ser una fecha AAAA-MM-DD';
+  const [motivo, error] = checkText(input.motivo, LIMITS.motivo);
+  if (error) errores.motivo = error;
+  if (Object.keys(errores).length) {
+    return { data: null, errores };
+  }
+  return { data: { fecha: input.fecha, motivo }, errores: null };
+}
+
+// Escapa un texto para una propiedad de iCalendar (RFC 5545)
+function escapeIcs(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+}
+
+// Corta una línea de iCalendar en tramos de 75 octetos como máximo
+function foldIcs(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// Fecha UTC en el formato de iCalendar (20261020T123000Z)
+function icsDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Arma el archivo .ics de un turno.
+ * @param {object} turno
+ * @param {{agencia: {nombre: string, direccion: string}, url?: string}} options
+ *   Datos de la agencia (ver lib/settings.js) y URL de la página del vehículo
+ * @returns {string}
+ */
+function buildCalendar(turno, { agencia, url }) {
+  const inicio = toInstant(turno.fecha, turno.hora);
+  const fin = new Date(inicio.getTime() + turno.duracion * 60 * 1000);
+  const titulo = TIPOS_TURNO[turno.tipo] + (turno.vehiculo ? ': ' + turno.vehiculo : '') + ' - ' + agencia.nombre;
+  const descripcion = [
+    TIPOS_TURNO[turno.tipo] + ' en ' + agencia.nombre + (turno.vehiculo ? ' del ' + turno.vehiculo : '') + '.',
+    'Si no puedes asistir, avísanos para liberar el horario.',
+    url || '',
+  ]
+    .filter(Boolean)
+    .join('\n');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Autos en Campana//Turnos//ES',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    'UID:turno-' + turno.codigo + '@autosencampana',
+    'DTSTAMP:' + icsDate(new Date()),
+    'DTSTART:' + icsDate(inicio),
+    'DTEND:' + icsDate(fin),
+    'SUMMARY:' + escapeIcs(titulo),
+    'DESCRIPTION:' + escapeIcs(descripcion),
+    'LOCATION:' + escapeIcs(agencia.direccion),
+    'STATUS:' + (turno.estado === 'cancelado' ? 'CANCELLED' : 'CONFIRMED'),
+  ];
+  if (url) lines.push('URL:' + url);
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+  return lines.map(foldIcs).join('\r\n') + '\r\n';
+}
+
+// Datos de un turno que se devuelven al cliente que lo reservó
+function toPublicBooking(turno) {
+  return {
+    fecha: turno.fecha,
+    hora: turno.hora,
+    duracion: turno.duracion,
+    tipo: turno.tipo,
+    vehiculo: turno.vehiculo,
+    calendario: '/api/turnos/' + turno.codigo + '/calendario.ics',
+  };
+}
+
+/**
+ * Registra las rutas de turnos.
+ * @param {import('express').Express} app
+ * @param {{store: object, requireAdmin: function, schedule: object, vehicleUrl: function}} options
+ *   schedule: resultado de parseSchedule. vehicleUrl(req, vehiculo): URL
+ *   absoluta de la página de un vehículo, para el archivo de calendario.
+ */
+function registerBookingRoutes(app, { store, requireAdmin, schedule, vehicleUrl }) {
+  const rateLimit = createRateLimiter({
+    ...RATE_LIMIT,
+    message: 'Recibimos varias reservas desde tu conexión. Intenta nuevamente en unos minutos.',
+  });
+
+  app.get('/api/turnos/disponibilidad', async (req, res) => {
+    const vehiculoId = parseInt(req.query.vehiculoId, 10);
+    if (!vehiculoId) {
+      return res.status(400).json({ error: 'Indica el vehículo (vehiculoId)' });
+    }
+    const desde = isValidDate(req.query.desde) ? req.query.desde : localNow().fecha;
+    const dias = Math.min(Math.max(parseInt(req.query.dias, 10) || 14, 1), LIMITS.dias.max);
+    try {
+      const v = await store.vehicles.get(vehiculoId);
+      if (!v || v.eliminadoEn) {
+        return res.status(404).json({ error: 'Vehículo no encontrado' });
+      }
+      // Un vehículo vendido ya no se puede probar
+      const result = estadoDe(v) === 'vendido' ? [] : await availability(store, schedule, { vehiculoId, desde, dias });
+      res.json({ duracion: schedule.duracion, dias: result });
+    } catch (err) {
+      console.error('Error al obtener la disponibilidad de turnos:', err);
+      res.status(500).json({ error: 'Error interno al obtener los horarios' });
+    }
+  });
+
+  app.post('/api/turnos', rateLimit, async (req, res) => {
+    const body = req.body || {};
+    // Campo trampa: sólo los bots lo completan
+    if (body.sitio) {
+      return res.status(201).json({ success: true });
+    }
+    const { data, errores } = validateBooking(body);
+    if (errores) {
+      return res.status(400).json({ error: 'Datos inválidos', errores });
+    }
+    try {
+      const v = await store.vehicles.get(data.vehiculoId);
+      if (!v || v.eliminadoEn || estadoDe(v) === 'vendido') {
+        return res.status(400).json({
+          error: 'Datos inválidos',
+          errores: { vehiculoId: 'El vehículo no está disponible' },
+        });
+      }
+      const slotError = checkSlot(schedule, await store.holidays.list(), data.fecha, data.hora);
+      if (slotError) {
+        return res.status(400).json({ error: 'Datos inválidos', errores: { [slotError.campo]: slotError.mensaje } });
+      }
+      const turno = await store.bookings.create({
+        ...data,
+        // Se guarda la descripción del vehículo, como en las consultas
+        vehiculo: v.marca + ' ' + v.modelo + ' ' + v.anio,
+        duracion: schedule.duracion,
+        codigo: crypto.randomBytes(8).toString('hex'),
+        estado: 'confirmado',
+      });
+      if (!turno) {
+        return res.status(409).json({ error: 'El horario elegido ya no está disponible. Elige otro.' });
+      }
+      res.status(201).json({ success: true, turno: toPublicBooking(turno) });
+    } catch (err) {
+      console.error('Error al reservar turno:', err);
+      res.status(500).json({ error: 'Error interno al reservar el turno' });
+    }
+  });
+
+  app.get('/api/turnos/feriados', requireAdmin, async (req, res) => {
+    try {
+      res.json({ feriados: await store.holidays.list() });
+    } catch (err) {
+      console.error('Error al obtener feriados:', err);
+      res.status(500).json({ error: 'Error interno al obtener los feriados' });
+    }
+  });
+
+  app.post('/api/turnos/feriados', requireAdmin, async (req, res) => {
+    const { data, errores } = validateHoliday(req.body);
+    if (errores) {
+      return res.status(400).json({ error: 'Datos inválidos', errores });
+    }
+    try {
+      const feriado = await store.holidays.add(data);
+      if (!feriado) {
+        return res.status(409).json({ error: 'Esa fecha ya está cargada como feriado' });
+      }
+      // Los turnos ya reservados ese día no se cancelan solos: se informan
+      // para que el administrador avise a los clientes
+      const turnos = await store.bookings.list({ desde: data.fecha, hasta: data.fecha, estado: 'confirmado' });
+      res.status(201).json({ success: true, feriado, turnosAfectados: turnos.length });
+    } catch (err) {
+      console.error('Error al guardar feriado:', err);
+      res.status(500).json({ error: 'Error interno al guardar el feriado' });
+    }
+  });
+
+  app.delete('/api/turnos/feriados/:fecha', requireAdmin, async (req, res) => {
+    if (!isValidDate(req.params.fecha)) {
+      return res.status(400).json({ error: 'Fecha inválida' });
+    }
+    try {
+      const feriado = await store.holidays.remove(req.params.fecha);
+      if (!feriado) {
+        return res.status(404).json({ error: 'Feriado no encontrado' });
+      }
+      res.json({ success: true });
+    } catch (err) {
+      console.error('Error al eliminar feriado:', err);
+      res.status(500).json({ error: 'Error interno al eliminar el feriado' });
+    }
+  });
+
+  app.get('/api/turnos/:codigo/calendario.ics', async (req, res) => {
+    if (!CODIGO_RE.test(req.params.codigo)) {
+      return res.status(404).json({ error: 'Turno no encontrado' });
+    }
+    try {
+      const turno = await store.bookings.findByCode(req.params.codigo);
+      if (!turno) {
+        return res.status(404).json({ error: 'Turno no encontrado' });
+      }
+      const v = await store.vehicles.get(turno.vehiculoId);
+      const url = v && !v.eliminadoEn ? vehicleUrl(req, v) : null;
+      res.attachment('turno-' + turno.fecha + '.ics');
+      res.type('text/calendar; charset=utf-8');
+      res.send(buildCalendar(turno, { agencia: await getSettings(store), url }));
+    } catch (err) {
+      console.error('Error al generar el calendario del turno:', err);
+      res.status(500).json({ error: 'Error interno al generar el calendario' });
+    }
+  });
+
+  app.get('/api/turnos', requireAdmin, async (req, res) => {
+    const filters = { desde: isValidDate(req.query.desde) ? req.query.desde : localNow().fecha };
+    if (isValidDate(req.query.hasta)) filters.hasta = req.query.hasta;
+    if (ESTADOS_TURNO.includes(req.query.estado)) filters.estado = req.query.estado;
+    try {
+      res.json({ turnos: await store.bookings.list(filters) });
+    } catch (err) {
+      console.error('Error al obtener la agenda de turnos:', err);
+      res.status(500).json({ error: 'Error interno al obtener la agenda' });
+    }
+  });
+
+  app.patch('/api/turnos/:id', requireAdmin, async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (!id) {
+      return res.status(400).json({ error: 'ID inválido' });
+    }
+    // Un turno cancelado libera el horario y no se puede volver a
+    // confirmar: el cliente debe reservar otro
+    if ((req.body || {}).estado !== 'cancelado') {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        errores: { estado: 'Sólo se puede cancelar un turno' },
+      });
+    }
+    try {
+      const turno = await store.bookings.update(id, { estado: 'cancelado', canceladoPor: req.adminUser || null });
+      if (!turno) {
+        return res.status(404).json({ error: 'Turno no encontrado' });
+      }
+      res.json({ success: true, turno });
+    } catch (err) {
+      console.error('Error al cancelar turno:', err);
+      res.status(500).json({ error: 'Error interno al cancelar el turno' });
+    }
+  });
+}
+
+module.exports = {
+  ESTADOS_TURNO,
+  TIPOS_TURNO,
+  DEFAULT_SCHEDULE,
+  localNow,
+  isValidDate,
+  addDays,
+  parseSchedule,
+  availability,
+  checkSlot,
+  validateBooking,
+  buildCalendar,
+  registerBookingRoutes,
+};
@@ -0,0 +1,215 @@
+/*
+ * lib/config.js - Configuración del servidor
+ *
+ * Reúne en un solo lugar las variables de entorno que usa el servidor, las
+ * valida y completa los valores por defecto. El resultado es un objeto de
+ * sólo lectura que se pasa a createApp (server.js); así la aplicación se
+ * puede crear desde un script o una prueba con otra configuración sin
+ * tocar process.env.
+ *
+ * Variables:
+ *   PORT                  → Puerto HTTP (3000 por defecto; 0 elige uno libre).
+ *   PUBLIC_URL            → URL pública del sitio para las URLs absolutas (ver lib/seo.js).
+ *   CORS_ORIGIN           → Orígenes que pueden usar la API desde otro dominio: "*"
+ *                           (por defecto, cualquiera), una lista separada por comas
+ *                           (https://a.com,https://b.com) o "none" para ninguno.
+ *   TRUST_PROXY           → Proxies de confianza para obtener la IP del cliente: "true",
+ *                           una cantidad de saltos o una lista de IPs.
+ *   DATA_STORE            → "mongo" (por defecto) o "json" (ver lib/store).
+ *   MONGO_URL             → Conexión a MongoDB (mongodb://localhost/autosencampana).
+ *   DATA_DIR              → Directorio de los archivos JSON (data/).
+ *   IMAGE_STORAGE         → "gridfs" o "disk" (por defecto según DATA_STORE; ver lib/images).
+ *   UPLOADS_DIR           → Directorio de las fotos con IMAGE_STORAGE=disk (uploads/).
+ *   ADMIN_USER, ADMIN_PASSWORD_HASH, SESSION_SECRET → Credenciales (ver lib/auth.js).
+ *   SOLD_GRACE_DAYS       → Días que un vendido sigue en el catálogo público (7).
+ *   PRICE_DROP_DAYS       → Días que se muestra "Bajó de precio" (15).
+ *   BOOKING_HOURS, BOOKING_DAYS, BOOKING_SLOT_MINUTES → Horario de turnos (ver lib/bookings.js).
+ *   SHUTDOWN_TIMEOUT_MS   → Espera máxima al apagar el servidor antes de forzar la
+ *                           salida (10000).
+ *   NODE_ENV              → Con "production" la cookie de sesión se marca Secure.
+ *
+ * Un valor inválido detiene el arranque con un mensaje que indica cada
+ * variable con problemas, en lugar de arrancar con una configuración
+ * distinta de la esperada.
+ */
+
+const path = require('path');
+const { parseSchedule } = require('./bookings');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULTS = {
+  port: 3000,
+  mongoUrl: 'mongodb://localhost/autosencampana',
+  dataDir: path.join(ROOT_DIR, 'data'),
+  uploadsDir: path.join(ROOT_DIR, 'uploads'),
+  adminUser: 'admin',
+  soldGraceDays: 7,
+  priceDropDays: 15,
+  shutdownTimeoutMs: 10000,
+};
+const DATA_STORES = ['mongo', 'json'];
+const IMAGE_STORAGES = ['gridfs', 'disk'];
+
+// Error de configuración: `errores` indica el problema de cada variable
+class ConfigError extends Error {
+  constructor(errores) {
+    super(
+      'Configuración inválida:\n' +
+        Object.keys(errores)
+          .map((name) => '  ' + name + ': ' + errores[name])
+          .join('\n')
+    );
+    this.name = 'ConfigError';
+    this.errores = errores;
+  }
+}
+
+// Texto de una variable sin espacios, o '' si no está definida
+function read(env, name) {
+  return typeof env[name] === 'string' ? env[name].trim() : '';
+}
+
+// Entero dentro de [min, max] y devuelve [valor, error]
+function checkInteger(value, fallback, min, max) {
+  if (value === '') return [fallback, null];
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) return [null, 'Debe ser un entero entre ' + min + ' y ' + max];
+  return [n, null];
+}
+
+// Uno de los valores permitidos y devuelve [valor, error]
+function checkOption(value, fallback, options) {
+  if (value === '') return [fallback, null];
+  if (!options.includes(value)) return [null, 'Debe ser uno de: ' + options.join(', ')];
+  return [value, null];
+}
+
+// URL http(s) sin barra final y devuelve [valor, error]. Con `originOnly`
+// no se admite ruta: los orígenes de CORS son sólo esquema, host y puerto.
+function checkUrl(value, { originOnly = false } = {}) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    return [null, 'No es una URL válida: "' + value + '"'];
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return [null, 'Debe empezar con http:// o https://: "' + value + '"'];
+  }
+  if (originOnly && url.origin !== value.replace(/\/+$/, '')) {
+    return [null, 'Debe ser un origen sin ruta (por ejemplo https://autosencampana.com.ar): "' + value + '"'];
+  }
+  return [originOnly ? url.origin : value.replace(/\/+$/, ''), null];
+}
+
+// Política de CORS: '*' (cualquier origen), false (ninguno) o una lista
+// de orígenes, y devuelve [valor, error]
+function checkCors(value) {
+  if (value === '' || value === '*') return ['*', null];
+  if (value === 'none' || value === 'false') return [false, null];
+  const origins = [];
+  for (const item of value.split(',').map((s) => s.trim()).filter(Boolean)) {
+    const [origin, error] = checkUrl(item, { originOnly: true });
+    if (error) return [null, error];
+    if (!origins.includes(origin)) origins.push(origin);
+  }
+  return [origins, null];
+}
+
+// Valor de "trust proxy" de Express y devuelve [valor, error]
+function checkTrustProxy(value) {
+  if (value === '' || value === 'false') return [false, null];
+  if (value === 'true') return [true, null];
+  if (/^\d+$/.test(value)) return [Number(value), null];
+  // Lista de IPs, subredes o los nombres que admite Express (loopback,
+  // linklocal, uniquelocal)
+  if (/^[0-9a-z.:/,\s]+$/i.test(value)) return [value, null];
+  return [null, 'Debe ser "true", una cantidad de saltos o una lista de IPs'];
+}
+
+/**
+ * Lee y valida la configuración del servidor.
+ * @param {Object<string, string>} [env] Variables de entorno (process.env por defecto)
+ * @returns {Readonly<object>}
+ * @throws {ConfigError} Si alguna variable tiene un valor inválido
+ */
+function loadConfig(env = process.env) {
+  const errores = {};
+  const config = {};
+  const apply = (name, key, [value, error]) => {
+    if (error) errores[name] = error;
+    else config[key] = value;
+  };
+
+  apply('PORT', 'port', checkInteger(read(env, 'PORT'), DEFAULTS.port, 0, 65535));
+  const publicUrl = read(env, 'PUBLIC_URL');
+  apply('PUBLIC_URL', 'publicUrl', publicUrl ? checkUrl(publicUrl) : [null, null]);
+  apply('CORS_ORIGIN', 'corsOrigin', checkCors(read(env, 'CORS_ORIGIN')));
+  apply('TRUST_PROXY', 'trustProxy', checkTrustProxy(read(env, 'TRUST_PROXY')));
+
+  const [dataStore, storeError] = checkOption(read(env, 'DATA_STORE'), 'mongo', DATA_STORES);
+  if (storeError) errores.DATA_STORE = storeError;
+  config.store = {
+    type: dataStore,
+    mongoUrl: read(env, 'MONGO_URL') || DEFAULTS.mongoUrl,
+    dataDir: path.resolve(read(env, 'DATA_DIR') || DEFAULTS.dataDir),
+  };
+  if (dataStore === 'mongo' && !/^mongodb(\+srv)?:\/\//.test(config.store.mongoUrl)) {
+    errores.MONGO_URL = 'Debe empezar con mongodb:// o mongodb+srv://';
+  }
+
+  // Sin MongoDB, las fotos van al disco salvo que se indique otra cosa
+  const [imageStorage, imageError] = checkOption(
+    read(env, 'IMAGE_STORAGE'),
+    dataStore === 'json' ? 'disk' : 'gridfs',
+    IMAGE_STORAGES
+  );
+  if (imageError) errores.IMAGE_STORAGE = imageError;
+  else if (imageStorage === 'gridfs' && dataStore === 'json') {
+    errores.IMAGE_STORAGE = 'GridFS necesita DATA_STORE=mongo; use IMAGE_STORAGE=disk';
+  }
+  config.images = {
+    type: imageStorage,
+    uploadsDir: path.resolve(read(env, 'UPLOADS_DIR') || DEFAULTS.uploadsDir),
+  };
+
+  const passwordHash = read(env, 'ADMIN_PASSWORD_HASH');
+  if (passwordHash && !/^scrypt\$[0-9a-f]+\$[0-9a-f]+$/.test(passwordHash)) {
+    errores.ADMIN_PASSWORD_HASH = 'No es un hash válido; genérelo con `npm run hash-password -- <contraseña>`';
+  }
+  config.auth = {
+    adminUser: read(env, 'ADMIN_USER') || DEFAULTS.adminUser,
+    passwordHash,
+    sessionSecret: read(env, 'SESSION_SECRET'),
+    secureCookies: read(env, 'NODE_ENV') === 'production',
+  };
+
+  const days = (name, fallback, min) => checkInteger(read(env, name), fallback, min, 3650);
+  apply('SOLD_GRACE_DAYS', 'soldGraceDays', days('SOLD_GRACE_DAYS', DEFAULTS.soldGraceDays, 0));
+  apply('PRICE_DROP_DAYS', 'priceDropDays', days('PRICE_DROP_DAYS', DEFAULTS.priceDropDays, 1));
+  try {
+    config.bookingSchedule = parseSchedule({
+      horario: read(env, 'BOOKING_HOURS'),
+      dias: read(env, 'BOOKING_DAYS'),
+      duracion: read(env, 'BOOKING_SLOT_MINUTES'),
+    });
+  } catch (err) {
+    errores['BOOKING_HOURS/BOOKING_DAYS/BOOKING_SLOT_MINUTES'] = err.message;
+  }
+  apply(
+    'SHUTDOWN_TIMEOUT_MS',
+    'shutdownTimeoutMs',
+    checkInteger(read(env, 'SHUTDOWN_TIMEOUT_MS'), DEFAULTS.shutdownTimeoutMs, 0, 600000)
+  );
+
+  if (Object.keys(errores).length) {
+    throw new ConfigError(errores);
+  }
+  return Object.freeze(config);
+}
+
+module.exports = {
+  DEFAULTS,
+  ConfigError,
+  loadConfig,
+};
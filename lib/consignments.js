@@ -0,0 +1,400 @@
+/*
+ * lib/consignments.js - Vehículos en consignación
+ *
+ * Parte del stock pertenece a particulares que dejan su auto para que la
+ * agencia lo venda. Por cada vehículo en consignación se registra el
+ * dueño (nombre y contacto), el precio mínimo acordado y la comisión de
+ * la agencia: un porcentaje del precio de venta o un monto fijo. Estos
+ * datos se guardan en la colección `store.consignments`, aparte de los
+ * vehículos, y sólo se exponen en las rutas de administración: las
+ * respuestas públicas de /api/vehiculos nunca los incluyen.
+ *
+ * Al marcar como vendido un vehículo en consignación hay que indicar el
+ * precio final de venta (PATCH /api/vehiculos/:id/estado con
+ * `precioVenta`, en la moneda acordada) y se calcula la liquidación:
+ * comisión de la agencia y neto a pagar al dueño. La liquidación queda
+ * pendiente hasta que se marca como pagada; si la venta se anula antes
+ * de pagarla, se descarta.
+ *
+ * Endpoints (ver registerConsignmentRoutes; todos requieren sesión):
+ *   GET    /api/consignaciones/reporte → Vehículos en consignación sin vender y
+ *                                        liquidaciones pendientes, con totales.
+ *   POST   /api/consignaciones         → Registra la consignación de un vehículo.
+ *   PATCH  /api/consignaciones/:id     → Modifica los datos del dueño o lo acordado.
+ *   DELETE /api/consignaciones/:id     → Elimina una consignación sin liquidación
+ *                                        (por ejemplo, si el dueño retiró el auto).
+ *   PATCH  /api/consignaciones/:id/liquidacion → Marca la liquidación como pagada
+ *                                        (o de nuevo como pendiente).
+ */
+
+const { checkMoneda, monedaDe } = require('./currency');
+const { estadoDe } = require('./lifecycle');
+const { LIMITS: VEHICLE_LIMITS, EMAIL_RE, PHONE_RE, checkText } = require('./validation');
+const seo = require('./seo');
+
+// Formas de calcular la comisión de la agencia
+const TIPOS_COMISION = ['porcentaje', 'fija'];
+// Estados de una liquidación
+const ESTADOS_LIQUIDACION = ['pendiente', 'pagada'];
+
+const LIMITS = {
+  nombre: { maxLength: 100 },
+  telefono: { maxLength: 30 },
+  email: { maxLength: 120 },
+  observaciones: { maxLength: 1000 },
+  // Los montos admiten los mismos valores que el precio de un vehículo
+  precioMinimo: VEHICLE_LIMITS.precio,
+  precioVenta: VEHICLE_LIMITS.precio,
+  // Comisión en porcentaje del precio de venta o como monto fijo
+  porcentaje: { min: 0, max: 100 },
+  fija: { min: 0, max: VEHICLE_LIMITS.precio.max },
+};
+// Campos obligatorios al registrar una consignación
+const REQUIRED = ['vehiculoId', 'nombre', 'precioMinimo', 'comisionTipo', 'comisionValor'];
+
+// Valida un número dentro de los límites de `limit` y devuelve [valor, error]
+function checkAmount(value, limit) {
+  if (value === undefined || value === null || value === '') return [null, null];
+  const n = typeof value === 'number' ? value : Number(String(value).trim().replace(',', '.'));
+  if (!Number.isFinite(n)) return [null, 'Debe ser un número'];
+  if (n < limit.min || n > limit.max) {
+    return [null, 'Debe estar entre ' + limit.min + ' y ' + limit.max.toLocaleString('es-AR')];
+  }
+  return [n, null];
+}
+
+/**
+ * Valida los datos de una consignación. Con `partial` (PATCH) sólo se
+ * validan los campos presentes; el vehículo no se puede cambiar.
+ * @param {object} body
+ * @param {{partial?: boolean}} [options]
+ * @returns {{data: object, errores: null}|{data: null, errores: Object<string, string>}}
+ */
+function validateConsignment(body, { partial = false } = {}) {
+  const input = body && typeof body === 'object' ? body : {};
+  const data = {};
+  const errores = {};
+  const present = (field) => !partial || input[field] !== undefined;
+  const apply = (field, [value, error]) => {
+    if (error) errores[field] = error;
+    else data[field] = value;
+  };
+
+  if (!partial) {
+    const id = Number(input.vehiculoId);
+    if (input.vehiculoId === undefined || input.vehiculoId === null || input.vehiculoId === '') {
+      data.vehiculoId = null;
+    } else if (!Number.isInteger(id) || id < 1) {
+      errores.vehiculoId = 'Vehículo inválido';
+    } else {
+      data.vehiculoId = id;
+    }
+  }
+  ['nombre', 'telefono', 'email', 'observaciones'].forEach((field) => {
+    if (present(field)) apply(field, checkText(input[field], LIMITS[field]));
+  });
+  if (present('precioMinimo')) apply('precioMinimo', checkAmount(input.precioMinimo, LIMITS.precioMinimo));
+  // Sin moneda se usa la del precio del vehículo (ver la ruta POST)
+  if (input.moneda !== undefined && input.moneda !== null && input.moneda !== '') {
+    apply('moneda', checkMoneda(input.moneda));
+  }
+  if (present('comisionTipo')) {
+    if (TIPOS_COMISION.includes(input.comisionTipo)) data.comisionTipo = input.comisionTipo;
+    else if (input.comisionTipo === undefined || input.comisionTipo === null || input.comisionTipo === '') {
+      data.comisionTipo = null;
+    } else errores.comisionTipo = 'Debe ser uno de: ' + TIPOS_COMISION.join(', ');
+  }
+  // El valor de la comisión se valida según su tipo; en un PATCH que sólo
+  // cambia el valor, contra el tipo guardado (ver la ruta PATCH)
+  if (present('comisionValor')) {
+    const tipo = TIPOS_COMISION.includes(input.comisionTipo) ? input.comisionTipo : 'fija';
+    apply('comisionValor', checkAmount(input.comisionValor, LIMITS[tipo]));
+  }
+
+  REQUIRED.forEach((field) => {
+    if (!present(field) || errores[field]) return;
+    if (data[field] === null || data[field] === '' || data[field] === undefined) {
+      errores[field] = 'Este campo es obligatorio';
+    }
+  });
+  if (!errores.email && data.email && !EMAIL_RE.test(data.email)) {
+    errores.email = 'El email no es válido';
+  }
+  if (!errores.telefono && data.telefono && !PHONE_RE.test(data.telefono)) {
+    errores.telefono = 'El teléfono no es válido';
+  }
+  if (partial && !Object.keys(data).length && !Object.keys(errores).length) {
+    errores.general = 'No se indicó ningún cambio';
+  }
+
+  if (Object.keys(errores).length) {
+    return { data: null, errores };
+  }
+  return { data, errores: null };
+}
+
+/**
+ * Valida el precio final de venta de un vehículo en consignación. Una
+ * comisión fija mayor que el precio dejaría un neto negativo para el
+ * dueño, así que se rechaza.
+ * @param {*} value
+ * @param {object} consignacion
+ * @returns {[number|null, string|null]} [precio, error]
+ */
+function checkSalePrice(value, consignacion) {
+  const [precio, error] = checkAmount(value, LIMITS.precioVenta);
+  if (error) return [null, error];
+  if (precio === null) return [null, 'Indica el precio final de venta para calcular la liquidación al dueño'];
+  if (consignacion.comisionTipo === 'fija' && consignacion.comisionValor > precio) {
+    const comision = consignacion.comisionValor.toLocaleString('es-AR');
+    return [null, 'No puede ser menor que la comisión acordada (' + comision + ')'];
+  }
+  return [precio, null];
+}
+
+/**
+ * Calcula la liquidación de una venta: la comisión de la agencia y el
+ * neto para el dueño, en la moneda acordada. Los montos se redondean a
+ * centavos. `bajoMinimo` indica si se vendió por menos del precio mínimo.
+ * @param {object} consignacion
+ * @param {number} precioVenta
+ * @param {string|null} usuario Administrador que registró la venta
+ * @returns {object}
+ */
+function calculateSettlement(consignacion, precioVenta, usuario) {
+  const comision =
+    consignacion.comisionTipo === 'porcentaje'
+      ? Math.round(precioVenta * consignacion.comisionValor) / 100
+      : consignacion.comisionValor;
+  return {
+    precioVenta,
+    moneda: consignacion.moneda,
+    comision,
+    neto: Math.round((precioVenta - comision) * 100) / 100,
+    bajoMinimo: precioVenta < consignacion.precioMinimo,
+    estado: 'pendiente',
+    fecha: new Date(),
+    registradaPor: usuario || null,
+    pagadaEn: null,
+    pagadaPor: null,
+  };
+}
+
+// Días enteros transcurridos desde `fecha`
+function daysSince(fecha) {
+  return Math.max(0, Math.floor((Date.now() - new Date(fecha).getTime()) / (24 * 60 * 60 * 1000)));
+}
+
+// Suma `monto` al total de su moneda
+function addTo(totales, moneda, monto) {
+  totales[moneda] = Math.round(((totales[moneda] || 0) + monto) * 100) / 100;
+}
+
+// Resumen del vehículo de una consignación para el panel (null si se
+// eliminó definitivamente)
+function vehicleSummary(v) {
+  if (!v) return null;
+  return {
+    id: v.id,
+    marca: v.marca,
+    modelo: v.modelo,
+    anio: v.anio,
+    precio: v.precio,
+    moneda: monedaDe(v),
+    estado: estadoDe(v),
+    archivado: Boolean(v.eliminadoEn),
+    url: seo.vehiclePath(v),
+  };
+}
+
+/**
+ * Arma el reporte del panel: vehículos en consignación todavía sin
+ * vender (con los días desde que ingresaron) y ventas con la liquidación
+ * pendiente, más los totales de cada lista por moneda.
+ * @param {object} store
+ * @returns {Promise<object>}
+ */
+async function buildReport(store) {
+  const consignaciones = await store.consignments.list();
+  const stock = [];
+  const pendientes = [];
+  const totales = {
+    stock: 0,
+    precioMinimo: {},
+    pendientes: 0,
+    comision: {},
+    neto: {},
+  };
+  for (const c of consignaciones) {
+    const vehiculo = vehicleSummary(await store.vehicles.get(c.vehiculoId));
+    if (!c.liquidacion) {
+      stock.push({ ...c, vehiculoActual: vehiculo, diasEnStock: daysSince(c.createdAt) });
+      totales.stock++;
+      addTo(totales.precioMinimo, c.moneda, c.precioMinimo);
+    } else if (c.liquidacion.estado === 'pendiente') {
+      pendientes.push({ ...c, vehiculoActual: vehiculo, diasDesdeVenta: daysSince(c.liquidacion.fecha) });
+      totales.pendientes++;
+      addTo(totales.comision, c.liquidacion.moneda, c.liquidacion.comision);
+      addTo(totales.neto, c.liquidacion.moneda, c.liquidacion.neto);
+    }
+  }
+  // Los que llevan más tiempo primero
+  stock.sort((a, b) => b.diasEnStock - a.diasEnStock || a.id - b.id);
+  pendientes.sort((a, b) => b.diasDesdeVenta - a.diasDesdeVenta || a.id - b.id);
+  return { stock, pendientes, totales };
+}
+
+/**
+ * Registra las rutas de consignaciones.
+ * @param {import('express').Express} app
+ * @param {{store: object, requireAdmin: function}} options
+ */
+function registerConsignmentRoutes(app, { store, requireAdmin }) {
+  app.get('/api/consignaciones/reporte', requireAdmin, async (req, res) => {
+    try {
+      res.json(await buildReport(store));
+    } catch (err) {
+      console.error('Error al generar el reporte de consignaciones:', err);
+      res.status(500).json({ error: 'Error interno al generar el reporte' });
+    }
+  });
+
+  app.post('/api/consignaciones', requireAdmin, async (req, res) => {
+    const { data, errores } = validateConsignment(req.body);
+    if (errores) {
+      return res.status(400).json({ error: 'Datos inválidos', errores });
+    }
+    try {
+      const v = await store.vehicles.get(data.vehiculoId);
+      if (!v || v.eliminadoEn) {
+        return res.status(400).json({ error: 'Datos inválidos', errores: { vehiculoId: 'El vehículo no existe' } });
+      }
+      if (estadoDe(v) === 'vendido') {
+        return res.status(409).json({ error: 'El vehículo ya está vendido' });
+      }
+      const consignacion = await store.consignments.create({
+        ...data,
+        moneda: data.moneda || monedaDe(v),
+        // Como en las consultas, se guarda la descripción del vehículo
+        vehiculo: v.marca + ' ' + v.modelo + ' ' + v.anio,
+        liquidacion: null,
+        creadaPor: req.adminUser || null,
+      });
+      if (!consignacion) {
+        return res.status(409).json({ error: 'El vehículo ya tiene una consignación registrada' });
+      }
+      res.status(201).json({ success: true, consignacion });
+    } catch (err) {
+      console.error('Error al registrar consignación:', err);
+      res.status(500).json({ error: 'Error interno al registrar la consignación' });
+    }
+  });
+
+  app.patch('/api/consignaciones/:id', requireAdmin, async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (!id) {
+      return res.status(400).json({ error: 'ID inválido' });
+    }
+    const body = req.body || {};
+    try {
+      const actual = await store.consignments.get(id);
+      if (!actual) {
+        return res.status(404).json({ error: 'Consignación no encontrada' });
+      }
+      // El valor de la comisión se valida contra el tipo guardado si no
+      // se envía uno nuevo
+      const { data, errores } = validateConsignment(
+        body.comisionValor !== undefined && body.comisionTipo === undefined
+          ? { ...body, comisionTipo: actual.comisionTipo }
+          : body,
+        { partial: true }
+      );
+      if (errores) {
+        return res.status(400).json({ error: 'Datos inválidos', errores });
+      }
+      // Lo acordado no se modifica después de liquidada la venta
+      const acuerdo = ['precioMinimo', 'moneda', 'comisionTipo', 'comisionValor'];
+      if (actual.liquidacion && acuerdo.some((field) => data[field] !== undefined)) {
+        return res.status(409).json({ error: 'La venta ya está liquidada: no se puede cambiar lo acordado' });
+      }
+      if (data.comisionTipo && data.comisionValor === undefined && data.comisionTipo !== actual.comisionTipo) {
+        return res.status(400).json({
+          error: 'Datos inválidos',
+          errores: { comisionValor: 'Indica el valor de la comisión para el nuevo tipo' },
+        });
+      }
+      const consignacion = await store.consignments.update(id, data);
+      res.json({ success: true, consignacion });
+    } catch (err) {
+      console.error('Error al actualizar consignación:', err);
+      res.status(500).json({ error: 'Error interno al actualizar la consignación' });
+    }
+  });
+
+  app.delete('/api/consignaciones/:id', requireAdmin, async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (!id) {
+      return res.status(400).json({ error: 'ID inválido' });
+    }
+    try {
+      const actual = await store.consignments.get(id);
+      if (!actual) {
+        return res.status(404).json({ error: 'Consignación no encontrada' });
+      }
+      if (actual.liquidacion) {
+        return res.status(409).json({ error: 'No se puede eliminar una consignación con la venta liquidada' });
+      }
+      await store.consignments.remove(id);
+      res.json({ success: true });
+    } catch (err) {
+      console.error('Error al eliminar consignación:', err);
+      res.status(500).json({ error: 'Error interno al eliminar la consignación' });
+    }
+  });
+
+  app.patch('/api/consignaciones/:id/liquidacion', requireAdmin, async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (!id) {
+      return res.status(400).json({ error: 'ID inválido' });
+    }
+    const estado = req.body && req.body.estado;
+    if (!ESTADOS_LIQUIDACION.includes(estado)) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        errores: { estado: 'Debe ser uno de: ' + ESTADOS_LIQUIDACION.join(', ') },
+      });
+    }
+    try {
+      const actual = await store.consignments.get(id);
+      if (!actual) {
+        return res.status(404).json({ error: 'Consignación no encontrada' });
+      }
+      if (!actual.liquidacion) {
+        return res.status(409).json({ error: 'El vehículo todavía no se vendió' });
+      }
+      const pagada = estado === 'pagada';
+      const consignacion = await store.consignments.update(id, {
+        liquidacion: {
+          ...actual.liquidacion,
+          estado,
+          pagadaEn: pagada ? new Date() : null,
+          pagadaPor: pagada ? req.adminUser || null : null,
+        },
+      });
+      res.json({ success: true, consignacion });
+    } catch (err) {
+      console.error('Error al actualizar liquidación:', err);
+      res.status(500).json({ error: 'Error interno al actualizar la liquidación' });
+    }
+  });
+}
+
+module.exports = {
+  TIPOS_COMISION,
+  ESTADOS_LIQUIDACION,
+  LIMITS,
+  validateConsignment,
+  checkSalePrice,
+  calculateSettlement,
+  registerConsignmentRoutes,
+};
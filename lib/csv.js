@@ -0,0 +1,97 @@
+/*
+ * lib/csv.js - Lectura y escritura de CSV
+ *
+ * Implementación mínima de RFC 4180: separador coma, campos entre
+ * comillas dobles cuando contienen comas, comillas o saltos de línea, y
+ * comillas escapadas duplicándolas. La primera fila es el encabezado.
+ *
+ * Los CSV con datos cargados por visitantes (por ejemplo, las consultas)
+ * se generan con `escapeFormulas`: las celdas que empiezan con =, +, -,
+ * @, tabulación o retorno de carro llevan un apóstrofo adelante para que
+ * Excel no las ejecute como fórmulas al abrir el archivo. El catálogo no
+ * lo usa, para poder volver a importar el archivo sin cambios.
+ */
+
+// Caracteres con los que una planilla de cálculo interpreta una fórmula
+const FORMULA_RE = /^[=+\-@\t\r]/;
+
+// Escapa un valor para una celda CSV
+function escapeCell(value, escapeFormulas) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (escapeFormulas && FORMULA_RE.test(text)) text = "'" + text;
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+/**
+ * Genera un CSV a partir de una lista de objetos.
+ * @param {string[]} columns Columnas, en orden
+ * @param {Array<object>} rows
+ * @param {{escapeFormulas?: boolean}} [options] Neutraliza las fórmulas
+ *   en las celdas (ver arriba)
+ * @returns {string}
+ */
+function stringify(columns, rows, { escapeFormulas = false } = {}) {
+  const lines = [columns.map((col) => escapeCell(col, escapeFormulas)).join(',')];
+  rows.forEach((row) => {
+    lines.push(columns.map((col) => escapeCell(row[col], escapeFormulas)).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Interpreta un CSV y devuelve un objeto por fila usando el encabezado
+ * como nombres de campo. Las filas vacías se ignoran.
+ * @param {string} text
+ * @returns {Array<object>}
+ */
+function parse(text) {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  // Quitar la marca BOM que agregan algunas planillas de cálculo
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || record.length) {
+    record.push(cell);
+    records.push(record);
+  }
+  const [header, ...rows] = records.filter((r) => r.some((c) => c.trim() !== ''));
+  if (!header) return [];
+  const columns = header.map((c) => c.trim());
+  return rows.map((r) => {
+    const obj = {};
+    columns.forEach((col, idx) => {
+      obj[col] = r[idx] !== undefined ? r[idx] : '';
+    });
+    return obj;
+  });
+}
+
+module.exports = { stringify, parse };
@@ -0,0 +1,170 @@
+/*
+ * lib/currency.js - Precios en pesos y en dólares
+ *
+ * Cada vehículo guarda su precio en la moneda en que se publica
+ * (`moneda`: ARS o USD; los vehículos sin moneda están en pesos). El
+ * administrador carga la cotización del dólar (pesos por dólar) y cada
+ * carga queda en el historial (`store.rates`); la vigente es la última.
+ * Con ella el servidor agrega a cada vehículo su precio en ambas monedas
+ * y los filtros y el orden por precio comparan vehículos publicados en
+ * monedas distintas. Sin cotización cargada, cada vehículo sólo tiene
+ * precio en su propia moneda.
+ *
+ * Endpoints (ver registerCurrencyRoutes):
+ *   GET  /api/cotizacion           → Cotización vigente: { cotizacion: { valor, fecha, usuario } }
+ *                                    (null si todavía no se cargó ninguna).
+ *   PUT  /api/cotizacion           → Registra una nueva cotización { valor } (admin).
+ *   GET  /api/cotizacion/historial → Cotizaciones cargadas, de la más reciente a la más
+ *                                    antigua (admin).
+ */
+
+const MONEDAS = ['ARS', 'USD'];
+// Moneda de los vehículos que no la indican
+const MONEDA_DEFAULT = 'ARS';
+// Pesos por dólar admitidos al cargar la cotización
+const LIMITS = { valor: { min: 0.01, max: 1000000 } };
+
+/**
+ * Moneda del precio de un vehículo.
+ * @param {object} v
+ * @returns {string} ARS o USD
+ */
+function monedaDe(v) {
+  return v && MONEDAS.includes(v.moneda) ? v.moneda : MONEDA_DEFAULT;
+}
+
+/**
+ * Valida una moneda (sin distinguir mayúsculas) y devuelve [valor, error].
+ * Vacío equivale a la moneda por defecto.
+ * @param {*} value
+ */
+function checkMoneda(value) {
+  if (value === undefined || value === null || value === '') return [MONEDA_DEFAULT, null];
+  const moneda = typeof value === 'string' ? value.trim().toUpperCase() : null;
+  if (!MONEDAS.includes(moneda)) return [null, 'Debe ser una de: ' + MONEDAS.join(', ')];
+  return [moneda, null];
+}
+
+/**
+ * Convierte un monto entre monedas, sin redondear.
+ * @param {number} monto
+ * @param {string} de Moneda del monto
+ * @param {string} a Moneda de destino
+ * @param {number|null} cotizacion Pesos por dólar
+ * @returns {number|null} null si hace falta una cotización y no la hay
+ */
+function convert(monto, de, a, cotizacion) {
+  if (typeof monto !== 'number') return null;
+  if (de === a) return monto;
+  if (!cotizacion) return null;
+  return de === 'USD' ? monto * cotizacion : monto / cotizacion;
+}
+
+/**
+ * Precio de un vehículo en una moneda, sin redondear (para filtrar y
+ * ordenar).
+ * @param {object} v
+ * @param {string} moneda
+ * @param {number|null} cotizacion
+ * @returns {number|null}
+ */
+function priceIn(v, moneda, cotizacion) {
+  return convert(v.precio, monedaDe(v), moneda, cotizacion);
+}
+
+/**
+ * Precio de un vehículo en cada moneda, redondeado a unidades:
+ * { ARS, USD }. La moneda que no se puede calcular queda en null.
+ * @param {object} v
+ * @param {number|null} cotizacion
+ * @returns {Object<string, number|null>}
+ */
+function pricesOf(v, cotizacion) {
+  const precios = {};
+  MONEDAS.forEach((moneda) => {
+    const monto = priceIn(v, moneda, cotizacion);
+    precios[moneda] = monto === null ? null : Math.round(monto);
+  });
+  return precios;
+}
+
+/**
+ * Pesos por dólar de la cotización vigente, o null si no hay ninguna.
+ * @param {object} store
+ * @returns {Promise<number|null>}
+ */
+async function currentRate(store) {
+  const cotizacion = await store.rates.current();
+  return cotizacion ? cotizacion.valor : null;
+}
+
+/**
+ * Valida el valor de una cotización. Acepta coma decimal ("1234,5").
+ * @param {object} body
+ * @returns {{data: object, errores: null}|{data: null, errores: Object<string, string>}}
+ */
+function validateRate(body) {
+  const value = body && typeof body === 'object' ? body.valor : undefined;
+  if (value === undefined || value === null || value === '') {
+    return { data: null, errores: { valor: 'Este campo es obligatorio' } };
+  }
+  const n = typeof value === 'number' ? value : Number(String(value).trim().replace(',', '.'));
+  if (!Number.isFinite(n)) return { data: null, errores: { valor: 'Debe ser un número' } };
+  const { min, max } = LIMITS.valor;
+  if (n < min || n > max) {
+    return { data: null, errores: { valor: 'Debe estar entre ' + min + ' y ' + max.toLocaleString('es-AR') } };
+  }
+  return { data: { valor: n }, errores: null };
+}
+
+/**
+ * Registra las rutas de la cotización del dólar.
+ * @param {import('express').Express} app
+ * @param {{store: object, requireAdmin: function}} options
+ */
+function registerCurrencyRoutes(app, { store, requireAdmin }) {
+  app.get('/api/cotizacion', async (req, res) => {
+    try {
+      res.json({ cotizacion: await store.rates.current() });
+    } catch (err) {
+      console.error('Error al obtener la cotización:', err);
+      res.status(500).json({ error: 'Error interno al obtener la cotización' });
+    }
+  });
+
+  app.put('/api/cotizacion', requireAdmin, async (req, res) => {
+    const { data, errores } = validateRate(req.body);
+    if (errores) {
+      return res.status(400).json({ error: 'Datos inválidos', errores });
+    }
+    try {
+      const cotizacion = await store.rates.add({ ...data, usuario: req.adminUser || null, fecha: new Date() });
+      res.json({ success: true, cotizacion });
+    } catch (err) {
+      console.error('Error al guardar la cotización:', err);
+      res.status(500).json({ error: 'Error interno al guardar la cotización' });
+    }
+  });
+
+  app.get('/api/cotizacion/historial', requireAdmin, async (req, res) => {
+    try {
+      res.json({ historial: await store.rates.list() });
+    } catch (err) {
+      console.error('Error al obtener el historial de cotizaciones:', err);
+      res.status(500).json({ error: 'Error interno al obtener el historial' });
+    }
+  });
+}
+
+module.exports = {
+  MONEDAS,
+  MONEDA_DEFAULT,
+  monedaDe,
+  checkMoneda,
+  convert,
+  priceIn,
+  pricesOf,
+  currentRate,
+  validateRate,
+  registerCurrencyRoutes,
+};
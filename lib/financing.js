@@ -0,0 +1,188 @@
+/*
+ * lib/financing.js - Planes de financiación
+ *
+ * El administrador configura los planes que ofrece la agencia (nombre,
+ * tasa nominal anual, cantidades de cuotas posibles y anticipo mínimo).
+ * Se guardan en la colección `store.plans` y la página de detalle los usa
+ * en el simulador de cuotas, que calcula la cuota con el sistema francés
+ * (cuota fija) sobre el precio menos el anticipo.
+ *
+ * Endpoints (ver registerFinancingRoutes):
+ *   GET    /api/financiacion/planes      → Planes activos (público). Con vista=admin,
+ *                                          todos los planes (requiere sesión).
+ *   POST   /api/financiacion/planes      → Crea un plan.
+ *   PATCH  /api/financiacion/planes/:id  → Modifica los campos enviados de un plan.
+ *   DELETE /api/financiacion/planes/:id  → Elimina un plan.
+ */
+
+const { checkText } = require('./validation');
+
+const LIMITS = {
+  nombre: { maxLength: 60 },
+  descripcion: { maxLength: 200 },
+  // Tasa nominal anual, en porcentaje
+  tna: { min: 0, max: 500 },
+  // Cantidades de cuotas que ofrece el plan
+  cuotas: { min: 1, max: 120, maxOptions: 12 },
+  // Porcentaje del precio que se paga como anticipo, como mínimo
+  anticipoMinimo: { min: 0, max: 90 },
+};
+// Campos obligatorios al crear un plan
+const REQUIRED = ['nombre', 'tna', 'cuotas'];
+
+// Valida un número dentro de los límites del campo y devuelve [valor, error]
+function checkNumber(value, field) {
+  if (value === undefined || value === null || value === '') return [null, null];
+  const n = typeof value === 'number' ? value : Number(String(value).trim().replace(',', '.'));
+  if (!Number.isFinite(n)) return [null, 'Debe ser un número'];
+  const { min, max } = LIMITS[field];
+  if (n < min || n > max) return [null, 'Debe estar entre ' + min + ' y ' + max];
+  return [n, null];
+}
+
+// Valida la lista de cuotas (array o texto "12, 24, 36") y devuelve
+// [cuotas ordenadas sin repetir, error]
+function checkInstallments(value) {
+  if (value === undefined || value === null || value === '') return [null, null];
+  const list = Array.isArray(value) ? value : String(value).split(/[\s,;]+/).filter(Boolean);
+  const { min, max, maxOptions } = LIMITS.cuotas;
+  const cuotas = [];
+  for (const item of list) {
+    const n = Number(item);
+    if (!Number.isInteger(n) || n < min || n > max) {
+      return [null, 'Cada cantidad de cuotas debe ser un entero entre ' + min + ' y ' + max];
+    }
+    if (!cuotas.includes(n)) cuotas.push(n);
+  }
+  if (cuotas.length > maxOptions) return [null, 'Se admiten hasta ' + maxOptions + ' opciones de cuotas'];
+  return [cuotas.sort((a, b) => a - b), null];
+}
+
+/**
+ * Valida los datos de un plan. Con `partial` (PATCH) sólo se validan los
+ * campos presentes.
+ * @param {object} body
+ * @param {{partial?: boolean}} [options]
+ * @returns {{data: object, errores: null}|{data: null, errores: Object<string, string>}}
+ */
+function validatePlan(body, { partial = false } = {}) {
+  const input = body && typeof body === 'object' ? body : {};
+  const data = {};
+  const errores = {};
+  const present = (field) => !partial || input[field] !== undefined;
+
+  ['nombre', 'descripcion'].forEach((field) => {
+    if (!present(field)) return;
+    const [value, error] = checkText(input[field], LIMITS[field]);
+    if (error) errores[field] = error;
+    else data[field] = value;
+  });
+  ['tna', 'anticipoMinimo'].forEach((field) => {
+    if (!present(field)) return;
+    const [value, error] = checkNumber(input[field], field);
+    if (error) errores[field] = error;
+    else data[field] = value === null && field === 'anticipoMinimo' ? 0 : value;
+  });
+  if (present('cuotas')) {
+    const [value, error] = checkInstallments(input.cuotas);
+    if (error) errores.cuotas = error;
+    else data.cuotas = value;
+  }
+  if (present('activo')) {
+    if (input.activo === undefined || input.activo === true || input.activo === 'true') data.activo = true;
+    else if (input.activo === false || input.activo === 'false') data.activo = false;
+    else errores.activo = 'Debe ser verdadero o falso';
+  }
+
+  REQUIRED.forEach((field) => {
+    if (!present(field) || errores[field]) return;
+    const value = data[field];
+    if (value === null || value === '' || (Array.isArray(value) && !value.length)) {
+      errores[field] = 'Este campo es obligatorio';
+    }
+  });
+
+  if (Object.keys(errores).length) {
+    return { data: null, errores };
+  }
+  return { data, errores: null };
+}
+
+/**
+ * Registra las rutas de planes de financiación.
+ * @param {import('express').Express} app
+ * @param {{store: object, requireAdmin: function, getSessionUser: function}} options
+ */
+function registerFinancingRoutes(app, { store, requireAdmin, getSessionUser }) {
+  app.get('/api/financiacion/planes', async (req, res) => {
+    const admin = req.query.vista === 'admin';
+    if (admin && !getSessionUser(req)) {
+      return res.status(401).json({ error: 'Se requiere iniciar sesión como administrador' });
+    }
+    try {
+      const planes = await store.plans.list(admin ? {} : { activos: true });
+      res.json({ planes });
+    } catch (err) {
+      console.error('Error al obtener planes de financiación:', err);
+      res.status(500).json({ error: 'Error interno al obtener los planes' });
+    }
+  });
+
+  app.post('/api/financiacion/planes', requireAdmin, async (req, res) => {
+    const { data, errores } = validatePlan(req.body);
+    if (errores) {
+      return res.status(400).json({ error: 'Datos inválidos', errores });
+    }
+    try {
+      const plan = await store.plans.create(data);
+      res.status(201).json({ success: true, plan });
+    } catch (err) {
+      console.error('Error al crear plan de financiación:', err);
+      res.status(500).json({ error: 'Error interno al crear el plan' });
+    }
+  });
+
+  app.patch('/api/financiacion/planes/:id', requireAdmin, async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (!id) {
+      return res.status(400).json({ error: 'ID inválido' });
+    }
+    const { data, errores } = validatePlan(req.body, { partial: true });
+    if (errores) {
+      return res.status(400).json({ error: 'Datos inválidos', errores });
+    }
+    try {
+      const plan = await store.plans.update(id, data);
+      if (!plan) {
+        return res.status(404).json({ error: 'Plan no encontrado' });
+      }
+      res.json({ success: true, plan });
+    } catch (err) {
+      console.error('Error al actualizar plan de financiación:', err);
+      res.status(500).json({ error: 'Error interno al actualizar el plan' });
+    }
+  });
+
+  app.delete('/api/financiacion/planes/:id', requireAdmin, async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (!id) {
+      return res.status(400).json({ error: 'ID inválido' });
+    }
+    try {
+      const plan = await store.plans.remove(id);
+      if (!plan) {
+        return res.status(404).json({ error: 'Plan no encontrado' });
+      }
+      res.json({ success: true });
+    } catch (err) {
+      console.error('Error al eliminar plan de financiación:', err);
+      res.status(500).json({ error: 'Error interno al eliminar el plan' });
+    }
+  });
+}
+
+module.exports = {
+  LIMITS,
+  validatePlan,
+  registerFinancingRoutes,
+};
@@ -0,0 +1,114 @@
+/*
+ * lib/history.js - Historial de cambios de los vehículos
+ *
+ * Cada alta, edición, cambio de estado, archivo, restauración y borrado
+ * definitivo de un vehículo se registra en la colección de historial del
+ * store (`store.history`) con el administrador que lo hizo, la fecha y
+ * los campos modificados con su valor anterior y el nuevo. El historial
+ * de un vehículo se conserva aunque el vehículo se elimine. Las acciones
+ * son: alta, edicion, estado, archivo, restauracion y eliminacion.
+ *
+ * También calcula los campos que alimentan la etiqueta "Bajó de precio":
+ * cuando el precio baja se guarda el precio anterior y la fecha de la
+ * baja en el propio vehículo, para no consultar el historial al listar.
+ */
+
+const { monedaDe } = require('./currency');
+
+// Campos que no se comparan: los mantiene el store
+const IGNORED_FIELDS = ['id', 'createdAt', 'updatedAt'];
+
+// Representación comparable de un valor (fechas como texto ISO, objetos
+// como JSON)
+function comparable(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  return JSON.stringify(value);
+}
+
+/**
+ * Compara dos versiones de un vehículo y devuelve los campos que cambian.
+ * Los valores ausentes se registran como null.
+ * @param {object|null} antes
+ * @param {object|null} despues
+ * @returns {Object<string, {antes: *, despues: *}>}
+ */
+function diffVehicles(antes, despues) {
+  const a = antes || {};
+  const b = despues || {};
+  const cambios = {};
+  new Set([...Object.keys(a), ...Object.keys(b)]).forEach((campo) => {
+    if (IGNORED_FIELDS.includes(campo)) return;
+    if (comparable(a[campo]) === comparable(b[campo])) return;
+    cambios[campo] = {
+      antes: a[campo] === undefined ? null : a[campo],
+      despues: b[campo] === undefined ? null : b[campo],
+    };
+  });
+  return cambios;
+}
+
+/**
+ * Registra una acción sobre un vehículo. Los errores se informan en el log
+ * pero no se propagan: el cambio ya se aplicó y no debe fallar la
+ * petición porque no se pudo guardar el historial.
+ * @param {object} store
+ * @param {{accion: string, vehiculoId: number, usuario?: string, antes?: object, despues?: object}} entry
+ */
+async function recordHistory(store, { accion, vehiculoId, usuario, antes, despues }) {
+  try {
+    await store.history.add({
+      vehiculoId,
+      accion,
+      usuario: usuario || null,
+      fecha: new Date(),
+      cambios: diffVehicles(antes, despues),
+    });
+  } catch (err) {
+    console.error('No se pudo registrar el historial del vehículo ' + vehiculoId + ':', err.message);
+  }
+}
+
+/**
+ * Campos a guardar junto con un cambio de precio. Si el precio baja se
+ * recuerda el precio anterior y la fecha; si sube, se olvida la baja. Si
+ * cambia la moneda los precios no son comparables y también se olvida.
+ * @param {object} anterior Vehículo antes del cambio
+ * @param {number|undefined} precio Precio nuevo (undefined si no cambia)
+ * @param {string} [moneda] Moneda nueva (undefined si no cambia)
+ * @returns {object} Campos a agregar a la actualización
+ */
+function priceChangeFields(anterior, precio, moneda) {
+  if (anterior && moneda !== undefined && moneda !== monedaDe(anterior)) {
+    return { precioAnterior: null, precioBajoEn: null };
+  }
+  if (precio === undefined || !anterior || typeof anterior.precio !== 'number') return {};
+  if (precio < anterior.precio) {
+    return { precioAnterior: anterior.precio, precioBajoEn: new Date() };
+  }
+  if (precio > anterior.precio) {
+    return { precioAnterior: null, precioBajoEn: null };
+  }
+  return {};
+}
+
+/**
+ * Devuelve { precioAnterior, fecha } si el vehículo bajó de precio en los
+ * últimos `dias` días, o null.
+ * @param {object} v
+ * @param {number} dias
+ */
+function recentPriceDrop(v, dias) {
+  if (!v.precioBajoEn || typeof v.precioAnterior !== 'number') return null;
+  if (!(v.precio < v.precioAnterior)) return null;
+  const fecha = new Date(v.precioBajoEn);
+  if (Date.now() - fecha.getTime() > dias * 24 * 60 * 60 * 1000) return null;
+  return { precioAnterior: v.precioAnterior, fecha };
+}
+
+module.exports = {
+  diffVehicles,
+  recordHistory,
+  priceChangeFields,
+  recentPriceDrop,
+};
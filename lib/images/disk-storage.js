@@ -0,0 +1,78 @@
+/*
+ * lib/images/disk-storage.js - Almacenamiento de imágenes en disco
+ *
+ * Guarda cada archivo en un directorio local (por defecto `uploads/`).
+ * Es útil en desarrollo o en servidores con disco persistente. En
+ * servicios como Render o Railway, donde el disco se borra en cada
+ * despliegue, conviene usar GridFS.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class DiskStorage {
+  /**
+   * @param {string} dir Directorio raíz donde se guardan las imágenes
+   */
+  constructor(dir) {
+    this.dir = path.resolve(dir);
+  }
+
+  // Ruta absoluta de una clave. Las claves sólo contienen caracteres
+  // seguros (ver lib/images/index.js), pero se verifica igual que no
+  // escapen del directorio raíz.
+  resolve(key) {
+    const file = path.resolve(this.dir, key);
+    if (!file.startsWith(this.dir + path.sep)) {
+      throw new Error('Clave de imagen inválida: ' + key);
+    }
+    return file;
+  }
+
+  /**
+   * Guarda un archivo. Se escribe primero en un temporal y luego se
+   * renombra para no dejar archivos a medio escribir. El tipo de
+   * contenido no se guarda: se deduce de la extensión al leer.
+   * @param {string} key
+   * @param {Buffer} buffer
+   * @param {string} contentType
+   */
+  async save(key, buffer, contentType) {
+    const file = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tmp = file + '.' + crypto.randomBytes(6).toString('hex') + '.tmp';
+    await fs.promises.writeFile(tmp, buffer);
+    await fs.promises.rename(tmp, file);
+  }
+
+  /**
+   * Abre un archivo para lectura.
+   * @param {string} key
+   * @returns {Promise<{stream: import('stream').Readable, length: number, contentType: string}|null>}
+   */
+  async open(key) {
+    const file = this.resolve(key);
+    try {
+      const stat = await fs.promises.stat(file);
+      return {
+        stream: fs.createReadStream(file),
+        length: stat.size,
+        contentType: file.endsWith('.webp') ? 'image/webp' : 'image/jpeg',
+      };
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Elimina un archivo. No falla si ya no existe.
+   * @param {string} key
+   */
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+module.exports = DiskStorage;
@@ -0,0 +1,76 @@
+/*
+ * lib/images/gridfs-storage.js - Almacenamiento de imágenes en MongoDB
+ *
+ * Utiliza GridFS (bucket "imagenes") sobre la misma conexión de mongoose
+ * que el resto del backend, de modo que las fotos persisten junto con el
+ * catálogo aunque el disco del servidor sea efímero.
+ */
+
+const mongoose = require('mongoose');
+
+class GridFSStorage {
+  /**
+   * @param {import('mongoose').Connection} [connection] Conexión de mongoose
+   */
+  constructor(connection = mongoose.connection) {
+    this.connection = connection;
+    this.bucket = null;
+  }
+
+  // El bucket se crea recién cuando la conexión está establecida
+  getBucket() {
+    if (!this.bucket) {
+      if (!this.connection.db) {
+        throw new Error('MongoDB no está conectado');
+      }
+      this.bucket = new mongoose.mongo.GridFSBucket(this.connection.db, {
+        bucketName: 'imagenes',
+      });
+    }
+    return this.bucket;
+  }
+
+  /**
+   * Guarda un archivo con la clave como nombre.
+   * @param {string} key
+   * @param {Buffer} buffer
+   * @param {string} contentType
+   */
+  save(key, buffer, contentType) {
+    const bucket = this.getBucket();
+    return new Promise((resolve, reject) => {
+      const upload = bucket.openUploadStream(key, { metadata: { contentType } });
+      upload.on('error', reject);
+      upload.on('finish', resolve);
+      upload.end(buffer);
+    });
+  }
+
+  /**
+   * Abre un archivo para lectura.
+   * @param {string} key
+   * @returns {Promise<{stream: import('stream').Readable, length: number, contentType: string}|null>}
+   */
+  async open(key) {
+    const bucket = this.getBucket();
+    const [file] = await bucket.find({ filename: key }).sort({ uploadDate: -1 }).limit(1).toArray();
+    if (!file) return null;
+    return {
+      stream: bucket.openDownloadStream(file._id),
+      length: file.length,
+      contentType: (file.metadata && file.metadata.contentType) || 'image/jpeg',
+    };
+  }
+
+  /**
+   * Elimina todas las versiones de un archivo.
+   * @param {string} key
+   */
+  async remove(key) {
+    const bucket = this.getBucket();
+    const files = await bucket.find({ filename: key }).toArray();
+    await Promise.all(files.map((f) => bucket.delete(f._id)));
+  }
+}
+
+module.exports = GridFSStorage;
@@ -0,0 +1,318 @@
+/*
+ * lib/images/index.js - Subsistema de imágenes de vehículos
+ *
+ * Las fotos se suben de a una a POST /api/imagenes. El servidor genera
+ * tres tamaños (thumb, card y full) en JPEG, los guarda en el
+ * almacenamiento configurado y devuelve un identificador. Los vehículos
+ * sólo guardan ese identificador; las imágenes se sirven desde
+ * GET /api/imagenes/:id/:tamano con cabeceras de caché de larga duración,
+ * ya que el contenido de un identificador nunca cambia.
+ *
+ * Almacenamiento (variable de entorno IMAGE_STORAGE, ver lib/config.js):
+ *   gridfs  → GridFS en la misma base MongoDB (por defecto con DATA_STORE=mongo).
+ *   disk    → Directorio local indicado en UPLOADS_DIR (por defecto uploads/).
+ *             Es el valor por defecto con DATA_STORE=json.
+ *
+ * Cada almacenamiento implementa la misma interfaz:
+ *   save(key, buffer, contentType), open(key) y remove(key).
+ *
+ * En un vehículo, cada entrada de `imagenes` es { imagen: <id> } para
+ * fotos del almacén o { url: <url> } para URLs remotas, más el punto
+ * focal del recorte (offsetX/offsetY, en porcentaje). Los datos
+ * anteriores a este esquema (cadenas con DataURL o URL) se siguen
+ * aceptando al leer y se convierten con `npm run migrate-images`.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const sharp = require('sharp');
+const DiskStorage = require('./disk-storage');
+const GridFSStorage = require('./gridfs-storage');
+
+// Ancho máximo en píxeles de cada tamaño generado
+const SIZES = {
+  thumb: 240,
+  card: 640,
+  full: 1600,
+};
+const IMAGE_ID_RE = /^[a-f0-9]{24}$/;
+const DATA_URL_RE = /^data:image\/[a-z0-9.+-]+;base64,/i;
+// Tamaño máximo aceptado para una foto subida
+const MAX_UPLOAD_BYTES = 15 * 1024 * 1024;
+
+/**
+ * Crea el almacenamiento indicado en la configuración (IMAGE_STORAGE y
+ * UPLOADS_DIR).
+ * @param {{type: string, uploadsDir?: string}} options
+ */
+function createImageStorage({ type, uploadsDir }) {
+  if (type === 'disk') {
+    return new DiskStorage(uploadsDir);
+  }
+  return new GridFSStorage();
+}
+
+// Clave de almacenamiento de un tamaño de imagen
+function storageKey(id, tamano) {
+  return id + '/' + tamano + '.jpg';
+}
+
+/**
+ * Procesa una imagen (cualquier formato que soporte sharp), genera todos
+ * los tamaños y los guarda. Devuelve el identificador asignado.
+ * Lanza un error con `status = 400` si el archivo no es una imagen válida.
+ * @param {object} storage
+ * @param {Buffer} buffer
+ * @returns {Promise<string>}
+ */
+async function storeImage(storage, buffer) {
+  try {
+    await sharp(buffer).metadata();
+  } catch (err) {
+    const invalid = new Error('El archivo no es una imagen válida');
+    invalid.status = 400;
+    throw invalid;
+  }
+  const id = crypto.randomBytes(12).toString('hex');
+  for (const [tamano, width] of Object.entries(SIZES)) {
+    const output = await sharp(buffer)
+      .rotate()
+      .resize({ width, withoutEnlargement: true })
+      .jpeg({ quality: 80, progressive: true })
+      .toBuffer();
+    await storage.save(storageKey(id, tamano), output, 'image/jpeg');
+  }
+  return id;
+}
+
+/**
+ * Guarda una imagen recibida como DataURL. Se usa para migrar datos
+ * antiguos y para aceptar clientes que todavía envían DataURLs.
+ * @param {object} storage
+ * @param {string} dataUrl
+ * @returns {Promise<string>}
+ */
+function storeDataUrl(storage, dataUrl) {
+  const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+  return storeImage(storage, Buffer.from(base64, 'base64'));
+}
+
+/**
+ * Lee un tamaño de una imagen del almacén. Devuelve null si no existe.
+ * @param {object} storage
+ * @param {string} id
+ * @param {string} [tamano='full']
+ * @returns {Promise<Buffer|null>}
+ */
+async function readImage(storage, id, tamano = 'full') {
+  const file = await storage.open(storageKey(id, tamano));
+  if (!file) return null;
+  const chunks = [];
+  for await (const chunk of file.stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Elimina todos los tamaños de una imagen.
+ * @param {object} storage
+ * @param {string} id
+ */
+async function removeImage(storage, id) {
+  await Promise.all(Object.keys(SIZES).map((tamano) => storage.remove(storageKey(id, tamano))));
+}
+
+/**
+ * URL pública de un tamaño de imagen.
+ * @param {string} id
+ * @param {string} [tamano='full']
+ */
+function imageUrl(id, tamano = 'full') {
+  return '/api/imagenes/' + id + '/' + tamano;
+}
+
+// Normaliza un porcentaje de recorte: número entre 0 y 100, 50 por defecto
+function focusOffset(value) {
+  const n = typeof value === 'number' ? value : parseFloat(value);
+  if (!Number.isFinite(n)) return 50;
+  return Math.min(100, Math.max(0, Math.round(n)));
+}
+
+/**
+ * Convierte una entrada de `imagenes` (de cualquier versión del esquema)
+ * en el objeto que devuelve la API:
+ * { id?, url?, src, thumb, card, offsetX, offsetY }.
+ * `src` es siempre la versión de mayor tamaño.
+ * @param {object|string} entry
+ */
+function serializeImage(entry) {
+  const focus = {
+    offsetX: focusOffset(entry && entry.offsetX),
+    offsetY: focusOffset(entry && entry.offsetY),
+  };
+  if (entry && typeof entry === 'object' && entry.imagen) {
+    return {
+      id: entry.imagen,
+      src: imageUrl(entry.imagen, 'full'),
+      thumb: imageUrl(entry.imagen, 'thumb'),
+      card: imageUrl(entry.imagen, 'card'),
+      ...focus,
+    };
+  }
+  const url = typeof entry === 'string' ? entry : (entry && entry.url) || '';
+  return { url, src: url, thumb: url, card: url, ...focus };
+}
+
+/**
+ * Interpreta una imagen enviada por el cliente al crear o editar un
+ * vehículo. Acepta { id }, { url }, { src } (con una URL de
+ * /api/imagenes, una URL remota o un DataURL) o directamente una cadena.
+ * Los objetos pueden traer el punto focal en offsetX/offsetY.
+ * Devuelve { imagen }, { url } o { dataUrl } (con offsetX y offsetY), o
+ * null si no es válida.
+ * @param {object|string} value
+ */
+function parseImageInput(value) {
+  const focus = {
+    offsetX: focusOffset(value && value.offsetX),
+    offsetY: focusOffset(value && value.offsetY),
+  };
+  if (value && typeof value === 'object') {
+    if (typeof value.id === 'string' && IMAGE_ID_RE.test(value.id)) {
+      return { imagen: value.id, ...focus };
+    }
+    value = typeof value.url === 'string' ? value.url : value.src;
+  }
+  if (typeof value !== 'string' || !value) return null;
+  if (IMAGE_ID_RE.test(value)) return { imagen: value, ...focus };
+  const local = /^\/api\/imagenes\/([a-f0-9]{24})(?:\/\w+)?$/.exec(value);
+  if (local) return { imagen: local[1], ...focus };
+  if (DATA_URL_RE.test(value)) return { dataUrl: value, ...focus };
+  if (/^https?:\/\//i.test(value)) return { url: value, ...focus };
+  return null;
+}
+
+/**
+ * Reemplaza las entradas { dataUrl } de una lista de imágenes ya
+ * interpretada por imágenes guardadas en el almacén. Si una falla (por
+ * ejemplo, no es una imagen válida), se eliminan las que ya se habían
+ * guardado antes de propagar el error.
+ * @param {object} storage
+ * @param {Array<object>} list Resultado de parseImageInput por cada imagen
+ * @returns {Promise<Array<object>>}
+ */
+async function resolveImageInputs(storage, list) {
+  const result = [];
+  const guardadas = [];
+  try {
+    for (const entry of list) {
+      if (entry.dataUrl) {
+        const { dataUrl, ...focus } = entry;
+        const imagen = await storeDataUrl(storage, dataUrl);
+        guardadas.push(imagen);
+        result.push({ imagen, ...focus });
+      } else {
+        result.push(entry);
+      }
+    }
+  } catch (err) {
+    await Promise.all(guardadas.map((id) => removeImage(storage, id).catch(() => {})));
+    throw err;
+  }
+  return result;
+}
+
+/**
+ * Devuelve los identificadores de imágenes del almacén de una lista de
+ * entradas de `imagenes`.
+ * @param {Array<object|string>} list
+ * @returns {string[]}
+ */
+function imageIds(list) {
+  return (Array.isArray(list) ? list : [])
+    .filter((entry) => entry && typeof entry === 'object' && entry.imagen)
+    .map((entry) => entry.imagen);
+}
+
+/**
+ * Registra las rutas de imágenes:
+ *   POST /api/imagenes               → Sube una foto (cuerpo binario image/*). Requiere sesión.
+ *   GET  /api/imagenes/:id/:tamano?  → Sirve la foto en el tamaño pedido (full por defecto).
+ * @param {import('express').Express} app
+ * @param {{storage: object, requireAdmin: Function}} deps
+ */
+function registerImageRoutes(app, { storage, requireAdmin }) {
+  app.post(
+    '/api/imagenes',
+    requireAdmin,
+    express.raw({ type: 'image/*', limit: MAX_UPLOAD_BYTES }),
+    async (req, res) => {
+      if (!Buffer.isBuffer(req.body) || !req.body.length) {
+        return res.status(400).json({ error: 'Se esperaba una imagen en el cuerpo de la petición' });
+      }
+      try {
+        const id = await storeImage(storage, req.body);
+        res.status(201).json({
+          id,
+          src: imageUrl(id, 'full'),
+          thumb: imageUrl(id, 'thumb'),
+          card: imageUrl(id, 'card'),
+        });
+      } catch (err) {
+        if (err.status === 400) {
+          return res.status(400).json({ error: err.message });
+        }
+        console.error('Error al guardar imagen:', err);
+        res.status(500).json({ error: 'Error interno al guardar la imagen' });
+      }
+    }
+  );
+
+  app.get('/api/imagenes/:id/:tamano?', async (req, res) => {
+    const { id } = req.params;
+    const tamano = req.params.tamano || 'full';
+    if (!IMAGE_ID_RE.test(id) || !SIZES[tamano]) {
+      return res.status(404).json({ error: 'Imagen no encontrada' });
+    }
+    // El contenido de un id no cambia nunca: el navegador puede
+    // reutilizar su copia sin volver a consultar
+    if (req.headers['if-none-match'] === '"' + id + '-' + tamano + '"') {
+      return res.status(304).end();
+    }
+    try {
+      const file = await storage.open(storageKey(id, tamano));
+      if (!file) {
+        return res.status(404).json({ error: 'Imagen no encontrada' });
+      }
+      res.set({
+        'Content-Type': file.contentType,
+        'Content-Length': file.length,
+        'Cache-Control': 'public, max-age=31536000, immutable',
+        ETag: '"' + id + '-' + tamano + '"',
+      });
+      file.stream.on('error', (err) => {
+        console.error('Error al leer imagen:', err);
+        res.destroy(err);
+      });
+      file.stream.pipe(res);
+    } catch (err) {
+      console.error('Error al abrir imagen:', err);
+      res.status(500).json({ error: 'Error al obtener la imagen' });
+    }
+  });
+}
+
+module.exports = {
+  SIZES,
+  MAX_UPLOAD_BYTES,
+  createImageStorage,
+  storeImage,
+  storeDataUrl,
+  readImage,
+  removeImage,
+  imageUrl,
+  serializeImage,
+  parseImageInput,
+  resolveImageInputs,
+  imageIds,
+  registerImageRoutes,
+};
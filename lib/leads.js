@@ -0,0 +1,198 @@
+/*
+ * lib/leads.js - Consultas de clientes
+ *
+ * Los visitantes envían consultas desde la página de detalle de un
+ * vehículo (nombre, teléfono y/o email, mensaje). Se guardan en la
+ * colección `store.leads` y el administrador las revisa en el panel,
+ * donde puede filtrarlas por vehículo y estado, marcarlas como
+ * contactadas o cerradas y exportarlas.
+ *
+ * Protección contra spam:
+ *   - Campo trampa (honeypot) `sitio`: oculto para las personas; si llega
+ *     con valor se responde como si la consulta se hubiera guardado, pero
+ *     se descarta.
+ *   - Límite de envíos por IP (lib/rate-limit.js).
+ *
+ * Endpoints (ver registerLeadRoutes):
+ *   POST  /api/consultas           → Guarda una consulta (público).
+ *   GET   /api/consultas           → Lista las consultas; filtros vehiculoId y estado.
+ *   GET   /api/consultas/exportar  → Descarga las consultas filtradas en CSV o JSON.
+ *   PATCH /api/consultas/:id       → Cambia el estado de una consulta.
+ */
+
+const csv = require('./csv');
+const { createRateLimiter } = require('./rate-limit');
+const { EMAIL_RE, PHONE_RE, checkText } = require('./validation');
+
+// Estados de una consulta, en el orden en que se atienden
+const ESTADOS_CONSULTA = ['nuevo', 'contactado', 'cerrado'];
+
+const LIMITS = {
+  nombre: { maxLength: 100 },
+  telefono: { maxLength: 30 },
+  email: { maxLength: 120 },
+  mensaje: { maxLength: 2000 },
+};
+
+// Envíos permitidos por IP: 5 cada 10 minutos
+const RATE_LIMIT = { windowMs: 10 * 60 * 1000, max: 5 };
+
+// Columnas de la exportación, en orden
+const EXPORT_COLUMNS = ['id', 'fecha', 'estado', 'vehiculoId', 'vehiculo', 'nombre', 'telefono', 'email', 'mensaje'];
+
+/**
+ * Valida una consulta recibida del formulario público.
+ * @param {object} body
+ * @returns {{data: object, errores: null}|{data: null, errores: Object<string, string>}}
+ */
+function validateLead(body) {
+  const input = body && typeof body === 'object' ? body : {};
+  const data = {};
+  const errores = {};
+  Object.keys(LIMITS).forEach((field) => {
+    const [value, error] = checkText(input[field], LIMITS[field]);
+    if (error) errores[field] = error;
+    else data[field] = value;
+  });
+
+  if (!errores.nombre && !data.nombre) errores.nombre = 'Este campo es obligatorio';
+  if (!errores.mensaje && !data.mensaje) errores.mensaje = 'Este campo es obligatorio';
+  if (!errores.email && data.email && !EMAIL_RE.test(data.email)) {
+    errores.email = 'El email no es válido';
+  }
+  if (!errores.telefono && data.telefono && !PHONE_RE.test(data.telefono)) {
+    errores.telefono = 'El teléfono no es válido';
+  }
+  if (!errores.telefono && !errores.email && !data.telefono && !data.email) {
+    errores.telefono = 'Indica un teléfono o un email para poder responderte';
+  }
+
+  if (input.vehiculoId !== undefined && input.vehiculoId !== null && input.vehiculoId !== '') {
+    const id = Number(input.vehiculoId);
+    if (!Number.isInteger(id) || id < 1) errores.vehiculoId = 'Vehículo inválido';
+    else data.vehiculoId = id;
+  } else {
+    data.vehiculoId = null;
+  }
+
+  if (Object.keys(errores).length) {
+    return { data: null, errores };
+  }
+  return { data, errores: null };
+}
+
+// Filtros de la query string del listado y la exportación
+function leadFilters(query) {
+  const filters = {};
+  const vehiculoId = parseInt(query.vehiculoId, 10);
+  if (vehiculoId) filters.vehiculoId = vehiculoId;
+  if (ESTADOS_CONSULTA.includes(query.estado)) filters.estado = query.estado;
+  return filters;
+}
+
+/**
+ * Registra las rutas de consultas.
+ * @param {import('express').Express} app
+ * @param {{store: object, requireAdmin: function}} options
+ */
+function registerLeadRoutes(app, { store, requireAdmin }) {
+  const rateLimit = createRateLimiter({
+    ...RATE_LIMIT,
+    message: 'Recibimos varias consultas desde su conexión. Intenta nuevamente en unos minutos.',
+  });
+
+  app.post('/api/consultas', rateLimit, async (req, res) => {
+    const body = req.body || {};
+    // Campo trampa: sólo los bots lo completan
+    if (body.sitio) {
+      return res.status(201).json({ success: true });
+    }
+    const { data, errores } = validateLead(body);
+    if (errores) {
+      return res.status(400).json({ error: 'Datos inválidos', errores });
+    }
+    try {
+      let vehiculo = null;
+      if (data.vehiculoId) {
+        const v = await store.vehicles.get(data.vehiculoId);
+        if (!v || v.eliminadoEn) {
+          return res.status(400).json({
+            error: 'Datos inválidos',
+            errores: { vehiculoId: 'El vehículo no existe' },
+          });
+        }
+        // Se guarda la descripción del vehículo para que la consulta se
+        // entienda aunque el vehículo se elimine después
+        vehiculo = v.marca + ' ' + v.modelo + ' ' + v.anio;
+      }
+      await store.leads.create({ ...data, vehiculo, estado: 'nuevo' });
+      res.status(201).json({ success: true });
+    } catch (err) {
+      console.error('Error al guardar consulta:', err);
+      res.status(500).json({ error: 'Error interno al guardar la consulta' });
+    }
+  });
+
+  app.get('/api/consultas', requireAdmin, async (req, res) => {
+    try {
+      res.json({ consultas: await store.leads.list(leadFilters(req.query)) });
+    } catch (err) {
+      console.error('Error al obtener consultas:', err);
+      res.status(500).json({ error: 'Error interno al obtener las consultas' });
+    }
+  });
+
+  app.get('/api/consultas/exportar', requireAdmin, async (req, res) => {
+    const formato = req.query.formato === 'json' ? 'json' : 'csv';
+    try {
+      const consultas = await store.leads.list(leadFilters(req.query));
+      const fecha = new Date().toISOString().slice(0, 10);
+      res.attachment('consultas-' + fecha + '.' + formato);
+      if (formato === 'json') {
+        return res.json(consultas);
+      }
+      const rows = consultas.map((c) => ({
+        ...c,
+        fecha: new Date(c.createdAt).toISOString(),
+      }));
+      res.type('text/csv; charset=utf-8');
+      // BOM para que Excel reconozca los acentos. Los datos los escriben
+      // los visitantes: no deben ejecutarse como fórmulas
+      res.send('\uFEFF' + csv.stringify(EXPORT_COLUMNS, rows, { escapeFormulas: true }));
+    } catch (err) {
+      console.error('Error al exportar consultas:', err);
+      res.status(500).json({ error: 'Error interno al exportar las consultas' });
+    }
+  });
+
+  app.patch('/api/consultas/:id', requireAdmin, async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (!id) {
+      return res.status(400).json({ error: 'ID inválido' });
+    }
+    const estado = req.body && req.body.estado;
+    if (!ESTADOS_CONSULTA.includes(estado)) {
+      return res.status(400).json({
+        error: 'Datos inválidos',
+        errores: { estado: 'Debe ser uno de: ' + ESTADOS_CONSULTA.join(', ') },
+      });
+    }
+    try {
+      const consulta = await store.leads.update(id, { estado });
+      if (!consulta) {
+        return res.status(404).json({ error: 'Consulta no encontrada' });
+      }
+      res.json({ success: true, consulta });
+    } catch (err) {
+      console.error('Error al actualizar consulta:', err);
+      res.status(500).json({ error: 'Error interno al actualizar la consulta' });
+    }
+  });
+}
+
+module.exports = {
+  ESTADOS_CONSULTA,
+  LIMITS,
+  validateLead,
+  registerLeadRoutes,
+};
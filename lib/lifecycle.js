@@ -0,0 +1,46 @@
+/*
+ * lib/lifecycle.js - Estados de un vehículo
+ *
+ * Un vehículo pasa por los estados disponible → reservado → vendido. Cada
+ * vez que alcanza un estado se registra la fecha en `fechasEstado`. Una
+ * reserva puede caerse (reservado → disponible) y una venta anularse
+ * (vendido → disponible). Aparte del estado, un vehículo puede estar
+ * archivado (baja lógica, `eliminadoEn`): no se muestra en el sitio pero
+ * puede restaurarse desde el panel o eliminarse definitivamente.
+ */
+
+const ESTADOS = ['disponible', 'reservado', 'vendido'];
+
+// Transiciones permitidas desde cada estado
+const TRANSICIONES = {
+  disponible: ['reservado', 'vendido'],
+  reservado: ['disponible', 'vendido'],
+  vendido: ['disponible'],
+};
+
+/**
+ * Estado actual de un vehículo. Los vehículos cargados antes de existir
+ * este campo se consideran disponibles.
+ * @param {object} v
+ * @returns {string}
+ */
+function estadoDe(v) {
+  return ESTADOS.includes(v && v.estado) ? v.estado : 'disponible';
+}
+
+/**
+ * Indica si un vehículo puede pasar del estado `from` al estado `to`.
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return (TRANSICIONES[from] || []).includes(to);
+}
+
+module.exports = {
+  ESTADOS,
+  TRANSICIONES,
+  estadoDe,
+  canTransition,
+};
@@ -0,0 +1,52 @@
+/*
+ * lib/rate-limit.js - Límite de peticiones por IP
+ *
+ * Middleware mínimo en memoria para los formularios públicos: cuenta las
+ * peticiones de cada IP dentro de una ventana de tiempo y responde 429
+ * cuando se supera el máximo. Al vivir en memoria, el conteo se pierde al
+ * reiniciar y no se comparte entre procesos, lo cual alcanza para frenar
+ * envíos automáticos contra una única instancia.
+ *
+ * Detrás de un proxy (Render, Railway, nginx) la IP del cliente sólo se
+ * conoce si se define TRUST_PROXY (ver server.js); si no, todas las
+ * peticiones parecen venir del proxy y comparten el mismo límite.
+ */
+
+/**
+ * Crea un middleware que limita las peticiones por IP.
+ * @param {{windowMs: number, max: number, message?: string}} options
+ * @returns {function} Middleware de Express
+ */
+function createRateLimiter({ windowMs, max, message }) {
+  // IP → marcas de tiempo de sus peticiones dentro de la ventana
+  const hits = new Map();
+
+  // Descarta las marcas vencidas para que el mapa no crezca sin límite
+  function prune(now) {
+    for (const [ip, times] of hits) {
+      const vigentes = times.filter((t) => now - t < windowMs);
+      if (vigentes.length) hits.set(ip, vigentes);
+      else hits.delete(ip);
+    }
+  }
+  const timer = setInterval(() => prune(Date.now()), windowMs);
+  // El temporizador no debe mantener vivo el proceso
+  timer.unref();
+
+  return function rateLimit(req, res, next) {
+    const now = Date.now();
+    const times = (hits.get(req.ip) || []).filter((t) => now - t < windowMs);
+    if (times.length >= max) {
+      const retry = Math.ceil((times[0] + windowMs - now) / 1000);
+      res.set('Retry-After', String(retry));
+      return res.status(429).json({
+        error: message || 'Demasiadas solicitudes. Intente nuevamente más tarde.',
+      });
+    }
+    times.push(now);
+    hits.set(req.ip, times);
+    next();
+  };
+}
+
+module.exports = { createRateLimiter };
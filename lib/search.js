@@ -0,0 +1,147 @@
+/*
+ * lib/search.js - Búsqueda de texto en el catálogo
+ *
+ * Con MongoDB la búsqueda usa un índice de texto (ver lib/store/mongo.js).
+ * Para los demás stores este módulo ofrece un índice invertido en memoria
+ * con la misma idea: se buscan las palabras en marca, modelo, versión,
+ * descripción y ficha técnica, sin distinguir mayúsculas ni acentos
+ * ("sedan" encuentra "Sedán"), y cada resultado recibe un puntaje según
+ * cuántas palabras coinciden y en qué campo. Basta con que coincida una
+ * palabra; los vehículos que coinciden con más palabras aparecen primero.
+ * Cada palabra buscada también coincide como prefijo ("amar" encuentra
+ * "Amarok"), para que la búsqueda funcione mientras se escribe.
+ *
+ * El índice de texto de MongoDB sólo encuentra palabras completas (con
+ * las variantes del español: "camionetas" encuentra "camioneta"). Para
+ * que los dos stores devuelvan lo mismo, si ninguna palabra completa
+ * coincide, el store de MongoDB repite la búsqueda por prefijos con las
+ * expresiones de prefixPatterns(), sin puntaje de relevancia.
+ */
+
+// Peso de cada campo en el puntaje: una coincidencia en la marca o el
+// modelo vale más que una en la descripción. Lo usa también el índice de
+// texto de MongoDB.
+const WEIGHTS = {
+  marca: 10,
+  modelo: 10,
+  version: 5,
+  combustible: 3,
+  transmision: 3,
+  carroceria: 3,
+  color: 3,
+  equipamiento: 2,
+  descripcion: 1,
+};
+
+// Longitud mínima de una palabra buscada para coincidir como prefijo
+const MIN_PREFIX = 3;
+
+/**
+ * Pasa un texto a minúsculas y sin acentos.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalize(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Divide un texto en palabras normalizadas.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return normalize(text).match(/[a-z0-9]+/g) || [];
+}
+
+// Palabras de cada campo indexado de un vehículo
+function vehicleTokens(v) {
+  const tokens = {};
+  Object.keys(WEIGHTS).forEach((field) => {
+    const value = v[field];
+    if (value === undefined || value === null) return;
+    tokens[field] = tokenize(Array.isArray(value) ? value.join(' ') : value);
+  });
+  return tokens;
+}
+
+// Letras equivalentes sin distinguir acentos en las expresiones de prefixPatterns
+const ACCENTS = { a: '[aáàäâ]', e: '[eéèëê]', i: '[iíìïî]', o: '[oóòöô]', u: '[uúùüû]', n: '[nñ]' };
+
+/**
+ * Expresiones regulares que encuentran cada palabra buscada (de al menos
+ * MIN_PREFIX letras) al comienzo de una palabra, sin distinguir
+ * mayúsculas ni acentos. Las usa el store de MongoDB cuando el índice de
+ * texto no encuentra palabras completas.
+ * @param {string} query
+ * @returns {RegExp[]}
+ */
+function prefixPatterns(query) {
+  return [...new Set(tokenize(query))]
+    .filter((term) => term.length >= MIN_PREFIX)
+    .map((term) => {
+      const letras = term.replace(/[aeioun]/g, (letra) => ACCENTS[letra]);
+      return new RegExp('(^|[^a-z0-9áéíóúàèìòùäëïöüâêîôûñ])' + letras, 'i');
+    });
+}
+
+class SearchIndex {
+  /**
+   * @param {object[]} vehicles Vehículos a indexar (con su `id`)
+   */
+  constructor(vehicles) {
+    // palabra → Map(id del vehículo → peso acumulado)
+    this.postings = new Map();
+    vehicles.forEach((v) => {
+      const tokens = vehicleTokens(v);
+      Object.keys(tokens).forEach((field) => {
+        tokens[field].forEach((token) => {
+          if (!this.postings.has(token)) this.postings.set(token, new Map());
+          const docs = this.postings.get(token);
+          docs.set(v.id, (docs.get(v.id) || 0) + WEIGHTS[field]);
+        });
+      });
+    });
+  }
+
+  /**
+   * Busca un texto y devuelve el puntaje de cada vehículo que coincide.
+   * @param {string} query
+   * @returns {Map<number, number>} id → puntaje
+   */
+  search(query) {
+    const scores = new Map();
+    const terms = [...new Set(tokenize(query))];
+    terms.forEach((term) => {
+      // Puntaje de este término por vehículo: coincidencia exacta completa,
+      // prefijo a mitad de peso
+      const termScores = new Map();
+      for (const [token, docs] of this.postings) {
+        let factor = 0;
+        if (token === term) factor = 1;
+        else if (term.length >= MIN_PREFIX && token.startsWith(term)) factor = 0.5;
+        if (!factor) continue;
+        docs.forEach((weight, id) => {
+          termScores.set(id, Math.max(termScores.get(id) || 0, weight * factor));
+        });
+      }
+      termScores.forEach((score, id) => {
+        // Cada término que coincide suma además un punto fijo, para que
+        // coincidir con más palabras pese más que repetir una sola
+        scores.set(id, (scores.get(id) || 0) + score + 100);
+      });
+    });
+    return scores;
+  }
+}
+
+module.exports = {
+  WEIGHTS,
+  normalize,
+  tokenize,
+  prefixPatterns,
+  SearchIndex,
+};
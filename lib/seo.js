@@ -0,0 +1,237 @@
+/*
+ * lib/seo.js - URLs públicas y metadatos para buscadores y redes sociales
+ *
+ * La página de detalle se completa en el navegador (public/detalle.js),
+ * pero WhatsApp, Facebook y los buscadores leen sólo el HTML que envía el
+ * servidor. Por eso /vehiculo/:id-slug se genera en el servidor a partir
+ * de public/detalle.html, agregando en el <head> el título, las etiquetas
+ * Open Graph y un bloque JSON-LD de schema.org (`Car`) con los datos del
+ * vehículo. También se generan /sitemap.xml y /robots.txt.
+ *
+ * Las URLs absolutas (og:image, canonical, sitemap) usan PUBLIC_URL (por
+ * ejemplo https://autosencampana.com.ar, ver lib/config.js); si no está
+ * definida se deducen de la petición.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const specs = require('./specs');
+const { normalize } = require('./search');
+const { estadoDe } = require('./lifecycle');
+const { monedaDe } = require('./currency');
+
+const SITE_NAME = 'Autos en Campana';
+// Marcador de public/detalle.html donde se insertan los metadatos
+const HEAD_MARKER = '<!-- metadatos -->';
+// Largo máximo de la descripción en las etiquetas meta
+const MAX_DESCRIPTION = 200;
+
+// Símbolo de cada moneda en la descripción
+const CURRENCY_SYMBOLS = { ARS: '$', USD: 'US$' };
+
+// Disponibilidad de schema.org según el estado del vehículo
+const AVAILABILITY = {
+  disponible: 'https://schema.org/InStock',
+  reservado: 'https://schema.org/LimitedAvailability',
+  vendido: 'https://schema.org/SoldOut',
+};
+
+/**
+ * Convierte un texto en un segmento de URL: minúsculas, sin acentos y con
+ * guiones entre palabras.
+ * @param {string} text
+ * @returns {string}
+ */
+function slugify(text) {
+  return normalize(text)
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Ruta pública de un vehículo, por ejemplo /vehiculo/3-volkswagen-amarok-2017.
+ * Sólo el id identifica al vehículo; el resto es descriptivo.
+ * @param {object} v
+ * @returns {string}
+ */
+function vehiclePath(v) {
+  const slug = slugify([v.marca, v.modelo, v.anio].filter(Boolean).join(' '));
+  return '/vehiculo/' + v.id + (slug ? '-' + slug : '');
+}
+
+/**
+ * URL base del sitio, sin barra final: la URL pública configurada o, si
+ * no hay, la de la petición.
+ * @param {import('express').Request} req
+ * @param {string|null} [publicUrl]
+ * @returns {string}
+ */
+function baseUrl(req, publicUrl) {
+  if (publicUrl) return publicUrl.replace(/\/+$/, '');
+  return req.protocol + '://' + req.get('host');
+}
+
+// Escapa un texto para un atributo o contenido HTML
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Recorta un texto a `max` caracteres sin cortar palabras
+function truncate(text, max) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  if (clean.length <= max) return clean;
+  return clean.slice(0, max - 1).replace(/\s+\S*$/, '') + '…';
+}
+
+// URL absoluta de una imagen ya serializada (ver images.serializeImage)
+function absoluteImageUrl(img, base) {
+  const src = img.card || img.src;
+  return /^https?:\/\//.test(src) ? src : base + src;
+}
+
+/**
+ * Título y descripción de un vehículo para las etiquetas meta.
+ * @param {object} v
+ */
+function vehicleSummary(v) {
+  const titulo = [v.marca, v.modelo, v.version, v.anio].filter(Boolean).join(' ');
+  const datos = [
+    v.precio ? CURRENCY_SYMBOLS[monedaDe(v)] + v.precio.toLocaleString('es-AR') : null,
+    typeof v.km === 'number' ? v.km.toLocaleString('es-AR') + ' km' : null,
+    v.combustible ? specs.labelFor('combustible', v.combustible) : null,
+    v.transmision ? specs.labelFor('transmision', v.transmision) : null,
+  ].filter(Boolean);
+  const descripcion = truncate(datos.join(' · ') + (v.descripcion ? '. ' + v.descripcion : ''), MAX_DESCRIPTION);
+  return { titulo, descripcion };
+}
+
+/**
+ * Datos estructurados schema.org `Car` de un vehículo.
+ * @param {object} v
+ * @param {string} url URL canónica
+ * @param {string[]} imagenes URLs absolutas de las fotos
+ * @returns {object}
+ */
+function vehicleJsonLd(v, url, imagenes) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Car',
+    name: vehicleSummary(v).titulo,
+    url,
+    brand: { '@type': 'Brand', name: v.marca },
+    model: v.modelo,
+    vehicleModelDate: v.anio ? String(v.anio) : undefined,
+    description: v.descripcion || undefined,
+    image: imagenes.length ? imagenes : undefined,
+    mileageFromOdometer:
+      typeof v.km === 'number' ? { '@type': 'QuantitativeValue', value: v.km, unitCode: 'KMT' } : undefined,
+    fuelType: v.combustible ? specs.labelFor('combustible', v.combustible) : undefined,
+    vehicleTransmission: v.transmision ? specs.labelFor('transmision', v.transmision) : undefined,
+    bodyType: v.carroceria ? specs.labelFor('carroceria', v.carroceria) : undefined,
+    color: v.color || undefined,
+    numberOfDoors: v.puertas || undefined,
+    itemCondition: v.km === 0 ? 'https://schema.org/NewCondition' : 'https://schema.org/UsedCondition',
+    offers: {
+      '@type': 'Offer',
+      price: v.precio,
+      priceCurrency: monedaDe(v),
+      availability: AVAILABILITY[estadoDe(v)],
+      url,
+      seller: { '@type': 'AutoDealer', name: SITE_NAME },
+    },
+  };
+}
+
+// Convierte a JSON apto para incluir dentro de <script>: "<" se escapa
+// para que un texto con "</script>" no cierre el bloque
+function scriptJson(data) {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+/**
+ * Genera el HTML de la página de detalle de un vehículo con sus
+ * metadatos a partir de la plantilla public/detalle.html.
+ * @param {string} template Contenido de detalle.html
+ * @param {object} v Vehículo (con las imágenes serializadas)
+ * @param {string} base URL base del sitio (ver baseUrl)
+ * @returns {string}
+ */
+function renderVehiclePage(template, v, base) {
+  const url = base + vehiclePath(v);
+  const { titulo, descripcion } = vehicleSummary(v);
+  const imagenes = (v.imagenes || []).map((img) => absoluteImageUrl(img, base));
+  const og = [
+    ['og:type', 'product'],
+    ['og:site_name', SITE_NAME],
+    ['og:title', titulo],
+    ['og:description', descripcion],
+    ['og:url', url],
+    ['og:locale', 'es_AR'],
+    ...imagenes.slice(0, 1).map((src) => ['og:image', src]),
+    ['product:price:amount', v.precio],
+    ['product:price:currency', monedaDe(v)],
+  ].map(([property, content]) => '<meta property="' + property + '" content="' + escapeHtml(content) + '" />');
+  const head = [
+    '<meta name="description" content="' + escapeHtml(descripcion) + '" />',
+    '<link rel="canonical" href="' + escapeHtml(url) + '" />',
+    ...og,
+    '<meta name="twitter:card" content="' + (imagenes.length ? 'summary_large_image' : 'summary') + '" />',
+    '<script type="application/ld+json">' + scriptJson(vehicleJsonLd(v, url, imagenes)) + '</script>',
+  ].join('\n    ');
+  // Con funciones, los "$" de los textos cargados en el panel no se
+  // interpretan como patrones de reemplazo ($&, $', etc.)
+  const title = '<title>' + escapeHtml(titulo + ' - ' + SITE_NAME) + '</title>';
+  return template.replace(/<title>[^<]*<\/title>/, () => title).replace(HEAD_MARKER, () => head);
+}
+
+/**
+ * Genera /sitemap.xml con la página principal y la de cada vehículo.
+ * @param {Array<object>} vehiculos Vehículos visibles en el catálogo
+ * @param {string} base URL base del sitio
+ * @returns {string}
+ */
+function renderSitemap(vehiculos, base) {
+  const url = (loc, lastmod) =>
+    '  <url>\n    <loc>' + escapeHtml(loc) + '</loc>\n' +
+    (lastmod ? '    <lastmod>' + new Date(lastmod).toISOString().slice(0, 10) + '</lastmod>\n' : '') +
+    '  </url>';
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    url(base + '/'),
+    ...vehiculos.map((v) => url(base + vehiclePath(v), v.updatedAt || v.createdAt)),
+    '</urlset>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Genera /robots.txt: todo el sitio es indexable salvo la API.
+ * @param {string} base URL base del sitio
+ * @returns {string}
+ */
+function renderRobots(base) {
+  return ['User-agent: *', 'Disallow: /api/', '', 'Sitemap: ' + base + '/sitemap.xml', ''].join('\n');
+}
+
+/**
+ * Lee la plantilla de la página de detalle.
+ * @returns {string}
+ */
+function loadDetailTemplate() {
+  return fs.readFileSync(path.join(__dirname, '..', 'public', 'detalle.html'), 'utf8');
+}
+
+module.exports = {
+  slugify,
+  vehiclePath,
+  baseUrl,
+  renderVehiclePage,
+  renderSitemap,
+  renderRobots,
+  loadDetailTemplate,
+};
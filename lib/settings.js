@@ -0,0 +1,183 @@
+/*
+ * lib/settings.js - Datos de la agencia
+ *
+ * Los datos de contacto que muestra el sitio (teléfono, WhatsApp, email,
+ * dirección, horario de atención, redes sociales, mapa y texto del pie de
+ * página) y el mensaje con el que se abre WhatsApp desde la página de un
+ * vehículo se editan desde el panel, sin necesidad de publicar una nueva
+ * versión del sitio. Se guardan en `store.settings`; los campos que
+ * nunca se guardaron toman los valores de DEFAULT_SETTINGS.
+ *
+ * El mensaje de WhatsApp admite las variables {vehiculo} (marca y
+ * modelo) y {url} (enlace a la página del vehículo), que la página de
+ * detalle reemplaza antes de abrir el chat.
+ *
+ * Endpoints (ver registerSettingsRoutes):
+ *   GET /api/config  → Datos de la agencia (público). Con vista=admin incluye
+ *                      quién y cuándo los modificó por última vez (requiere sesión).
+ *   PUT /api/config  → Reemplaza los datos de la agencia (admin).
+ */
+
+const { EMAIL_RE, PHONE_RE, checkText } = require('./validation');
+
+// Valores iniciales: los datos que el sitio mostraba antes de poder
+// editarlos desde el panel
+const DEFAULT_SETTINGS = {
+  nombre: 'Autos en Campana',
+  telefono: '3489 639033',
+  whatsapp: '543489639033',
+  email: '',
+  direccion: 'Castelli 739, Campana, Buenos Aires',
+  horario: '9:30 hs – 12 hs y 17 hs – 19 hs',
+  facebook: 'https://www.facebook.com/AUTOSENCAMPANA?locale=es_LA',
+  instagram: 'https://www.instagram.com/autosencampana/',
+  mapa: '',
+  mensajeWhatsapp: 'Hola, me interesa el {vehiculo}. {url}',
+  pie: 'Todos los derechos reservados.',
+};
+
+const LIMITS = {
+  nombre: { maxLength: 80 },
+  telefono: { maxLength: 30 },
+  email: { maxLength: 120 },
+  direccion: { maxLength: 150 },
+  horario: { maxLength: 150 },
+  facebook: { maxLength: 300 },
+  instagram: { maxLength: 300 },
+  mapa: { maxLength: 1000 },
+  mensajeWhatsapp: { maxLength: 500 },
+  pie: { maxLength: 200 },
+};
+// Campos obligatorios
+const REQUIRED = ['nombre', 'whatsapp', 'direccion', 'mensajeWhatsapp'];
+
+// Número de WhatsApp en formato internacional, sin "+" ni espacios
+// (549... para celulares de Argentina), como lo espera wa.me
+const WHATSAPP_RE = /^\d{8,15}$/;
+// El mapa se muestra en un iframe: sólo se aceptan mapas de Google
+const MAP_RE = /^https:\/\/(www\.|maps\.)?google\.[a-z.]+\/maps/i;
+
+// Valida una URL https opcional y devuelve [valor, error]
+function checkUrl(value, field) {
+  const [text, error] = checkText(value, LIMITS[field]);
+  if (error || !text) return [text, error];
+  try {
+    if (new URL(text).protocol !== 'https:') return [null, 'Debe empezar con https://'];
+  } catch (err) {
+    return [null, 'No es una URL válida'];
+  }
+  return [text, null];
+}
+
+/**
+ * Valida los datos de la agencia enviados desde el panel. Los campos
+ * opcionales ausentes quedan vacíos.
+ * @param {object} body
+ * @returns {{data: object, errores: null}|{data: null, errores: Object<string, string>}}
+ */
+function validateSettings(body) {
+  const input = body && typeof body === 'object' ? body : {};
+  const data = {};
+  const errores = {};
+  const apply = (field, [value, error]) => {
+    if (error) errores[field] = error;
+    else data[field] = value;
+  };
+
+  ['nombre', 'telefono', 'email', 'direccion', 'horario', 'mensajeWhatsapp', 'pie'].forEach((field) => {
+    apply(field, checkText(input[field], LIMITS[field]));
+  });
+  ['facebook', 'instagram', 'mapa'].forEach((field) => apply(field, checkUrl(input[field], field)));
+  // El número se acepta con espacios, guiones o "+", como se suele copiar
+  if (input.whatsapp === undefined || input.whatsapp === null) {
+    data.whatsapp = '';
+  } else if (typeof input.whatsapp !== 'string' && typeof input.whatsapp !== 'number') {
+    errores.whatsapp = 'Debe ser un texto';
+  } else {
+    data.whatsapp = String(input.whatsapp).replace(/[\s+()-]/g, '');
+  }
+
+  REQUIRED.forEach((field) => {
+    if (!errores[field] && data[field] === '') errores[field] = 'Este campo es obligatorio';
+  });
+  if (!errores.whatsapp && data.whatsapp && !WHATSAPP_RE.test(data.whatsapp)) {
+    errores.whatsapp = 'Debe tener el código de país y de área, sólo con dígitos (por ejemplo 5493489639033)';
+  }
+  if (!errores.telefono && data.telefono && !PHONE_RE.test(data.telefono)) {
+    errores.telefono = 'El teléfono no es válido';
+  }
+  if (!errores.email && data.email && !EMAIL_RE.test(data.email)) {
+    errores.email = 'El email no es válido';
+  }
+  if (!errores.mapa && data.mapa && !MAP_RE.test(data.mapa)) {
+    errores.mapa = 'Debe ser el enlace para insertar un mapa de Google Maps';
+  }
+
+  if (Object.keys(errores).length) {
+    return { data: null, errores };
+  }
+  return { data, errores: null };
+}
+
+/**
+ * Datos de la agencia vigentes: los guardados completados con los
+ * valores por defecto. Con `admin` se agregan actualizadoEn y
+ * actualizadoPor (null si nunca se modificaron).
+ * @param {object} store
+ * @param {{admin?: boolean}} [options]
+ * @returns {Promise<object>}
+ */
+async function getSettings(store, { admin = false } = {}) {
+  const guardados = (await store.settings.get()) || {};
+  const ajustes = { ...DEFAULT_SETTINGS };
+  Object.keys(DEFAULT_SETTINGS).forEach((field) => {
+    if (typeof guardados[field] === 'string') ajustes[field] = guardados[field];
+  });
+  if (admin) {
+    ajustes.actualizadoEn = guardados.actualizadoEn || null;
+    ajustes.actualizadoPor = guardados.actualizadoPor || null;
+  }
+  return ajustes;
+}
+
+/**
+ * Registra las rutas de los datos de la agencia.
+ * @param {import('express').Express} app
+ * @param {{store: object, requireAdmin: function, getSessionUser: function}} options
+ */
+function registerSettingsRoutes(app, { store, requireAdmin, getSessionUser }) {
+  app.get('/api/config', async (req, res) => {
+    const admin = req.query.vista === 'admin';
+    if (admin && !getSessionUser(req)) {
+      return res.status(401).json({ error: 'Se requiere iniciar sesión como administrador' });
+    }
+    try {
+      res.json({ ajustes: await getSettings(store, { admin }) });
+    } catch (err) {
+      console.error('Error al obtener los datos de la agencia:', err);
+      res.status(500).json({ error: 'Error interno al obtener los datos de la agencia' });
+    }
+  });
+
+  app.put('/api/config', requireAdmin, async (req, res) => {
+    const { data, errores } = validateSettings(req.body);
+    if (errores) {
+      return res.status(400).json({ error: 'Datos inválidos', errores });
+    }
+    try {
+      await store.settings.update({ ...data, actualizadoPor: req.adminUser || null, actualizadoEn: new Date() });
+      res.json({ success: true, ajustes: await getSettings(store, { admin: true }) });
+    } catch (err) {
+      console.error('Error al guardar los datos de la agencia:', err);
+      res.status(500).json({ error: 'Error interno al guardar los datos de la agencia' });
+    }
+  });
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  LIMITS,
+  validateSettings,
+  getSettings,
+  registerSettingsRoutes,
+};
@@ -0,0 +1,105 @@
+/*
+ * lib/specs.js - Ficha técnica de los vehículos
+ *
+ * Define los campos estructurados de la ficha (combustible, transmisión,
+ * carrocería, puertas, color, versión y equipamiento) y las opciones
+ * válidas de cada uno con su etiqueta. Es la única fuente de estas
+ * listas: la validación, los filtros del store y el frontend (a través de
+ * GET /api/especificaciones) las toman de aquí.
+ */
+
+// Opciones de los campos de selección. `valor` es lo que se guarda;
+// `etiqueta`, lo que se muestra.
+const OPTIONS = {
+  combustible: [
+    { valor: 'nafta', etiqueta: 'Nafta' },
+    { valor: 'diesel', etiqueta: 'Diésel' },
+    { valor: 'gnc', etiqueta: 'GNC' },
+    { valor: 'nafta-gnc', etiqueta: 'Nafta / GNC' },
+    { valor: 'hibrido', etiqueta: 'Híbrido' },
+    { valor: 'electrico', etiqueta: 'Eléctrico' },
+  ],
+  transmision: [
+    { valor: 'manual', etiqueta: 'Manual' },
+    { valor: 'automatica', etiqueta: 'Automática' },
+  ],
+  carroceria: [
+    { valor: 'sedan', etiqueta: 'Sedán' },
+    { valor: 'hatchback', etiqueta: 'Hatchback' },
+    { valor: 'rural', etiqueta: 'Rural' },
+    { valor: 'suv', etiqueta: 'SUV' },
+    { valor: 'pickup', etiqueta: 'Pick-up' },
+    { valor: 'coupe', etiqueta: 'Coupé' },
+    { valor: 'monovolumen', etiqueta: 'Monovolumen' },
+    { valor: 'utilitario', etiqueta: 'Utilitario' },
+  ],
+};
+
+// Ítems del equipamiento, en el orden en que se muestran
+const EQUIPAMIENTO = [
+  { valor: 'aire', etiqueta: 'Aire acondicionado' },
+  { valor: 'climatizador', etiqueta: 'Climatizador automático' },
+  { valor: 'direccion', etiqueta: 'Dirección asistida' },
+  { valor: 'abs', etiqueta: 'Frenos ABS' },
+  { valor: 'airbags', etiqueta: 'Airbags' },
+  { valor: 'control-estabilidad', etiqueta: 'Control de estabilidad' },
+  { valor: 'vidrios', etiqueta: 'Levantavidrios eléctricos' },
+  { valor: 'cierre', etiqueta: 'Cierre centralizado' },
+  { valor: 'alarma', etiqueta: 'Alarma' },
+  { valor: 'bluetooth', etiqueta: 'Bluetooth' },
+  { valor: 'pantalla', etiqueta: 'Pantalla multimedia' },
+  { valor: 'camara', etiqueta: 'Cámara de retroceso' },
+  { valor: 'sensores', etiqueta: 'Sensores de estacionamiento' },
+  { valor: 'crucero', etiqueta: 'Control de velocidad crucero' },
+  { valor: 'llantas', etiqueta: 'Llantas de aleación' },
+  { valor: 'techo', etiqueta: 'Techo solar' },
+  { valor: 'cuero', etiqueta: 'Tapizado de cuero' },
+  { valor: '4x4', etiqueta: 'Tracción 4x4' },
+];
+
+// Campos de la ficha que se pueden usar como filtro exacto en el catálogo
+const FILTER_FIELDS = ['combustible', 'transmision', 'carroceria', 'puertas', 'color'];
+
+// Nombre de cada faceta en la respuesta de GET /api/vehiculos/facetas
+const FACET_NAMES = {
+  combustible: 'combustibles',
+  transmision: 'transmisiones',
+  carroceria: 'carrocerias',
+  puertas: 'puertas',
+  color: 'colores',
+};
+
+/**
+ * Busca una opción por su valor o su etiqueta, sin distinguir mayúsculas
+ * (así se aceptan los valores de una planilla importada).
+ * @param {Array<{valor: string, etiqueta: string}>} list
+ * @param {string} text
+ * @returns {string|null} El valor de la opción o null
+ */
+function findOption(list, text) {
+  const key = String(text).trim().toLowerCase();
+  const option = list.find((o) => o.valor === key || o.etiqueta.toLowerCase() === key);
+  return option ? option.valor : null;
+}
+
+/**
+ * Etiqueta de un valor de un campo de selección o del equipamiento. Si no
+ * tiene etiqueta definida (por ejemplo, color) se devuelve el valor.
+ * @param {string} field
+ * @param {*} valor
+ * @returns {string}
+ */
+function labelFor(field, valor) {
+  const list = field === 'equipamiento' ? EQUIPAMIENTO : OPTIONS[field];
+  const option = list && list.find((o) => o.valor === valor);
+  return option ? option.etiqueta : String(valor);
+}
+
+module.exports = {
+  OPTIONS,
+  EQUIPAMIENTO,
+  FILTER_FIELDS,
+  FACET_NAMES,
+  findOption,
+  labelFor,
+};
@@ -0,0 +1,132 @@
+/*
+ * lib/store/index.js - Almacenamiento de datos del catálogo
+ *
+ * Todas las lecturas y escrituras de vehículos pasan por un "store" con
+ * la misma interfaz, de modo que el backend puede funcionar con MongoDB
+ * o con archivos JSON locales. El tipo se elige con la variable de
+ * entorno DATA_STORE:
+ *
+ *   mongo  → MongoDB a través de mongoose (por defecto). Usa MONGO_URL.
+ *   json   → Archivos JSON en DATA_DIR (por defecto data/). Pensado para
+ *            desarrollo y despliegues pequeños sin base de datos.
+ *
+ * Interfaz de un store:
+ *   description                → Texto que describe el almacenamiento (para logs).
+ *   connect()                  → Abre la conexión o carga los archivos.
+ *   close()                    → Cierra la conexión.
+ *   vehicles.list(criteria)    → { vehiculos, total } según los filtros,
+ *                                el orden y la página de `criteria`.
+ *   vehicles.facets(filters)   → { marcas, anios, combustibles, transmisiones,
+ *                                carrocerias, puertas, colores } con la cantidad de
+ *                                cada valor entre los vehículos que cumplen `filters`.
+ *   vehicles.get(id)           → El vehículo o null.
+ *   vehicles.create(data)      → El vehículo creado, con id incremental (o con
+ *                                `data.id` si se indica). Si `data.id` ya está en uso,
+ *                                falla con un error con `status` 409. Dos altas
+ *                                simultáneas sin id nunca reciben el mismo.
+ *   vehicles.update(id, data)  → { anterior, actualizado } o null si no existe.
+ *   vehicles.remove(id)        → Elimina definitivamente el vehículo. Devuelve el
+ *                                vehículo eliminado o null. (La baja lógica es un
+ *                                update de `eliminadoEn`.)
+ *   history.add(entry)         → Guarda una entrada del historial de cambios
+ *                                { vehiculoId, accion, usuario, fecha, cambios }
+ *                                (ver lib/history.js).
+ *   history.list(vehiculoId)   → Entradas de un vehículo, de la más reciente a
+ *                                la más antigua.
+ *   leads.create(data)         → La consulta creada, con id incremental y createdAt
+ *                                (ver lib/leads.js).
+ *   leads.list(filters)        → Consultas que cumplen { vehiculoId, estado }, de la
+ *                                más reciente a la más antigua.
+ *   leads.update(id, data)     → La consulta actualizada o null si no existe.
+ *   plans.list(filters)        → Planes de financiación; con { activos: true } sólo los
+ *                                activos. Ordenados por id (ver lib/financing.js).
+ *   plans.create(data)         → El plan creado, con id incremental.
+ *   plans.update(id, data)     → El plan actualizado o null si no existe.
+ *   plans.remove(id)           → El plan eliminado o null si no existe.
+ *   rates.current()            → La cotización del dólar vigente (la última cargada)
+ *                                { valor, fecha, usuario } o null (ver lib/currency.js).
+ *   rates.list()               → Cotizaciones cargadas, de la más reciente a la más antigua.
+ *   rates.add(entry)           → Guarda una cotización { valor, fecha, usuario }.
+ *   tradeIns.create(data)      → La solicitud de cotización de un usado creada, con id
+ *                                incremental y createdAt (ver lib/trade-ins.js).
+ *   tradeIns.list(filters)     → Solicitudes que cumplen { estado }, de la más reciente
+ *                                a la más antigua.
+ *   tradeIns.get(id)           → La solicitud o null.
+ *   tradeIns.update(id, data)  → La solicitud actualizada o null si no existe.
+ *   bookings.create(data)      → El turno creado, con id incremental y createdAt, o null
+ *                                si el vehículo ya tiene un turno confirmado en esa
+ *                                fecha y hora (ver lib/bookings.js). La verificación
+ *                                y el alta deben ser atómicas.
+ *   bookings.list(filters)     → Turnos que cumplen { vehiculoId, estado, desde, hasta }
+ *                                (fechas AAAA-MM-DD inclusive), por fecha y hora.
+ *   bookings.findByCode(codigo) → El turno con ese código o null.
+ *   bookings.update(id, data)  → El turno actualizado o null si no existe.
+ *   bookings.removeByVehicle(vehiculoId) → Elimina los turnos del vehículo y devuelve
+ *                                cuántos eran.
+ *   holidays.list()            → Feriados { fecha, motivo }, ordenados por fecha.
+ *   holidays.add(data)         → El feriado agregado o null si la fecha ya existe.
+ *   holidays.remove(fecha)     → El feriado eliminado o null si no existe.
+ *   settings.get()             → Datos de la agencia guardados o null si nunca se
+ *                                guardaron (ver lib/settings.js).
+ *   settings.update(data)      → Guarda los campos de `data` y devuelve los datos
+ *                                resultantes.
+ *   consignments.create(data)  → La consignación creada, con id incremental y createdAt,
+ *                                o null si el vehículo ya tiene una (ver
+ *                                lib/consignments.js). La verificación y el alta
+ *                                deben ser atómicas.
+ *   consignments.list()        → Todas las consignaciones, ordenadas por id.
+ *   consignments.get(id)       → La consignación o null.
+ *   consignments.findByVehicle(vehiculoId) → La consignación del vehículo o null.
+ *   consignments.update(id, data) → La consignación actualizada o null si no existe.
+ *   consignments.remove(id)    → La consignación eliminada o null si no existe.
+ *   analytics.increment(fecha, entradas) → Suma un evento por cada entrada
+ *                                { vehiculoId, tipo, unico } al total del día (y a los
+ *                                visitantes únicos si `unico`; ver lib/analytics.js).
+ *                                Puede guardarlos en diferido; close() y list() deben
+ *                                incluir los pendientes.
+ *   analytics.list(filters)    → Totales diarios { fecha, vehiculoId, tipo, total, unicos }
+ *                                que cumplen { desde, hasta } (AAAA-MM-DD inclusive).
+ *
+ * `criteria` tiene la forma:
+ *   {
+ *     filters: {
+ *       marca, anio: {min, max}, km: {min, max}, destacado, estado,
+ *       precio: {min, max, moneda},  // rango en `moneda` (ARS por defecto)
+ *       combustible, transmision, carroceria, puertas, color,  // valor exacto
+ *       archivados,     // true: sólo archivados; false: sólo no archivados
+ *       vendidosDesde,  // Date: oculta los vendidos antes de esa fecha
+ *     },
+ *     search,                 // texto a buscar (ver lib/search.js)
+ *     sort: { field, dir },   // dir: 1 ascendente, -1 descendente; null con
+ *                             // `search` ordena por relevancia
+ *     page, limit,
+ *     cotizacion,             // pesos por dólar (o null), para comparar precios
+ *                             // en monedas distintas al filtrar y ordenar
+ *   }
+ * Los filtros ausentes (undefined) no se aplican. Sin cotización, el rango de
+ * precio sólo incluye los vehículos publicados en la moneda del rango y el
+ * orden por precio deja primero a los que no se pueden convertir a pesos.
+ */
+
+const path = require('path');
+const MongoStore = require('./mongo');
+const JsonStore = require('./json');
+
+/**
+ * Crea el store indicado en la configuración (ver lib/config.js).
+ * @param {{type: string, mongoUrl?: string, dataDir?: string}} options
+ */
+function createStore({ type, mongoUrl, dataDir }) {
+  if (type === 'json') {
+    return new JsonStore({
+      dir: dataDir,
+      seedFile: path.join(__dirname, '..', '..', 'vehicles.json'),
+    });
+  }
+  if (type !== 'mongo') {
+    throw new Error('DATA_STORE desconocido: ' + type + ' (use "mongo" o "json")');
+  }
+  return new MongoStore({ url: mongoUrl });
+}
+
+module.exports = { createStore };
@@ -0,0 +1,78 @@
+/*
+ * lib/store/json-file.js - Archivo JSON con escrituras atómicas
+ *
+ * Mantiene en memoria el contenido de un archivo JSON y serializa las
+ * modificaciones: cada `update()` espera a que termine la anterior, de
+ * modo que peticiones concurrentes no pisan los cambios de las demás.
+ * Cada escritura va primero a un archivo temporal que luego se renombra
+ * sobre el original, así un corte a mitad de escritura nunca deja el
+ * archivo truncado. El archivo pertenece a un único proceso: no se
+ * detectan cambios hechos por otros procesos mientras el servidor corre.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class JsonFile {
+  /**
+   * @param {string} file Ruta del archivo
+   * @param {*} initial Contenido inicial si el archivo no existe
+   */
+  constructor(file, initial) {
+    this.file = file;
+    this.initial = initial;
+    this.data = null;
+    // Cola de modificaciones pendientes
+    this.queue = Promise.resolve();
+  }
+
+  // Lee el archivo la primera vez; luego se usa la copia en memoria
+  async load() {
+    if (this.data !== null) return this.data;
+    try {
+      this.data = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      this.data = structuredClone(this.initial);
+    }
+    return this.data;
+  }
+
+  /**
+   * Devuelve una copia del contenido actual.
+   * @returns {Promise<*>}
+   */
+  async read() {
+    return structuredClone(await this.load());
+  }
+
+  /**
+   * Modifica el contenido y lo guarda en disco. `fn` recibe una copia de
+   * los datos, puede modificarla y devolver un resultado. Si `fn` o la
+   * escritura fallan, los datos en memoria no cambian.
+   * @param {function(*): *} fn
+   * @returns {Promise<*>} Lo que devuelva `fn`
+   */
+  update(fn) {
+    const run = this.queue.then(async () => {
+      const draft = structuredClone(await this.load());
+      const result = await fn(draft);
+      await this.write(draft);
+      this.data = draft;
+      return result;
+    });
+    // Un error en esta modificación no debe bloquear las siguientes
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async write(data) {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    const tmp = this.file + '.' + crypto.randomBytes(6).toString('hex') + '.tmp';
+    await fs.promises.writeFile(tmp, JSON.stringify(data, null, 2));
+    await fs.promises.rename(tmp, this.file);
+  }
+}
+
+module.exports = JsonFile;
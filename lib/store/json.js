@@ -0,0 +1,611 @@
+/*
+ * lib/store/json.js - Store basado en archivos JSON
+ *
+ * Implementa la interfaz descrita en lib/store/index.js guardando los
+ * vehículos en DATA_DIR/vehicles.json con el mismo formato que el
+ * vehicles.json de la raíz del repositorio. Si el archivo no existe, se
+ * crea a partir de ese catálogo de ejemplo. El historial de cambios se
+ * guarda en DATA_DIR/history.json, las consultas de clientes en
+ * DATA_DIR/leads.json, los planes de financiación en DATA_DIR/plans.json,
+ * las cotizaciones del dólar en DATA_DIR/rates.json, las solicitudes de
+ * cotización de usados en DATA_DIR/trade-ins.json y los turnos y feriados
+ * en DATA_DIR/bookings.json y DATA_DIR/holidays.json, los datos de la
+ * agencia en DATA_DIR/settings.json, los vehículos en consignación en
+ * DATA_DIR/consignments.json y las estadísticas diarias en
+ * DATA_DIR/analytics.json. Los eventos de las estadísticas llegan con cada
+ * página del catálogo: se acumulan en memoria y se guardan juntos cada
+ * ANALYTICS_FLUSH_MS (y al cerrar el store).
+ * Los filtros, el orden y la
+ * paginación se aplican en memoria, con la misma semántica que en MongoDB.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const JsonFile = require('./json-file');
+const { estadoDe } = require('../lifecycle');
+const { FILTER_FIELDS, FACET_NAMES } = require('../specs');
+const { SearchIndex } = require('../search');
+const { priceIn } = require('../currency');
+
+// Demora máxima para guardar los eventos de estadísticas acumulados
+const ANALYTICS_FLUSH_MS = 5000;
+
+// Clave de un total diario de estadísticas
+function analyticsKey(fecha, vehiculoId, tipo) {
+  return fecha + '|' + vehiculoId + '|' + tipo;
+}
+
+// Indica si `value` cae dentro del rango { min, max }
+function inRange(value, range) {
+  if (!range) return true;
+  if (range.min === undefined && range.max === undefined) return true;
+  if (typeof value !== 'number') return false;
+  if (range.min !== undefined && value < range.min) return false;
+  if (range.max !== undefined && value > range.max) return false;
+  return true;
+}
+
+// Indica si un vehículo cumple los filtros de `criteria`. El precio se
+// compara en la moneda del rango, convertido con `cotizacion`.
+function matches(v, filters = {}, cotizacion = null) {
+  if (filters.marca !== undefined && v.marca !== filters.marca) return false;
+  if (!inRange(v.anio, filters.anio)) return false;
+  if (filters.precio && !inRange(priceIn(v, filters.precio.moneda || 'ARS', cotizacion), filters.precio)) {
+    return false;
+  }
+  if (!inRange(v.km, filters.km)) return false;
+  if (filters.destacado === true && v.destacado !== true) return false;
+  if (filters.destacado === false && v.destacado === true) return false;
+  if (filters.estado !== undefined && estadoDe(v) !== filters.estado) return false;
+  if (FILTER_FIELDS.some((f) => filters[f] !== undefined && v[f] !== filters[f])) return false;
+  if (filters.archivados === true && !v.eliminadoEn) return false;
+  if (filters.archivados === false && v.eliminadoEn) return false;
+  if (filters.vendidosDesde !== undefined && estadoDe(v) === 'vendido') {
+    const vendido = v.fechasEstado && v.fechasEstado.vendido;
+    if (!vendido || new Date(vendido) < filters.vendidosDesde) return false;
+  }
+  return true;
+}
+
+// Valor comparable de un campo. Como en MongoDB, los valores vacíos se
+// ordenan antes que cualquier número. El precio se compara en pesos.
+function sortValue(v, field, cotizacion) {
+  const value = field === 'precio' ? priceIn(v, 'ARS', cotizacion) : v[field];
+  if (value === undefined || value === null) return -Infinity;
+  if (field === 'createdAt' || field === 'updatedAt') return new Date(value).getTime();
+  return value;
+}
+
+// Función de comparación para Array.prototype.sort
+function comparator(sort, cotizacion) {
+  return (a, b) => {
+    if (sort && sort.field) {
+      const va = sortValue(a, sort.field, cotizacion);
+      const vb = sortValue(b, sort.field, cotizacion);
+      if (va < vb) return -sort.dir;
+      if (va > vb) return sort.dir;
+    }
+    return a.id - b.id;
+  };
+}
+
+// Cuenta cuántos vehículos tienen cada valor de `field`
+function countBy(list, field) {
+  const counts = new Map();
+  list.forEach((v) => {
+    const value = v[field];
+    if (value === undefined || value === null || value === '') return;
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  return [...counts].map(([valor, cantidad]) => ({ valor, cantidad }));
+}
+
+class JsonStore {
+  /**
+   * @param {{dir: string, seedFile?: string}} options
+   */
+  constructor({ dir, seedFile }) {
+    this.description = 'archivos JSON en ' + dir;
+    this.dir = dir;
+    this.seedFile = seedFile;
+    this.vehiclesFile = new JsonFile(path.join(dir, 'vehicles.json'), []);
+    this.historyFile = new JsonFile(path.join(dir, 'history.json'), []);
+    this.leadsFile = new JsonFile(path.join(dir, 'leads.json'), []);
+    this.plansFile = new JsonFile(path.join(dir, 'plans.json'), []);
+    this.ratesFile = new JsonFile(path.join(dir, 'rates.json'), []);
+    this.tradeInsFile = new JsonFile(path.join(dir, 'trade-ins.json'), []);
+    this.bookingsFile = new JsonFile(path.join(dir, 'bookings.json'), []);
+    this.holidaysFile = new JsonFile(path.join(dir, 'holidays.json'), []);
+    this.settingsFile = new JsonFile(path.join(dir, 'settings.json'), {});
+    this.consignmentsFile = new JsonFile(path.join(dir, 'consignments.json'), []);
+    this.analyticsFile = new JsonFile(path.join(dir, 'analytics.json'), []);
+    // Eventos de estadísticas sin guardar: clave → total diario
+    this.pendingAnalytics = new Map();
+    this.analyticsTimer = null;
+    // Índice de búsqueda y contenido de vehicles.json con el que se armó
+    this.searchIndex = null;
+    this.searchIndexData = null;
+    this.vehicles = {
+      list: (criteria) => this.listVehicles(criteria),
+      facets: (filters) => this.vehicleFacets(filters),
+      get: (id) => this.getVehicle(id),
+      create: (data) => this.createVehicle(data),
+      update: (id, data) => this.updateVehicle(id, data),
+      remove: (id) => this.removeVehicle(id),
+    };
+    this.history = {
+      add: (entry) => this.addHistory(entry),
+      list: (vehiculoId) => this.listHistory(vehiculoId),
+    };
+    this.leads = {
+      create: (data) => this.createLead(data),
+      list: (filters) => this.listLeads(filters),
+      update: (id, data) => this.updateLead(id, data),
+    };
+    this.plans = {
+      list: (filters) => this.listPlans(filters),
+      create: (data) => this.createPlan(data),
+      update: (id, data) => this.updatePlan(id, data),
+      remove: (id) => this.removePlan(id),
+    };
+    this.rates = {
+      current: () => this.currentRate(),
+      list: () => this.listRates(),
+      add: (entry) => this.addRate(entry),
+    };
+    this.tradeIns = {
+      create: (data) => this.createTradeIn(data),
+      list: (filters) => this.listTradeIns(filters),
+      get: (id) => this.getTradeIn(id),
+      update: (id, data) => this.updateTradeIn(id, data),
+    };
+    this.bookings = {
+      create: (data) => this.createBooking(data),
+      list: (filters) => this.listBookings(filters),
+      findByCode: (codigo) => this.findBookingByCode(codigo),
+      update: (id, data) => this.updateBooking(id, data),
+      removeByVehicle: (vehiculoId) => this.removeBookingsByVehicle(vehiculoId),
+    };
+    this.holidays = {
+      list: () => this.listHolidays(),
+      add: (data) => this.addHoliday(data),
+      remove: (fecha) => this.removeHoliday(fecha),
+    };
+    this.settings = {
+      get: () => this.getSettings(),
+      update: (data) => this.updateSettings(data),
+    };
+    this.consignments = {
+      create: (data) => this.createConsignment(data),
+      list: () => this.listConsignments(),
+      get: (id) => this.findConsignment((c) => c.id === id),
+      findByVehicle: (vehiculoId) => this.findConsignment((c) => c.vehiculoId === vehiculoId),
+      update: (id, data) => this.updateConsignment(id, data),
+      remove: (id) => this.removeConsignment(id),
+    };
+    this.analytics = {
+      increment: (fecha, entradas) => this.incrementAnalytics(fecha, entradas),
+      list: (filters) => this.listAnalytics(filters),
+    };
+  }
+
+  // Crea el directorio de datos y, la primera vez, copia el catálogo de ejemplo
+  async connect() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const file = this.vehiclesFile.file;
+    if (this.seedFile && !fs.existsSync(file)) {
+      await fs.promises.copyFile(this.seedFile, file);
+    }
+    await this.vehiclesFile.load();
+    await this.historyFile.load();
+    await this.leadsFile.load();
+    await this.plansFile.load();
+    await this.ratesFile.load();
+    await this.tradeInsFile.load();
+    await this.bookingsFile.load();
+    await this.holidaysFile.load();
+    await this.settingsFile.load();
+    await this.consignmentsFile.load();
+    await this.analyticsFile.load();
+  }
+
+  // Guarda los eventos acumulados y espera a que terminen las escrituras
+  // pendientes
+  async close() {
+    await this.flushAnalytics();
+    await Promise.all([
+      this.vehiclesFile.queue,
+      this.historyFile.queue,
+      this.leadsFile.queue,
+      this.plansFile.queue,
+      this.ratesFile.queue,
+      this.tradeInsFile.queue,
+      this.bookingsFile.queue,
+      this.holidaysFile.queue,
+      this.settingsFile.queue,
+      this.consignmentsFile.queue,
+      this.analyticsFile.queue,
+    ]);
+  }
+
+  // Índice de búsqueda del catálogo. Se rearma cuando cambia el archivo:
+  // cada escritura de JsonFile reemplaza su contenido en memoria.
+  async getSearchIndex() {
+    const data = await this.vehiclesFile.load();
+    if (this.searchIndexData !== data) {
+      this.searchIndex = new SearchIndex(data);
+      this.searchIndexData = data;
+    }
+    return this.searchIndex;
+  }
+
+  async listVehicles({ filters, search, sort, page, limit, cotizacion = null }) {
+    const all = await this.vehiclesFile.read();
+    let filtered = all.filter((v) => matches(v, filters, cotizacion));
+    if (search) {
+      const scores = (await this.getSearchIndex()).search(search);
+      filtered = filtered.filter((v) => scores.has(v.id));
+      // Sin orden explícito, por relevancia (a igual puntaje, por id)
+      if (!sort) filtered.sort((a, b) => scores.get(b.id) - scores.get(a.id) || a.id - b.id);
+      else filtered.sort(comparator(sort, cotizacion));
+    } else {
+      filtered.sort(comparator(sort, cotizacion));
+    }
+    const start = (page - 1) * limit;
+    return { vehiculos: filtered.slice(start, start + limit), total: filtered.length };
+  }
+
+  async vehicleFacets(filters) {
+    const all = (await this.vehiclesFile.read()).filter((v) => matches(v, filters));
+    const byValue = (a, b) => (a.valor < b.valor ? -1 : a.valor > b.valor ? 1 : 0);
+    const facetas = {
+      marcas: countBy(all, 'marca').sort(byValue),
+      anios: countBy(all, 'anio').sort((a, b) => b.valor - a.valor),
+    };
+    FILTER_FIELDS.forEach((field) => {
+      facetas[FACET_NAMES[field]] = countBy(all, field).sort(byValue);
+    });
+    return facetas;
+  }
+
+  async getVehicle(id) {
+    const all = await this.vehiclesFile.read();
+    return all.find((v) => v.id === id) || null;
+  }
+
+  createVehicle(data) {
+    return this.vehiclesFile.update((all) => {
+      const now = new Date().toISOString();
+      if (data.id && all.some((v) => v.id === data.id)) {
+        const err = new Error('Ya existe un vehículo con id ' + data.id);
+        err.status = 409;
+        throw err;
+      }
+      const id = data.id || all.reduce((max, v) => Math.max(max, v.id || 0), 0) + 1;
+      const vehiculo = { id, ...data, createdAt: now, updatedAt: now };
+      all.push(vehiculo);
+      return structuredClone(vehiculo);
+    });
+  }
+
+  updateVehicle(id, data) {
+    return this.vehiclesFile.update((all) => {
+      const index = all.findIndex((v) => v.id === id);
+      if (index === -1) return null;
+      const anterior = all[index];
+      const actualizado = { ...anterior, ...data, id, updatedAt: new Date().toISOString() };
+      all[index] = actualizado;
+      return { anterior: structuredClone(anterior), actualizado: structuredClone(actualizado) };
+    });
+  }
+
+  removeVehicle(id) {
+    return this.vehiclesFile.update((all) => {
+      const index = all.findIndex((v) => v.id === id);
+      if (index === -1) return null;
+      const [eliminado] = all.splice(index, 1);
+      return eliminado;
+    });
+  }
+
+  addHistory(entry) {
+    return this.historyFile.update((all) => {
+      // JSON.stringify convierte las fechas a texto ISO, como en vehicles.json
+      const registro = JSON.parse(JSON.stringify(entry));
+      all.push(registro);
+      return registro;
+    });
+  }
+
+  async listHistory(vehiculoId) {
+    const all = await this.historyFile.read();
+    return all.filter((h) => h.vehiculoId === vehiculoId).reverse();
+  }
+
+  createLead(data) {
+    return this.leadsFile.update((all) => {
+      const now = new Date().toISOString();
+      const id = all.reduce((max, c) => Math.max(max, c.id || 0), 0) + 1;
+      const consulta = { id, ...data, createdAt: now, updatedAt: now };
+      all.push(consulta);
+      return structuredClone(consulta);
+    });
+  }
+
+  async listLeads(filters = {}) {
+    const all = await this.leadsFile.read();
+    return all
+      .filter((c) => filters.vehiculoId === undefined || c.vehiculoId === filters.vehiculoId)
+      .filter((c) => filters.estado === undefined || c.estado === filters.estado)
+      .reverse();
+  }
+
+  updateLead(id, data) {
+    return this.leadsFile.update((all) => {
+      const index = all.findIndex((c) => c.id === id);
+      if (index === -1) return null;
+      all[index] = { ...all[index], ...data, id, updatedAt: new Date().toISOString() };
+      return structuredClone(all[index]);
+    });
+  }
+
+  async listPlans(filters = {}) {
+    const all = await this.plansFile.read();
+    return all.filter((p) => !filters.activos || p.activo);
+  }
+
+  createPlan(data) {
+    return this.plansFile.update((all) => {
+      const now = new Date().toISOString();
+      const id = all.reduce((max, p) => Math.max(max, p.id || 0), 0) + 1;
+      const plan = { id, activo: true, ...data, createdAt: now, updatedAt: now };
+      all.push(plan);
+      return structuredClone(plan);
+    });
+  }
+
+  updatePlan(id, data) {
+    return this.plansFile.update((all) => {
+      const index = all.findIndex((p) => p.id === id);
+      if (index === -1) return null;
+      all[index] = { ...all[index], ...data, id, updatedAt: new Date().toISOString() };
+      return structuredClone(all[index]);
+    });
+  }
+
+  removePlan(id) {
+    return this.plansFile.update((all) => {
+      const index = all.findIndex((p) => p.id === id);
+      if (index === -1) return null;
+      const [eliminado] = all.splice(index, 1);
+      return eliminado;
+    });
+  }
+
+  async currentRate() {
+    const all = await this.ratesFile.read();
+    return all.length ? all[all.length - 1] : null;
+  }
+
+  async listRates() {
+    const all = await this.ratesFile.read();
+    return all.slice().reverse();
+  }
+
+  addRate(entry) {
+    return this.ratesFile.update((all) => {
+      const cotizacion = JSON.parse(JSON.stringify(entry));
+      all.push(cotizacion);
+      return structuredClone(cotizacion);
+    });
+  }
+
+  createTradeIn(data) {
+    return this.tradeInsFile.update((all) => {
+      const now = new Date().toISOString();
+      const id = all.reduce((max, p) => Math.max(max, p.id || 0), 0) + 1;
+      const permuta = { id, ...data, createdAt: now, updatedAt: now };
+      all.push(permuta);
+      return structuredClone(permuta);
+    });
+  }
+
+  async listTradeIns(filters = {}) {
+    const all = await this.tradeInsFile.read();
+    return all.filter((p) => filters.estado === undefined || p.estado === filters.estado).reverse();
+  }
+
+  async getTradeIn(id) {
+    const all = await this.tradeInsFile.read();
+    return all.find((p) => p.id === id) || null;
+  }
+
+  updateTradeIn(id, data) {
+    return this.tradeInsFile.update((all) => {
+      const index = all.findIndex((p) => p.id === id);
+      if (index === -1) return null;
+      all[index] = { ...all[index], ...data, id, updatedAt: new Date().toISOString() };
+      return structuredClone(all[index]);
+    });
+  }
+
+  // La verificación del horario ocupado y el alta se hacen dentro de la
+  // misma escritura, así dos reservas simultáneas no toman el mismo turno
+  createBooking(data) {
+    return this.bookingsFile.update((all) => {
+      const ocupado = all.some(
+        (t) =>
+          t.estado === 'confirmado' &&
+          t.vehiculoId === data.vehiculoId &&
+          t.fecha === data.fecha &&
+          t.hora === data.hora
+      );
+      if (ocupado) return null;
+      const now = new Date().toISOString();
+      const id = all.reduce((max, t) => Math.max(max, t.id || 0), 0) + 1;
+      const turno = { id, ...data, createdAt: now, updatedAt: now };
+      all.push(turno);
+      return structuredClone(turno);
+    });
+  }
+
+  async listBookings(filters = {}) {
+    const all = await this.bookingsFile.read();
+    return all
+      .filter((t) => filters.vehiculoId === undefined || t.vehiculoId === filters.vehiculoId)
+      .filter((t) => filters.estado === undefined || t.estado === filters.estado)
+      .filter((t) => filters.desde === undefined || t.fecha >= filters.desde)
+      .filter((t) => filters.hasta === undefined || t.fecha <= filters.hasta)
+      .sort((a, b) => a.fecha.localeCompare(b.fecha) || a.hora.localeCompare(b.hora) || a.id - b.id);
+  }
+
+  async findBookingByCode(codigo) {
+    const all = await this.bookingsFile.read();
+    return all.find((t) => t.codigo === codigo) || null;
+  }
+
+  updateBooking(id, data) {
+    return this.bookingsFile.update((all) => {
+      const index = all.findIndex((t) => t.id === id);
+      if (index === -1) return null;
+      all[index] = { ...all[index], ...data, id, updatedAt: new Date().toISOString() };
+      return structuredClone(all[index]);
+    });
+  }
+
+  removeBookingsByVehicle(vehiculoId) {
+    return this.bookingsFile.update((all) => {
+      const cantidad = all.length;
+      all.splice(0, all.length, ...all.filter((t) => t.vehiculoId !== vehiculoId));
+      return cantidad - all.length;
+    });
+  }
+
+  async listHolidays() {
+    const all = await this.holidaysFile.read();
+    return all.slice().sort((a, b) => a.fecha.localeCompare(b.fecha));
+  }
+
+  addHoliday(data) {
+    return this.holidaysFile.update((all) => {
+      if (all.some((f) => f.fecha === data.fecha)) return null;
+      const feriado = { fecha: data.fecha, motivo: data.motivo };
+      all.push(feriado);
+      return structuredClone(feriado);
+    });
+  }
+
+  removeHoliday(fecha) {
+    return this.holidaysFile.update((all) => {
+      const index = all.findIndex((f) => f.fecha === fecha);
+      if (index === -1) return null;
+      const [eliminado] = all.splice(index, 1);
+      return eliminado;
+    });
+  }
+
+  async getSettings() {
+    const ajustes = await this.settingsFile.read();
+    return Object.keys(ajustes).length ? ajustes : null;
+  }
+
+  updateSettings(data) {
+    return this.settingsFile.update((ajustes) => {
+      Object.assign(ajustes, JSON.parse(JSON.stringify(data)));
+      return structuredClone(ajustes);
+    });
+  }
+
+  // Un vehículo tiene a lo sumo una consignación: la verificación y el
+  // alta se hacen dentro de la misma escritura
+  createConsignment(data) {
+    return this.consignmentsFile.update((all) => {
+      if (all.some((c) => c.vehiculoId === data.vehiculoId)) return null;
+      const now = new Date().toISOString();
+      const id = all.reduce((max, c) => Math.max(max, c.id || 0), 0) + 1;
+      const consignacion = { id, ...data, createdAt: now, updatedAt: now };
+      all.push(consignacion);
+      return structuredClone(consignacion);
+    });
+  }
+
+  async listConsignments() {
+    return this.consignmentsFile.read();
+  }
+
+  async findConsignment(predicate) {
+    const all = await this.consignmentsFile.read();
+    return all.find(predicate) || null;
+  }
+
+  updateConsignment(id, data) {
+    return this.consignmentsFile.update((all) => {
+      const index = all.findIndex((c) => c.id === id);
+      if (index === -1) return null;
+      // La liquidación lleva fechas: se guardan como texto ISO
+      all[index] = { ...all[index], ...JSON.parse(JSON.stringify(data)), id, updatedAt: new Date().toISOString() };
+      return structuredClone(all[index]);
+    });
+  }
+
+  removeConsignment(id) {
+    return this.consignmentsFile.update((all) => {
+      const index = all.findIndex((c) => c.id === id);
+      if (index === -1) return null;
+      const [eliminada] = all.splice(index, 1);
+      return eliminada;
+    });
+  }
+
+  async incrementAnalytics(fecha, entradas) {
+    entradas.forEach(({ vehiculoId, tipo, unico }) => {
+      const key = analyticsKey(fecha, vehiculoId, tipo);
+      let registro = this.pendingAnalytics.get(key);
+      if (!registro) {
+        registro = { fecha, vehiculoId, tipo, total: 0, unicos: 0 };
+        this.pendingAnalytics.set(key, registro);
+      }
+      registro.total++;
+      if (unico) registro.unicos++;
+    });
+    if (!this.analyticsTimer) {
+      this.analyticsTimer = setTimeout(() => {
+        this.flushAnalytics().catch((err) => console.error('Error al guardar las estadísticas:', err));
+      }, ANALYTICS_FLUSH_MS);
+      // Los eventos pendientes no mantienen vivo el proceso; close() los guarda
+      this.analyticsTimer.unref();
+    }
+  }
+
+  // Suma los eventos acumulados a analytics.json en una sola escritura
+  flushAnalytics() {
+    clearTimeout(this.analyticsTimer);
+    this.analyticsTimer = null;
+    if (!this.pendingAnalytics.size) return this.analyticsFile.queue;
+    const pendientes = this.pendingAnalytics;
+    this.pendingAnalytics = new Map();
+    return this.analyticsFile.update((all) => {
+      const index = new Map(all.map((r) => [analyticsKey(r.fecha, r.vehiculoId, r.tipo), r]));
+      pendientes.forEach((p, key) => {
+        const registro = index.get(key);
+        if (registro) {
+          registro.total += p.total;
+          registro.unicos += p.unicos;
+        } else {
+          all.push(p);
+        }
+      });
+    });
+  }
+
+  async listAnalytics(filters = {}) {
+    await this.flushAnalytics();
+    const all = await this.analyticsFile.read();
+    return all
+      .filter((r) => filters.desde === undefined || r.fecha >= filters.desde)
+      .filter((r) => filters.hasta === undefined || r.fecha <= filters.hasta)
+      .sort((a, b) => a.fecha.localeCompare(b.fecha) || a.vehiculoId - b.vehiculoId);
+  }
+}
+
+module.exports = JsonStore;
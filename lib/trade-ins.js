@@ -0,0 +1,301 @@
+/*
+ * lib/trade-ins.js - Cotización de usados para permuta
+ *
+ * Los visitantes que quieren entregar su auto como parte de pago lo
+ * describen en el formulario público "Cotiza tu usado" (marca, modelo,
+ * año, kilómetros, estado general, fotos y datos de contacto),
+ * opcionalmente vinculado al vehículo del catálogo que les interesa. Las
+ * solicitudes se guardan en la colección `store.tradeIns` y el
+ * administrador las revisa en el panel, donde registra el valor de
+ * tasación y el estado de cada una.
+ *
+ * Las fotos llegan como DataURL, ya reducidas en el navegador, y se
+ * guardan en el almacén de imágenes como las de los vehículos (ver
+ * lib/images). El formulario se protege contra spam igual que las
+ * consultas: campo trampa `sitio` y límite de envíos por IP.
+ *
+ * Endpoints (ver registerTradeInRoutes):
+ *   POST  /api/permutas      → Guarda una solicitud de cotización (público).
+ *   GET   /api/permutas      → Lista las solicitudes; filtro por estado.
+ *   PATCH /api/permutas/:id  → Registra la tasación (valorTasacion, monedaTasacion)
+ *                              y/o cambia el estado.
+ */
+
+const images = require('./images');
+const { LIMITS: VEHICLE_LIMITS, EMAIL_RE, PHONE_RE, checkText } = require('./validation');
+const { checkMoneda } = require('./currency');
+const { createRateLimiter } = require('./rate-limit');
+
+// Estados de una solicitud, en el orden en que se atienden
+const ESTADOS_PERMUTA = ['pendiente', 'tasada', 'aceptada', 'rechazada'];
+
+// Estado general del usado, según el cliente
+const CONDICIONES = [
+  { valor: 'excelente', etiqueta: 'Excelente' },
+  { valor: 'muy-bueno', etiqueta: 'Muy bueno' },
+  { valor: 'bueno', etiqueta: 'Bueno' },
+  { valor: 'regular', etiqueta: 'Regular' },
+  { valor: 'a-reparar', etiqueta: 'Necesita reparaciones' },
+];
+
+const LIMITS = {
+  marca: { maxLength: 60 },
+  modelo: { maxLength: 80 },
+  observaciones: { maxLength: 1000 },
+  nombre: { maxLength: 100 },
+  telefono: { maxLength: 30 },
+  email: { maxLength: 120 },
+  fotos: { max: 4 },
+  valorTasacion: { min: 1, max: 10000000000 },
+};
+// Campos obligatorios de una solicitud
+const REQUIRED = ['marca', 'modelo', 'anio', 'km', 'condicion', 'nombre'];
+
+// Envíos permitidos por IP: 3 cada 10 minutos
+const RATE_LIMIT = { windowMs: 10 * 60 * 1000, max: 3 };
+
+// Valida un entero dentro de los límites de los vehículos (año y
+// kilómetros) y devuelve [valor, error]
+function checkInteger(value, field) {
+  if (value === undefined || value === null || value === '') return [null, null];
+  const n = typeof value === 'number' ? value : Number(String(value).trim());
+  if (!Number.isInteger(n)) return [null, 'Debe ser un número entero'];
+  const { min, max } = VEHICLE_LIMITS[field];
+  if (n < min || n > max) return [null, 'Debe estar entre ' + min + ' y ' + max];
+  return [n, null];
+}
+
+// Valida las fotos y devuelve [lista, error]. Sólo se aceptan DataURLs:
+// desde el formulario público no se puede hacer referencia a fotos del
+// almacén ni a URLs remotas.
+function checkPhotos(value) {
+  if (value === undefined || value === null) return [[], null];
+  if (!Array.isArray(value)) return [null, 'Debe ser una lista de fotos'];
+  if (value.length > LIMITS.fotos.max) {
+    return [null, 'Se permite un máximo de ' + LIMITS.fotos.max + ' fotos'];
+  }
+  const list = [];
+  for (let i = 0; i < value.length; i++) {
+    const parsed = typeof value[i] === 'string' ? images.parseImageInput(value[i]) : null;
+    if (!parsed || !parsed.dataUrl) return [null, 'La foto ' + (i + 1) + ' tiene un formato inválido'];
+    if (parsed.dataUrl.length * 0.75 > images.MAX_UPLOAD_BYTES) {
+      return [null, 'La foto ' + (i + 1) + ' supera el tamaño máximo permitido'];
+    }
+    list.push(parsed);
+  }
+  return [list, null];
+}
+
+/**
+ * Valida una solicitud recibida del formulario público.
+ * @param {object} body
+ * @returns {{data: object, errores: null}|{data: null, errores: Object<string, string>}}
+ */
+function validateTradeIn(body) {
+  const input = body && typeof body === 'object' ? body : {};
+  const data = {};
+  const errores = {};
+  const apply = (field, [value, error]) => {
+    if (error) errores[field] = error;
+    else data[field] = value;
+  };
+
+  ['marca', 'modelo', 'observaciones', 'nombre', 'telefono', 'email'].forEach((field) => {
+    apply(field, checkText(input[field], LIMITS[field]));
+  });
+  apply('anio', checkInteger(input.anio, 'anio'));
+  apply('km', checkInteger(input.km, 'km'));
+  if (input.condicion === undefined || input.condicion === null || input.condicion === '') {
+    data.condicion = null;
+  } else if (CONDICIONES.some((c) => c.valor === input.condicion)) {
+    data.condicion = input.condicion;
+  } else {
+    errores.condicion = 'Debe ser uno de: ' + CONDICIONES.map((c) => c.etiqueta).join(', ');
+  }
+  apply('fotos', checkPhotos(input.fotos));
+
+  REQUIRED.forEach((field) => {
+    if (!errores[field] && (data[field] === null || data[field] === '')) {
+      errores[field] = 'Este campo es obligatorio';
+    }
+  });
+  if (!errores.email && data.email && !EMAIL_RE.test(data.email)) {
+    errores.email = 'El email no es válido';
+  }
+  if (!errores.telefono && data.telefono && !PHONE_RE.test(data.telefono)) {
+    errores.telefono = 'El teléfono no es válido';
+  }
+  if (!errores.telefono && !errores.email && !data.telefono && !data.email) {
+    errores.telefono = 'Indica un teléfono o un email para poder responderte';
+  }
+
+  if (input.vehiculoId !== undefined && input.vehiculoId !== null && input.vehiculoId !== '') {
+    const id = Number(input.vehiculoId);
+    if (!Number.isInteger(id) || id < 1) errores.vehiculoId = 'Vehículo inválido';
+    else data.vehiculoId = id;
+  } else {
+    data.vehiculoId = null;
+  }
+
+  if (Object.keys(errores).length) {
+    return { data: null, errores };
+  }
+  return { data, errores: null };
+}
+
+/**
+ * Valida los cambios del administrador: estado y/o tasación. Un valor de
+ * tasación vacío la borra.
+ * @param {object} body
+ * @returns {{data: object, errores: null}|{data: null, errores: Object<string, string>}}
+ */
+function validateAppraisal(body) {
+  const input = body && typeof body === 'object' ? body : {};
+  const data = {};
+  const errores = {};
+  if (input.estado !== undefined) {
+    if (ESTADOS_PERMUTA.includes(input.estado)) data.estado = input.estado;
+    else errores.estado = 'Debe ser uno de: ' + ESTADOS_PERMUTA.join(', ');
+  }
+  if (input.valorTasacion !== undefined) {
+    const value = input.valorTasacion;
+    const n = value === null || value === '' ? null : Number(String(value).trim());
+    const { min, max } = LIMITS.valorTasacion;
+    if (n !== null && (!Number.isFinite(n) || n < min || n > max)) {
+      errores.valorTasacion = 'Debe ser un número entre ' + min + ' y ' + max.toLocaleString('es-AR');
+    } else {
+      data.valorTasacion = n;
+    }
+  }
+  if (input.monedaTasacion !== undefined) {
+    const [moneda, error] = checkMoneda(input.monedaTasacion);
+    if (error) errores.monedaTasacion = error;
+    else data.monedaTasacion = moneda;
+  }
+  if (!Object.keys(data).length && !Object.keys(errores).length) {
+    errores.general = 'No se indicó ningún cambio';
+  }
+  if (Object.keys(errores).length) {
+    return { data: null, errores };
+  }
+  return { data, errores: null };
+}
+
+// Prepara una solicitud para enviarla al panel: las fotos se expanden a
+// sus URLs como las de los vehículos
+function toPublicTradeIn(permuta) {
+  return { ...permuta, fotos: (permuta.fotos || []).map(images.serializeImage) };
+}
+
+/**
+ * Registra las rutas de cotización de usados.
+ * @param {import('express').Express} app
+ * @param {{store: object, requireAdmin: function, imageStorage: object}} options
+ */
+function registerTradeInRoutes(app, { store, requireAdmin, imageStorage }) {
+  const rateLimit = createRateLimiter({
+    ...RATE_LIMIT,
+    message: 'Recibimos varias solicitudes desde tu conexión. Intenta nuevamente en unos minutos.',
+  });
+
+  app.post('/api/permutas', rateLimit, async (req, res) => {
+    const body = req.body || {};
+    // Campo trampa: sólo los bots lo completan
+    if (body.sitio) {
+      return res.status(201).json({ success: true });
+    }
+    const { data, errores } = validateTradeIn(body);
+    if (errores) {
+      return res.status(400).json({ error: 'Datos inválidos', errores });
+    }
+    try {
+      let vehiculo = null;
+      if (data.vehiculoId) {
+        const v = await store.vehicles.get(data.vehiculoId);
+        if (!v || v.eliminadoEn) {
+          return res.status(400).json({
+            error: 'Datos inválidos',
+            errores: { vehiculoId: 'El vehículo no existe' },
+          });
+        }
+        // Como en las consultas, se guarda la descripción del vehículo
+        vehiculo = v.marca + ' ' + v.modelo + ' ' + v.anio;
+      }
+      const fotos = (await images.resolveImageInputs(imageStorage, data.fotos)).map(({ imagen }) => ({ imagen }));
+      try {
+        await store.tradeIns.create({
+          ...data,
+          fotos,
+          vehiculo,
+          estado: 'pendiente',
+          valorTasacion: null,
+          monedaTasacion: null,
+        });
+      } catch (err) {
+        // Sin la solicitud guardada, las fotos quedarían huérfanas
+        await Promise.all(fotos.map(({ imagen }) => images.removeImage(imageStorage, imagen).catch(() => {})));
+        throw err;
+      }
+      res.status(201).json({ success: true });
+    } catch (err) {
+      if (err.status === 400) {
+        return res.status(400).json({ error: 'Datos inválidos', errores: { fotos: err.message } });
+      }
+      console.error('Error al guardar solicitud de permuta:', err);
+      res.status(500).json({ error: 'Error interno al guardar la solicitud' });
+    }
+  });
+
+  app.get('/api/permutas', requireAdmin, async (req, res) => {
+    const filters = {};
+    if (ESTADOS_PERMUTA.includes(req.query.estado)) filters.estado = req.query.estado;
+    try {
+      const permutas = await store.tradeIns.list(filters);
+      res.json({ permutas: permutas.map(toPublicTradeIn) });
+    } catch (err) {
+      console.error('Error al obtener solicitudes de permuta:', err);
+      res.status(500).json({ error: 'Error interno al obtener las solicitudes' });
+    }
+  });
+
+  app.patch('/api/permutas/:id', requireAdmin, async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (!id) {
+      return res.status(400).json({ error: 'ID inválido' });
+    }
+    const { data, errores } = validateAppraisal(req.body);
+    if (errores) {
+      return res.status(400).json({ error: 'Datos inválidos', errores });
+    }
+    try {
+      // Al registrar un valor sin moneda se asume pesos
+      if (data.valorTasacion && !data.monedaTasacion) data.monedaTasacion = 'ARS';
+      if (data.valorTasacion === null) data.monedaTasacion = null;
+      const previa = await store.tradeIns.get(id);
+      if (!previa) {
+        return res.status(404).json({ error: 'Solicitud no encontrada' });
+      }
+      // Quién tasó cambia sólo si cambia la tasación, no con el estado
+      const tasacionCambia = ['valorTasacion', 'monedaTasacion'].some(
+        (campo) => data[campo] !== undefined && data[campo] !== (previa[campo] === undefined ? null : previa[campo])
+      );
+      if (tasacionCambia) data.tasadoPor = req.adminUser || null;
+      const permuta = await store.tradeIns.update(id, data);
+      if (!permuta) {
+        return res.status(404).json({ error: 'Solicitud no encontrada' });
+      }
+      res.json({ success: true, permuta: toPublicTradeIn(permuta) });
+    } catch (err) {
+      console.error('Error al actualizar solicitud de permuta:', err);
+      res.status(500).json({ error: 'Error interno al actualizar la solicitud' });
+    }
+  });
+}
+
+module.exports = {
+  ESTADOS_PERMUTA,
+  CONDICIONES,
+  LIMITS,
+  validateTradeIn,
+  registerTradeInRoutes,
+};
@@ -0,0 +1,194 @@
+/*
+ * lib/validation.js - Validación de los datos de vehículos
+ *
+ * Una única capa de validación compartida por el alta (POST) y la edición
+ * (PATCH/PUT) de vehículos. Convierte los valores recibidos a su tipo,
+ * verifica rangos y longitudes y devuelve los errores por campo para que
+ * el panel de administración pueda mostrarlos junto a cada input.
+ */
+
+const images = require('./images');
+const specs = require('./specs');
+const { checkMoneda } = require('./currency');
+
+// Límites de cada campo. Se exportan para que otros módulos (por ejemplo
+// la importación de catálogos) apliquen exactamente las mismas reglas.
+const LIMITS = {
+  marca: { maxLength: 60 },
+  modelo: { maxLength: 80 },
+  descripcion: { maxLength: 2000 },
+  version: { maxLength: 80 },
+  color: { maxLength: 40 },
+  puertas: { min: 2, max: 5 },
+  anio: {
+    min: 1900,
+    // Se admite el modelo del año próximo
+    get max() {
+      return new Date().getFullYear() + 1;
+    },
+  },
+  precio: { min: 1, max: 10000000000 },
+  km: { min: 0, max: 2000000 },
+  imagenes: { max: 5 },
+};
+// Campos obligatorios al crear un vehículo
+const REQUIRED = ['marca', 'modelo', 'anio', 'precio', 'km'];
+
+// Formato de los datos de contacto de los formularios (consultas,
+// permutas, turnos, consignaciones y datos de la agencia)
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_RE = /^[0-9+()\-\s]{6,}$/;
+
+/**
+ * Valida un texto opcional: lo recorta y controla su largo. Ausente
+ * equivale a vacío. La comparten todas las validaciones del servidor.
+ * @param {*} value
+ * @param {{maxLength: number}} limit Límite del campo
+ * @returns {Array} [valor, error]
+ */
+function checkText(value, limit) {
+  if (value === undefined || value === null) return ['', null];
+  if (typeof value !== 'string') return [null, 'Debe ser un texto'];
+  const text = value.trim();
+  if (text.length > limit.maxLength) {
+    return [null, 'No puede superar los ' + limit.maxLength + ' caracteres'];
+  }
+  return [text, null];
+}
+
+// Valida un número dentro de los límites del campo y devuelve [valor, error]
+function checkNumber(value, field, integer) {
+  if (value === undefined || value === null || value === '') return [null, null];
+  const n = typeof value === 'number' ? value : Number(String(value).trim());
+  if (!Number.isFinite(n)) return [null, 'Debe ser un número'];
+  if (integer && !Number.isInteger(n)) return [null, 'Debe ser un número entero'];
+  const { min, max } = LIMITS[field];
+  if (n < min || n > max) {
+    // Los años se muestran sin separador de miles
+    const fmt = (x) => (field === 'anio' ? String(x) : x.toLocaleString('es-AR'));
+    return [null, 'Debe estar entre ' + fmt(min) + ' y ' + fmt(max)];
+  }
+  return [n, null];
+}
+
+// Valida un booleano (acepta también "true"/"false") y devuelve [valor, error]
+function checkBoolean(value) {
+  if (value === undefined || value === null || value === '') return [false, null];
+  if (value === true || value === 'true') return [true, null];
+  if (value === false || value === 'false') return [false, null];
+  return [null, 'Debe ser verdadero o falso'];
+}
+
+// Valida un campo de selección de la ficha técnica (ver lib/specs.js) y
+// devuelve [valor, error]. Vacío equivale a "sin especificar" (null).
+function checkOption(value, field) {
+  if (value === undefined || value === null || value === '') return [null, null];
+  if (typeof value !== 'string') return [null, 'Debe ser un texto'];
+  const valor = specs.findOption(specs.OPTIONS[field], value);
+  if (!valor) {
+    return [null, 'Debe ser uno de: ' + specs.OPTIONS[field].map((o) => o.etiqueta).join(', ')];
+  }
+  return [valor, null];
+}
+
+// Valida el equipamiento y devuelve [lista, error]. Acepta una lista o un
+// texto con los ítems separados por "|" o comas (importación de CSV).
+function checkEquipment(value) {
+  if (value === undefined || value === null || value === '') return [[], null];
+  const items = typeof value === 'string' ? value.split(/[|,]/) : value;
+  if (!Array.isArray(items)) return [null, 'Debe ser una lista de ítems'];
+  const list = [];
+  for (const item of items) {
+    if (typeof item !== 'string') return [null, 'Debe ser una lista de ítems'];
+    if (!item.trim()) continue;
+    const valor = specs.findOption(specs.EQUIPAMIENTO, item);
+    if (!valor) return [null, 'Ítem de equipamiento desconocido: ' + item.trim()];
+    if (!list.includes(valor)) list.push(valor);
+  }
+  // Se guardan en el orden del catálogo de equipamiento
+  const order = specs.EQUIPAMIENTO.map((o) => o.valor);
+  return [list.sort((a, b) => order.indexOf(a) - order.indexOf(b)), null];
+}
+
+// Valida la lista de imágenes y devuelve [lista, error]
+function checkImages(value) {
+  if (value === undefined || value === null) return [[], null];
+  if (!Array.isArray(value)) return [null, 'Debe ser una lista de imágenes'];
+  if (value.length > LIMITS.imagenes.max) {
+    return [null, 'Se permite un máximo de ' + LIMITS.imagenes.max + ' imágenes'];
+  }
+  const list = [];
+  for (let i = 0; i < value.length; i++) {
+    const parsed = images.parseImageInput(value[i]);
+    if (!parsed) return [null, 'La imagen ' + (i + 1) + ' tiene un formato inválido'];
+    if (parsed.dataUrl && parsed.dataUrl.length * 0.75 > images.MAX_UPLOAD_BYTES) {
+      return [null, 'La imagen ' + (i + 1) + ' supera el tamaño máximo permitido'];
+    }
+    list.push(parsed);
+  }
+  return [list, null];
+}
+
+/**
+ * Valida y normaliza los datos de un vehículo recibidos del cliente.
+ *
+ * Con `partial` (edición con PATCH) sólo se validan los campos presentes
+ * en `body`; de lo contrario todos los campos se consideran enviados y los
+ * obligatorios deben tener valor.
+ *
+ * @param {object} body Cuerpo de la petición
+ * @param {{partial?: boolean}} [options]
+ * @returns {{data: object, errores: null}|{data: null, errores: Object<string, string>}}
+ */
+function validateVehicle(body, { partial = false } = {}) {
+  const input = body && typeof body === 'object' ? body : {};
+  const data = {};
+  const errores = {};
+  const has = (field) => !partial || Object.prototype.hasOwnProperty.call(input, field);
+  const apply = (field, [value, error]) => {
+    if (error) errores[field] = error;
+    else data[field] = value;
+  };
+
+  ['marca', 'modelo', 'descripcion', 'version'].forEach((field) => {
+    if (has(field)) apply(field, checkText(input[field], LIMITS[field]));
+  });
+  if (has('color')) {
+    // El color se guarda con mayúscula inicial para que "blanco" y
+    // "Blanco" cuenten como el mismo valor en los filtros
+    const [color, error] = checkText(input.color, LIMITS.color);
+    apply('color', [color && color.charAt(0).toUpperCase() + color.slice(1).toLowerCase(), error]);
+  }
+  Object.keys(specs.OPTIONS).forEach((field) => {
+    if (has(field)) apply(field, checkOption(input[field], field));
+  });
+  if (has('puertas')) apply('puertas', checkNumber(input.puertas, 'puertas', true));
+  if (has('equipamiento')) apply('equipamiento', checkEquipment(input.equipamiento));
+  if (has('anio')) apply('anio', checkNumber(input.anio, 'anio', true));
+  if (has('precio')) apply('precio', checkNumber(input.precio, 'precio', false));
+  // Moneda del precio (ver lib/currency.js); vacía equivale a pesos
+  if (has('moneda')) apply('moneda', checkMoneda(input.moneda));
+  if (has('km')) apply('km', checkNumber(input.km, 'km', true));
+  if (has('destacado')) apply('destacado', checkBoolean(input.destacado));
+  if (has('imagenes')) apply('imagenes', checkImages(input.imagenes));
+
+  // Un campo obligatorio no puede quedar vacío, ni al crear ni al editar
+  REQUIRED.forEach((field) => {
+    if (has(field) && !errores[field] && (data[field] === null || data[field] === '')) {
+      errores[field] = 'Este campo es obligatorio';
+    }
+  });
+
+  if (Object.keys(errores).length) {
+    return { data: null, errores };
+  }
+  return { data, errores: null };
+}
+
+module.exports = {
+  LIMITS,
+  EMAIL_RE,
+  PHONE_RE,
+  checkText,
+  validateVehicle,
+};
@@ -0,0 +1,294 @@
+/* comparar.js - Comparación lado a lado de hasta tres vehículos. Los ids se leen de la URL (comparar.html?ids=3,5) para que la comparación se pueda compartir */
+
+// Cantidad máxima de vehículos a comparar (la misma que en script.js)
+const MAX_COMPARE = 3;
+// Clave de sessionStorage con la selección del catálogo (ver script.js)
+const COMPARE_STORAGE_KEY = 'aec_comparar';
+// Símbolo de cada moneda de los precios (el mismo que en script.js)
+const CURRENCY_SYMBOLS = { ARS: '$', USD: 'US$' };
+const ESTADO_LABELS = {
+  disponible: 'Disponible',
+  reservado: 'Reservado',
+  vendido: 'Vendido',
+};
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const cont = document.getElementById('comparar-content');
+  const ids = parseCompareIds(window.location.search);
+  setupCopyLink();
+  if (!ids.length) {
+    cont.innerHTML =
+      '<p>No elegiste vehículos para comparar. Marca "Comparar" en hasta ' + MAX_COMPARE +
+      ' vehículos del <a href="/index.html#vehiculos">catálogo</a>.</p>';
+    return;
+  }
+  try {
+    const [specs, ...vehiculos] = await Promise.all([loadSpecs(), ...ids.map(fetchVehicle)]);
+    let entries = ids.map((id, i) => ({ id, vehiculo: vehiculos[i] }));
+    const render = () => {
+      renderComparison(cont, entries, specs, (id) => {
+        // Quitar un vehículo: actualizar la URL y la selección del catálogo
+        entries = entries.filter((e) => e.id !== id);
+        const url = entries.length
+          ? 'comparar.html?ids=' + entries.map((e) => e.id).join(',')
+          : 'comparar.html';
+        window.history.replaceState(null, '', url);
+        saveCompareSelection(entries);
+        render();
+      });
+    };
+    // La comparación abierta pasa a ser la selección del catálogo, también
+    // cuando se llega desde un enlace compartido
+    saveCompareSelection(entries);
+    render();
+    document.getElementById('comparar-solo-diferencias').addEventListener('change', (e) => {
+      cont.classList.toggle('solo-diferencias', e.target.checked);
+    });
+  } catch (err) {
+    console.error(err);
+    cont.innerHTML = '<p>Error al cargar los vehículos a comparar.</p>';
+  }
+});
+
+/**
+ * Lee los ids de la query string (?ids=3,5,7), sin repetidos y como
+ * máximo MAX_COMPARE.
+ * @param {string} search
+ * @returns {number[]}
+ */
+function parseCompareIds(search) {
+  const raw = new URLSearchParams(search).get('ids') || '';
+  const ids = raw
+    .split(',')
+    .map((s) => parseInt(s, 10))
+    .filter((id) => id > 0);
+  return [...new Set(ids)].slice(0, MAX_COMPARE);
+}
+
+/**
+ * Obtiene un vehículo de la API. Devuelve null si ya no existe.
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+async function fetchVehicle(id) {
+  const res = await fetch('/api/vehiculos/' + encodeURIComponent(id));
+  if (res.status === 404) return null;
+  if (!res.ok) throw new Error('Error al solicitar el vehículo');
+  return res.json();
+}
+
+/**
+ * Obtiene las etiquetas de la ficha técnica. Si falla, la ficha se muestra
+ * con los valores tal como están guardados.
+ * @returns {Promise<{opciones: Object, equipamiento: Array}>}
+ */
+async function loadSpecs() {
+  try {
+    const res = await fetch('/api/especificaciones');
+    if (!res.ok) throw new Error('Error al solicitar la ficha técnica');
+    return await res.json();
+  } catch (err) {
+    console.error(err);
+    return { opciones: {}, equipamiento: [] };
+  }
+}
+
+// Formatea un precio con el símbolo de su moneda (pesos por defecto)
+function formatPrice(monto, moneda) {
+  return (CURRENCY_SYMBOLS[moneda] || CURRENCY_SYMBOLS.ARS) + monto.toLocaleString();
+}
+
+/**
+ * Guarda los vehículos comparados como selección del catálogo, con los
+ * datos que muestra la bandeja de script.js.
+ * @param {Array<{id: number, vehiculo: Object|null}>} entries
+ */
+function saveCompareSelection(entries) {
+  const seleccion = entries
+    .filter((e) => e.vehiculo)
+    .map(({ vehiculo }) => {
+      const first = vehiculo.imagenes && vehiculo.imagenes[0];
+      return {
+        id: vehiculo.id,
+        titulo: vehiculo.marca + ' ' + vehiculo.modelo,
+        thumb: first ? first.thumb || first.src : null,
+      };
+    });
+  try {
+    sessionStorage.setItem(COMPARE_STORAGE_KEY, JSON.stringify(seleccion));
+  } catch (err) {
+    // Sin sessionStorage (modo privado) la comparación funciona igual
+  }
+}
+
+/**
+ * Filas de la comparación: nombre y valor de cada vehículo como texto.
+ * Incluye una fila por cada ítem de equipamiento que tenga alguno.
+ * @param {Object[]} vehiculos Vehículos disponibles
+ * @param {{opciones: Object, equipamiento: Array}} specs
+ * @returns {Array<{nombre: string, valores: string[], equipamiento?: boolean}>}
+ */
+function compareRows(vehiculos, specs) {
+  const label = (list, valor) => {
+    const option = (list || []).find((o) => o.valor === valor);
+    return option ? option.etiqueta : valor;
+  };
+  const campos = [
+    ['Precio', (v) => (v.precio ? formatPrice(v.precio, v.moneda) : null)],
+    // Equivalente en pesos con la cotización del dólar, para comparar
+    // vehículos publicados en monedas distintas
+    [
+      'Precio en pesos',
+      (v) => (v.precios && v.precios.ARS ? (v.moneda === 'USD' ? '≈ ' : '') + formatPrice(v.precios.ARS, 'ARS') : null),
+    ],
+    ['Año', (v) => v.anio],
+    ['Kilómetros', (v) => (v.km ? v.km.toLocaleString() + ' km' : '0 km')],
+    ['Estado', (v) => ESTADO_LABELS[v.estado]],
+    ['Versión', (v) => v.version],
+    ['Carrocería', (v) => v.carroceria && label(specs.opciones.carroceria, v.carroceria)],
+    ['Combustible', (v) => v.combustible && label(specs.opciones.combustible, v.combustible)],
+    ['Transmisión', (v) => v.transmision && label(specs.opciones.transmision, v.transmision)],
+    ['Puertas', (v) => v.puertas],
+    ['Color', (v) => v.color],
+  ];
+  const filas = campos.map(([nombre, valor]) => ({
+    nombre,
+    valores: vehiculos.map((v) => {
+      const value = valor(v);
+      return value === undefined || value === null || value === '' ? '—' : String(value);
+    }),
+  }));
+  // Equipamiento en el orden del catálogo; los ítems desconocidos al final
+  const items = [];
+  vehiculos.forEach((v) => {
+    (Array.isArray(v.equipamiento) ? v.equipamiento : []).forEach((item) => {
+      if (!items.includes(item)) items.push(item);
+    });
+  });
+  const orden = (specs.equipamiento || []).map((o) => o.valor);
+  const posicion = (item) => (orden.includes(item) ? orden.indexOf(item) : orden.length);
+  items.sort((a, b) => posicion(a) - posicion(b));
+  items.forEach((item) => {
+    filas.push({
+      nombre: label(specs.equipamiento, item),
+      valores: vehiculos.map((v) => (Array.isArray(v.equipamiento) && v.equipamiento.includes(item) ? '✓' : '—')),
+      equipamiento: true,
+    });
+  });
+  return filas;
+}
+
+/**
+ * Dibuja la tabla de comparación: una columna por vehículo y una fila por
+ * dato. Las filas cuyos valores difieren se resaltan.
+ * @param {HTMLElement} cont
+ * @param {Array<{id: number, vehiculo: Object|null}>} entries
+ * @param {{opciones: Object, equipamiento: Array}} specs
+ * @param {function(number)} onRemove Se llama al quitar un vehículo
+ */
+function renderComparison(cont, entries, specs, onRemove) {
+  cont.innerHTML = '';
+  if (!entries.length) {
+    cont.innerHTML = '<p>No quedan vehículos para comparar. Elige otros en el <a href="/index.html#vehiculos">catálogo</a>.</p>';
+    return;
+  }
+  const disponibles = entries.filter((e) => e.vehiculo);
+  if (disponibles.length < 2) {
+    const aviso = document.createElement('p');
+    aviso.className = 'comparar-aviso';
+    aviso.innerHTML = 'Agrega otro vehículo desde el <a href="/index.html#vehiculos">catálogo</a> para compararlos.';
+    cont.appendChild(aviso);
+  }
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'comparar-tabla-wrapper';
+  const table = document.createElement('table');
+  table.className = 'comparar-tabla';
+
+  // Encabezado: foto, nombre y botón para quitar cada vehículo
+  const headRow = document.createElement('tr');
+  headRow.appendChild(document.createElement('th'));
+  entries.forEach(({ id, vehiculo }) => {
+    const th = document.createElement('th');
+    th.className = 'comparar-vehiculo';
+    if (vehiculo) {
+      const img = document.createElement('img');
+      const first = vehiculo.imagenes && vehiculo.imagenes[0];
+      img.src = first ? first.card || first.src : 'https://source.unsplash.com/featured/600x400/?car';
+      img.alt = vehiculo.marca + ' ' + vehiculo.modelo;
+      if (first) {
+        const x = typeof first.offsetX === 'number' ? first.offsetX : 50;
+        const y = typeof first.offsetY === 'number' ? first.offsetY : 50;
+        img.style.objectPosition = x + '% ' + y + '%';
+      }
+      const link = document.createElement('a');
+      link.href = vehiculo.url;
+      link.textContent = vehiculo.marca + ' ' + vehiculo.modelo;
+      th.appendChild(img);
+      th.appendChild(link);
+    } else {
+      const msg = document.createElement('span');
+      msg.className = 'comparar-no-disponible';
+      msg.textContent = 'Vehículo no disponible';
+      th.appendChild(msg);
+    }
+    const quitar = document.createElement('button');
+    quitar.type = 'button';
+    quitar.className = 'btn-link';
+    quitar.textContent = 'Quitar';
+    quitar.addEventListener('click', () => onRemove(id));
+    th.appendChild(quitar);
+    headRow.appendChild(th);
+  });
+  const thead = document.createElement('thead');
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+
+  // Filas de datos. Los vehículos no disponibles dejan su columna vacía y
+  // no cuentan para decidir si una fila tiene diferencias.
+  const tbody = document.createElement('tbody');
+  compareRows(
+    disponibles.map((e) => e.vehiculo),
+    specs
+  ).forEach((fila) => {
+    const tr = document.createElement('tr');
+    if (fila.equipamiento) tr.classList.add('fila-equipamiento');
+    if (new Set(fila.valores).size > 1) tr.classList.add('fila-diferente');
+    const th = document.createElement('th');
+    th.textContent = fila.nombre;
+    tr.appendChild(th);
+    let i = 0;
+    entries.forEach(({ vehiculo }) => {
+      const td = document.createElement('td');
+      if (vehiculo) td.textContent = fila.valores[i++];
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+  wrapper.appendChild(table);
+  cont.appendChild(wrapper);
+}
+
+// Botón para copiar la URL de la comparación
+function setupCopyLink() {
+  const btn = document.getElementById('btn-copiar-comparacion');
+  btn.addEventListener('click', () => {
+    const url = window.location.href;
+    if (!navigator.clipboard) {
+      window.prompt('Copia este enlace para compartir la comparación:', url);
+      return;
+    }
+    navigator.clipboard
+      .writeText(url)
+      .then(() => {
+        btn.textContent = '¡Enlace copiado!';
+        setTimeout(() => {
+          btn.textContent = 'Copiar enlace';
+        }, 2000);
+      })
+      .catch(() => {
+        window.prompt('Copia este enlace para compartir la comparación:', url);
+      });
+  });
+}
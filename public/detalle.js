@@ -1,25 +1,37 @@
-/* detalle.js - Página de detalles para un vehículo específico con galería de miniaturas y contacto por WhatsApp */
+/* detalle.js - Página de detalles para un vehículo específico con galería de miniaturas, favoritos, simulador de cuotas, contacto por WhatsApp, enlace para cotizar un usado, reserva de turnos, formulario de consulta y estadísticas de visitas */
 
 document.addEventListener('DOMContentLoaded', async () => {
-  // Obtener el parámetro id de la URL
-  const params = new URLSearchParams(window.location.search);
-  const idParam = params.get('id');
-  const id = idParam ? parseInt(idParam, 10) : null;
+  // Obtener el id de la URL (/vehiculo/3-volkswagen-amarok-2017)
+  const match = window.location.pathname.match(/^\/vehiculo\/(\d+)/);
+  const id = match ? parseInt(match[1], 10) : null;
   const cont = document.getElementById('detalle-content');
   if (!id) {
     cont.innerHTML = '<p>No se especificó ningún vehículo.</p>';
     return;
   }
   try {
-    // Solicitar todos los vehículos al backend
-    const res = await fetch('/api/vehiculos');
-    if (!res.ok) throw new Error('Error al solicitar vehículos');
-    const vehicles = await res.json();
-    const vehiculo = vehicles.find((v) => v.id === id);
-    if (!vehiculo) {
+    // Solicitar únicamente el vehículo indicado al backend
+    const [res, specs, planes, ajustes] = await Promise.all([
+      fetch('/api/vehiculos/' + encodeURIComponent(id)),
+      loadSpecs(),
+      loadFinancingPlans(),
+      loadSiteSettings(),
+    ]);
+    renderFooter(ajustes);
+    if (res.status === 404) {
       cont.innerHTML = '<p>No se encontró el vehículo solicitado.</p>';
       return;
     }
+    if (!res.ok) throw new Error('Error al solicitar el vehículo');
+    const vehiculo = await res.json();
+    trackEvent('vista', [vehiculo.id]);
+    // El uso de la galería se cuenta una vez por visita
+    let galeriaRegistrada = false;
+    const trackGallery = () => {
+      if (galeriaRegistrada) return;
+      galeriaRegistrada = true;
+      trackEvent('galeria', [vehiculo.id]);
+    };
     // Preparar contenedor general
     const layout = document.createElement('div');
     layout.className = 'detalle-layout';
@@ -35,11 +47,19 @@ document.addEventListener('DOMContentLoaded', async () => {
     mainImg.style.objectFit = 'contain';
     mainImg.style.width = '100%';
     mainImg.style.height = 'auto';
-    // Tomar la primera imagen como principal
+    // Tomar la primera imagen como principal. Cada imagen trae sus URLs en
+    // tamaño completo (src) y miniatura (thumb).
     const imagenes = Array.isArray(vehiculo.imagenes) ? vehiculo.imagenes : [];
     let currentIndex = 0;
+    // Aplica el punto focal guardado de una imagen a un elemento <img>
+    function applyFocus(el, img) {
+      const x = typeof img.offsetX === 'number' ? img.offsetX : 50;
+      const y = typeof img.offsetY === 'number' ? img.offsetY : 50;
+      el.style.objectPosition = x + '% ' + y + '%';
+    }
     if (imagenes.length) {
-      mainImg.src = imagenes[0];
+      mainImg.src = imagenes[0].src;
+      applyFocus(mainImg, imagenes[0]);
     } else {
       mainImg.src = 'https://source.unsplash.com/featured/800x600/?car';
     }
@@ -47,7 +67,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     function updateMain(index) {
       if (!imagenes.length) return;
       currentIndex = (index + imagenes.length) % imagenes.length;
-      mainImg.src = imagenes[currentIndex];
+      mainImg.src = imagenes[currentIndex].src;
+      applyFocus(mainImg, imagenes[currentIndex]);
       // Actualizar clases activas en miniaturas
       const allThumbs = thumbs.querySelectorAll('img');
       allThumbs.forEach((t) => t.classList.remove('active'));
@@ -55,9 +76,10 @@ document.addEventListener('DOMContentLoaded', async () => {
       if (currentThumb) currentThumb.classList.add('active');
     }
     // Crear miniaturas y permitir seleccionar la imagen principal.
-    imagenes.forEach((imgSrc, idx) => {
+    imagenes.forEach((img, idx) => {
       const thumb = document.createElement('img');
-      thumb.src = imgSrc;
+      thumb.src = img.thumb || img.src;
+      applyFocus(thumb, img);
       thumb.className = 'thumbnail';
       // Marcar la primera imagen como activa por defecto
       if (idx === 0) {
@@ -65,6 +87,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       }
       thumb.addEventListener('click', () => {
         updateMain(idx);
+        trackGallery();
       });
       thumbs.appendChild(thumb);
     });
@@ -78,6 +101,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       prevBtn.innerHTML = '&lsaquo;';
       prevBtn.addEventListener('click', () => {
         updateMain(currentIndex - 1);
+        trackGallery();
       });
       nextBtn = document.createElement('button');
       nextBtn.className = 'nav-arrow next';
@@ -85,6 +109,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       nextBtn.innerHTML = '&rsaquo;';
       nextBtn.addEventListener('click', () => {
         updateMain(currentIndex + 1);
+        trackGallery();
       });
     }
     // Crear contenedor para la imagen principal y las flechas
@@ -103,30 +128,82 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Título
     const titulo = document.createElement('h2');
     titulo.textContent = vehiculo.marca + ' ' + vehiculo.modelo;
+    // Etiqueta de estado para los reservados y vendidos
+    if (vehiculo.estado === 'reservado' || vehiculo.estado === 'vendido') {
+      const estado = document.createElement('span');
+      estado.className = 'etiqueta-estado etiqueta-' + vehiculo.estado;
+      estado.textContent = vehiculo.estado === 'vendido' ? 'Vendido' : 'Reservado';
+      titulo.appendChild(estado);
+    }
+    titulo.appendChild(buildFavoriteButton(vehiculo));
     info.appendChild(titulo);
     // Año
     const anioP = document.createElement('p');
     anioP.innerHTML = '<strong>Año:</strong> ' + vehiculo.anio;
     info.appendChild(anioP);
-    // Precio
+    // Precio en su moneda y, si hay cotización del dólar, en la otra
     const precioP = document.createElement('p');
-    precioP.innerHTML = '<strong>Precio:</strong> $' + (vehiculo.precio ? vehiculo.precio.toLocaleString() : '');
+    precioP.innerHTML =
+      '<strong>Precio:</strong> ' + (vehiculo.precio ? formatPrice(vehiculo.precio, vehiculo.moneda) : '');
+    // Precio anterior y etiqueta si bajó de precio recientemente
+    if (vehiculo.bajoDePrecio) {
+      precioP.innerHTML +=
+        ' <s class="precio-anterior">' + formatPrice(vehiculo.bajoDePrecio.precioAnterior, vehiculo.moneda) + '</s>' +
+        ' <span class="etiqueta-baja-precio">Bajó de precio</span>';
+    }
+    const otraMoneda = vehiculo.moneda === 'USD' ? 'ARS' : 'USD';
+    if (vehiculo.precios && typeof vehiculo.precios[otraMoneda] === 'number') {
+      precioP.innerHTML +=
+        ' <span class="precio-equivalente">(≈ ' + formatPrice(vehiculo.precios[otraMoneda], otraMoneda) + ')</span>';
+    }
     info.appendChild(precioP);
     // Kilómetros
     const kmP = document.createElement('p');
-    kmP.innerHTML = '<strong>Kilómetros:</strong> ' + (vehiculo.km ? vehiculo.km.toLocaleString() + ' km' : '');
+    kmP.innerHTML = '<strong>Kilómetros:</strong> ' + (vehiculo.km ? vehiculo.km.toLocaleString() + ' km' : '0 km');
     info.appendChild(kmP);
     // Descripción
     const descP = document.createElement('p');
     descP.innerHTML = '<strong>Descripción:</strong> ' + (vehiculo.descripcion || '');
     info.appendChild(descP);
-    // Botón WhatsApp
+    // Ficha técnica y equipamiento
+    const ficha = buildSpecTable(vehiculo, specs);
+    if (ficha) info.appendChild(ficha);
+    // Botón WhatsApp con el número y el mensaje configurados en el panel.
+    // El enlace al vehículo muestra su vista previa en el chat; si se usa
+    // el simulador, se agrega el plan elegido.
     const whatsappLink = document.createElement('a');
-    whatsappLink.href = 'https://wa.me/543489639033?text=' + encodeURIComponent('Hola, me interesa el ' + vehiculo.marca + ' ' + vehiculo.modelo + '.');
+    const mensajeBase = ajustes ? buildWhatsappMessage(ajustes.mensajeWhatsapp, vehiculo) : '';
+    const setWhatsappMessage = (detalle) => {
+      if (!ajustes) return;
+      const texto = mensajeBase + (detalle ? '\n' + detalle : '');
+      whatsappLink.href = 'https://wa.me/' + ajustes.whatsapp + '?text=' + encodeURIComponent(texto);
+    };
+    setWhatsappMessage();
     whatsappLink.className = 'btn-whatsapp';
     whatsappLink.target = '_blank';
-    whatsappLink.textContent = 'Consultar por WhatsApp';
-    info.appendChild(whatsappLink);
+    whatsappLink.addEventListener('click', () => trackEvent('whatsapp', [vehiculo.id]));
+    whatsappLink.textContent = vehiculo.estado === 'vendido'
+      ? 'Consultar por unidades similares'
+      : 'Consultar por WhatsApp';
+    // Simulador de cuotas con los planes configurados en el panel. Se
+    // financia en pesos, así que hace falta el precio en pesos.
+    if (planes.length && vehiculo.precios && vehiculo.precios.ARS && vehiculo.estado !== 'vendido') {
+      info.appendChild(buildFinancingSimulator(vehiculo, planes, setWhatsappMessage));
+    }
+    // Sin los datos de la agencia no se conoce el número de WhatsApp
+    if (ajustes) info.appendChild(whatsappLink);
+    // Cotización del usado que el comprador entregaría por este vehículo
+    if (vehiculo.estado !== 'vendido') {
+      const permutaLink = document.createElement('a');
+      permutaLink.href = '/index.html?permuta=' + encodeURIComponent(vehiculo.id) + '#cotiza-tu-usado';
+      permutaLink.className = 'permuta-link';
+      permutaLink.textContent = '¿Tienes un usado? Cotízalo como parte de pago';
+      info.appendChild(permutaLink);
+      // Turno para probar el vehículo o verlo en la agencia
+      info.appendChild(buildBookingForm(vehiculo));
+    }
+    // Formulario de consulta, alternativa al WhatsApp que queda registrada
+    info.appendChild(buildInquiryForm(vehiculo));
     // Montar estructura
     // Agregar la imagen envuelta (con flechas) y luego la información
     mainSection.appendChild(imageWrapper);
@@ -138,4 +215,626 @@ document.addEventListener('DOMContentLoaded', async () => {
     console.error(err);
     cont.innerHTML = '<p>Error al cargar los detalles del vehículo.</p>';
   }
-});
\ No newline at end of file
+});
+/**
+ * Obtiene los datos de la agencia (número de WhatsApp, mensaje y pie de
+ * página). Si falla, devuelve null y la página se muestra sin el botón
+ * de WhatsApp.
+ * @returns {Promise<Object|null>}
+ */
+async function loadSiteSettings() {
+  try {
+    const res = await fetch('/api/config');
+    if (!res.ok) throw new Error('Error al solicitar los datos de la agencia');
+    return (await res.json()).ajustes;
+  } catch (err) {
+    console.error(err);
+    return null;
+  }
+}
+
+// Reemplaza las variables {vehiculo} y {url} del mensaje de WhatsApp. Con
+// funciones, un "$" en el modelo no se interpreta como patrón de reemplazo.
+function buildWhatsappMessage(plantilla, vehiculo) {
+  const nombre = vehiculo.marca + ' ' + vehiculo.modelo;
+  const url = window.location.origin + vehiculo.url;
+  return plantilla.replace(/\{vehiculo\}/g, () => nombre).replace(/\{url\}/g, () => url);
+}
+
+// Texto del pie de página con el nombre de la agencia (como en script.js)
+function renderFooter(ajustes) {
+  const pie = document.getElementById('pie-texto');
+  if (!pie || !ajustes) return;
+  pie.textContent = '© ' + new Date().getFullYear() + ' ' + ajustes.nombre + '. ' + ajustes.pie;
+}
+
+/**
+ * Envía un evento anónimo para las estadísticas del panel (como en
+ * script.js; ver lib/analytics.js). Si sendBeacon no envía o falla, se
+ * usa fetch con keepalive. Los errores se ignoran.
+ * @param {string} tipo vista, galeria o whatsapp.
+ * @param {number[]} vehiculoIds
+ */
+function trackEvent(tipo, vehiculoIds) {
+  const body = JSON.stringify({ tipo, vehiculoIds });
+  try {
+    const blob = new Blob([body], { type: 'application/json' });
+    if (navigator.sendBeacon && navigator.sendBeacon('/api/eventos', blob)) return;
+  } catch (err) {
+    // Se intenta con fetch
+  }
+  try {
+    fetch('/api/eventos', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      keepalive: true,
+    }).catch(() => {});
+  } catch (err) {
+    // Sin estadísticas
+  }
+}
+
+// Favoritos guardados en el navegador (los mismos que en script.js)
+const FAVORITES_STORAGE_KEY = 'aec_favoritos';
+const MAX_FAVORITES = 30;
+
+function loadFavorites() {
+  try {
+    const data = JSON.parse(localStorage.getItem(FAVORITES_STORAGE_KEY) || '[]');
+    return Array.isArray(data) ? data.filter((item) => item && item.id) : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Crea el botón para guardar el vehículo en favoritos o quitarlo.
+ * @param {Object} vehiculo
+ * @returns {HTMLButtonElement}
+ */
+function buildFavoriteButton(vehiculo) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'btn-favorito';
+  const update = () => {
+    const active = loadFavorites().some((item) => item.id === vehiculo.id);
+    btn.classList.toggle('activo', active);
+    btn.setAttribute('aria-pressed', String(active));
+    btn.title = active ? 'Quitar de favoritos' : 'Guardar en favoritos';
+    btn.setAttribute('aria-label', btn.title);
+    btn.textContent = active ? '♥' : '♡';
+  };
+  btn.addEventListener('click', () => {
+    let favorites = loadFavorites();
+    if (favorites.some((item) => item.id === vehiculo.id)) {
+      favorites = favorites.filter((item) => item.id !== vehiculo.id);
+    } else if (favorites.length >= MAX_FAVORITES) {
+      alert('Puedes guardar hasta ' + MAX_FAVORITES + ' favoritos. Quita alguno para agregar otro.');
+      return;
+    } else {
+      const first = vehiculo.imagenes && vehiculo.imagenes[0];
+      favorites.unshift({
+        id: vehiculo.id,
+        titulo: vehiculo.marca + ' ' + vehiculo.modelo + ' ' + vehiculo.anio,
+        thumb: first ? first.card || first.src : null,
+      });
+    }
+    try {
+      localStorage.setItem(FAVORITES_STORAGE_KEY, JSON.stringify(favorites));
+    } catch (err) {
+      console.error('No se pudieron guardar los favoritos:', err);
+    }
+    update();
+  });
+  update();
+  return btn;
+}
+
+/**
+ * Obtiene los planes de financiación activos. Si falla, la página se
+ * muestra sin simulador.
+ * @returns {Promise<Object[]>}
+ */
+async function loadFinancingPlans() {
+  try {
+    const res = await fetch('/api/financiacion/planes');
+    if (!res.ok) throw new Error('Error al solicitar los planes de financiación');
+    return (await res.json()).planes;
+  } catch (err) {
+    console.error(err);
+    return [];
+  }
+}
+
+// Símbolo de cada moneda de los precios (el mismo que en script.js)
+const CURRENCY_SYMBOLS = { ARS: '$', USD: 'US$' };
+
+// Formatea un precio con el símbolo de su moneda (pesos por defecto)
+function formatPrice(monto, moneda) {
+  return (CURRENCY_SYMBOLS[moneda] || CURRENCY_SYMBOLS.ARS) + monto.toLocaleString();
+}
+
+// Formatea un importe en pesos, sin decimales
+function formatMoney(value) {
+  return '$' + Math.round(value).toLocaleString('es-AR');
+}
+
+/**
+ * Cuota fija mensual (sistema francés) de un préstamo.
+ * @param {number} monto Monto financiado
+ * @param {number} tna Tasa nominal anual, en porcentaje
+ * @param {number} cuotas Cantidad de cuotas mensuales
+ * @returns {number}
+ */
+function installmentAmount(monto, tna, cuotas) {
+  const i = tna / 100 / 12;
+  if (!i) return monto / cuotas;
+  return (monto * i) / (1 - Math.pow(1 + i, -cuotas));
+}
+
+/**
+ * Crea el simulador de cuotas: el comprador elige el plan, el anticipo y
+ * la cantidad de cuotas, y ve la cuota mensual y el costo total.
+ * @param {Object} vehiculo
+ * @param {Object[]} planes Planes activos ({ id, nombre, descripcion, tna, cuotas, anticipoMinimo })
+ * @param {function(string|null)} onChange Recibe la descripción del plan
+ *   elegido para el mensaje de WhatsApp, o null si los datos no son válidos
+ * @returns {HTMLElement}
+ */
+function buildFinancingSimulator(vehiculo, planes, onChange) {
+  // Precio en pesos; en los vehículos en dólares, según la cotización vigente
+  const precio = vehiculo.precios.ARS;
+  const section = document.createElement('div');
+  section.className = 'simulador';
+  section.innerHTML =
+    '<h3>Simula tu financiación</h3>' +
+    '<label for="simulador-plan">Plan</label>' +
+    '<select id="simulador-plan"></select>' +
+    '<p class="simulador-descripcion"></p>' +
+    '<div class="simulador-campos">' +
+    '<div><label for="simulador-anticipo">Anticipo</label>' +
+    '<input type="number" id="simulador-anticipo" min="0" max="' + precio + '" step="1000">' +
+    '<small class="simulador-ayuda"></small></div>' +
+    '<div><label for="simulador-cuotas">Cuotas</label>' +
+    '<select id="simulador-cuotas"></select></div>' +
+    '</div>' +
+    '<dl class="simulador-resultado">' +
+    '<dt>Monto a financiar</dt><dd data-campo="monto"></dd>' +
+    '<dt>Cuota mensual</dt><dd data-campo="cuota" class="simulador-cuota"></dd>' +
+    '<dt>Intereses</dt><dd data-campo="intereses"></dd>' +
+    '<dt>Total a pagar</dt><dd data-campo="total"></dd>' +
+    '</dl>' +
+    '<p class="simulador-aviso">Valores de referencia calculados con cuota fija y la tasa nominal anual ' +
+    'del plan. No incluyen gastos ni seguros y están sujetos a aprobación crediticia.' +
+    (vehiculo.moneda === 'USD' ? ' El precio en pesos se calcula con la cotización del dólar del día.' : '') +
+    '</p>';
+  const planSelect = section.querySelector('#simulador-plan');
+  const anticipoInput = section.querySelector('#simulador-anticipo');
+  const cuotasSelect = section.querySelector('#simulador-cuotas');
+  const ayuda = section.querySelector('.simulador-ayuda');
+  const campo = (name) => section.querySelector('[data-campo="' + name + '"]');
+
+  planes.forEach((plan) => {
+    const opt = document.createElement('option');
+    opt.value = plan.id;
+    opt.textContent = plan.nombre + (plan.tna ? ' · TNA ' + plan.tna.toLocaleString('es-AR') + '%' : ' · Sin interés');
+    planSelect.appendChild(opt);
+  });
+  const planActual = () => planes.find((p) => String(p.id) === planSelect.value);
+  const anticipoMinimo = (plan) => Math.ceil((precio * (plan.anticipoMinimo || 0)) / 100);
+
+  // Recalcula el resultado con los valores elegidos
+  function update() {
+    const plan = planActual();
+    const anticipo = Number(anticipoInput.value);
+    const minimo = anticipoMinimo(plan);
+    const valido = anticipoInput.value !== '' && anticipo >= minimo && anticipo < precio;
+    ayuda.textContent = valido
+      ? 'Mínimo ' + formatMoney(minimo) + ' (' + (plan.anticipoMinimo || 0) + '%)'
+      : 'El anticipo debe estar entre ' + formatMoney(minimo) + ' y ' + formatMoney(precio - 1);
+    ayuda.classList.toggle('field-error', !valido);
+    if (!valido) {
+      ['monto', 'cuota', 'intereses', 'total'].forEach((name) => {
+        campo(name).textContent = '—';
+      });
+      onChange(null);
+      return;
+    }
+    const cuotas = Number(cuotasSelect.value);
+    const monto = precio - anticipo;
+    const cuota = installmentAmount(monto, plan.tna, cuotas);
+    campo('monto').textContent = formatMoney(monto);
+    campo('cuota').textContent = cuotas + ' × ' + formatMoney(cuota);
+    campo('intereses').textContent = formatMoney(cuota * cuotas - monto);
+    campo('total').textContent = formatMoney(anticipo + cuota * cuotas);
+    onChange(
+      'Me gustaría financiarlo con el plan ' + plan.nombre + ': anticipo de ' + formatMoney(anticipo) +
+        ' y ' + cuotas + ' cuotas de ' + formatMoney(cuota) + '.'
+    );
+  }
+
+  // Al cambiar de plan se actualizan las cuotas posibles y el anticipo mínimo
+  function selectPlan() {
+    const plan = planActual();
+    const anterior = Number(cuotasSelect.value);
+    cuotasSelect.innerHTML = '';
+    plan.cuotas.forEach((n) => {
+      const opt = document.createElement('option');
+      opt.value = n;
+      opt.textContent = n + (n === 1 ? ' cuota' : ' cuotas');
+      cuotasSelect.appendChild(opt);
+    });
+    if (plan.cuotas.includes(anterior)) cuotasSelect.value = anterior;
+    section.querySelector('.simulador-descripcion').textContent = plan.descripcion || '';
+    const minimo = anticipoMinimo(plan);
+    anticipoInput.min = minimo;
+    if (anticipoInput.value === '' || Number(anticipoInput.value) < minimo) anticipoInput.value = minimo;
+    update();
+  }
+
+  planSelect.addEventListener('change', selectPlan);
+  anticipoInput.addEventListener('input', update);
+  cuotasSelect.addEventListener('change', update);
+  selectPlan();
+  return section;
+}
+
+// Tipos de turno y su descripción (ver lib/bookings.js)
+const BOOKING_TYPES = { prueba: 'Prueba de manejo', visita: 'Verlo en la agencia' };
+
+// Fecha AAAA-MM-DD como "martes 20 de octubre"
+function formatBookingDate(fecha) {
+  return new Date(fecha + 'T12:00:00').toLocaleDateString('es-AR', {
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+  });
+}
+
+/**
+ * Crea el formulario para reservar un turno: el visitante elige el tipo,
+ * el día y un horario libre (GET /api/turnos/disponibilidad) y deja sus
+ * datos. Al confirmar se ofrece el archivo .ics del turno.
+ * @param {Object} vehiculo
+ * @returns {HTMLFormElement}
+ */
+function buildBookingForm(vehiculo) {
+  const form = document.createElement('form');
+  form.className = 'turno-form';
+  form.noValidate = true;
+  form.innerHTML =
+    '<h3>Agendar prueba de manejo</h3>' +
+    '<div class="turno-tipos">' +
+    Object.keys(BOOKING_TYPES)
+      .map(
+        (tipo, i) =>
+          '<label><input type="radio" name="tipo" value="' + tipo + '"' + (i === 0 ? ' checked' : '') + '> ' +
+          BOOKING_TYPES[tipo] + '</label>'
+      )
+      .join('') +
+    '</div>' +
+    '<label for="turno-fecha">Día</label>' +
+    '<select id="turno-fecha" name="fecha"></select>' +
+    '<label>Horario</label>' +
+    '<div class="turno-horarios" data-campo="hora"></div>' +
+    '<label for="turno-nombre">Nombre</label>' +
+    '<input type="text" id="turno-nombre" name="nombre" maxlength="100" autocomplete="name" required>' +
+    '<label for="turno-telefono">Teléfono</label>' +
+    '<input type="tel" id="turno-telefono" name="telefono" maxlength="30" autocomplete="tel">' +
+    '<label for="turno-email">Email</label>' +
+    '<input type="email" id="turno-email" name="email" maxlength="120" autocomplete="email">' +
+    // Campo trampa para bots: oculto para las personas (ver lib/bookings.js)
+    '<div class="campo-trampa" aria-hidden="true">' +
+    '<label for="turno-sitio">Sitio web</label>' +
+    '<input type="text" id="turno-sitio" name="sitio" tabindex="-1" autocomplete="off">' +
+    '</div>' +
+    '<button type="submit" class="btn-small">Reservar turno</button>' +
+    '<p class="consulta-estado" role="status"></p>' +
+    '<p class="turno-confirmado hidden"></p>';
+  const fechaSelect = form.elements.fecha;
+  const horarios = form.querySelector('.turno-horarios');
+  const status = form.querySelector('.consulta-estado');
+  const confirmado = form.querySelector('.turno-confirmado');
+  // Días con sus horarios, y horario elegido
+  let dias = [];
+  let hora = null;
+
+  function renderSlots() {
+    const dia = dias.find((d) => d.fecha === fechaSelect.value);
+    horarios.innerHTML = '';
+    (dia ? dia.horarios : []).forEach((h) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'turno-horario' + (h.hora === hora ? ' seleccionado' : '');
+      btn.textContent = h.hora;
+      btn.disabled = !h.disponible;
+      if (!h.disponible) btn.title = 'Ocupado';
+      btn.addEventListener('click', () => {
+        hora = h.hora;
+        renderSlots();
+      });
+      horarios.appendChild(btn);
+    });
+  }
+
+  // Carga los horarios libres, conservando el día elegido si sigue disponible
+  async function loadAvailability() {
+    try {
+      const res = await fetch('/api/turnos/disponibilidad?vehiculoId=' + encodeURIComponent(vehiculo.id));
+      if (!res.ok) throw new Error('Error al solicitar los horarios');
+      dias = (await res.json()).dias.filter((d) => d.horarios.some((h) => h.disponible));
+    } catch (err) {
+      console.error(err);
+      dias = [];
+    }
+    const anterior = fechaSelect.value;
+    fechaSelect.innerHTML = '';
+    dias.forEach((d) => {
+      const opt = document.createElement('option');
+      opt.value = d.fecha;
+      opt.textContent = formatBookingDate(d.fecha);
+      fechaSelect.appendChild(opt);
+    });
+    if (dias.some((d) => d.fecha === anterior)) fechaSelect.value = anterior;
+    hora = null;
+    renderSlots();
+    if (!dias.length) {
+      status.textContent = 'No hay horarios libres en los próximos días. Escríbenos por WhatsApp para coordinar.';
+    }
+  }
+
+  function clearErrors() {
+    form.querySelectorAll('.field-error').forEach((el) => el.remove());
+    form.querySelectorAll('.input-error').forEach((el) => el.classList.remove('input-error'));
+  }
+
+  function showErrors(errores) {
+    Object.keys(errores).forEach((campo) => {
+      const input = campo === 'hora' ? horarios : form.elements[campo];
+      if (!input) return;
+      input.classList.add('input-error');
+      const msg = document.createElement('span');
+      msg.className = 'field-error';
+      msg.textContent = errores[campo];
+      input.insertAdjacentElement('afterend', msg);
+    });
+  }
+
+  fechaSelect.addEventListener('change', () => {
+    hora = null;
+    renderSlots();
+  });
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    clearErrors();
+    confirmado.classList.add('hidden');
+    if (!hora) {
+      showErrors({ hora: 'Elige un horario' });
+      return;
+    }
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+    status.textContent = 'Reservando...';
+    try {
+      const res = await fetch('/api/turnos', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          vehiculoId: vehiculo.id,
+          tipo: form.elements.tipo.value,
+          fecha: fechaSelect.value,
+          hora,
+          nombre: form.elements.nombre.value,
+          telefono: form.elements.telefono.value,
+          email: form.elements.email.value,
+          sitio: form.elements.sitio.value,
+        }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (res.status === 400 && data.errores) {
+        showErrors(data.errores);
+        status.textContent = 'Revisa los datos marcados.';
+        return;
+      }
+      if (res.status === 409) {
+        // Otro cliente tomó el horario mientras se completaba el formulario
+        status.textContent = data.error;
+        await loadAvailability();
+        return;
+      }
+      if (!res.ok) {
+        status.textContent = data.error || 'No se pudo reservar el turno. Intenta nuevamente.';
+        return;
+      }
+      status.textContent = '';
+      if (data.turno) {
+        confirmado.innerHTML = '';
+        confirmado.append(
+          '¡Listo! Te esperamos el ' + formatBookingDate(data.turno.fecha) + ' a las ' + data.turno.hora + ' hs. '
+        );
+        const link = document.createElement('a');
+        link.href = data.turno.calendario;
+        link.download = '';
+        link.textContent = 'Agregar a mi calendario';
+        confirmado.appendChild(link);
+        confirmado.classList.remove('hidden');
+      }
+      form.elements.nombre.value = '';
+      form.elements.telefono.value = '';
+      form.elements.email.value = '';
+      await loadAvailability();
+    } catch (err) {
+      console.error(err);
+      status.textContent = 'No se pudo reservar el turno. Intenta nuevamente.';
+    } finally {
+      button.disabled = false;
+    }
+  });
+
+  loadAvailability();
+  return form;
+}
+
+/**
+ * Obtiene las etiquetas de la ficha técnica. Si falla, la ficha se muestra
+ * con los valores tal como están guardados.
+ * @returns {Promise<{opciones: Object, equipamiento: Array}>}
+ */
+async function loadSpecs() {
+  try {
+    const res = await fetch('/api/especificaciones');
+    if (!res.ok) throw new Error('Error al solicitar la ficha técnica');
+    return await res.json();
+  } catch (err) {
+    console.error(err);
+    return { opciones: {}, equipamiento: [] };
+  }
+}
+
+/**
+ * Crea la tabla de la ficha técnica con los campos que tienen valor y la
+ * lista de equipamiento. Devuelve null si el vehículo no tiene ficha.
+ * @param {Object} vehiculo
+ * @param {{opciones: Object, equipamiento: Array}} specs
+ * @returns {HTMLElement|null}
+ */
+function buildSpecTable(vehiculo, specs) {
+  const label = (list, valor) => {
+    const option = (list || []).find((o) => o.valor === valor);
+    return option ? option.etiqueta : valor;
+  };
+  const filas = [
+    ['Versión', vehiculo.version],
+    ['Carrocería', vehiculo.carroceria && label(specs.opciones.carroceria, vehiculo.carroceria)],
+    ['Combustible', vehiculo.combustible && label(specs.opciones.combustible, vehiculo.combustible)],
+    ['Transmisión', vehiculo.transmision && label(specs.opciones.transmision, vehiculo.transmision)],
+    ['Puertas', vehiculo.puertas],
+    ['Color', vehiculo.color],
+  ].filter(([, valor]) => valor !== undefined && valor !== null && valor !== '');
+  const equipamiento = Array.isArray(vehiculo.equipamiento) ? vehiculo.equipamiento : [];
+  if (!filas.length && !equipamiento.length) return null;
+
+  const section = document.createElement('div');
+  section.className = 'ficha-tecnica';
+  if (filas.length) {
+    const titulo = document.createElement('h3');
+    titulo.textContent = 'Ficha técnica';
+    section.appendChild(titulo);
+    const table = document.createElement('table');
+    filas.forEach(([nombre, valor]) => {
+      const tr = document.createElement('tr');
+      const th = document.createElement('th');
+      th.textContent = nombre;
+      const td = document.createElement('td');
+      td.textContent = valor;
+      tr.appendChild(th);
+      tr.appendChild(td);
+      table.appendChild(tr);
+    });
+    section.appendChild(table);
+  }
+  if (equipamiento.length) {
+    const titulo = document.createElement('h3');
+    titulo.textContent = 'Equipamiento';
+    section.appendChild(titulo);
+    const ul = document.createElement('ul');
+    ul.className = 'equipamiento-lista';
+    equipamiento.forEach((item) => {
+      const li = document.createElement('li');
+      li.textContent = label(specs.equipamiento, item);
+      ul.appendChild(li);
+    });
+    section.appendChild(ul);
+  }
+  return section;
+}
+
+/**
+ * Crea el formulario de consulta del vehículo. Envía los datos a
+ * POST /api/consultas y muestra los errores junto a cada campo.
+ * @param {Object} vehiculo
+ * @returns {HTMLFormElement}
+ */
+function buildInquiryForm(vehiculo) {
+  const form = document.createElement('form');
+  form.className = 'consulta-form';
+  form.noValidate = true;
+  form.innerHTML =
+    '<h3>Déjanos tu consulta</h3>' +
+    '<label for="consulta-nombre">Nombre</label>' +
+    '<input type="text" id="consulta-nombre" name="nombre" maxlength="100" autocomplete="name" required>' +
+    '<label for="consulta-telefono">Teléfono</label>' +
+    '<input type="tel" id="consulta-telefono" name="telefono" maxlength="30" autocomplete="tel">' +
+    '<label for="consulta-email">Email</label>' +
+    '<input type="email" id="consulta-email" name="email" maxlength="120" autocomplete="email">' +
+    '<label for="consulta-mensaje">Mensaje</label>' +
+    '<textarea id="consulta-mensaje" name="mensaje" rows="4" maxlength="2000" required></textarea>' +
+    // Campo trampa para bots: oculto para las personas (ver lib/leads.js)
+    '<div class="campo-trampa" aria-hidden="true">' +
+    '<label for="consulta-sitio">Sitio web</label>' +
+    '<input type="text" id="consulta-sitio" name="sitio" tabindex="-1" autocomplete="off">' +
+    '</div>' +
+    '<button type="submit" class="btn-small">Enviar consulta</button>' +
+    '<p class="consulta-estado" role="status"></p>';
+  form.elements.mensaje.value = 'Hola, me interesa el ' + vehiculo.marca + ' ' + vehiculo.modelo + '.';
+  const status = form.querySelector('.consulta-estado');
+
+  function clearErrors() {
+    form.querySelectorAll('.field-error').forEach((el) => el.remove());
+    form.querySelectorAll('.input-error').forEach((el) => el.classList.remove('input-error'));
+  }
+
+  function showErrors(errores) {
+    Object.keys(errores).forEach((campo) => {
+      const input = form.elements[campo];
+      if (!input) return;
+      input.classList.add('input-error');
+      const msg = document.createElement('span');
+      msg.className = 'field-error';
+      msg.textContent = errores[campo];
+      input.insertAdjacentElement('afterend', msg);
+    });
+  }
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    clearErrors();
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+    status.textContent = 'Enviando...';
+    try {
+      const res = await fetch('/api/consultas', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          vehiculoId: vehiculo.id,
+          nombre: form.elements.nombre.value,
+          telefono: form.elements.telefono.value,
+          email: form.elements.email.value,
+          mensaje: form.elements.mensaje.value,
+          sitio: form.elements.sitio.value,
+        }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (res.status === 400 && data.errores) {
+        showErrors(data.errores);
+        status.textContent = 'Revisa los datos marcados.';
+        return;
+      }
+      if (!res.ok) {
+        status.textContent = data.error || 'No se pudo enviar la consulta. Intenta nuevamente.';
+        return;
+      }
+      form.reset();
+      status.textContent = '¡Gracias! Recibimos tu consulta y te responderemos a la brevedad.';
+    } catch (err) {
+      console.error(err);
+      status.textContent = 'No se pudo enviar la consulta. Intenta nuevamente.';
+    } finally {
+      button.disabled = false;
+    }
+  });
+  return form;
+}
@@ -14,412 +14,2934 @@
 
 (function () {
   // ---------- Configuración y datos iniciales ----------
-  const DEFAULT_VEHICLES = [
-    {
-      id: 1,
-      marca: 'Ford',
-      modelo: 'EcoSport',
-      anio: 2019,
-      precio: 4200000,
-      km: 60000,
-      descripcion: 'SUV compacta en excelente estado, ideal para ciudad y ruta.',
-      destacado: true,
-      imagenes: [
-        'https://source.unsplash.com/featured/600x400/?suv,ford',
-      ],
-    },
-    {
-      id: 2,
-      marca: 'Toyota',
-      modelo: 'Corolla',
-      anio: 2018,
-      precio: 3800000,
-      km: 75000,
-      descripcion: 'Sedán confortable con bajo consumo y excelente rendimiento.',
-      destacado: false,
-      imagenes: [
-        'https://source.unsplash.com/featured/600x400/?sedan,toyota',
-      ],
-    },
-    {
-      id: 3,
-      marca: 'Volkswagen',
-      modelo: 'Amarok',
-      anio: 2017,
-      precio: 5000000,
-      km: 90000,
-      descripcion: 'Pickup potente ideal para trabajo y aventura.',
-      destacado: true,
-      imagenes: [
-        'https://source.unsplash.com/featured/600x400/?pickup,volkswagen',
-      ],
-    },
-    {
-      id: 4,
-      marca: 'Peugeot',
-      modelo: '208',
-      anio: 2024,
-      precio: 8500000,
-      km: 0,
-      descripcion: 'Hatchback versátil y moderno, con garantía de fábrica.',
-      destacado: false,
-      imagenes: [
-        'https://source.unsplash.com/featured/600x400/?hatchback,peugeot',
-      ],
-    },
-    {
-      id: 5,
-      marca: 'Fiat',
-      modelo: 'Cronos',
-      anio: 2025,
-      precio: 7800000,
-      km: 0,
-      descripcion: 'Sedán nacional ideal para la familia y la ciudad.',
-      destacado: false,
-      imagenes: [
-        'https://source.unsplash.com/featured/600x400/?sedan,fiat',
-      ],
-    },
-    {
-      id: 6,
-      marca: 'Ford',
-      modelo: 'Maverick',
-      anio: 2025,
-      precio: 10500000,
-      km: 0,
-      descripcion: 'Pickup híbrida con tecnología de punta y eficiencia excepcional.',
-      destacado: true,
-      imagenes: [
-        'https://source.unsplash.com/featured/600x400/?pickup,ford',
-      ],
-    },
-  ];
+  // El catálogo de ejemplo vive sólo en vehicles.json, en la raíz del
+  // proyecto. Se carga con `npm run catalog -- import vehicles.json` o
+  // automáticamente al usar el almacenamiento JSON (DATA_STORE=json).
 
   // Estado local
+  // Inventario completo, cargado sólo para el panel de administración
   let vehicles = [];
+  // Vehículos archivados (baja lógica), también sólo para el panel
+  let archivedVehicles = [];
+  // Estados comerciales de un vehículo y su etiqueta visible
+  const ESTADO_LABELS = {
+    disponible: 'Disponible',
+    reservado: 'Reservado',
+    vendido: 'Vendido',
+  };
+  // Descripción de cada acción del historial de un vehículo
+  const HISTORY_LABELS = {
+    alta: 'Alta',
+    edicion: 'Edición',
+    estado: 'Cambio de estado',
+    archivo: 'Archivado',
+    restauracion: 'Restaurado',
+    eliminacion: 'Eliminado definitivamente',
+  };
+  // Estados de una consulta de cliente y su etiqueta visible
+  const LEAD_LABELS = {
+    nuevo: 'Nuevo',
+    contactado: 'Contactado',
+    cerrado: 'Cerrado',
+  };
+  // Símbolo de cada moneda de los precios (ver lib/currency.js)
+  const CURRENCY_SYMBOLS = { ARS: '$', USD: 'US$' };
+  // Cantidad de cotizaciones anteriores que se muestran en el panel
+  const RATE_HISTORY_SIZE = 10;
+  // Estados de una solicitud de "Cotiza tu usado" y su etiqueta visible
+  const TRADE_IN_LABELS = {
+    pendiente: 'Pendiente',
+    tasada: 'Tasada',
+    aceptada: 'Aceptada',
+    rechazada: 'Rechazada',
+  };
+  // Estado general del usado (ver CONDICIONES en lib/trade-ins.js)
+  const TRADE_IN_CONDITION_LABELS = {
+    excelente: 'Excelente',
+    'muy-bueno': 'Muy bueno',
+    bueno: 'Bueno',
+    regular: 'Regular',
+    'a-reparar': 'Necesita reparaciones',
+  };
+  // Tipos de turno y su etiqueta en la agenda (ver lib/bookings.js)
+  const BOOKING_TYPE_LABELS = {
+    prueba: 'Prueba de manejo',
+    visita: 'Visita',
+  };
+  // Fotos que se pueden adjuntar a "Cotiza tu usado" (el mismo límite que el servidor)
+  const MAX_TRADE_IN_PHOTOS = 4;
+  // Campo de "Cotiza tu usado" junto al que se muestra cada error del servidor
+  const TRADE_IN_FIELD_TARGETS = {
+    marca: 'permuta-marca',
+    modelo: 'permuta-modelo',
+    anio: 'permuta-anio',
+    km: 'permuta-km',
+    condicion: 'permuta-condicion',
+    observaciones: 'permuta-observaciones',
+    fotos: 'permuta-drop-area',
+    nombre: 'permuta-nombre',
+    telefono: 'permuta-telefono',
+    email: 'permuta-email',
+    vehiculoId: 'permuta-interes',
+    general: 'btn-enviar-permuta',
+  };
+  // Filtros de la ficha técnica: parámetro de la API, select del catálogo
+  // y nombre de la faceta con sus valores disponibles
+  const SPEC_FILTERS = [
+    { param: 'combustible', id: 'filtro-combustible', faceta: 'combustibles' },
+    { param: 'transmision', id: 'filtro-transmision', faceta: 'transmisiones' },
+    { param: 'carroceria', id: 'filtro-carroceria', faceta: 'carrocerias' },
+    { param: 'puertas', id: 'filtro-puertas', faceta: 'puertas' },
+    { param: 'color', id: 'filtro-color', faceta: 'colores' },
+  ];
+  // Opciones de la ficha técnica ({ opciones, equipamiento }), cargadas de
+  // /api/especificaciones para armar el formulario del panel
+  let specOptions = { opciones: {}, equipamiento: [] };
+  // Campos internos que no se muestran en el historial
+  const HISTORY_HIDDEN_FIELDS = ['fechasEstado', 'eliminadoEn', 'precioAnterior', 'precioBajoEn'];
+  // Página actual del catálogo público
+  let currentPage = 1;
+  // Número de la última consulta del catálogo, para descartar respuestas
+  // que lleguen fuera de orden cuando el usuario cambia filtros rápido
+  let filterRequestSeq = 0;
+  // Cantidad de vehículos por página en el catálogo público
+  const PAGE_SIZE = 12;
+  // Cantidad máxima de vehículos a comparar (ver comparar.js)
+  const MAX_COMPARE = 3;
+  // Clave de sessionStorage con los vehículos elegidos para comparar
+  const COMPARE_STORAGE_KEY = 'aec_comparar';
+  // Vehículos elegidos para comparar: [{ id, titulo, thumb }]. Se guardan en
+  // sessionStorage para conservarlos al pasar por el detalle y volver.
+  let compareSelection = [];
+  // Cantidad máxima de favoritos guardados
+  const MAX_FAVORITES = 30;
+  // Clave de localStorage con los favoritos (la misma que en detalle.js)
+  const FAVORITES_STORAGE_KEY = 'aec_favoritos';
+  // Favoritos del visitante, del más reciente al más antiguo:
+  // [{ id, titulo, thumb }]. El título y la foto se guardan para poder
+  // mostrar el favorito aunque el vehículo se elimine.
+  let favorites = [];
+  // Ids recibidos en un enlace de favoritos compartido (?favoritos=3,5), o
+  // null si se muestran los favoritos propios
+  let sharedFavoriteIds = null;
+  // Vehículos de los favoritos ya consultados: id → vehículo, o null si
+  // ya no está disponible
+  const favoriteVehicles = new Map();
+  // Número de la última actualización de la vista de favoritos, para
+  // descartar respuestas viejas
+  let favoritesRenderSeq = 0;
+  // Planes de financiación del simulador (todos, sólo para el panel)
+  let financingPlans = [];
+  // Id del plan que se está editando, o null al crear uno nuevo
+  let editingPlanId = null;
+  // Reporte de consignaciones del panel: { stock, pendientes, totales }
+  let consignmentReport = { stock: [], pendientes: [], totales: null };
+  // Id de la consignación que se está editando, o null al registrar una nueva
+  let editingConsignmentId = null;
   let loggedIn = false;
   // Almacena las imágenes seleccionadas para un nuevo vehículo.
   // Cada elemento será un objeto con la forma:
-  // { src: 'data:image/jpeg;base64,...', offsetX: 50, offsetY: 50 }
+  // { id: '<id en el almacén>', src: '/api/imagenes/<id>/thumb', offsetX: 50, offsetY: 50 }
+  // Las imágenes remotas no tienen id y su src es la URL original.
   // offsetX y offsetY son porcentajes (0-100) que indican la posición del recorte
   // que se desea mostrar en las miniaturas y en las tarjetas.
   let selectedImages = [];
-  // Referencia al área de arrastre para imágenes (se asigna en init)
-  let dropArea;
+  // Cantidad de fotos que se están subiendo al servidor
+  let pendingUploads = 0;
+  // Id del vehículo que se está editando en el formulario del panel, o
+  // null cuando el formulario se usa para dar de alta un vehículo nuevo.
+  let editingId = null;
+  // Fotos del formulario "Cotiza tu usado": DataURLs ya reducidas, que se
+  // envían junto con la solicitud
+  let tradeInPhotos = [];
+  // Fotos de "Cotiza tu usado" que todavía se están procesando
+  let pendingTradeInPhotos = 0;
+  // Vehículo del catálogo por el que el cliente entregaría su usado
+  // ({ id, titulo }), o null
+  let tradeInVehicle = null;
+
+  /**
+   * Recorre todas las páginas de la API para una vista del inventario
+   * ("admin" o "archivados", ambas requieren sesión).
+   * @param {string} vista
+   * @returns {Promise<Object[]>}
+   */
+  async function fetchAllPages(vista) {
+    const list = [];
+    let page = 1;
+    let pages = 1;
+    do {
+      const response = await fetch('/api/vehiculos?vista=' + vista + '&limit=100&page=' + page);
+      if (!response.ok) throw new Error('Error al solicitar vehículos');
+      const data = await response.json();
+      list.push(...data.vehiculos);
+      pages = data.pages;
+      page++;
+    } while (page <= pages);
+    return list;
+  }
 
   /**
-   * Carga la lista de vehículos desde el servidor mediante una llamada API.
-   * Actualiza la variable global `vehicles` con los datos obtenidos.
+   * Carga la lista completa de vehículos desde el servidor recorriendo
+   * todas las páginas de la API. La utiliza el panel de administración,
+   * que necesita ver el inventario entero (incluidos los vendidos y los
+   * archivados); el catálogo público consulta sólo la página que muestra
+   * (ver applyFilters).
+   * Actualiza las variables `vehicles` y `archivedVehicles`.
    * Si ocurre un error (por ejemplo, el servidor no está disponible), se
-   * dejará la lista vacía y se mostrará un mensaje en la consola para
+   * dejarán las listas vacías y se mostrará un mensaje en la consola para
    * facilitar la depuración.
    */
   async function fetchVehiclesFromAPI() {
     try {
-      const response = await fetch('/api/vehiculos');
-      if (!response.ok) throw new Error('Error al solicitar vehículos');
-      const data = await response.json();
-      vehicles = Array.isArray(data) ? data : [];
+      [vehicles, archivedVehicles] = await Promise.all([
+        fetchAllPages('admin'),
+        fetchAllPages('archivados'),
+      ]);
     } catch (err) {
       console.error('No se pudieron cargar los vehículos del servidor:', err);
       vehicles = [];
+      archivedVehicles = [];
+    }
+  }
+
+  // ---------- Utilidades para almacenamiento ----------
+  // Las funciones `loadVehicles` y `saveVehicles` se han eliminado en esta
+  // versión porque los vehículos ya no se almacenan en localStorage. La
+  // persistencia se maneja en el servidor. Si ves referencias a estas
+  // funciones en versiones anteriores, ignóralas.
+
+  // ---------- Estadísticas de visitas ----------
+  // Eventos anónimos para las estadísticas del panel (ver lib/analytics.js).
+  // Las impresiones de las tarjetas se juntan y se envían en un solo evento.
+  const IMPRESSION_DELAY = 1000;
+  // Vehículos cuya tarjeta ya se vio en esta carga de la página
+  const impressionsSeen = new Set();
+  let pendingImpressions = [];
+  let impressionTimer = null;
+  // Una tarjeta cuenta como vista cuando se muestra al menos a la mitad
+  const impressionObserver =
+    'IntersectionObserver' in window
+      ? new IntersectionObserver(
+          (entries) => {
+            entries.forEach((entry) => {
+              if (!entry.isIntersecting) return;
+              impressionObserver.unobserve(entry.target);
+              queueImpression(Number(entry.target.dataset.id));
+            });
+          },
+          { threshold: 0.5 }
+        )
+      : null;
+
+  /**
+   * Envía un evento de estadísticas sin demorar la navegación. Si
+   * sendBeacon no está, rechaza el envío o falla (algunos navegadores no
+   * aceptan el tipo application/json), se usa fetch con keepalive. Los
+   * errores se ignoran: las estadísticas no deben afectar al sitio.
+   * @param {string} tipo impresion, vista, galeria o whatsapp.
+   * @param {number[]} vehiculoIds
+   */
+  function trackEvent(tipo, vehiculoIds) {
+    const body = JSON.stringify({ tipo, vehiculoIds });
+    try {
+      const blob = new Blob([body], { type: 'application/json' });
+      if (navigator.sendBeacon && navigator.sendBeacon('/api/eventos', blob)) return;
+    } catch (err) {
+      // Se intenta con fetch
+    }
+    try {
+      fetch('/api/eventos', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        keepalive: true,
+      }).catch(() => {});
+    } catch (err) {
+      // Sin estadísticas
+    }
+  }
+
+  // Agrega la impresión de un vehículo al próximo envío
+  function queueImpression(id) {
+    if (!id || impressionsSeen.has(id)) return;
+    impressionsSeen.add(id);
+    pendingImpressions.push(id);
+    clearTimeout(impressionTimer);
+    impressionTimer = setTimeout(flushImpressions, IMPRESSION_DELAY);
+  }
+
+  // Envía las impresiones pendientes (también al salir de la página)
+  function flushImpressions() {
+    clearTimeout(impressionTimer);
+    if (!pendingImpressions.length) return;
+    trackEvent('impresion', pendingImpressions);
+    pendingImpressions = [];
+  }
+
+  // ---------- Renderizado de tarjetas ----------
+  // ---------- Búsqueda ----------
+  // Longitud mínima de una palabra buscada para coincidir como prefijo
+  // (la misma que usa el servidor, ver lib/search.js)
+  const MIN_PREFIX = 3;
+
+  /**
+   * Pasa un texto a minúsculas y sin acentos.
+   * @param {string} text
+   * @returns {string}
+   */
+  function normalizeText(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
+
+  /**
+   * Palabras de la búsqueda actual, normalizadas.
+   * @returns {string[]}
+   */
+  function searchTerms() {
+    return normalizeText(document.getElementById('buscador-texto').value).match(/[a-z0-9]+/g) || [];
+  }
+
+  /**
+   * Escapa un texto para insertarlo como HTML.
+   * @param {string} text
+   * @returns {string}
+   */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Devuelve el texto como HTML con las palabras que coinciden con la
+   * búsqueda dentro de <mark>. La comparación ignora mayúsculas y acentos,
+   * pero se resalta el texto original ("Sedán" al buscar "sedan").
+   * @param {string} text
+   * @param {string[]} terms Palabras buscadas, normalizadas
+   * @returns {string}
+   */
+  function highlight(text, terms) {
+    const original = text === undefined || text === null ? '' : String(text);
+    if (!terms.length) return escapeHtml(original);
+    // Texto normalizado y, por cada carácter, su posición en el original
+    let normalized = '';
+    const positions = [];
+    for (let i = 0; i < original.length; i++) {
+      for (const c of normalizeText(original[i])) {
+        normalized += c;
+        positions.push(i);
+      }
+    }
+    const marked = new Array(original.length).fill(false);
+    const wordRe = /[a-z0-9]+/g;
+    let match;
+    while ((match = wordRe.exec(normalized))) {
+      const word = match[0];
+      const hit = terms.some((t) => word === t || (t.length >= MIN_PREFIX && word.startsWith(t)));
+      if (!hit) continue;
+      for (let k = match.index; k < match.index + word.length; k++) marked[positions[k]] = true;
+    }
+    let html = '';
+    let open = false;
+    for (let i = 0; i < original.length; i++) {
+      if (marked[i] !== open) {
+        html += open ? '</mark>' : '<mark>';
+        open = marked[i];
+      }
+      html += escapeHtml(original[i]);
+    }
+    if (open) html += '</mark>';
+    return html;
+  }
+
+  /**
+   * Crea una tarjeta HTML para un vehículo.
+   * @param {Object} vehiculo Objeto de vehículo.
+   * @param {string[]} [terms] Palabras buscadas a resaltar en la tarjeta.
+   * @returns {HTMLElement}
+   */
+  function createVehicleCard(vehiculo, terms = []) {
+    const card = document.createElement('div');
+    card.className = 'vehiculo-card';
+    // Asignar el ID del vehículo al dataset para futuras referencias
+    card.dataset.id = vehiculo.id;
+    // Imagen principal (primera foto o placeholder)
+    // Si la propiedad imágenes contiene objetos con recorte, utilizar sus datos.
+    let imgSrc;
+    let offsetX = 50;
+    let offsetY = 50;
+    if (vehiculo.imagenes && vehiculo.imagenes.length) {
+      const first = vehiculo.imagenes[0];
+      if (typeof first === 'string') {
+        imgSrc = first;
+      } else {
+        // Las tarjetas usan la versión mediana de la foto
+        imgSrc = first.card || first.src;
+        // Asegurar que existan offsets numéricos
+        if (typeof first.offsetX === 'number') offsetX = first.offsetX;
+        if (typeof first.offsetY === 'number') offsetY = first.offsetY;
+      }
+    } else {
+      imgSrc = 'https://source.unsplash.com/featured/600x400/?car';
+    }
+    // Etiqueta destacado
+    let etiqueta = vehiculo.destacado
+      ? '<span class="etiqueta-destacado">Destacado</span>'
+      : '';
+    // Etiqueta de estado para los reservados y los vendidos recientes
+    if (vehiculo.estado === 'reservado' || vehiculo.estado === 'vendido') {
+      etiqueta +=
+        '<span class="etiqueta-estado etiqueta-' + vehiculo.estado + '">' +
+        ESTADO_LABELS[vehiculo.estado] + '</span>';
+      card.classList.add('vehiculo-' + vehiculo.estado);
+    }
+    // Construir la tarjeta. La imagen se recorta con object-fit: cover (ver
+    // CSS) y se centra en el punto focal elegido en el panel de
+    // administración, que se aplica en línea con object-position.
+    card.innerHTML =
+      etiqueta +
+      '<button type="button" class="btn-favorito"></button>' +
+      '<img src="' + imgSrc + '" alt="' + escapeHtml(vehiculo.marca + ' ' + vehiculo.modelo) + '"' +
+      ' style="object-position: ' + offsetX + '% ' + offsetY + '%">' +
+      '<div class="vehiculo-detalle">' +
+      '<h3>' + highlight(vehiculo.marca + ' ' + vehiculo.modelo, terms) + '</h3>' +
+      (vehiculo.version ? '<p class="vehiculo-version">' + highlight(vehiculo.version, terms) + '</p>' : '') +
+      '<div class="vehiculo-precio">' + formatPrice(vehiculo.precio, vehiculo.moneda) +
+      priceDropHtml(vehiculo) + '</div>' +
+      equivalentPriceHtml(vehiculo) +
+      '<p>Año: ' + vehiculo.anio + '</p>' +
+      '<p>Kilómetros: ' + (vehiculo.km ? vehiculo.km.toLocaleString() + ' km' : '0 km') + '</p>' +
+      '<p>' + highlight(vehiculo.descripcion, terms) + '</p>' +
+      '<button type="button" class="btn-comparar">Comparar</button>' +
+      '</div>';
+    const favoriteBtn = card.querySelector('.btn-favorito');
+    setFavoriteButtonState(favoriteBtn, isFavorite(vehiculo.id));
+    favoriteBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      toggleFavorite(vehiculo);
+    });
+    const compareBtn = card.querySelector('.btn-comparar');
+    setCompareButtonState(compareBtn, isCompared(vehiculo.id));
+    compareBtn.addEventListener('click', (e) => {
+      // Marcar para comparar no abre el detalle
+      e.stopPropagation();
+      toggleCompare(vehiculo);
+    });
+    // Al hacer clic en la tarjeta se abrirá la página de detalle en una nueva pestaña
+    card.addEventListener('click', () => {
+      openVehicleDetails(vehiculo);
+    });
+    if (impressionObserver && !impressionsSeen.has(vehiculo.id)) impressionObserver.observe(card);
+    return card;
+  }
+
+  // ---------- Favoritos ----------
+  /**
+   * Lee de localStorage los favoritos guardados.
+   * @returns {Array<{id: number, titulo: string, thumb: string|null}>}
+   */
+  function loadFavorites() {
+    try {
+      const data = JSON.parse(localStorage.getItem(FAVORITES_STORAGE_KEY) || '[]');
+      return Array.isArray(data) ? data.filter((item) => item && item.id).slice(0, MAX_FAVORITES) : [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  function saveFavorites() {
+    try {
+      localStorage.setItem(FAVORITES_STORAGE_KEY, JSON.stringify(favorites));
+    } catch (err) {
+      // Sin localStorage (modo privado) los favoritos duran hasta recargar
+    }
+  }
+
+  function isFavorite(id) {
+    return favorites.some((item) => item.id === id);
+  }
+
+  // Datos de un vehículo que se guardan con el favorito
+  function favoriteSnapshot(vehiculo) {
+    const first = vehiculo.imagenes && vehiculo.imagenes[0];
+    return {
+      id: vehiculo.id,
+      titulo: vehiculo.marca + ' ' + vehiculo.modelo + ' ' + vehiculo.anio,
+      thumb: first ? (typeof first === 'string' ? first : first.card || first.src) : null,
+    };
+  }
+
+  /**
+   * Refleja en el corazón de una tarjeta si el vehículo es favorito.
+   * @param {HTMLButtonElement} btn
+   * @param {boolean} active
+   */
+  function setFavoriteButtonState(btn, active) {
+    btn.classList.toggle('activo', active);
+    btn.setAttribute('aria-pressed', String(active));
+    btn.title = active ? 'Quitar de favoritos' : 'Guardar en favoritos';
+    btn.setAttribute('aria-label', btn.title);
+    btn.textContent = active ? '♥' : '♡';
+  }
+
+  function refreshFavoriteButtons() {
+    document.querySelectorAll('.vehiculo-card').forEach((card) => {
+      const btn = card.querySelector('.btn-favorito');
+      if (btn) setFavoriteButtonState(btn, isFavorite(Number(card.dataset.id)));
+    });
+  }
+
+  /**
+   * Agrega o quita un vehículo de los favoritos.
+   * @param {Object} vehiculo
+   */
+  function toggleFavorite(vehiculo) {
+    if (isFavorite(vehiculo.id)) {
+      favorites = favorites.filter((item) => item.id !== vehiculo.id);
+    } else if (favorites.length >= MAX_FAVORITES) {
+      alert('Puedes guardar hasta ' + MAX_FAVORITES + ' favoritos. Quita alguno para agregar otro.');
+      return;
+    } else {
+      favorites.unshift(favoriteSnapshot(vehiculo));
+      favoriteVehicles.set(vehiculo.id, vehiculo);
+    }
+    saveFavorites();
+    refreshFavoriteButtons();
+    renderFavorites();
+  }
+
+  /**
+   * Obtiene un vehículo de la API. Devuelve null si ya no está disponible
+   * (eliminado o archivado).
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  async function fetchVehicleById(id) {
+    const res = await fetch('/api/vehiculos/' + encodeURIComponent(id));
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error('Error al solicitar el vehículo');
+    return res.json();
+  }
+
+  /**
+   * Tarjeta de un favorito que ya no está en el catálogo: muestra los datos
+   * guardados y permite buscar vehículos similares o quitarlo.
+   * @param {{id: number, titulo: string, thumb: string|null}} favorito
+   * @returns {HTMLElement}
+   */
+  function createUnavailableCard(favorito) {
+    const card = document.createElement('div');
+    card.className = 'vehiculo-card vehiculo-no-disponible';
+    card.dataset.id = favorito.id;
+    card.innerHTML =
+      '<span class="etiqueta-estado etiqueta-vendido">No disponible</span>' +
+      '<img src="' + escapeHtml(favorito.thumb || 'https://source.unsplash.com/featured/600x400/?car') + '" alt="">' +
+      '<div class="vehiculo-detalle">' +
+      '<h3>' + escapeHtml(favorito.titulo) + '</h3>' +
+      '<p>Este vehículo ya no está publicado.</p>' +
+      '<div class="favorito-acciones">' +
+      '<button type="button" class="btn-link btn-similares">Buscar similares</button>' +
+      '<button type="button" class="btn-link btn-quitar-favorito">Quitar</button>' +
+      '</div>' +
+      '</div>';
+    card.querySelector('.btn-similares').addEventListener('click', () => {
+      // Buscar por marca y modelo (el año quedaría demasiado restrictivo)
+      document.getElementById('buscador-texto').value = favorito.titulo.replace(/\s+\d{4}$/, '');
+      currentPage = 1;
+      applyFilters();
+      document.getElementById('vehiculos').scrollIntoView({ behavior: 'smooth' });
+    });
+    const quitar = card.querySelector('.btn-quitar-favorito');
+    if (sharedFavoriteIds) quitar.remove();
+    else quitar.addEventListener('click', () => toggleFavorite({ id: favorito.id }));
+    return card;
+  }
+
+  /**
+   * Dibuja la vista de favoritos: los propios o, si se abrió un enlace
+   * compartido, los recibidos. Los vehículos vendidos se muestran con su
+   * estado y los eliminados con los datos guardados.
+   */
+  async function renderFavorites() {
+    const seq = ++favoritesRenderSeq;
+    const compartidos = Boolean(sharedFavoriteIds);
+    const ids = compartidos ? sharedFavoriteIds : favorites.map((item) => item.id);
+    document.getElementById('favoritos-cantidad').textContent = favorites.length;
+    document.getElementById('nav-favoritos').classList.toggle('hidden', !favorites.length);
+    document.getElementById('favoritos').classList.toggle('hidden', !ids.length && !compartidos);
+    document.getElementById('favoritos-titulo').textContent = compartidos ? 'Favoritos compartidos' : 'Mis favoritos';
+    document.getElementById('btn-compartir-favoritos').classList.toggle('hidden', compartidos || !ids.length);
+    document.getElementById('btn-guardar-compartidos').classList.toggle('hidden', !compartidos || !ids.length);
+    document.getElementById('btn-ver-mis-favoritos').classList.toggle('hidden', !compartidos);
+
+    const cont = document.getElementById('favoritos-container');
+    try {
+      await Promise.all(
+        ids
+          .filter((id) => !favoriteVehicles.has(id))
+          .map(async (id) => favoriteVehicles.set(id, await fetchVehicleById(id)))
+      );
+    } catch (err) {
+      console.error(err);
+      if (seq !== favoritesRenderSeq) return;
+      cont.innerHTML = '<p>No se pudieron cargar los favoritos. Intenta nuevamente más tarde.</p>';
+      return;
+    }
+    if (seq !== favoritesRenderSeq) return;
+
+    // Actualizar los datos guardados de los favoritos que siguen publicados
+    if (!compartidos) {
+      favorites = favorites.map((item) => {
+        const v = favoriteVehicles.get(item.id);
+        return v ? favoriteSnapshot(v) : item;
+      });
+      saveFavorites();
+    }
+
+    cont.innerHTML = '';
+    if (!ids.length) {
+      const msg = document.createElement('p');
+      msg.textContent = 'El enlace no contiene vehículos.';
+      cont.appendChild(msg);
+      return;
+    }
+    ids.forEach((id) => {
+      const vehiculo = favoriteVehicles.get(id);
+      if (vehiculo) {
+        cont.appendChild(createVehicleCard(vehiculo));
+      } else {
+        const guardado = favorites.find((item) => item.id === id);
+        cont.appendChild(createUnavailableCard(guardado || { id, titulo: 'Vehículo #' + id, thumb: null }));
+      }
+    });
+  }
+
+  /**
+   * Lee los ids de un enlace de favoritos compartido (?favoritos=3,5).
+   * @returns {number[]|null} null si la URL no tiene el parámetro
+   */
+  function parseSharedFavorites() {
+    const raw = new URLSearchParams(window.location.search).get('favoritos');
+    if (raw === null) return null;
+    const ids = raw
+      .split(',')
+      .map((id) => parseInt(id, 10))
+      .filter((id) => id > 0);
+    return [...new Set(ids)].slice(0, MAX_FAVORITES);
+  }
+
+  // Comparte el enlace a los favoritos propios: con el menú del sistema
+  // en los teléfonos o copiándolo al portapapeles
+  function shareFavorites() {
+    const url =
+      window.location.origin + '/?favoritos=' + favorites.map((item) => item.id).join(',') + '#favoritos';
+    if (navigator.share) {
+      navigator.share({ title: 'Mis favoritos - Autos en Campana', url }).catch(() => {});
+      return;
+    }
+    const btn = document.getElementById('btn-compartir-favoritos');
+    if (!navigator.clipboard) {
+      window.prompt('Copia este enlace para compartir tus favoritos:', url);
+      return;
+    }
+    navigator.clipboard
+      .writeText(url)
+      .then(() => {
+        btn.textContent = '¡Enlace copiado!';
+        setTimeout(() => {
+          btn.textContent = 'Compartir favoritos';
+        }, 2000);
+      })
+      .catch(() => {
+        window.prompt('Copia este enlace para compartir tus favoritos:', url);
+      });
+  }
+
+  // Deja de mostrar los favoritos compartidos y quita el parámetro de la URL
+  function showOwnFavorites() {
+    sharedFavoriteIds = null;
+    window.history.replaceState(null, '', window.location.pathname + '#favoritos');
+    renderFavorites();
+  }
+
+  // Agrega los favoritos compartidos que sigan publicados a los propios
+  function saveSharedFavorites() {
+    const nuevos = sharedFavoriteIds.filter((id) => favoriteVehicles.get(id) && !isFavorite(id));
+    favorites = nuevos
+      .map((id) => favoriteSnapshot(favoriteVehicles.get(id)))
+      .concat(favorites)
+      .slice(0, MAX_FAVORITES);
+    saveFavorites();
+    refreshFavoriteButtons();
+    showOwnFavorites();
+  }
+
+  // ---------- Comparación ----------
+  /**
+   * Lee de sessionStorage los vehículos elegidos para comparar.
+   * @returns {Array<{id: number, titulo: string, thumb: string|null}>}
+   */
+  function loadCompareSelection() {
+    try {
+      const data = JSON.parse(sessionStorage.getItem(COMPARE_STORAGE_KEY) || '[]');
+      return Array.isArray(data) ? data.filter((item) => item && item.id).slice(0, MAX_COMPARE) : [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  function saveCompareSelection() {
+    try {
+      sessionStorage.setItem(COMPARE_STORAGE_KEY, JSON.stringify(compareSelection));
+    } catch (err) {
+      // Sin sessionStorage (modo privado) la selección dura hasta recargar
+    }
+  }
+
+  function isCompared(id) {
+    return compareSelection.some((item) => item.id === id);
+  }
+
+  /**
+   * Refleja en el botón "Comparar" de una tarjeta si el vehículo está elegido.
+   * @param {HTMLButtonElement} btn
+   * @param {boolean} active
+   */
+  function setCompareButtonState(btn, active) {
+    btn.classList.toggle('activo', active);
+    btn.setAttribute('aria-pressed', String(active));
+    btn.textContent = active ? '✓ Comparando' : 'Comparar';
+  }
+
+  // Actualiza los botones de todas las tarjetas visibles (un vehículo
+  // puede aparecer a la vez en destacados y en el catálogo)
+  function refreshCompareButtons() {
+    document.querySelectorAll('.vehiculo-card').forEach((card) => {
+      const btn = card.querySelector('.btn-comparar');
+      if (btn) setCompareButtonState(btn, isCompared(Number(card.dataset.id)));
+    });
+  }
+
+  /**
+   * Agrega o quita un vehículo de la comparación. Si ya hay MAX_COMPARE
+   * elegidos, avisa en la bandeja en lugar de agregarlo.
+   * @param {Object} vehiculo
+   */
+  function toggleCompare(vehiculo) {
+    if (isCompared(vehiculo.id)) {
+      compareSelection = compareSelection.filter((item) => item.id !== vehiculo.id);
+    } else if (compareSelection.length >= MAX_COMPARE) {
+      renderCompareTray('Puedes comparar hasta ' + MAX_COMPARE + ' vehículos. Quita uno para agregar otro.');
+      return;
+    } else {
+      const first = vehiculo.imagenes && vehiculo.imagenes[0];
+      compareSelection.push({
+        id: vehiculo.id,
+        titulo: vehiculo.marca + ' ' + vehiculo.modelo,
+        thumb: first ? (typeof first === 'string' ? first : first.thumb || first.src) : null,
+      });
+    }
+    saveCompareSelection();
+    refreshCompareButtons();
+    renderCompareTray();
+  }
+
+  /**
+   * Dibuja la bandeja fija con los vehículos elegidos para comparar. Se
+   * oculta cuando no hay ninguno.
+   * @param {string} [aviso] Mensaje a mostrar en la bandeja
+   */
+  function renderCompareTray(aviso) {
+    const tray = document.getElementById('comparar-bandeja');
+    tray.classList.toggle('hidden', !compareSelection.length);
+    // Espacio al pie para que la bandeja no tape el final de la página
+    document.body.classList.toggle('con-comparacion', compareSelection.length > 0);
+    const lista = document.getElementById('comparar-lista');
+    lista.innerHTML = '';
+    compareSelection.forEach((item) => {
+      const li = document.createElement('li');
+      if (item.thumb) {
+        const img = document.createElement('img');
+        img.src = item.thumb;
+        img.alt = '';
+        li.appendChild(img);
+      }
+      const titulo = document.createElement('span');
+      titulo.textContent = item.titulo;
+      li.appendChild(titulo);
+      const quitar = document.createElement('button');
+      quitar.type = 'button';
+      quitar.className = 'btn-link';
+      quitar.title = 'Quitar de la comparación';
+      quitar.setAttribute('aria-label', 'Quitar ' + item.titulo + ' de la comparación');
+      quitar.textContent = '×';
+      quitar.addEventListener('click', () => toggleCompare(item));
+      li.appendChild(quitar);
+      lista.appendChild(li);
+    });
+    document.getElementById('comparar-aviso').textContent =
+      aviso || (compareSelection.length < 2 ? 'Elige otro vehículo para comparar.' : '');
+    const btn = document.getElementById('btn-comparar');
+    btn.disabled = compareSelection.length < 2;
+    btn.textContent = 'Comparar (' + compareSelection.length + ')';
+  }
+
+  // Abre la página de comparación con los ids en la URL, para que se pueda
+  // compartir
+  function openComparison() {
+    if (compareSelection.length < 2) return;
+    window.location.href = '/comparar.html?ids=' + compareSelection.map((item) => item.id).join(',');
+  }
+
+  function clearComparison() {
+    compareSelection = [];
+    saveCompareSelection();
+    refreshCompareButtons();
+    renderCompareTray();
+  }
+
+  /**
+   * Precio con el símbolo de su moneda, por ejemplo "US$12.500".
+   * @param {number} monto
+   * @param {string} [moneda] ARS (por defecto) o USD
+   * @returns {string}
+   */
+  function formatPrice(monto, moneda) {
+    return (CURRENCY_SYMBOLS[moneda] || CURRENCY_SYMBOLS.ARS) + monto.toLocaleString();
+  }
+
+  /**
+   * Precio aproximado en la otra moneda, calculado por el servidor con la
+   * cotización del dólar (`precios`). Vacío si no hay cotización.
+   * @param {Object} vehiculo
+   * @returns {string} HTML a agregar debajo del precio
+   */
+  function equivalentPriceHtml(vehiculo) {
+    const otra = vehiculo.moneda === 'USD' ? 'ARS' : 'USD';
+    const monto = vehiculo.precios && vehiculo.precios[otra];
+    if (typeof monto !== 'number') return '';
+    return '<p class="precio-equivalente">≈ ' + formatPrice(monto, otra) + '</p>';
+  }
+
+  /**
+   * Precio anterior tachado y etiqueta "Bajó de precio" si el vehículo
+   * bajó de precio recientemente (el servidor envía `bajoDePrecio`).
+   * @param {Object} vehiculo
+   * @returns {string} HTML a agregar junto al precio
+   */
+  function priceDropHtml(vehiculo) {
+    if (!vehiculo.bajoDePrecio) return '';
+    return (
+      ' <s class="precio-anterior">' + formatPrice(vehiculo.bajoDePrecio.precioAnterior, vehiculo.moneda) + '</s>' +
+      ' <span class="etiqueta-baja-precio">Bajó de precio</span>'
+    );
+  }
+
+  /**
+   * Renderiza las tarjetas destacadas al inicio de la página.
+   */
+  async function renderDestacados() {
+    const cont = document.getElementById('destacados-container');
+    let destacados = [];
+    try {
+      const res = await fetch('/api/vehiculos?destacado=true&limit=100');
+      if (!res.ok) throw new Error('Error al solicitar destacados');
+      destacados = (await res.json()).vehiculos;
+    } catch (err) {
+      console.error(err);
+    }
+    cont.innerHTML = '';
+    destacados.forEach((v) => {
+      const card = createVehicleCard(v);
+      cont.appendChild(card);
+    });
+    // Si no hay destacados, mostrar un mensaje
+    if (destacados.length === 0) {
+      const msg = document.createElement('p');
+      msg.textContent = 'No hay vehículos destacados por el momento.';
+      cont.appendChild(msg);
     }
   }
 
-  // ---------- Utilidades para almacenamiento ----------
-  // Las funciones `loadVehicles` y `saveVehicles` se han eliminado en esta
-  // versión porque los vehículos ya no se almacenan en localStorage. La
-  // persistencia se maneja en el servidor. Si ves referencias a estas
-  // funciones en versiones anteriores, ignóralas.
+  /**
+   * Renderiza la lista de vehículos de la página actual.
+   * @param {Array<Object>} lista Lista de vehículos a mostrar.
+   */
+  function renderVehiclesList(lista) {
+    const cont = document.getElementById('vehiculos-container');
+    cont.innerHTML = '';
+    if (!lista.length) {
+      const msg = document.createElement('p');
+      msg.textContent = searchTerms().length
+        ? 'No se encontraron vehículos para la búsqueda y los filtros seleccionados.'
+        : 'No se encontraron vehículos con los filtros seleccionados.';
+      cont.appendChild(msg);
+      return;
+    }
+    const terms = searchTerms();
+    lista.forEach((v) => {
+      const card = createVehicleCard(v, terms);
+      cont.appendChild(card);
+    });
+  }
+
+  /**
+   * Renderiza el total de resultados y los botones de paginación.
+   * @param {{total: number, page: number, pages: number}} data Respuesta de la API
+   */
+  function renderPagination(data) {
+    const cont = document.getElementById('vehiculos-paginacion');
+    cont.innerHTML = '';
+    if (!data.total) return;
+    const info = document.createElement('span');
+    info.className = 'paginacion-info';
+    info.textContent =
+      data.total + (data.total === 1 ? ' vehículo' : ' vehículos') +
+      (data.pages > 1 ? ' · Página ' + data.page + ' de ' + data.pages : '');
+    const makeButton = (label, page, disabled) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn-link';
+      btn.textContent = label;
+      btn.disabled = disabled;
+      btn.addEventListener('click', () => {
+        currentPage = page;
+        applyFilters();
+        document.getElementById('vehiculos').scrollIntoView({ behavior: 'smooth' });
+      });
+      return btn;
+    };
+    if (data.pages > 1) {
+      cont.appendChild(makeButton('‹ Anterior', data.page - 1, data.page <= 1));
+    }
+    cont.appendChild(info);
+    if (data.pages > 1) {
+      cont.appendChild(makeButton('Siguiente ›', data.page + 1, data.page >= data.pages));
+    }
+  }
+
+  /**
+   * Completa los selectores de marca, año y ficha técnica con los valores
+   * que devuelve el endpoint de facetas, indicando la cantidad de vehículos
+   * de cada uno. Conserva la opción elegida si sigue disponible.
+   */
+  async function populateFilterOptions() {
+    const marcaSelect = document.getElementById('filtro-marca');
+    const anioSelect = document.getElementById('filtro-anio');
+    let facetas = { marcas: [], anios: [] };
+    try {
+      const res = await fetch('/api/vehiculos/facetas');
+      if (!res.ok) throw new Error('Error al solicitar filtros');
+      facetas = await res.json();
+    } catch (err) {
+      console.error(err);
+    }
+    const fill = (select, emptyLabel, items) => {
+      const current = select.value;
+      select.innerHTML = '<option value="">' + emptyLabel + '</option>';
+      items.forEach((item) => {
+        const opt = document.createElement('option');
+        opt.value = item.valor;
+        opt.textContent = (item.etiqueta || item.valor) + ' (' + item.cantidad + ')';
+        select.appendChild(opt);
+      });
+      select.value = current;
+      // Si la opción anterior ya no existe, el select queda vacío
+      if (select.value !== current) select.value = '';
+    };
+    fill(marcaSelect, 'Todas', facetas.marcas);
+    fill(anioSelect, 'Todos', facetas.anios);
+    SPEC_FILTERS.forEach((f) => {
+      const select = document.getElementById(f.id);
+      fill(select, select.options[0].textContent, facetas[f.faceta] || []);
+    });
+  }
+
+  /**
+   * Construye los parámetros de consulta a partir de los filtros del
+   * catálogo y de la página actual.
+   * @returns {URLSearchParams}
+   */
+  function buildFilterParams() {
+    const params = new URLSearchParams();
+    const map = {
+      q: 'buscador-texto',
+      marca: 'filtro-marca',
+      anio: 'filtro-anio',
+      precioMin: 'filtro-precio-min',
+      precioMax: 'filtro-precio',
+      kmMax: 'filtro-km',
+      moneda: 'filtro-moneda',
+      sort: 'filtro-orden',
+    };
+    SPEC_FILTERS.forEach((f) => {
+      map[f.param] = f.id;
+    });
+    Object.keys(map).forEach((key) => {
+      const value = document.getElementById(map[key]).value;
+      if (value) params.set(key, value);
+    });
+    // La moneda sólo indica en qué están expresados los precios mínimo y máximo
+    if (!params.has('precioMin') && !params.has('precioMax')) params.delete('moneda');
+    params.set('page', currentPage);
+    params.set('limit', PAGE_SIZE);
+    return params;
+  }
+
+  /**
+   * Consulta al servidor la página actual del catálogo con los filtros
+   * seleccionados y actualiza la lista de vehículos.
+   */
+  async function applyFilters() {
+    const seq = ++filterRequestSeq;
+    try {
+      const res = await fetch('/api/vehiculos?' + buildFilterParams().toString());
+      if (!res.ok) throw new Error('Error al solicitar vehículos');
+      const data = await res.json();
+      // Ignorar la respuesta si mientras tanto se lanzó otra consulta
+      if (seq !== filterRequestSeq) return;
+      // Si la página quedó fuera de rango (por ejemplo tras eliminar un
+      // vehículo) volver a la última disponible
+      if (data.pages && currentPage > data.pages) {
+        currentPage = data.pages;
+        applyFilters();
+        return;
+      }
+      renderVehiclesList(data.vehiculos);
+      renderPagination(data);
+    } catch (err) {
+      if (seq !== filterRequestSeq) return;
+      console.error(err);
+      renderVehiclesList([]);
+      renderPagination({ total: 0 });
+    }
+  }
+
+  /**
+   * Vuelve a la primera página y aplica los filtros. Se usa cada vez que
+   * cambia un filtro o el orden.
+   */
+  function onFilterChange() {
+    currentPage = 1;
+    applyFilters();
+  }
+
+  /**
+   * Devuelve una versión de `fn` que se ejecuta recién cuando pasan `wait`
+   * milisegundos sin nuevas llamadas. Evita una consulta por cada tecla.
+   */
+  function debounce(fn, wait) {
+    let timer;
+    return (...args) => {
+      clearTimeout(timer);
+      timer = setTimeout(() => fn(...args), wait);
+    };
+  }
+
+  /**
+   * Abre la página de detalles del vehículo seleccionado. La URL
+   * (/vehiculo/<id>-<marca>-<modelo>-<año>) la genera el servidor.
+   * @param {Object} vehiculo Vehículo con su `url`
+   */
+  function openVehicleDetails(vehiculo) {
+    // Abrir la página de detalles en la misma pestaña para permitir
+    // regresar fácilmente con el botón de retroceso del navegador.
+    window.location.href = vehiculo.url;
+  }
+
+  /**
+   * Configura los listeners de filtro.
+   */
+  function setupFilterListeners() {
+    // Ya no se utiliza el botón de aplicar filtros porque los filtros se aplican
+    // automáticamente al cambiar cualquier campo. Esta sección se deja vacía para
+    // compatibilidad futura.
+    // Botón para limpiar filtros
+    const clearBtn = document.getElementById('btn-clear-filtros');
+    if (clearBtn) {
+      clearBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        // Restablecer todos los select e inputs de filtros
+        document.getElementById('filtro-marca').value = '';
+        document.getElementById('filtro-anio').value = '';
+        document.getElementById('filtro-precio-min').value = '';
+        document.getElementById('filtro-precio').value = '';
+        document.getElementById('filtro-moneda').value = 'ARS';
+        document.getElementById('filtro-km').value = '';
+        document.getElementById('filtro-orden').value = '';
+        document.getElementById('buscador-texto').value = '';
+        SPEC_FILTERS.forEach((f) => {
+          document.getElementById(f.id).value = '';
+        });
+        onFilterChange();
+      });
+    }
+    // Aplicar filtros automáticamente al cambiar cualquier filtro. En los
+    // campos numéricos se espera a que el usuario deje de escribir.
+    const onInput = debounce(onFilterChange, 300);
+    document.getElementById('filtro-marca').addEventListener('change', onFilterChange);
+    document.getElementById('filtro-anio').addEventListener('change', onFilterChange);
+    document.getElementById('filtro-orden').addEventListener('change', onFilterChange);
+    document.getElementById('filtro-moneda').addEventListener('change', () => {
+      // Cambiar la moneda sin precios cargados no cambia los resultados
+      if (document.getElementById('filtro-precio-min').value || document.getElementById('filtro-precio').value) {
+        onFilterChange();
+      }
+    });
+    SPEC_FILTERS.forEach((f) => {
+      document.getElementById(f.id).addEventListener('change', onFilterChange);
+    });
+    document.getElementById('filtro-precio-min').addEventListener('input', onInput);
+    document.getElementById('filtro-precio').addEventListener('input', onInput);
+    document.getElementById('filtro-km').addEventListener('input', onInput);
+    document.getElementById('buscador-texto').addEventListener('input', onInput);
+  }
+
+  // ---------- Cotiza tu usado ----------
+
+  /**
+   * Procesa las fotos elegidas en "Cotiza tu usado": se reducen a 1280 px
+   * y se guardan como DataURL hasta enviar la solicitud, porque el
+   * visitante no tiene sesión para subirlas a /api/imagenes.
+   * @param {FileList} files
+   */
+  function handleTradeInFiles(files) {
+    Array.from(files).forEach((file) => {
+      if (!file.type.startsWith('image/')) return;
+      if (tradeInPhotos.length + pendingTradeInPhotos >= MAX_TRADE_IN_PHOTOS) {
+        alert('Se permite un máximo de ' + MAX_TRADE_IN_PHOTOS + ' fotos.');
+        return;
+      }
+      pendingTradeInPhotos++;
+      readImageFile(file, 1280, 0.7, (dataUrl) => {
+        pendingTradeInPhotos--;
+        tradeInPhotos.push(dataUrl);
+        renderTradeInPhotos();
+      });
+    });
+  }
+
+  // Miniaturas de las fotos de "Cotiza tu usado", con un botón para quitar cada una
+  function renderTradeInPhotos() {
+    const preview = document.getElementById('permuta-preview');
+    preview.innerHTML = '';
+    tradeInPhotos.forEach((dataUrl, index) => {
+      const wrapper = document.createElement('div');
+      wrapper.className = 'preview-item';
+      const img = document.createElement('img');
+      img.src = dataUrl;
+      img.alt = 'Foto ' + (index + 1);
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'remove-btn';
+      removeBtn.textContent = '×';
+      removeBtn.setAttribute('aria-label', 'Quitar foto');
+      removeBtn.addEventListener('click', () => {
+        tradeInPhotos.splice(index, 1);
+        renderTradeInPhotos();
+      });
+      wrapper.appendChild(img);
+      wrapper.appendChild(removeBtn);
+      preview.appendChild(wrapper);
+    });
+  }
+
+  /**
+   * Muestra en el formulario el vehículo por el que se entregaría el usado,
+   * indicado en la URL (?permuta=ID) por el enlace de la página de detalle.
+   */
+  async function loadTradeInVehicle() {
+    const id = parseInt(new URLSearchParams(window.location.search).get('permuta'), 10);
+    if (!id) return;
+    try {
+      const v = await fetchVehicleById(id);
+      if (!v) return;
+      tradeInVehicle = { id: v.id, titulo: v.marca + ' ' + v.modelo + ' ' + v.anio };
+      document.getElementById('permuta-interes-nombre').textContent = tradeInVehicle.titulo;
+      document.getElementById('permuta-interes').classList.remove('hidden');
+    } catch (err) {
+      // Sin el vehículo, la solicitud se envía igual sin vincular
+      console.error(err);
+    }
+  }
+
+  // Desvincula el vehículo de interés y lo quita de la URL
+  function clearTradeInVehicle() {
+    tradeInVehicle = null;
+    document.getElementById('permuta-interes').classList.add('hidden');
+    window.history.replaceState(null, '', window.location.pathname + '#cotiza-tu-usado');
+  }
+
+  /**
+   * Envía la solicitud de "Cotiza tu usado" a POST /api/permutas y muestra
+   * los errores junto a cada campo.
+   * @param {Event} e
+   */
+  async function handleTradeInSubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+    const status = document.getElementById('permuta-estado');
+    clearFieldErrors(form);
+    if (pendingTradeInPhotos > 0) {
+      status.textContent = 'Espera a que terminen de procesarse las fotos.';
+      return;
+    }
+    const value = (id) => document.getElementById(id).value;
+    const button = document.getElementById('btn-enviar-permuta');
+    button.disabled = true;
+    status.textContent = 'Enviando...';
+    try {
+      const res = await fetch('/api/permutas', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          marca: value('permuta-marca'),
+          modelo: value('permuta-modelo'),
+          anio: value('permuta-anio'),
+          km: value('permuta-km'),
+          condicion: value('permuta-condicion'),
+          observaciones: value('permuta-observaciones'),
+          nombre: value('permuta-nombre'),
+          telefono: value('permuta-telefono'),
+          email: value('permuta-email'),
+          vehiculoId: tradeInVehicle ? tradeInVehicle.id : null,
+          fotos: tradeInPhotos,
+          sitio: value('permuta-sitio'),
+        }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (res.status === 400 && data.errores) {
+        showFieldErrors(data.errores, TRADE_IN_FIELD_TARGETS);
+        status.textContent = 'Revisa los datos marcados.';
+        return;
+      }
+      if (!res.ok) {
+        status.textContent = data.error || 'No se pudo enviar la solicitud. Intenta nuevamente.';
+        return;
+      }
+      form.reset();
+      tradeInPhotos = [];
+      renderTradeInPhotos();
+      status.textContent = '¡Gracias! Recibimos los datos de tu usado y te enviaremos la cotización a la brevedad.';
+    } catch (err) {
+      console.error(err);
+      status.textContent = 'No se pudo enviar la solicitud. Intenta nuevamente.';
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  // ---------- Datos de la agencia ----------
+
+  /**
+   * URL del mapa de la sección de contacto: la configurada en el panel o,
+   * si no hay, la de Google Maps para la dirección.
+   * @param {Object} ajustes
+   * @returns {string}
+   */
+  function mapEmbedUrl(ajustes) {
+    if (ajustes.mapa) return ajustes.mapa;
+    return (
+      'https://maps.google.com/maps?q=' + encodeURIComponent(ajustes.direccion) + '&t=&z=15&ie=UTF8&iwloc=&output=embed'
+    );
+  }
+
+  /**
+   * Muestra los datos de la agencia en la sección de contacto y en el pie
+   * de página.
+   * @param {Object} ajustes Respuesta de GET /api/config
+   */
+  function renderSiteSettings(ajustes) {
+    const whatsappUrl = 'https://wa.me/' + ajustes.whatsapp;
+    const telefono = document.getElementById('contacto-telefono');
+    telefono.href = whatsappUrl;
+    telefono.textContent = ajustes.telefono || ajustes.whatsapp;
+    const email = document.getElementById('contacto-email');
+    email.href = 'mailto:' + ajustes.email;
+    email.textContent = ajustes.email;
+    document.getElementById('contacto-email-linea').classList.toggle('hidden', !ajustes.email);
+    document.getElementById('contacto-direccion').textContent = ajustes.direccion;
+    document.getElementById('contacto-horario').textContent = ajustes.horario;
+    document.getElementById('contacto-horario-linea').classList.toggle('hidden', !ajustes.horario);
+    // Las redes sin enlace configurado no se muestran
+    [
+      ['red-facebook', ajustes.facebook],
+      ['red-instagram', ajustes.instagram],
+      ['red-whatsapp', whatsappUrl],
+    ].forEach(([id, url]) => {
+      const link = document.getElementById(id);
+      if (url) link.href = url;
+      link.classList.toggle('hidden', !url);
+    });
+    document.getElementById('contacto-mapa').src = mapEmbedUrl(ajustes);
+    document.getElementById('pie-texto').textContent =
+      '© ' + new Date().getFullYear() + ' ' + ajustes.nombre + '. ' + ajustes.pie;
+  }
+
+  /**
+   * Carga los datos de la agencia para las secciones públicas.
+   */
+  async function loadSiteSettings() {
+    try {
+      const res = await fetch('/api/config');
+      if (!res.ok) throw new Error('Error al solicitar los datos de la agencia');
+      renderSiteSettings((await res.json()).ajustes);
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  // ---------- Panel de administración ----------
+
+  /**
+   * Abre el panel de administración. Muestra la capa de fondo y el modal.
+   * Si no hay sesión conocida en esta página se consulta al servidor, de
+   * modo que una cookie de sesión vigente abre directamente el dashboard.
+   */
+  async function openAdmin() {
+    document.getElementById('admin-overlay').style.display = 'flex';
+    if (!loggedIn) {
+      loggedIn = await checkSession();
+    }
+    showAdminPanel();
+  }
+
+  /**
+   * Muestra el formulario de acceso o el dashboard según el estado de sesión.
+   */
+  function showAdminPanel() {
+    if (loggedIn) {
+      document.getElementById('admin-login').classList.add('hidden');
+      document.getElementById('admin-dashboard').classList.remove('hidden');
+      // El inventario completo se carga sólo al entrar al panel
+      fetchVehiclesFromAPI().then(() => {
+        renderAdminList();
+        populateLeadVehicleFilter();
+        populateConsignmentVehicles();
+      });
+      fetchLeads();
+      fetchTradeIns();
+      fetchBookings();
+      fetchHolidays();
+      fetchExchangeRates();
+      fetchPlans();
+      fetchConsignments();
+      fetchStats();
+      fetchSettings();
+    } else {
+      document.getElementById('admin-login').classList.remove('hidden');
+      document.getElementById('admin-dashboard').classList.add('hidden');
+    }
+  }
+
+  /**
+   * Consulta al servidor si existe una sesión de administrador activa.
+   * @returns {Promise<boolean>}
+   */
+  async function checkSession() {
+    try {
+      const res = await fetch('/api/auth/sesion');
+      return res.ok;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Se invoca cuando el servidor responde 401 a una operación de
+   * administración: la sesión expiró o fue cerrada en otra pestaña.
+   */
+  function handleSessionExpired() {
+    loggedIn = false;
+    showAdminPanel();
+    alert('La sesión expiró. Ingresa nuevamente.');
+  }
+
+  /**
+   * Cierra el panel de administración y limpia formularios.
+   */
+  function closeAdmin() {
+    document.getElementById('admin-overlay').style.display = 'none';
+    // Limpiar campos de login
+    document.getElementById('admin-user').value = '';
+    document.getElementById('admin-pass').value = '';
+    // Limpiar formulario de alta
+    resetVehicleForm();
+  }
+
+  /**
+   * Envía las credenciales al servidor para iniciar sesión. El servidor
+   * responde con una cookie de sesión que acompaña a las siguientes
+   * peticiones de administración.
+   */
+  async function loginAdmin() {
+    const usuario = document.getElementById('admin-user').value.trim();
+    const password = document.getElementById('admin-pass').value;
+    try {
+      const res = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ usuario, password }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        alert(data.error || 'Usuario o contraseña incorrectos');
+        return;
+      }
+      loggedIn = true;
+      document.getElementById('admin-pass').value = '';
+      showAdminPanel();
+    } catch (err) {
+      console.error(err);
+      alert('No se pudo contactar al servidor.');
+    }
+  }
+
+  /**
+   * Cierra la sesión de administrador en el servidor.
+   */
+  async function logoutAdmin() {
+    try {
+      await fetch('/api/auth/logout', { method: 'POST' });
+    } catch (err) {
+      console.error(err);
+    }
+    loggedIn = false;
+    showAdminPanel();
+  }
+
+  /**
+   * Actualiza los listados de vehículos activos y archivados en el panel
+   * de administración.
+   */
+  function renderAdminList() {
+    const listCont = document.getElementById('admin-lista-vehiculos');
+    listCont.innerHTML = '';
+    vehicles.forEach((v) => {
+      const item = document.createElement('div');
+      item.className = 'admin-lista-item';
+      const text = document.createElement('span');
+      text.textContent =
+        v.marca + ' ' + v.modelo + ' (' + v.anio + ')' + (consignmentFor(v.id) ? ' · En consignación' : '');
+      const actions = document.createElement('div');
+      actions.className = 'admin-lista-acciones';
+      // Selector de estado: el servidor rechaza las transiciones no
+      // permitidas y en ese caso se vuelve a mostrar el estado actual
+      const estadoSelect = document.createElement('select');
+      estadoSelect.className = 'admin-estado';
+      Object.keys(ESTADO_LABELS).forEach((estado) => {
+        const opt = document.createElement('option');
+        opt.value = estado;
+        opt.textContent = ESTADO_LABELS[estado];
+        estadoSelect.appendChild(opt);
+      });
+      estadoSelect.value = v.estado || 'disponible';
+      estadoSelect.addEventListener('change', () => {
+        changeVehicleStatus(v.id, estadoSelect.value);
+      });
+      const editBtn = document.createElement('button');
+      editBtn.textContent = 'Editar';
+      editBtn.dataset.id = v.id;
+      editBtn.addEventListener('click', () => {
+        startEditVehicle(v);
+      });
+      const historyBtn = document.createElement('button');
+      historyBtn.textContent = 'Historial';
+      historyBtn.addEventListener('click', () => {
+        showVehicleHistory(v);
+      });
+      const btn = document.createElement('button');
+      btn.textContent = 'Archivar';
+      btn.dataset.id = v.id;
+      btn.addEventListener('click', () => {
+        if (confirm('¿Archivar este vehículo? Dejará de mostrarse en el sitio.')) {
+          removeVehicle(v.id);
+        }
+      });
+      actions.appendChild(estadoSelect);
+      actions.appendChild(editBtn);
+      actions.appendChild(historyBtn);
+      actions.appendChild(btn);
+      item.appendChild(text);
+      item.appendChild(actions);
+      listCont.appendChild(item);
+    });
+    renderArchivedList();
+  }
+
+  /**
+   * Muestra los vehículos archivados con las acciones para restaurarlos o
+   * eliminarlos definitivamente.
+   */
+  function renderArchivedList() {
+    const listCont = document.getElementById('admin-lista-archivados');
+    listCont.innerHTML = '';
+    if (!archivedVehicles.length) {
+      listCont.innerHTML = '<p class="admin-lista-vacia">No hay vehículos archivados.</p>';
+      return;
+    }
+    archivedVehicles.forEach((v) => {
+      const item = document.createElement('div');
+      item.className = 'admin-lista-item';
+      const text = document.createElement('span');
+      text.textContent = v.marca + ' ' + v.modelo + ' (' + v.anio + ')';
+      const actions = document.createElement('div');
+      actions.className = 'admin-lista-acciones';
+      const restoreBtn = document.createElement('button');
+      restoreBtn.textContent = 'Restaurar';
+      restoreBtn.addEventListener('click', () => {
+        restoreVehicle(v.id);
+      });
+      const historyBtn = document.createElement('button');
+      historyBtn.textContent = 'Historial';
+      historyBtn.addEventListener('click', () => {
+        showVehicleHistory(v);
+      });
+      const purgeBtn = document.createElement('button');
+      purgeBtn.textContent = 'Eliminar definitivamente';
+      purgeBtn.addEventListener('click', () => {
+        const mensaje =
+          '¿Eliminar definitivamente este vehículo con sus fotos, turnos y consignación? No se puede deshacer.';
+        if (confirm(mensaje)) {
+          purgeVehicle(v.id);
+        }
+      });
+      actions.appendChild(restoreBtn);
+      actions.appendChild(historyBtn);
+      actions.appendChild(purgeBtn);
+      item.appendChild(text);
+      item.appendChild(actions);
+      listCont.appendChild(item);
+    });
+  }
+
+  /**
+   * Texto legible de un valor del historial.
+   * @param {string} campo
+   * @param {*} valor
+   * @param {string} [moneda] Moneda del precio en ese momento
+   * @returns {string}
+   */
+  function formatHistoryValue(campo, valor, moneda) {
+    // Los vehículos anteriores a los estados se consideran disponibles
+    if (campo === 'estado') return ESTADO_LABELS[valor] || ESTADO_LABELS.disponible;
+    if (valor === null || valor === undefined || valor === '') return '—';
+    if (campo === 'imagenes') return valor.length + (valor.length === 1 ? ' foto' : ' fotos');
+    if (campo === 'precio') return formatPrice(valor, moneda);
+    if (campo === 'km') return valor.toLocaleString() + ' km';
+    if (typeof valor === 'boolean') return valor ? 'Sí' : 'No';
+    const text = String(valor);
+    return text.length > 60 ? text.slice(0, 57) + '...' : text;
+  }
+
+  /**
+   * Muestra en el panel la línea de tiempo de cambios de un vehículo.
+   * @param {Object} v Vehículo
+   */
+  async function showVehicleHistory(v) {
+    const section = document.getElementById('admin-historial');
+    const list = document.getElementById('admin-historial-lista');
+    document.getElementById('admin-historial-titulo').textContent =
+      'Historial de ' + v.marca + ' ' + v.modelo + ' (' + v.anio + ')';
+    list.innerHTML = '<p class="admin-lista-vacia">Cargando...</p>';
+    section.classList.remove('hidden');
+    section.scrollIntoView({ behavior: 'smooth' });
+    try {
+      const res = await fetch('/api/vehiculos/' + encodeURIComponent(v.id) + '/historial');
+      if (res.status === 401) {
+        handleSessionExpired();
+        return;
+      }
+      if (!res.ok) throw new Error('Error al obtener el historial');
+      const { historial } = await res.json();
+      list.innerHTML = '';
+      if (!historial.length) {
+        list.innerHTML = '<p class="admin-lista-vacia">No hay cambios registrados.</p>';
+        return;
+      }
+      historial.forEach((entry) => {
+        const item = document.createElement('li');
+        const header = document.createElement('div');
+        header.className = 'historial-encabezado';
+        header.textContent =
+          new Date(entry.fecha).toLocaleString() + ' · ' +
+          (HISTORY_LABELS[entry.accion] || entry.accion) +
+          (entry.usuario ? ' · ' + entry.usuario : '');
+        item.appendChild(header);
+        // En el alta y el borrado definitivo no se detallan los campos
+        if (entry.accion !== 'alta' && entry.accion !== 'eliminacion') {
+          const cambios = document.createElement('ul');
+          Object.keys(entry.cambios || {})
+            .filter((campo) => !HISTORY_HIDDEN_FIELDS.includes(campo))
+            .forEach((campo) => {
+              const cambio = entry.cambios[campo];
+              // Si en el mismo cambio se modificó la moneda, cada precio
+              // se muestra con la suya
+              const monedas = entry.cambios.moneda || { antes: v.moneda, despues: v.moneda };
+              const li = document.createElement('li');
+              li.textContent =
+                campo + ': ' + formatHistoryValue(campo, cambio.antes, monedas.antes) + ' → ' +
+                formatHistoryValue(campo, cambio.despues, monedas.despues);
+              cambios.appendChild(li);
+            });
+          if (cambios.children.length) item.appendChild(cambios);
+        }
+        list.appendChild(item);
+      });
+    } catch (err) {
+      console.error(err);
+      list.innerHTML = '<p class="admin-lista-vacia">No se pudo cargar el historial.</p>';
+    }
+  }
+
+  /**
+   * Completa el filtro por vehículo de la bandeja de consultas con el
+   * inventario (activos y archivados), conservando la selección.
+   */
+  function populateLeadVehicleFilter() {
+    const select = document.getElementById('consultas-filtro-vehiculo');
+    const current = select.value;
+    select.innerHTML = '<option value="">Todos</option>';
+    vehicles.concat(archivedVehicles).forEach((v) => {
+      const opt = document.createElement('option');
+      opt.value = v.id;
+      opt.textContent = v.marca + ' ' + v.modelo + ' (' + v.anio + ')';
+      select.appendChild(opt);
+    });
+    select.value = current;
+  }
+
+  /**
+   * Parámetros de los filtros de la bandeja de consultas.
+   * @returns {URLSearchParams}
+   */
+  function buildLeadParams() {
+    const params = new URLSearchParams();
+    const vehiculoId = document.getElementById('consultas-filtro-vehiculo').value;
+    const estado = document.getElementById('consultas-filtro-estado').value;
+    if (vehiculoId) params.set('vehiculoId', vehiculoId);
+    if (estado) params.set('estado', estado);
+    return params;
+  }
+
+  /**
+   * Carga las consultas según los filtros y las muestra en la bandeja.
+   */
+  async function fetchLeads() {
+    const listCont = document.getElementById('admin-lista-consultas');
+    try {
+      const res = await fetch('/api/consultas?' + buildLeadParams().toString());
+      if (res.status === 401) {
+        handleSessionExpired();
+        return;
+      }
+      if (!res.ok) throw new Error('Error al obtener las consultas');
+      const { consultas } = await res.json();
+      renderLeads(consultas);
+    } catch (err) {
+      console.error(err);
+      listCont.innerHTML = '<p class="admin-lista-vacia">No se pudieron cargar las consultas.</p>';
+    }
+  }
+
+  /**
+   * Muestra las consultas en la bandeja del panel.
+   * @param {Object[]} consultas
+   */
+  function renderLeads(consultas) {
+    const listCont = document.getElementById('admin-lista-consultas');
+    listCont.innerHTML = '';
+    const nuevas = consultas.filter((c) => c.estado === 'nuevo').length;
+    document.getElementById('consultas-titulo').textContent =
+      'Consultas' + (nuevas ? ' (' + nuevas + (nuevas === 1 ? ' nueva)' : ' nuevas)') : '');
+    if (!consultas.length) {
+      listCont.innerHTML = '<p class="admin-lista-vacia">No hay consultas.</p>';
+      return;
+    }
+    consultas.forEach((c) => {
+      const item = document.createElement('div');
+      item.className = 'admin-lista-item consulta-item';
+      const info = document.createElement('div');
+      const titulo = document.createElement('strong');
+      titulo.textContent = c.nombre + (c.vehiculo ? ' · ' + c.vehiculo : '');
+      const meta = document.createElement('span');
+      meta.className = 'consulta-meta';
+      meta.textContent = [new Date(c.createdAt).toLocaleString(), c.telefono, c.email]
+        .filter(Boolean)
+        .join(' · ');
+      const mensaje = document.createElement('p');
+      mensaje.textContent = c.mensaje;
+      info.appendChild(titulo);
+      info.appendChild(meta);
+      info.appendChild(mensaje);
+      const estadoSelect = document.createElement('select');
+      Object.keys(LEAD_LABELS).forEach((estado) => {
+        const opt = document.createElement('option');
+        opt.value = estado;
+        opt.textContent = LEAD_LABELS[estado];
+        estadoSelect.appendChild(opt);
+      });
+      estadoSelect.value = c.estado;
+      estadoSelect.addEventListener('change', () => {
+        changeLeadStatus(c.id, estadoSelect.value);
+      });
+      item.appendChild(info);
+      item.appendChild(estadoSelect);
+      listCont.appendChild(item);
+    });
+  }
+
+  /**
+   * Cambia el estado de una consulta y recarga la bandeja.
+   * @param {number} id
+   * @param {string} estado
+   */
+  async function changeLeadStatus(id, estado) {
+    try {
+      const res = await fetch('/api/consultas/' + encodeURIComponent(id), {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ estado }),
+      });
+      if (res.status === 401) {
+        handleSessionExpired();
+        return;
+      }
+      if (!res.ok) throw new Error('Error al actualizar la consulta');
+    } catch (err) {
+      console.error(err);
+      alert('No se pudo actualizar la consulta.');
+    }
+    fetchLeads();
+  }
+
+  /**
+   * Descarga las consultas filtradas en CSV. La cookie de sesión acompaña
+   * la descarga como en cualquier otra petición del panel.
+   */
+  function exportLeads() {
+    window.location.href = '/api/consultas/exportar?' + buildLeadParams().toString();
+  }
+
+  // ---------- Permutas ----------
+
+  /**
+   * Carga las solicitudes de "Cotiza tu usado", filtradas por estado.
+   */
+  async function fetchTradeIns() {
+    const listCont = document.getElementById('admin-lista-permutas');
+    const estado = document.getElementById('permutas-filtro-estado').value;
+    try {
+      const res = await fetch('/api/permutas' + (estado ? '?estado=' + encodeURIComponent(estado) : ''));
+      if (res.status === 401) {
+        handleSessionExpired();
+        return;
+      }
+      if (!res.ok) throw new Error('Error al obtener las permutas');
+      const { permutas } = await res.json();
+      renderTradeIns(permutas);
+    } catch (err) {
+      console.error(err);
+      listCont.innerHTML = '<p class="admin-lista-vacia">No se pudieron cargar las permutas.</p>';
+    }
+  }
+
+  /**
+   * Muestra las solicitudes de permuta con sus fotos y los controles para
+   * registrar la tasación y el estado.
+   * @param {Object[]} permutas
+   */
+  function renderTradeIns(permutas) {
+    const listCont = document.getElementById('admin-lista-permutas');
+    listCont.innerHTML = '';
+    const pendientes = permutas.filter((p) => p.estado === 'pendiente').length;
+    document.getElementById('permutas-titulo').textContent =
+      'Permutas' + (pendientes ? ' (' + pendientes + (pendientes === 1 ? ' pendiente)' : ' pendientes)') : '');
+    if (!permutas.length) {
+      listCont.innerHTML = '<p class="admin-lista-vacia">No hay solicitudes de permuta.</p>';
+      return;
+    }
+    permutas.forEach((p) => {
+      const item = document.createElement('div');
+      item.className = 'admin-lista-item consulta-item';
+      const info = document.createElement('div');
+      const titulo = document.createElement('strong');
+      titulo.textContent =
+        p.marca + ' ' + p.modelo + ' ' + p.anio + ' · ' + p.km.toLocaleString() + ' km · ' +
+        (TRADE_IN_CONDITION_LABELS[p.condicion] || p.condicion);
+      const meta = document.createElement('span');
+      meta.className = 'consulta-meta';
+      meta.textContent = [new Date(p.createdAt).toLocaleString(), p.nombre, p.telefono, p.email]
+        .filter(Boolean)
+        .join(' · ');
+      info.appendChild(titulo);
+      info.appendChild(meta);
+      if (p.vehiculo) {
+        const interes = document.createElement('span');
+        interes.className = 'consulta-meta';
+        interes.textContent = 'Por: ' + p.vehiculo;
+        info.appendChild(interes);
+      }
+      if (p.observaciones) {
+        const obs = document.createElement('p');
+        obs.textContent = p.observaciones;
+        info.appendChild(obs);
+      }
+      if (p.fotos.length) {
+        const fotos = document.createElement('div');
+        fotos.className = 'permuta-fotos';
+        p.fotos.forEach((foto, i) => {
+          const link = document.createElement('a');
+          link.href = foto.src;
+          link.target = '_blank';
+          link.rel = 'noopener';
+          const img = document.createElement('img');
+          img.src = foto.thumb;
+          img.alt = 'Foto ' + (i + 1);
+          link.appendChild(img);
+          fotos.appendChild(link);
+        });
+        info.appendChild(fotos);
+      }
+      // Tasación: valor, moneda y estado se guardan juntos
+      const tasacion = document.createElement('div');
+      tasacion.className = 'permuta-tasacion';
+      const valorInput = document.createElement('input');
+      valorInput.type = 'number';
+      valorInput.min = '1';
+      valorInput.placeholder = 'Tasación';
+      valorInput.value = p.valorTasacion || '';
+      const monedaSelect = document.createElement('select');
+      Object.keys(CURRENCY_SYMBOLS).forEach((moneda) => {
+        const opt = document.createElement('option');
+        opt.value = moneda;
+        opt.textContent = CURRENCY_SYMBOLS[moneda];
+        monedaSelect.appendChild(opt);
+      });
+      monedaSelect.value = p.monedaTasacion || 'ARS';
+      const estadoSelect = document.createElement('select');
+      Object.keys(TRADE_IN_LABELS).forEach((estado) => {
+        const opt = document.createElement('option');
+        opt.value = estado;
+        opt.textContent = TRADE_IN_LABELS[estado];
+        estadoSelect.appendChild(opt);
+      });
+      estadoSelect.value = p.estado;
+      // Al cargar un valor a una solicitud pendiente se sugiere marcarla como tasada
+      valorInput.addEventListener('input', () => {
+        if (valorInput.value && estadoSelect.value === 'pendiente') estadoSelect.value = 'tasada';
+      });
+      const guardarBtn = document.createElement('button');
+      guardarBtn.type = 'button';
+      guardarBtn.textContent = 'Guardar';
+      guardarBtn.addEventListener('click', () => {
+        saveTradeIn(p.id, {
+          valorTasacion: valorInput.value,
+          monedaTasacion: monedaSelect.value,
+          estado: estadoSelect.value,
+        });
+      });
+      tasacion.appendChild(valorInput);
+      tasacion.appendChild(monedaSelect);
+      tasacion.appendChild(estadoSelect);
+      tasacion.appendChild(guardarBtn);
+      item.appendChild(info);
+      item.appendChild(tasacion);
+      listCont.appendChild(item);
+    });
+  }
+
+  /**
+   * Guarda la tasación y el estado de una solicitud y recarga la lista.
+   * @param {number} id
+   * @param {{valorTasacion: string, monedaTasacion: string, estado: string}} cambios
+   */
+  async function saveTradeIn(id, cambios) {
+    try {
+      const res = await fetch('/api/permutas/' + encodeURIComponent(id), {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(cambios),
+      });
+      if (res.status === 401) {
+        handleSessionExpired();
+        return;
+      }
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        const detalle = data.errores ? Object.values(data.errores).join(' ') : '';
+        throw new Error(detalle || 'No se pudo guardar la tasación.');
+      }
+    } catch (err) {
+      console.error(err);
+      alert(err.message || 'No se pudo guardar la tasación.');
+    }
+    fetchTradeIns();
+  }
+
+  // ---------- Agenda de turnos ----------
+
+  /**
+   * Carga los turnos del rango y estado elegidos en la agenda.
+   */
+  async function fetchBookings() {
+    const listCont = document.getElementById('admin-lista-turnos');
+    const params = new URLSearchParams();
+    ['desde', 'hasta', 'estado'].forEach((name) => {
+      const value = document.getElementById('turnos-filtro-' + name).value;
+      if (value) params.set(name, value);
+    });
+    try {
+      const res = await fetch('/api/turnos?' + params.toString());
+      if (res.status === 401) {
+        handleSessionExpired();
+        return;
+      }
+      if (!res.ok) throw new Error('Error al obtener la agenda');
+      const { turnos } = await res.json();
+      renderBookings(turnos);
+    } catch (err) {
+      console.error(err);
+      listCont.innerHTML = '<p class="admin-lista-vacia">No se pudo cargar la agenda.</p>';
+    }
+  }
+
+  /**
+   * Muestra los turnos agrupados por día.
+   * @param {Object[]} turnos Ordenados por fecha y hora
+   */
+  function renderBookings(turnos) {
+    const listCont = document.getElementById('admin-lista-turnos');
+    listCont.innerHTML = '';
+    if (!turnos.length) {
+      listCont.innerHTML = '<p class="admin-lista-vacia">No hay turnos en esas fechas.</p>';
+      return;
+    }
+    let fechaActual = null;
+    turnos.forEach((t) => {
+      if (t.fecha !== fechaActual) {
+        fechaActual = t.fecha;
+        const dia = document.createElement('h5');
+        dia.className = 'agenda-dia';
+        dia.textContent = new Date(t.fecha + 'T12:00:00').toLocaleDateString('es-AR', {
+          weekday: 'long',
+          day: 'numeric',
+          month: 'long',
+        });
+        listCont.appendChild(dia);
+      }
+      const item = document.createElement('div');
+      item.className = 'admin-lista-item consulta-item' + (t.estado === 'cancelado' ? ' turno-cancelado' : '');
+      const info = document.createElement('div');
+      const titulo = document.createElement('strong');
+      titulo.textContent = t.hora + ' · ' + (BOOKING_TYPE_LABELS[t.tipo] || t.tipo) + ' · ' + t.vehiculo;
+      const meta = document.createElement('span');
+      meta.className = 'consulta-meta';
+      meta.textContent = [t.nombre, t.telefono, t.email, t.estado === 'cancelado' ? 'Cancelado' : '']
+        .filter(Boolean)
+        .join(' · ');
+      info.appendChild(titulo);
+      info.appendChild(meta);
+      item.appendChild(info);
+      if (t.estado === 'confirmado') {
+        const cancelarBtn = document.createElement('button');
+        cancelarBtn.type = 'button';
+        cancelarBtn.textContent = 'Cancelar';
+        cancelarBtn.addEventListener('click', () => cancelBooking(t));
+        item.appendChild(cancelarBtn);
+      }
+      listCont.appendChild(item);
+    });
+  }
+
+  /**
+   * Cancela un turno y libera su horario.
+   * @param {Object} turno
+   */
+  async function cancelBooking(turno) {
+    if (!confirm('¿Cancelar el turno de ' + turno.nombre + ' a las ' + turno.hora + '? Avísale al cliente.')) return;
+    try {
+      const res = await fetch('/api/turnos/' + encodeURIComponent(turno.id), {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ estado: 'cancelado' }),
+      });
+      if (res.status === 401) {
+        handleSessionExpired();
+        return;
+      }
+      if (!res.ok) throw new Error('Error al cancelar el turno');
+    } catch (err) {
+      console.error(err);
+      alert('No se pudo cancelar el turno.');
+    }
+    fetchBookings();
+  }
+
+  /**
+   * Carga los feriados, en los que no se ofrecen turnos.
+   */
+  async function fetchHolidays() {
+    const list = document.getElementById('lista-feriados');
+    try {
+      const res = await fetch('/api/turnos/feriados');
+      if (res.status === 401) {
+        handleSessionExpired();
+        return;
+      }
+      if (!res.ok) throw new Error('Error al obtener los feriados');
+      const { feriados } = await res.json();
+      list.innerHTML = '';
+      // Los feriados pasados ya no afectan la agenda
+      const hoy = new Date().toISOString().slice(0, 10);
+      const proximos = feriados.filter((f) => f.fecha >= hoy);
+      if (!proximos.length) {
+        list.innerHTML = '<li class="admin-lista-vacia">No hay feriados cargados.</li>';
+        return;
+      }
+      proximos.forEach((f) => {
+        const li = document.createElement('li');
+        li.textContent = new Date(f.fecha + 'T12:00:00').toLocaleDateString() + (f.motivo ? ' · ' + f.motivo : '');
+        const quitarBtn = document.createElement('button');
+        quitarBtn.type = 'button';
+        quitarBtn.className = 'btn-link';
+        quitarBtn.textContent = 'Quitar';
+        quitarBtn.addEventListener('click', () => removeHoliday(f.fecha));
+        li.appendChild(quitarBtn);
+        list.appendChild(li);
+      });
+    } catch (err) {
+      console.error(err);
+      list.innerHTML = '<li class="admin-lista-vacia">No se pudieron cargar los feriados.</li>';
+    }
+  }
+
+  /**
+   * Agrega un feriado. Si ya había turnos ese día, avisa para que se
+   * cancelen a mano.
+   * @param {Event} e
+   */
+  async function handleHolidaySubmit(e) {
+    e.preventDefault();
+    const form = document.getElementById('form-feriado');
+    clearFieldErrors(form);
+    try {
+      const res = await fetch('/api/turnos/feriados', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          fecha: document.getElementById('feriado-fecha').value,
+          motivo: document.getElementById('feriado-motivo').value,
+        }),
+      });
+      if (res.status === 401) {
+        handleSessionExpired();
+        return;
+      }
+      const data = await res.json().catch(() => ({}));
+      if (res.status === 400 && data.errores) {
+        showFieldErrors(data.errores, {
+          fecha: 'feriado-fecha',
+          motivo: 'feriado-motivo',
+          general: 'btn-agregar-feriado',
+        });
+        return;
+      }
+      if (!res.ok) throw new Error(data.error || 'No se pudo agregar el feriado.');
+      form.reset();
+      if (data.turnosAfectados) {
+        alert(
+          'Ese día ya tiene ' + data.turnosAfectados +
+            (data.turnosAfectados === 1 ? ' turno confirmado' : ' turnos confirmados') +
+            '. Cancélalos desde la agenda y avisa a los clientes.'
+        );
+      }
+      fetchHolidays();
+      fetchBookings();
+    } catch (err) {
+      console.error(err);
+      alert(err.message || 'No se pudo agregar el feriado.');
+    }
+  }
+
+  /**
+   * Quita un feriado: el día vuelve a ofrecer turnos.
+   * @param {string} fecha AAAA-MM-DD
+   */
+  async function removeHoliday(fecha) {
+    try {
+      const res = await fetch('/api/turnos/feriados/' + encodeURIComponent(fecha), { method: 'DELETE' });
+      if (res.status === 401) {
+        handleSessionExpired();
+        return;
+      }
+      if (!res.ok) throw new Error('Error al quitar el feriado');
+    } catch (err) {
+      console.error(err);
+      alert('No se pudo quitar el feriado.');
+    }
+    fetchHolidays();
+  }
+
+  // ---------- Cotización del dólar ----------
+
+  /**
+   * Carga la cotización vigente y las anteriores.
+   */
+  async function fetchExchangeRates() {
+    const actual = document.getElementById('cotizacion-actual');
+    const list = document.getElementById('cotizacion-historial');
+    try {
+      const res = await fetch('/api/cotizacion/historial');
+      if (res.status === 401) {
+        handleSessionExpired();
+        return;
+      }
+      if (!res.ok) throw new Error('Error al obtener la cotización');
+      const { historial } = await res.json();
+      const [vigente, ...anteriores] = historial;
+      actual.textContent = vigente
+        ? 'Vigente: $' + vigente.valor.toLocaleString() + ' por dólar, desde el ' +
+          new Date(vigente.fecha).toLocaleString() + (vigente.usuario ? ' (' + vigente.usuario + ')' : '')
+        : 'Todavía no se cargó la cotización: los precios se muestran sólo en su moneda.';
+      list.innerHTML = '';
+      anteriores.slice(0, RATE_HISTORY_SIZE).forEach((c) => {
+        const li = document.createElement('li');
+        li.textContent = new Date(c.fecha).toLocaleString() + ' · $' + c.valor.toLocaleString();
+        list.appendChild(li);
+      });
+    } catch (err) {
+      console.error(err);
+      actual.textContent = 'No se pudo cargar la cotización.';
+    }
+  }
+
+  /**
+   * Guarda una nueva cotización y actualiza los precios del catálogo, que
+   * muestran su equivalente en la otra moneda.
+   * @param {Event} e
+   */
+  async function handleRateSubmit(e) {
+    e.preventDefault();
+    const form = document.getElementById('form-cotizacion');
+    clearFieldErrors(form);
+    try {
+      const res = await fetch('/api/cotizacion', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ valor: document.getElementById('cotizacion-valor').value }),
+      });
+      if (res.status === 401) {
+        handleSessionExpired();
+        return;
+      }
+      const data = await res.json().catch(() => ({}));
+      if (res.status === 400 && data.errores) {
+        showFieldErrors(data.errores, { valor: 'cotizacion-valor', general: 'btn-guardar-cotizacion' });
+        return;
+      }
+      if (!res.ok) throw new Error(data.error || 'No se pudo guardar la cotización.');
+      form.reset();
+      fetchExchangeRates();
+      applyFilters();
+      renderDestacados();
+    } catch (err) {
+      console.error(err);
+      alert(err.message || 'No se pudo guardar la cotización.');
+    }
+  }
+
+  // ---------- Planes de financiación ----------
+  // Campo de cada error de validación de un plan
+  const PLAN_FIELD_TARGETS = {
+    nombre: 'plan-nombre',
+    tna: 'plan-tna',
+    cuotas: 'plan-cuotas',
+    anticipoMinimo: 'plan-anticipo',
+    descripcion: 'plan-descripcion',
+    general: 'btn-guardar-plan',
+  };
+
+  /**
+   * Carga todos los planes de financiación (activos e inactivos).
+   */
+  async function fetchPlans() {
+    const listCont = document.getElementById('admin-lista-planes');
+    try {
+      const res = await fetch('/api/financiacion/planes?vista=admin');
+      if (res.status === 401) {
+        handleSessionExpired();
+        return;
+      }
+      if (!res.ok) throw new Error('Error al obtener los planes');
+      financingPlans = (await res.json()).planes;
+      renderPlans();
+    } catch (err) {
+      console.error(err);
+      listCont.innerHTML = '<p class="admin-lista-vacia">No se pudieron cargar los planes.</p>';
+    }
+  }
+
+  /**
+   * Muestra los planes con las acciones para activarlos, editarlos o
+   * eliminarlos.
+   */
+  function renderPlans() {
+    const listCont = document.getElementById('admin-lista-planes');
+    listCont.innerHTML = '';
+    if (!financingPlans.length) {
+      listCont.innerHTML =
+        '<p class="admin-lista-vacia">No hay planes. Sin planes activos, el simulador de cuotas no se muestra.</p>';
+      return;
+    }
+    financingPlans.forEach((plan) => {
+      const url = '/api/financiacion/planes/' + encodeURIComponent(plan.id);
+      const item = document.createElement('div');
+      item.className = 'admin-lista-item';
+      const text = document.createElement('span');
+      text.textContent =
+        plan.nombre + ' · TNA ' + plan.tna + '% · ' + plan.cuotas.join('/') + ' cuotas' +
+        (plan.anticipoMinimo ? ' · anticipo mín. ' + plan.anticipoMinimo + '%' : '') +
+        (plan.activo ? '' : ' (inactivo)');
+      const actions = document.createElement('div');
+      actions.className = 'admin-lista-acciones';
+      const toggleBtn = document.createElement('button');
+      toggleBtn.textContent = plan.activo ? 'Desactivar' : 'Activar';
+      toggleBtn.addEventListener('click', () => {
+        runPlanAction(
+          url,
+          {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ activo: !plan.activo }),
+          },
+          'No se pudo actualizar el plan.'
+        );
+      });
+      const editBtn = document.createElement('button');
+      editBtn.textContent = 'Editar';
+      editBtn.addEventListener('click', () => startEditPlan(plan));
+      const deleteBtn = document.createElement('button');
+      deleteBtn.textContent = 'Eliminar';
+      deleteBtn.addEventListener('click', () => {
+        if (confirm('¿Eliminar el plan "' + plan.nombre + '"?')) {
+          runPlanAction(url, { method: 'DELETE' }, 'No se pudo eliminar el plan.');
+        }
+      });
+      actions.appendChild(toggleBtn);
+      actions.appendChild(editBtn);
+      actions.appendChild(deleteBtn);
+      item.appendChild(text);
+      item.appendChild(actions);
+      listCont.appendChild(item);
+    });
+  }
+
+  /**
+   * Ejecuta una operación sobre un plan y recarga la lista. Si el servidor
+   * rechaza los datos, muestra los errores en el formulario de planes.
+   * @param {string} url
+   * @param {Object} options Opciones de fetch
+   * @param {string} errorMessage Mensaje a mostrar si la operación falla
+   * @returns {Promise<boolean>} true si la operación se realizó
+   */
+  async function runPlanAction(url, options, errorMessage) {
+    try {
+      const res = await fetch(url, options);
+      if (res.status === 401) {
+        handleSessionExpired();
+        return false;
+      }
+      const data = await res.json().catch(() => ({}));
+      if (res.status === 400 && data.errores) {
+        showFieldErrors(data.errores, PLAN_FIELD_TARGETS);
+        return false;
+      }
+      if (!res.ok) throw new Error(data.error || errorMessage);
+      fetchPlans();
+      return true;
+    } catch (err) {
+      console.error(err);
+      alert(err.message || errorMessage);
+      return false;
+    }
+  }
+
+  /**
+   * Carga un plan en el formulario para editarlo.
+   * @param {Object} plan
+   */
+  function startEditPlan(plan) {
+    editingPlanId = plan.id;
+    clearFieldErrors(document.getElementById('form-plan'));
+    document.getElementById('plan-nombre').value = plan.nombre;
+    document.getElementById('plan-tna').value = plan.tna;
+    document.getElementById('plan-cuotas').value = plan.cuotas.join(', ');
+    document.getElementById('plan-anticipo').value = plan.anticipoMinimo || '';
+    document.getElementById('plan-descripcion').value = plan.descripcion || '';
+    document.getElementById('form-plan-titulo').textContent = 'Editar plan';
+    document.getElementById('btn-guardar-plan').textContent = 'Guardar cambios';
+    document.getElementById('btn-cancelar-plan').classList.remove('hidden');
+    document.getElementById('form-plan').scrollIntoView({ behavior: 'smooth' });
+  }
+
+  // Vuelve el formulario de planes al modo "nuevo plan"
+  function resetPlanForm() {
+    const form = document.getElementById('form-plan');
+    editingPlanId = null;
+    form.reset();
+    clearFieldErrors(form);
+    document.getElementById('form-plan-titulo').textContent = 'Nuevo plan';
+    document.getElementById('btn-guardar-plan').textContent = 'Agregar plan';
+    document.getElementById('btn-cancelar-plan').classList.add('hidden');
+  }
+
+  /**
+   * Crea un plan o guarda los cambios del plan en edición. Los rangos y
+   * formatos los valida el servidor.
+   * @param {Event} e
+   */
+  async function handlePlanSubmit(e) {
+    e.preventDefault();
+    clearFieldErrors(document.getElementById('form-plan'));
+    const plan = {
+      nombre: document.getElementById('plan-nombre').value,
+      tna: document.getElementById('plan-tna').value,
+      cuotas: document.getElementById('plan-cuotas').value,
+      anticipoMinimo: document.getElementById('plan-anticipo').value,
+      descripcion: document.getElementById('plan-descripcion').value,
+    };
+    const url = '/api/financiacion/planes' + (editingPlanId ? '/' + encodeURIComponent(editingPlanId) : '');
+    const ok = await runPlanAction(
+      url,
+      {
+        method: editingPlanId ? 'PATCH' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(plan),
+      },
+      'No se pudo guardar el plan.'
+    );
+    if (ok) resetPlanForm();
+  }
+
+  // ---------- Consignaciones ----------
+  // Campo de cada error de validación de una consignación
+  const CONSIGNMENT_FIELD_TARGETS = {
+    vehiculoId: 'consignacion-vehiculo',
+    nombre: 'consignacion-nombre',
+    telefono: 'consignacion-telefono',
+    email: 'consignacion-email',
+    precioMinimo: 'consignacion-precio-minimo',
+    moneda: 'consignacion-moneda',
+    comisionTipo: 'consignacion-comision-tipo',
+    comisionValor: 'consignacion-comision-valor',
+    observaciones: 'consignacion-observaciones',
+    general: 'btn-guardar-consignacion',
+  };
+
+  /**
+   * Carga el reporte de consignaciones: el stock sin vender y las
+   * liquidaciones pendientes.
+   */
+  async function fetchConsignments() {
+    try {
+      const res = await fetch('/api/consignaciones/reporte');
+      if (res.status === 401) {
+        handleSessionExpired();
+        return;
+      }
+      if (!res.ok) throw new Error('Error al obtener las consignaciones');
+      consignmentReport = await res.json();
+      renderConsignments();
+    } catch (err) {
+      console.error(err);
+      document.getElementById('admin-lista-consignaciones').innerHTML =
+        '<p class="admin-lista-vacia">No se pudieron cargar las consignaciones.</p>';
+    }
+  }
+
+  /**
+   * Consignación sin vender de un vehículo, o null si no está en consignación.
+   * @param {number} vehiculoId
+   * @returns {Object|null}
+   */
+  function consignmentFor(vehiculoId) {
+    return consignmentReport.stock.find((c) => c.vehiculoId === vehiculoId) || null;
+  }
+
+  // Texto de la comisión acordada: "8%" o "$150.000"
+  function formatCommission(c) {
+    return c.comisionTipo === 'porcentaje' ? c.comisionValor + '%' : formatPrice(c.comisionValor, c.moneda);
+  }
+
+  // Totales por moneda: "$1.000.000 + US$5.000"
+  function formatTotals(porMoneda) {
+    const partes = Object.keys(porMoneda || {}).map((moneda) => formatPrice(porMoneda[moneda], moneda));
+    return partes.length ? partes.join(' + ') : formatPrice(0, 'ARS');
+  }
+
+  /**
+   * Muestra el stock en consignación y las liquidaciones pendientes con
+   * sus acciones, y actualiza el selector de vehículos del formulario.
+   */
+  function renderConsignments() {
+    const { stock, pendientes, totales } = consignmentReport;
+    document.getElementById('consignaciones-totales').textContent = totales
+      ? stock.length + (stock.length === 1 ? ' vehículo' : ' vehículos') + ' en consignación. ' +
+        'Liquidaciones pendientes: ' + pendientes.length + ' (neto a pagar ' + formatTotals(totales.neto) +
+        ', comisiones ' + formatTotals(totales.comision) + ').'
+      : '';
+
+    const stockCont = document.getElementById('admin-lista-consignaciones');
+    stockCont.innerHTML = '';
+    if (!stock.length) {
+      stockCont.innerHTML = '<p class="admin-lista-vacia">No hay vehículos en consignación.</p>';
+    }
+    stock.forEach((c) => {
+      const item = document.createElement('div');
+      item.className = 'admin-lista-item consulta-item';
+      const info = document.createElement('div');
+      const titulo = document.createElement('strong');
+      titulo.textContent = c.vehiculo + ' · ' + c.diasEnStock + (c.diasEnStock === 1 ? ' día' : ' días');
+      const dueno = document.createElement('span');
+      dueno.className = 'consulta-meta';
+      dueno.textContent = [c.nombre, c.telefono, c.email].filter(Boolean).join(' · ');
+      const acuerdo = document.createElement('span');
+      acuerdo.className = 'consulta-meta';
+      const v = c.vehiculoActual;
+      acuerdo.textContent =
+        'Mínimo ' + formatPrice(c.precioMinimo, c.moneda) + ' · comisión ' + formatCommission(c) +
+        (v && v.precio ? ' · publicado a ' + formatPrice(v.precio, v.moneda) : '') +
+        (!v ? ' · vehículo eliminado' : v.archivado ? ' · archivado' : '');
+      info.appendChild(titulo);
+      info.appendChild(dueno);
+      info.appendChild(acuerdo);
+      if (c.observaciones) {
+        const obs = document.createElement('p');
+        obs.textContent = c.observaciones;
+        info.appendChild(obs);
+      }
+      const actions = document.createElement('div');
+      actions.className = 'admin-lista-acciones';
+      const editBtn = document.createElement('button');
+      editBtn.textContent = 'Editar';
+      editBtn.addEventListener('click', () => startEditConsignment(c));
+      const deleteBtn = document.createElement('button');
+      deleteBtn.textContent = 'Eliminar';
+      deleteBtn.addEventListener('click', () => {
+        if (confirm('¿Eliminar la consignación de ' + c.vehiculo + '? El vehículo no se modifica.')) {
+          runConsignmentAction(
+            '/api/consignaciones/' + encodeURIComponent(c.id),
+            { method: 'DELETE' },
+            'No se pudo eliminar la consignación.'
+          );
+        }
+      });
+      actions.appendChild(editBtn);
+      actions.appendChild(deleteBtn);
+      item.appendChild(info);
+      item.appendChild(actions);
+      stockCont.appendChild(item);
+    });
+
+    const pendCont = document.getElementById('admin-lista-liquidaciones');
+    pendCont.innerHTML = '';
+    if (!pendientes.length) {
+      pendCont.innerHTML = '<p class="admin-lista-vacia">No hay liquidaciones pendientes.</p>';
+    }
+    pendientes.forEach((c) => {
+      const liq = c.liquidacion;
+      const item = document.createElement('div');
+      item.className = 'admin-lista-item consulta-item';
+      const info = document.createElement('div');
+      const titulo = document.createElement('strong');
+      titulo.textContent = c.vehiculo + ' · ' + c.nombre;
+      const detalle = document.createElement('span');
+      detalle.className = 'consulta-meta';
+      detalle.textContent =
+        'Vendido el ' + new Date(liq.fecha).toLocaleDateString() + ' a ' + formatPrice(liq.precioVenta, liq.moneda) +
+        ' · comisión ' + formatPrice(liq.comision, liq.moneda) + ' · neto para el dueño ' +
+        formatPrice(liq.neto, liq.moneda);
+      info.appendChild(titulo);
+      info.appendChild(detalle);
+      if (liq.bajoMinimo) {
+        const aviso = document.createElement('span');
+        aviso.className = 'consulta-meta';
+        aviso.textContent = 'Vendido por debajo del mínimo acordado (' + formatPrice(c.precioMinimo, c.moneda) + ')';
+        info.appendChild(aviso);
+      }
+      const actions = document.createElement('div');
+      actions.className = 'admin-lista-acciones';
+      const payBtn = document.createElement('button');
+      payBtn.textContent = 'Marcar como pagada';
+      payBtn.addEventListener('click', () => {
+        if (confirm('¿Registrar que se pagaron ' + formatPrice(liq.neto, liq.moneda) + ' a ' + c.nombre + '?')) {
+          runConsignmentAction(
+            '/api/consignaciones/' + encodeURIComponent(c.id) + '/liquidacion',
+            {
+              method: 'PATCH',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ estado: 'pagada' }),
+            },
+            'No se pudo registrar el pago.'
+          );
+        }
+      });
+      actions.appendChild(payBtn);
+      item.appendChild(info);
+      item.appendChild(actions);
+      pendCont.appendChild(item);
+    });
+
+    populateConsignmentVehicles();
+  }
+
+  /**
+   * Completa el selector de vehículos del formulario con los que se
+   * pueden dejar en consignación: sin vender y sin otra consignación.
+   * Al editar, el vehículo queda fijo.
+   */
+  function populateConsignmentVehicles() {
+    const select = document.getElementById('consignacion-vehiculo');
+    const actual = select.value;
+    select.innerHTML = '<option value="">Elige un vehículo</option>';
+    vehicles
+      .filter((v) => {
+        const consignacion = consignmentFor(v.id);
+        return v.estado !== 'vendido' && (!consignacion || consignacion.id === editingConsignmentId);
+      })
+      .forEach((v) => {
+        const opt = document.createElement('option');
+        opt.value = v.id;
+        opt.textContent = v.marca + ' ' + v.modelo + ' (' + v.anio + ')';
+        select.appendChild(opt);
+      });
+    select.value = actual;
+  }
+
+  /**
+   * Ejecuta una operación sobre una consignación y recarga el reporte. Si
+   * el servidor rechaza los datos, muestra los errores en el formulario.
+   * @param {string} url
+   * @param {Object} options Opciones de fetch
+   * @param {string} errorMessage Mensaje a mostrar si la operación falla
+   * @returns {Promise<boolean>} true si la operación se realizó
+   */
+  async function runConsignmentAction(url, options, errorMessage) {
+    try {
+      const res = await fetch(url, options);
+      if (res.status === 401) {
+        handleSessionExpired();
+        return false;
+      }
+      const data = await res.json().catch(() => ({}));
+      if (res.status === 400 && data.errores) {
+        showFieldErrors(data.errores, CONSIGNMENT_FIELD_TARGETS);
+        return false;
+      }
+      if (!res.ok) throw new Error(data.error || errorMessage);
+      fetchConsignments();
+      renderAdminList();
+      return true;
+    } catch (err) {
+      console.error(err);
+      alert(err.message || errorMessage);
+      return false;
+    }
+  }
+
+  /**
+   * Carga una consignación en el formulario para editarla.
+   * @param {Object} c
+   */
+  function startEditConsignment(c) {
+    editingConsignmentId = c.id;
+    clearFieldErrors(document.getElementById('form-consignacion'));
+    populateConsignmentVehicles();
+    const select = document.getElementById('consignacion-vehiculo');
+    select.value = c.vehiculoId;
+    select.disabled = true;
+    document.getElementById('consignacion-nombre').value = c.nombre;
+    document.getElementById('consignacion-telefono').value = c.telefono || '';
+    document.getElementById('consignacion-email').value = c.email || '';
+    document.getElementById('consignacion-precio-minimo').value = c.precioMinimo;
+    document.getElementById('consignacion-moneda').value = c.moneda;
+    document.getElementById('consignacion-comision-tipo').value = c.comisionTipo;
+    document.getElementById('consignacion-comision-valor').value = c.comisionValor;
+    document.getElementById('consignacion-observaciones').value = c.observaciones || '';
+    document.getElementById('form-consignacion-titulo').textContent = 'Editar consignación';
+    document.getElementById('btn-guardar-consignacion').textContent = 'Guardar cambios';
+    document.getElementById('btn-cancelar-consignacion').classList.remove('hidden');
+    document.getElementById('form-consignacion').scrollIntoView({ behavior: 'smooth' });
+  }
+
+  // Vuelve el formulario de consignaciones al modo "nueva consignación"
+  function resetConsignmentForm() {
+    const form = document.getElementById('form-consignacion');
+    editingConsignmentId = null;
+    form.reset();
+    clearFieldErrors(form);
+    document.getElementById('consignacion-vehiculo').disabled = false;
+    populateConsignmentVehicles();
+    document.getElementById('form-consignacion-titulo').textContent = 'Nueva consignación';
+    document.getElementById('btn-guardar-consignacion').textContent = 'Registrar consignación';
+    document.getElementById('btn-cancelar-consignacion').classList.add('hidden');
+  }
+
+  /**
+   * Registra una consignación o guarda los cambios de la que se está
+   * editando. Los rangos y formatos los valida el servidor.
+   * @param {Event} e
+   */
+  async function handleConsignmentSubmit(e) {
+    e.preventDefault();
+    clearFieldErrors(document.getElementById('form-consignacion'));
+    const consignacion = {
+      nombre: document.getElementById('consignacion-nombre').value,
+      telefono: document.getElementById('consignacion-telefono').value,
+      email: document.getElementById('consignacion-email').value,
+      precioMinimo: document.getElementById('consignacion-precio-minimo').value,
+      moneda: document.getElementById('consignacion-moneda').value,
+      comisionTipo: document.getElementById('consignacion-comision-tipo').value,
+      comisionValor: document.getElementById('consignacion-comision-valor').value,
+      observaciones: document.getElementById('consignacion-observaciones').value,
+    };
+    if (!editingConsignmentId) consignacion.vehiculoId = document.getElementById('consignacion-vehiculo').value;
+    const url = '/api/consignaciones' + (editingConsignmentId ? '/' + encodeURIComponent(editingConsignmentId) : '');
+    const ok = await runConsignmentAction(
+      url,
+      {
+        method: editingConsignmentId ? 'PATCH' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(consignacion),
+      },
+      'No se pudo guardar la consignación.'
+    );
+    if (ok) resetConsignmentForm();
+  }
+
+  // ---------- Estadísticas (panel) ----------
+  // Columnas de eventos de la tabla de estadísticas
+  const STATS_COLUMNS = [
+    ['impresion', 'Impresiones'],
+    ['vista', 'Vistas'],
+    ['galeria', 'Galería'],
+    ['whatsapp', 'WhatsApp'],
+  ];
+
+  // Fecha local AAAA-MM-DD de hace `dias` días
+  function localDateDaysAgo(dias) {
+    const d = new Date();
+    d.setDate(d.getDate() - dias);
+    const pad = (n) => String(n).padStart(2, '0');
+    return d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate());
+  }
 
-  // ---------- Renderizado de tarjetas ----------
   /**
-   * Crea una tarjeta HTML para un vehículo.
-   * @param {Object} vehiculo Objeto de vehículo.
-   * @returns {HTMLElement}
+   * Carga las estadísticas de los vehículos del período elegido.
    */
-  function createVehicleCard(vehiculo) {
-    const card = document.createElement('div');
-    card.className = 'vehiculo-card';
-    // Asignar el ID del vehículo al dataset para futuras referencias
-    card.dataset.id = vehiculo.id;
-    // Imagen principal (primera foto o placeholder)
-    // Si la propiedad imágenes contiene objetos con recorte, utilizar sus datos.
-    let imgSrc;
-    let offsetX = 50;
-    let offsetY = 50;
-    if (vehiculo.imagenes && vehiculo.imagenes.length) {
-      const first = vehiculo.imagenes[0];
-      if (typeof first === 'string') {
-        imgSrc = first;
-      } else {
-        imgSrc = first.src;
-        // Asegurar que existan offsets numéricos
-        if (typeof first.offsetX === 'number') offsetX = first.offsetX;
-        if (typeof first.offsetY === 'number') offsetY = first.offsetY;
+  async function fetchStats() {
+    const dias = Number(document.getElementById('estadisticas-periodo').value) || 30;
+    const cont = document.getElementById('admin-estadisticas');
+    try {
+      const res = await fetch('/api/estadisticas?desde=' + localDateDaysAgo(dias - 1));
+      if (res.status === 401) {
+        handleSessionExpired();
+        return;
       }
-    } else {
-      imgSrc = 'https://source.unsplash.com/featured/600x400/?car';
+      if (!res.ok) throw new Error('Error al obtener las estadísticas');
+      renderStats(await res.json());
+    } catch (err) {
+      console.error(err);
+      cont.innerHTML = '<p class="admin-lista-vacia">No se pudieron cargar las estadísticas.</p>';
     }
-    // Etiqueta destacado
-    const etiqueta = vehiculo.destacado
-      ? '<span class="etiqueta-destacado">Destacado</span>'
-      : '';
-    // Construir la tarjeta. Para la imagen utilizamos object-fit y object-position
-    // definidos en CSS para mostrar la foto completa sin recortarla. Por ello
-    // no agregamos estilos de recorte en línea.  
-    card.innerHTML =
-      etiqueta +
-      '<img src="' + imgSrc + '" alt="' + vehiculo.marca + ' ' + vehiculo.modelo + '">' +
-      '<div class="vehiculo-detalle">' +
-      '<h3>' + vehiculo.marca + ' ' + vehiculo.modelo + '</h3>' +
-      '<div class="vehiculo-precio">$' + vehiculo.precio.toLocaleString() + '</div>' +
-      '<p>Año: ' + vehiculo.anio + '</p>' +
-      '<p>Kilómetros: ' + (vehiculo.km ? vehiculo.km.toLocaleString() + ' km' : '0 km') + '</p>' +
-      '<p>' + vehiculo.descripcion + '</p>' +
-      '</div>';
-    // Al hacer clic en la tarjeta se abrirá la página de detalle en una nueva pestaña
-    card.addEventListener('click', () => {
-      openVehicleDetails(vehiculo.id);
-    });
-    return card;
   }
 
   /**
-   * Renderiza las tarjetas destacadas al inicio de la página.
+   * Gráfico de barras de las vistas por día.
+   * @param {string[]} fechas
+   * @param {number[]} serie
+   * @returns {HTMLElement}
    */
-  function renderDestacados() {
-    const cont = document.getElementById('destacados-container');
-    cont.innerHTML = '';
-    // filtrar destacados
-    const destacados = vehicles.filter((v) => v.destacado);
-    destacados.forEach((v) => {
-      const card = createVehicleCard(v);
-      cont.appendChild(card);
+  function createSparkline(fechas, serie) {
+    const grafico = document.createElement('div');
+    grafico.className = 'sparkline';
+    const max = Math.max(1, ...serie);
+    serie.forEach((valor, i) => {
+      const barra = document.createElement('span');
+      barra.style.height = Math.round((valor / max) * 100) + '%';
+      barra.title = new Date(fechas[i] + 'T12:00:00').toLocaleDateString() + ': ' + valor;
+      grafico.appendChild(barra);
     });
-    // Si no hay destacados, mostrar un mensaje
-    if (destacados.length === 0) {
-      const msg = document.createElement('p');
-      msg.textContent = 'No hay vehículos destacados por el momento.';
-      cont.appendChild(msg);
-    }
+    return grafico;
   }
 
   /**
-   * Renderiza la lista completa de vehículos según filtros aplicados.
-   * @param {Array<Object>} lista Lista de vehículos a mostrar.
+   * Muestra la tabla de estadísticas: eventos del período, conversión de
+   * vistas a WhatsApp, días publicado y las vistas por día.
+   * @param {{fechas: string[], vehiculos: Object[]}} reporte
    */
-  function renderVehiclesList(lista) {
-    const cont = document.getElementById('vehiculos-container');
+  function renderStats(reporte) {
+    const cont = document.getElementById('admin-estadisticas');
     cont.innerHTML = '';
-    if (!lista.length) {
-      const msg = document.createElement('p');
-      msg.textContent = 'No se encontraron vehículos con los filtros seleccionados.';
-      cont.appendChild(msg);
+    if (!reporte.vehiculos.length) {
+      cont.innerHTML = '<p class="admin-lista-vacia">No hay vehículos publicados.</p>';
       return;
     }
-    lista.forEach((v) => {
-      const card = createVehicleCard(v);
-      cont.appendChild(card);
+    const tabla = document.createElement('table');
+    tabla.className = 'tabla-estadisticas';
+    tabla.innerHTML =
+      '<thead><tr><th>Vehículo</th><th>Días publicado</th>' +
+      STATS_COLUMNS.map(([, titulo]) => '<th>' + titulo + '</th>').join('') +
+      '<th>Conversión</th><th>Vistas por día</th></tr></thead>';
+    const cuerpo = document.createElement('tbody');
+    reporte.vehiculos.forEach((v) => {
+      const fila = document.createElement('tr');
+      fila.innerHTML =
+        '<td><a href="' + escapeHtml(v.url) + '" target="_blank" rel="noopener">' + escapeHtml(v.vehiculo) + '</a>' +
+        (v.estado !== 'disponible' ? ' <small>' + ESTADO_LABELS[v.estado] + '</small>' : '') + '</td>' +
+        '<td>' + (v.diasPublicado === null ? '—' : v.diasPublicado) + '</td>' +
+        STATS_COLUMNS.map(
+          ([tipo]) => '<td title="' + v.unicos[tipo] + ' visitantes">' + v.totales[tipo].toLocaleString() + '</td>'
+        ).join('') +
+        '<td>' + (v.conversion === null ? '—' : v.conversion.toLocaleString() + '%') + '</td>' +
+        '<td></td>';
+      fila.lastChild.appendChild(createSparkline(reporte.fechas, v.serie.vista));
+      cuerpo.appendChild(fila);
     });
+    tabla.appendChild(cuerpo);
+    cont.appendChild(tabla);
   }
 
+  // ---------- Datos de la agencia (panel) ----------
+  // Campo del formulario de cada dato de la agencia
+  const SETTINGS_FIELD_TARGETS = {
+    nombre: 'ajustes-nombre',
+    email: 'ajustes-email',
+    telefono: 'ajustes-telefono',
+    whatsapp: 'ajustes-whatsapp',
+    direccion: 'ajustes-direccion',
+    horario: 'ajustes-horario',
+    facebook: 'ajustes-facebook',
+    instagram: 'ajustes-instagram',
+    mapa: 'ajustes-mapa',
+    mensajeWhatsapp: 'ajustes-mensaje',
+    pie: 'ajustes-pie',
+    general: 'btn-guardar-ajustes',
+  };
+
   /**
-   * Actualiza los selectores de filtros con las marcas y años
-   * disponibles en la lista de vehículos.
+   * Muestra una pestaña del panel y oculta las demás.
+   * @param {string} id Id del panel de la pestaña
    */
-  function populateFilterOptions() {
-    const marcaSelect = document.getElementById('filtro-marca');
-    const anioSelect = document.getElementById('filtro-anio');
-    // Extraer valores únicos
-    const marcas = [...new Set(vehicles.map((v) => v.marca))].sort();
-    const anios = [...new Set(vehicles.map((v) => v.anio))].sort((a, b) => b - a);
-    // Limpiar selects
-    marcaSelect.innerHTML = '<option value="">Todas</option>';
-    anioSelect.innerHTML = '<option value="">Todos</option>';
-    marcas.forEach((m) => {
-      const opt = document.createElement('option');
-      opt.value = m;
-      opt.textContent = m;
-      marcaSelect.appendChild(opt);
+  function showAdminTab(id) {
+    document.querySelectorAll('.admin-tab-btn').forEach((btn) => {
+      const activa = btn.dataset.tab === id;
+      btn.classList.toggle('activa', activa);
+      btn.setAttribute('aria-selected', String(activa));
     });
-    anios.forEach((y) => {
-      const opt = document.createElement('option');
-      opt.value = y;
-      opt.textContent = y;
-      anioSelect.appendChild(opt);
+    document.querySelectorAll('.admin-tab').forEach((tab) => {
+      tab.classList.toggle('hidden', tab.id !== id);
     });
   }
 
   /**
-   * Aplica los filtros seleccionados y actualiza la lista de vehículos.
+   * Completa el formulario con los datos de la agencia vigentes.
+   * @param {Object} ajustes
    */
-  function applyFilters() {
-    const marca = document.getElementById('filtro-marca').value;
-    const anio = document.getElementById('filtro-anio').value;
-    const precioMax = document.getElementById('filtro-precio').value;
-    const kmMax = document.getElementById('filtro-km').value;
-    let lista = vehicles.slice();
-    if (marca) {
-      lista = lista.filter((v) => v.marca === marca);
-    }
-    if (anio) {
-      const anioNum = parseInt(anio, 10);
-      lista = lista.filter((v) => v.anio === anioNum);
-    }
-    if (precioMax) {
-      const max = parseFloat(precioMax);
-      lista = lista.filter((v) => v.precio <= max);
-    }
-    if (kmMax) {
-      const maxkm = parseFloat(kmMax);
-      lista = lista.filter((v) => v.km <= maxkm);
-    }
-    renderVehiclesList(lista);
+  function fillSettingsForm(ajustes) {
+    Object.keys(SETTINGS_FIELD_TARGETS).forEach((campo) => {
+      const input = document.getElementById(SETTINGS_FIELD_TARGETS[campo]);
+      if (campo !== 'general') input.value = ajustes[campo] || '';
+    });
+    document.getElementById('ajustes-actualizacion').textContent = ajustes.actualizadoEn
+      ? 'Última modificación: ' + new Date(ajustes.actualizadoEn).toLocaleString() +
+        (ajustes.actualizadoPor ? ' (' + ajustes.actualizadoPor + ')' : '')
+      : 'Se muestran los datos iniciales: todavía no se modificaron desde el panel.';
   }
 
   /**
-   * Abre una nueva pestaña con la página de detalles del vehículo seleccionado.
-   * La página detalle.html debe existir y usar el parámetro id para cargar la información.
-   * @param {number} id Identificador único del vehículo
+   * Carga los datos de la agencia en el formulario del panel.
    */
-  function openVehicleDetails(id) {
-    // Construir la URL con query string para el id del vehículo
-    const url = 'detalle.html?id=' + encodeURIComponent(id);
-    // Abrir la página de detalles en la misma pestaña para permitir
-    // regresar fácilmente con el botón de retroceso del navegador.
-    window.location.href = url;
+  async function fetchSettings() {
+    try {
+      const res = await fetch('/api/config?vista=admin');
+      if (res.status === 401) {
+        handleSessionExpired();
+        return;
+      }
+      if (!res.ok) throw new Error('Error al obtener los datos de la agencia');
+      fillSettingsForm((await res.json()).ajustes);
+    } catch (err) {
+      console.error(err);
+      document.getElementById('ajustes-actualizacion').textContent = 'No se pudieron cargar los datos de la agencia.';
+    }
   }
 
   /**
-   * Configura los listeners de filtro.
+   * Guarda los datos de la agencia y actualiza la sección de contacto.
+   * @param {Event} e
    */
-  function setupFilterListeners() {
-    // Ya no se utiliza el botón de aplicar filtros porque los filtros se aplican
-    // automáticamente al cambiar cualquier campo. Esta sección se deja vacía para
-    // compatibilidad futura.
-    // Botón para limpiar filtros
-    const clearBtn = document.getElementById('btn-clear-filtros');
-    if (clearBtn) {
-      clearBtn.addEventListener('click', (e) => {
-        e.preventDefault();
-        // Restablecer todos los select e inputs de filtros
-        document.getElementById('filtro-marca').value = '';
-        document.getElementById('filtro-anio').value = '';
-        document.getElementById('filtro-precio').value = '';
-        document.getElementById('filtro-km').value = '';
-        applyFilters();
+  async function handleSettingsSubmit(e) {
+    e.preventDefault();
+    const form = document.getElementById('form-ajustes');
+    const status = document.getElementById('ajustes-estado');
+    clearFieldErrors(form);
+    status.textContent = '';
+    const ajustes = {};
+    Object.keys(SETTINGS_FIELD_TARGETS).forEach((campo) => {
+      if (campo !== 'general') ajustes[campo] = document.getElementById(SETTINGS_FIELD_TARGETS[campo]).value;
+    });
+    try {
+      const res = await fetch('/api/config', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(ajustes),
       });
+      if (res.status === 401) {
+        handleSessionExpired();
+        return;
+      }
+      const data = await res.json().catch(() => ({}));
+      if (res.status === 400 && data.errores) {
+        showFieldErrors(data.errores, SETTINGS_FIELD_TARGETS);
+        return;
+      }
+      if (!res.ok) throw new Error(data.error || 'No se pudieron guardar los datos de la agencia.');
+      fillSettingsForm(data.ajustes);
+      renderSiteSettings(data.ajustes);
+      status.textContent = 'Datos guardados.';
+    } catch (err) {
+      console.error(err);
+      alert(err.message || 'No se pudieron guardar los datos de la agencia.');
     }
-    // Aplicar filtros automáticamente al cambiar cualquier filtro
-    document.getElementById('filtro-marca').addEventListener('change', applyFilters);
-    document.getElementById('filtro-anio').addEventListener('change', applyFilters);
-    document.getElementById('filtro-precio').addEventListener('input', applyFilters);
-    document.getElementById('filtro-km').addEventListener('input', applyFilters);
   }
 
-  // ---------- Panel de administración ----------
-
   /**
-   * Abre el panel de administración. Muestra la capa de fondo y el modal.
+   * Carga las opciones de la ficha técnica y arma los selects y la lista
+   * de equipamiento del formulario del panel.
    */
-  function openAdmin() {
-    document.getElementById('admin-overlay').style.display = 'flex';
-    // Si el usuario ya está logueado, mostrar dashboard
-    if (loggedIn) {
-      document.getElementById('admin-login').classList.add('hidden');
-      document.getElementById('admin-dashboard').classList.remove('hidden');
-      renderAdminList();
-    } else {
-      document.getElementById('admin-login').classList.remove('hidden');
-      document.getElementById('admin-dashboard').classList.add('hidden');
+  async function loadSpecOptions() {
+    try {
+      const res = await fetch('/api/especificaciones');
+      if (!res.ok) throw new Error('Error al solicitar la ficha técnica');
+      specOptions = await res.json();
+    } catch (err) {
+      console.error(err);
     }
+    ['combustible', 'transmision', 'carroceria'].forEach((campo) => {
+      const select = document.getElementById('add-' + campo);
+      select.innerHTML = '<option value="">Sin especificar</option>';
+      (specOptions.opciones[campo] || []).forEach((o) => {
+        const opt = document.createElement('option');
+        opt.value = o.valor;
+        opt.textContent = o.etiqueta;
+        select.appendChild(opt);
+      });
+    });
+    const checklist = document.getElementById('add-equipamiento');
+    checklist.innerHTML = '';
+    specOptions.equipamiento.forEach((o) => {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = o.valor;
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(' ' + o.etiqueta));
+      checklist.appendChild(label);
+    });
   }
 
   /**
-   * Cierra el panel de administración y limpia formularios.
+   * Carga un vehículo existente en el formulario del panel para editarlo.
+   * Las imágenes actuales se agregan a la vista previa, donde pueden
+   * reordenarse, recortarse o eliminarse como las nuevas.
+   * @param {Object} v Vehículo a editar
    */
-  function closeAdmin() {
-    document.getElementById('admin-overlay').style.display = 'none';
-    // Limpiar campos de login
-    document.getElementById('admin-user').value = '';
-    document.getElementById('admin-pass').value = '';
-    // Limpiar formulario de alta
-    document.getElementById('form-add-vehiculo').reset();
-    selectedImages = [];
+  function startEditVehicle(v) {
+    editingId = v.id;
+    clearFieldErrors();
+    document.getElementById('add-marca').value = v.marca || '';
+    document.getElementById('add-modelo').value = v.modelo || '';
+    document.getElementById('add-anio').value = v.anio != null ? v.anio : '';
+    document.getElementById('add-precio').value = v.precio != null ? v.precio : '';
+    document.getElementById('add-moneda').value = v.moneda || 'ARS';
+    document.getElementById('add-km').value = v.km != null ? v.km : '';
+    document.getElementById('add-destacado').value = v.destacado ? 'true' : 'false';
+    document.getElementById('add-descripcion').value = v.descripcion || '';
+    document.getElementById('add-version').value = v.version || '';
+    document.getElementById('add-combustible').value = v.combustible || '';
+    document.getElementById('add-transmision').value = v.transmision || '';
+    document.getElementById('add-carroceria').value = v.carroceria || '';
+    document.getElementById('add-puertas').value = v.puertas != null ? v.puertas : '';
+    document.getElementById('add-color').value = v.color || '';
+    const equipamiento = Array.isArray(v.equipamiento) ? v.equipamiento : [];
+    document.querySelectorAll('#add-equipamiento input[type="checkbox"]').forEach((cb) => {
+      cb.checked = equipamiento.includes(cb.value);
+    });
+    selectedImages = (Array.isArray(v.imagenes) ? v.imagenes : []).map((img) => {
+      if (typeof img === 'string') return { src: img, offsetX: 50, offsetY: 50 };
+      return {
+        id: img.id,
+        src: img.id ? img.thumb : img.src,
+        offsetX: typeof img.offsetX === 'number' ? img.offsetX : 50,
+        offsetY: typeof img.offsetY === 'number' ? img.offsetY : 50,
+      };
+    });
     updatePreviewImages();
+    document.getElementById('form-vehiculo-titulo').textContent = 'Editar vehículo';
+    document.getElementById('btn-guardar-vehiculo').textContent = 'Guardar cambios';
+    document.getElementById('btn-cancelar-edicion').classList.remove('hidden');
+    document.getElementById('form-add-vehiculo').scrollIntoView({ behavior: 'smooth' });
   }
 
   /**
-   * Valida credenciales simples para acceder al modo administrador.
-   */
-  function loginAdmin() {
-    const user = document.getElementById('admin-user').value.trim();
-    const pass = document.getElementById('admin-pass').value.trim();
-    // Puedes cambiar estas credenciales predeterminadas si lo deseas
-    if (user === 'admin' && pass === 'admin') {
-      loggedIn = true;
-      // Alternar paneles
-      document.getElementById('admin-login').classList.add('hidden');
-      document.getElementById('admin-dashboard').classList.remove('hidden');
-      renderAdminList();
-    } else {
-      alert('Usuario o contraseña incorrectos');
-    }
-  }
-
-  /**
-   * Cierra la sesión de administrador.
+   * Limpia el formulario del panel y lo devuelve al modo de alta.
    */
-  function logoutAdmin() {
-    loggedIn = false;
-    document.getElementById('admin-login').classList.remove('hidden');
-    document.getElementById('admin-dashboard').classList.add('hidden');
+  function resetVehicleForm() {
+    editingId = null;
+    clearFieldErrors();
+    document.getElementById('form-add-vehiculo').reset();
+    selectedImages = [];
+    updatePreviewImages();
+    // Limpiar el valor del input de archivos para permitir subir el mismo archivo nuevamente
+    const fileInput = document.getElementById('file-input');
+    if (fileInput) fileInput.value = '';
+    document.getElementById('form-vehiculo-titulo').textContent = 'Agregar vehículo';
+    document.getElementById('btn-guardar-vehiculo').textContent = 'Agregar vehículo';
+    document.getElementById('btn-cancelar-edicion').classList.add('hidden');
   }
 
   /**
-   * Actualiza el listado de vehículos en el panel de administración.
+   * Ejecuta una operación de administración sobre un vehículo y, si tiene
+   * éxito, recarga el inventario y actualiza todas las vistas.
+   * @param {string} url
+   * @param {Object} options Opciones de fetch
+   * @param {string} errorMessage Mensaje a mostrar si la operación falla
    */
-  function renderAdminList() {
-    const listCont = document.getElementById('admin-lista-vehiculos');
-    listCont.innerHTML = '';
-    vehicles.forEach((v) => {
-      const item = document.createElement('div');
-      item.className = 'admin-lista-item';
-      const text = document.createElement('span');
-      text.textContent = v.marca + ' ' + v.modelo + ' (' + v.anio + ')';
-      const btn = document.createElement('button');
-      btn.textContent = 'Eliminar';
-      btn.dataset.id = v.id;
-      btn.addEventListener('click', () => {
-        if (confirm('¿Eliminar este vehículo?')) {
-          removeVehicle(v.id);
+  function runVehicleAction(url, options, errorMessage) {
+    return fetch(url, options)
+      .then(async (res) => {
+        if (res.status === 401) {
+          handleSessionExpired();
+          return null;
         }
-      });
-      item.appendChild(text);
-      item.appendChild(btn);
-      listCont.appendChild(item);
-    });
-  }
-
-  /**
-   * Elimina un vehículo por id y actualiza la vista y almacenamiento.
-   * @param {number} id
-   */
-  function removeVehicle(id) {
-    // Solicitar al servidor que elimine el vehículo. Una vez completado
-    // actualizamos las vistas consultando nuevamente la API.
-    fetch('/api/vehiculos/' + encodeURIComponent(id), {
-      method: 'DELETE',
-    })
-      .then((res) => {
-        if (!res.ok) throw new Error('Error al eliminar');
-        return res.json();
+        const data = await res.json().catch(() => ({}));
+        // Los errores de validación (por ejemplo, el precio de venta de un
+        // vehículo en consignación) se muestran con su detalle
+        const detalle = data.errores ? Object.values(data.errores).join(' ') : '';
+        if (!res.ok) throw new Error(detalle || data.error || errorMessage);
+        return data;
       })
-      .then(() => {
-        return fetchVehiclesFromAPI();
+      .then((data) => {
+        if (!data) return null;
+        return fetchVehiclesFromAPI().then(() => data);
       })
-      .then(() => {
+      .then((data) => {
+        if (!data) return;
         populateFilterOptions();
         applyFilters();
         renderDestacados();
@@ -427,40 +2949,123 @@
       })
       .catch((err) => {
         console.error(err);
-        alert('No se pudo eliminar el vehículo.');
+        alert(err.message || errorMessage);
+        renderAdminList();
       });
   }
 
   /**
-   * Maneja la selección de archivos desde el input file.
-   * @param {Event} e
+   * Archiva un vehículo por id (baja lógica) y actualiza las vistas.
+   * @param {number} id
    */
-  function handleFileInput(e) {
-    const files = e.target.files;
-    handleFiles(files);
+  function removeVehicle(id) {
+    runVehicleAction(
+      '/api/vehiculos/' + encodeURIComponent(id),
+      { method: 'DELETE' },
+      'No se pudo archivar el vehículo.'
+    );
   }
 
   /**
-   * Maneja el arrastre de archivos sobre el área designada.
+   * Restaura un vehículo archivado.
+   * @param {number} id
    */
-  function handleDrop(e) {
-    e.preventDefault();
-    e.stopPropagation();
-    const files = e.dataTransfer.files;
-    dropArea.classList.remove('dragover');
-    handleFiles(files);
+  function restoreVehicle(id) {
+    runVehicleAction(
+      '/api/vehiculos/' + encodeURIComponent(id) + '/restaurar',
+      { method: 'POST' },
+      'No se pudo restaurar el vehículo.'
+    );
   }
 
-  function handleDragOver(e) {
-    e.preventDefault();
-    e.stopPropagation();
-    dropArea.classList.add('dragover');
+  /**
+   * Elimina definitivamente un vehículo archivado junto con sus fotos.
+   * @param {number} id
+   */
+  function purgeVehicle(id) {
+    runVehicleAction(
+      '/api/vehiculos/' + encodeURIComponent(id) + '/purgar',
+      { method: 'DELETE' },
+      'No se pudo eliminar el vehículo.'
+    );
   }
 
-  function handleDragLeave(e) {
-    e.preventDefault();
-    e.stopPropagation();
-    dropArea.classList.remove('dragover');
+  /**
+   * Cambia el estado comercial de un vehículo (disponible, reservado o
+   * vendido). Un vehículo en consignación se vende con el precio final,
+   * que el servidor usa para calcular la liquidación al dueño.
+   * @param {number} id
+   * @param {string} estado
+   */
+  function changeVehicleStatus(id, estado) {
+    const cambio = { estado };
+    const consignacion = estado === 'vendido' ? consignmentFor(id) : null;
+    if (consignacion) {
+      const precio = prompt(
+        'Precio final de venta en ' + CURRENCY_SYMBOLS[consignacion.moneda] + ' (mínimo acordado con ' +
+          consignacion.nombre + ': ' + formatPrice(consignacion.precioMinimo, consignacion.moneda) + ')'
+      );
+      if (precio === null) {
+        renderAdminList();
+        return;
+      }
+      cambio.precioVenta = precio;
+    }
+    runVehicleAction(
+      '/api/vehiculos/' + encodeURIComponent(id) + '/estado',
+      {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(cambio),
+      },
+      'No se pudo cambiar el estado del vehículo.'
+    ).then(fetchConsignments);
+  }
+
+  /**
+   * Conecta un área de arrastre con su input file: un clic abre el
+   * selector y los archivos elegidos o soltados se pasan a onFiles. Se usa
+   * en el formulario de vehículos del panel y en "Cotiza tu usado".
+   * @param {HTMLElement} area
+   * @param {HTMLInputElement} input
+   * @param {function(FileList)} onFiles
+   */
+  function setupDropArea(area, input, onFiles) {
+    input.addEventListener('change', (e) => {
+      onFiles(e.target.files);
+      // Permite volver a elegir el mismo archivo después de quitarlo
+      e.target.value = '';
+    });
+    area.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      e.currentTarget.classList.add('dragover');
+    });
+    area.addEventListener('dragleave', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      e.currentTarget.classList.remove('dragover');
+    });
+    area.addEventListener('drop', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      e.currentTarget.classList.remove('dragover');
+      onFiles(e.dataTransfer.files);
+    });
+    area.addEventListener('click', () => input.click());
+  }
+
+  /**
+   * Lee una foto elegida por el usuario y la reduce con resizeImage.
+   * @param {File} file
+   * @param {number} maxWidth Ancho máximo en píxeles
+   * @param {number} quality Calidad JPEG (0 a 1)
+   * @param {function(string)} callback Recibe la DataURL reducida
+   */
+  function readImageFile(file, maxWidth, quality, callback) {
+    const reader = new FileReader();
+    reader.onload = (evt) => resizeImage(evt.target.result, maxWidth, callback, quality);
+    reader.readAsDataURL(file);
   }
 
   /**
@@ -474,30 +3079,57 @@
       // Limitar la cantidad de imágenes para evitar saturar el almacenamiento
       // del servidor. Permitimos un máximo de 5 imágenes por vehículo para
       // controlar el tamaño final y mantener tiempos de carga razonables. Si
-      // se excede, mostrar una advertencia y no añadir más.
-      if (selectedImages.length >= 5) {
+      // se excede, mostrar una advertencia y no añadir más. Se cuentan
+      // también las fotos que todavía se están subiendo.
+      if (selectedImages.length + pendingUploads >= 5) {
         alert('Se permite un máximo de 5 imágenes por vehículo.');
         return;
       }
-      const reader = new FileReader();
-      reader.onload = (evt) => {
-        const dataUrl = evt.target.result;
-        /*
-         * Redimensionamos la imagen a un ancho máximo de 500 px y una
-         * calidad del 60 % para reducir el tamaño final sin sacrificar
-         * demasiado detalle. Esto ayuda a que las imágenes ocupen menos
-         * espacio tanto en la transferencia al servidor como en el
-         * almacenamiento en disco. Cargar muchas fotos de alta
-         * resolución podría saturar el límite de almacenamiento del
-         * navegador o exceder el tamaño permitido en el backend.
-         */
-        resizeImage(dataUrl, 500, (resizedDataUrl) => {
-          selectedImages.push({ src: resizedDataUrl, offsetX: 50, offsetY: 50 });
-          updatePreviewImages();
-        }, 0.6);
-      };
-      reader.readAsDataURL(file);
+      pendingUploads++;
+      /*
+       * El servidor genera las versiones definitivas (miniatura, tarjeta
+       * y tamaño completo). Aquí sólo reducimos la foto a 1600 px, el
+       * tamaño mayor que se publica, para que la subida sea rápida aun
+       * con fotos de cámara de varios megapíxeles.
+       */
+      readImageFile(file, 1600, 0.85, (resizedDataUrl) => {
+        uploadImage(resizedDataUrl)
+          .then((img) => {
+            if (!img) return;
+            selectedImages.push({ id: img.id, src: img.thumb, offsetX: 50, offsetY: 50 });
+            updatePreviewImages();
+          })
+          .catch((err) => {
+            console.error(err);
+            alert('No se pudo subir la imagen ' + file.name + '.');
+          })
+          .finally(() => {
+            pendingUploads--;
+          });
+      });
+    });
+  }
+
+  /**
+   * Sube una imagen al servidor, que la guarda en el almacén de imágenes.
+   * Devuelve el objeto { id, src, thumb, card } de la respuesta, o null si
+   * la sesión expiró.
+   * @param {string} dataUrl Imagen a subir
+   * @returns {Promise<Object|null>}
+   */
+  async function uploadImage(dataUrl) {
+    const blob = await (await fetch(dataUrl)).blob();
+    const res = await fetch('/api/imagenes', {
+      method: 'POST',
+      headers: { 'Content-Type': blob.type },
+      body: blob,
     });
+    if (res.status === 401) {
+      handleSessionExpired();
+      return null;
+    }
+    if (!res.ok) throw new Error('Error al subir la imagen');
+    return res.json();
   }
 
   /**
@@ -630,14 +3262,70 @@
     });
   }
 
+  // Elemento junto al que se muestra el error de cada campo del formulario
+  const FIELD_ERROR_TARGETS = {
+    marca: 'add-marca',
+    modelo: 'add-modelo',
+    anio: 'add-anio',
+    precio: 'add-precio',
+    moneda: 'add-moneda',
+    km: 'add-km',
+    destacado: 'add-destacado',
+    descripcion: 'add-descripcion',
+    version: 'add-version',
+    combustible: 'add-combustible',
+    transmision: 'add-transmision',
+    carroceria: 'add-carroceria',
+    puertas: 'add-puertas',
+    color: 'add-color',
+    equipamiento: 'add-equipamiento',
+    imagenes: 'drop-area',
+    general: 'btn-guardar-vehiculo',
+  };
+
+  /**
+   * Muestra los mensajes de error debajo de cada campo del formulario.
+   * Los campos sin elemento asociado se muestran junto al botón de guardar.
+   * @param {Object<string, string>} errores Mensaje por campo
+   * @param {Object<string, string>} [targets] Id del elemento de cada campo
+   */
+  function showFieldErrors(errores, targets = FIELD_ERROR_TARGETS) {
+    let first = null;
+    Object.keys(errores).forEach((campo) => {
+      const target = document.getElementById(targets[campo] || targets.general);
+      if (!target) return;
+      target.classList.add('input-error');
+      const msg = document.createElement('span');
+      msg.className = 'field-error';
+      msg.textContent = errores[campo];
+      target.insertAdjacentElement('afterend', msg);
+      if (!first) first = target;
+    });
+    if (first) first.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+
+  /**
+   * Quita los mensajes de error de un formulario (por defecto, el de
+   * vehículos).
+   * @param {HTMLFormElement} [form]
+   */
+  function clearFieldErrors(form = document.getElementById('form-add-vehiculo')) {
+    form.querySelectorAll('.field-error').forEach((el) => el.remove());
+    form.querySelectorAll('.input-error').forEach((el) => el.classList.remove('input-error'));
+  }
+
   /**
-   * Maneja el envío del formulario de alta de vehículo. Agrega un
-   * nuevo vehículo a la lista y actualiza la vista.
+   * Maneja el envío del formulario de vehículo. Agrega un nuevo vehículo
+   * o, si se está editando uno existente, guarda sus cambios con PATCH
+   * conservando su id. Luego actualiza la vista.
    * @param {Event} e
    */
   function handleAddVehicle(e) {
     e.preventDefault();
-    // Obtener y validar datos del formulario
+    clearFieldErrors();
+    // Obtener datos del formulario. Aquí sólo se verifica que los campos
+    // obligatorios tengan valor; los rangos y formatos los valida el
+    // servidor, que devuelve los errores por campo.
     const marca = document.getElementById('add-marca').value.trim();
     const modelo = document.getElementById('add-modelo').value.trim();
     const anio = parseInt(document.getElementById('add-anio').value, 10);
@@ -645,69 +3333,149 @@
     const km = parseInt(document.getElementById('add-km').value, 10);
     const destacado = document.getElementById('add-destacado').value === 'true';
     const descripcion = document.getElementById('add-descripcion').value.trim();
-    if (!marca || !modelo || isNaN(anio) || isNaN(precio) || isNaN(km) || !descripcion) {
-      alert('Completa todos los campos correctamente.');
+    const faltantes = {};
+    Object.entries({ marca, modelo, anio, precio, km, descripcion }).forEach(([campo, valor]) => {
+      if (valor === '' || (typeof valor === 'number' && isNaN(valor))) {
+        faltantes[campo] = 'Este campo es obligatorio';
+      }
+    });
+    if (Object.keys(faltantes).length) {
+      showFieldErrors(faltantes);
+      return;
+    }
+    if (pendingUploads > 0) {
+      alert('Espera a que terminen de subirse las imágenes.');
       return;
     }
-    // Tomar solo la propiedad src de cada imagen seleccionada. Los offsets se
-    // utilizan para recorte en la vista previa, pero no se envían al servidor.
-    const imagenesFinales = selectedImages.map((img) => img.src);
+    // Enviar la referencia de cada imagen (el id en el almacén o la URL
+    // remota) junto con el punto focal elegido con los controles de recorte.
+    const imagenesFinales = selectedImages.map((img) => ({
+      ...(img.id ? { id: img.id } : { url: img.src }),
+      offsetX: img.offsetX,
+      offsetY: img.offsetY,
+    }));
     // Construir el objeto a enviar al servidor (el id lo genera el backend)
-    const nuevoVehiculo = {
+    const datosVehiculo = {
       marca,
       modelo,
       anio,
       precio,
+      moneda: document.getElementById('add-moneda').value,
       km,
       descripcion,
       destacado,
+      // Ficha técnica: los campos vacíos se guardan como "sin especificar"
+      version: document.getElementById('add-version').value.trim(),
+      combustible: document.getElementById('add-combustible').value,
+      transmision: document.getElementById('add-transmision').value,
+      carroceria: document.getElementById('add-carroceria').value,
+      puertas: document.getElementById('add-puertas').value,
+      color: document.getElementById('add-color').value.trim(),
+      equipamiento: Array.from(
+        document.querySelectorAll('#add-equipamiento input[type="checkbox"]:checked')
+      ).map((cb) => cb.value),
       imagenes: imagenesFinales,
     };
     // Enviar los datos al servidor para persistirlos y almacenar las imágenes
-    fetch('/api/vehiculos', {
-      method: 'POST',
+    const editando = editingId !== null;
+    const url = editando ? '/api/vehiculos/' + encodeURIComponent(editingId) : '/api/vehiculos';
+    fetch(url, {
+      method: editando ? 'PATCH' : 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(nuevoVehiculo),
+      body: JSON.stringify(datosVehiculo),
     })
       .then((res) => {
+        if (res.status === 401) {
+          handleSessionExpired();
+          return null;
+        }
+        if (res.status === 400) {
+          // Datos rechazados por el servidor: mostrar los errores por campo
+          return res.json().then((body) => {
+            showFieldErrors(body.errores || { general: body.error });
+            return null;
+          });
+        }
         if (!res.ok) throw new Error('Error al guardar el vehículo');
         return res.json();
       })
-      .then(() => {
+      .then((data) => {
         // Recargar la lista de vehículos desde la API
-        return fetchVehiclesFromAPI();
+        if (!data) return null;
+        return fetchVehiclesFromAPI().then(() => data);
       })
-      .then(() => {
+      .then((data) => {
+        if (!data) return;
         // Actualizar vistas y listas
         populateFilterOptions();
         renderDestacados();
         applyFilters();
         renderAdminList();
         // Limpiar formulario y selección de imágenes
-        document.getElementById('form-add-vehiculo').reset();
-        selectedImages = [];
-        updatePreviewImages();
-        // Limpiar el valor del input de archivos para permitir subir el mismo archivo nuevamente
-        const fileInput = document.getElementById('file-input');
-        if (fileInput) fileInput.value = '';
-        alert('Vehículo agregado exitosamente.');
+        resetVehicleForm();
+        alert(editando ? 'Vehículo actualizado exitosamente.' : 'Vehículo agregado exitosamente.');
       })
       .catch((err) => {
         console.error(err);
-        alert('No se pudo agregar el vehículo. Intente nuevamente.');
+        alert(
+          editando
+            ? 'No se pudo actualizar el vehículo. Intente nuevamente.'
+            : 'No se pudo agregar el vehículo. Intente nuevamente.'
+        );
       });
   }
 
   // ---------- Inicialización ----------
   async function init() {
-    // Cargar vehículos desde la API antes de renderizar la interfaz
-    await fetchVehiclesFromAPI();
-    // Renderizar componentes iniciales
+    // Renderizar componentes iniciales. Cada uno consulta a la API sólo
+    // los datos que necesita.
     populateFilterOptions();
     renderDestacados();
     applyFilters();
+    loadSpecOptions();
+    loadSiteSettings();
     // Setup listeners de filtros
     setupFilterListeners();
+    // Favoritos (propios o de un enlace compartido)
+    favorites = loadFavorites();
+    sharedFavoriteIds = parseSharedFavorites();
+    renderFavorites();
+    document.getElementById('btn-compartir-favoritos').addEventListener('click', shareFavorites);
+    document.getElementById('btn-guardar-compartidos').addEventListener('click', saveSharedFavorites);
+    document.getElementById('btn-ver-mis-favoritos').addEventListener('click', showOwnFavorites);
+    // Los favoritos pueden cambiar en otra pestaña o en el detalle
+    window.addEventListener('storage', (e) => {
+      if (e.key !== FAVORITES_STORAGE_KEY) return;
+      favorites = loadFavorites();
+      refreshFavoriteButtons();
+      renderFavorites();
+    });
+    // Cotiza tu usado
+    setupDropArea(
+      document.getElementById('permuta-drop-area'),
+      document.getElementById('permuta-file-input'),
+      handleTradeInFiles
+    );
+    document.getElementById('form-permuta').addEventListener('submit', handleTradeInSubmit);
+    document.getElementById('btn-quitar-interes').addEventListener('click', clearTradeInVehicle);
+    loadTradeInVehicle();
+    // Bandeja de comparación
+    compareSelection = loadCompareSelection();
+    renderCompareTray();
+    document.getElementById('btn-comparar').addEventListener('click', openComparison);
+    document.getElementById('btn-limpiar-comparacion').addEventListener('click', clearComparison);
+    // Al volver con el botón de retroceso el navegador puede restaurar la
+    // página de su caché; la selección pudo cambiar en comparar.html y los
+    // favoritos en el detalle
+    window.addEventListener('pageshow', (e) => {
+      if (!e.persisted) return;
+      compareSelection = loadCompareSelection();
+      refreshCompareButtons();
+      renderCompareTray();
+      favorites = loadFavorites();
+      refreshFavoriteButtons();
+      renderFavorites();
+    });
     // Eventos del administrador
     // El acceso al panel de administración se realiza mediante
     // combinación de teclas (Ctrl + Alt + A). Si el usuario
@@ -727,15 +3495,34 @@
     document.getElementById('btn-login').addEventListener('click', loginAdmin);
     document.getElementById('btn-logout').addEventListener('click', logoutAdmin);
     document.getElementById('form-add-vehiculo').addEventListener('submit', handleAddVehicle);
+    document.getElementById('form-cotizacion').addEventListener('submit', handleRateSubmit);
+    document.getElementById('form-plan').addEventListener('submit', handlePlanSubmit);
+    document.getElementById('btn-cancelar-plan').addEventListener('click', resetPlanForm);
+    document.getElementById('form-consignacion').addEventListener('submit', handleConsignmentSubmit);
+    document.getElementById('btn-cancelar-consignacion').addEventListener('click', resetConsignmentForm);
+    document.getElementById('btn-cancelar-edicion').addEventListener('click', resetVehicleForm);
+    document.getElementById('consultas-filtro-vehiculo').addEventListener('change', fetchLeads);
+    document.getElementById('consultas-filtro-estado').addEventListener('change', fetchLeads);
+    document.getElementById('btn-exportar-consultas').addEventListener('click', exportLeads);
+    document.getElementById('permutas-filtro-estado').addEventListener('change', fetchTradeIns);
+    ['desde', 'hasta', 'estado'].forEach((name) => {
+      document.getElementById('turnos-filtro-' + name).addEventListener('change', fetchBookings);
+    });
+    document.getElementById('form-feriado').addEventListener('submit', handleHolidaySubmit);
+    document.getElementById('form-ajustes').addEventListener('submit', handleSettingsSubmit);
+    document.getElementById('estadisticas-periodo').addEventListener('change', fetchStats);
+    // Las impresiones pendientes se envían al cambiar de pestaña o salir
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') flushImpressions();
+    });
+    document.querySelectorAll('.admin-tab-btn').forEach((btn) => {
+      btn.addEventListener('click', () => showAdminTab(btn.dataset.tab));
+    });
+    document.getElementById('btn-cerrar-historial').addEventListener('click', () => {
+      document.getElementById('admin-historial').classList.add('hidden');
+    });
     // Archivo y drag & drop
-    const fileInput = document.getElementById('file-input');
-    // Asignamos la referencia global para poder usarla en manejadores
-    dropArea = document.getElementById('drop-area');
-    fileInput.addEventListener('change', handleFileInput);
-    dropArea.addEventListener('dragover', handleDragOver);
-    dropArea.addEventListener('dragleave', handleDragLeave);
-    dropArea.addEventListener('drop', handleDrop);
-    dropArea.addEventListener('click', () => fileInput.click());
+    setupDropArea(document.getElementById('drop-area'), document.getElementById('file-input'), handleFiles);
   }
 
   // Ejecutar inicialización cuando el DOM esté listo
@@ -0,0 +1,296 @@
+/*
+ * scripts/catalog.js - Exportación e importación del catálogo
+ *
+ * Exporta el catálogo del store configurado (MongoDB o JSON) a JSON o CSV
+ * e importa desde los mismos formatos. Utiliza las mismas variables de
+ * entorno que el servidor (DATA_STORE, MONGO_URL, DATA_DIR,
+ * IMAGE_STORAGE, UPLOADS_DIR).
+ *
+ * Uso:
+ *   npm run catalog -- export [archivo] [--formato json|csv] [--con-imagenes]
+ *   npm run catalog -- import <archivo> [--formato json|csv] [--dry-run]
+ *
+ * Exportación:
+ *   Sin archivo se escribe en la salida estándar. Por defecto las imágenes
+ *   se exportan como referencias ({ id } del almacén o { url } remota);
+ *   con --con-imagenes se incluyen completas como DataURL, de modo que el
+ *   archivo sirve de respaldo independiente del almacén de imágenes. En
+ *   CSV las imágenes van en una sola columna separadas por "|" y no
+ *   conservan el punto focal; el equipamiento también se separa con "|".
+ *
+ * Importación:
+ *   Cada registro se valida con las mismas reglas que la API
+ *   (lib/validation.js). Los registros con `id` existente actualizan ese
+ *   vehículo (sólo los campos presentes; en CSV las celdas vacías no
+ *   modifican nada); los demás se crean, con su `id` si lo traen. Los
+ *   registros inválidos se informan y se omiten. Con --dry-run sólo se
+ *   muestran las diferencias, sin guardar nada. Por ejemplo, para cargar
+ *   el catálogo de ejemplo en una base de desarrollo:
+ *     npm run catalog -- import vehicles.json
+ *   Los cambios quedan en el historial de cada vehículo con el usuario
+ *   "importación".
+ *
+ * Con DATA_STORE=json conviene detener el servidor antes de importar: el
+ * servidor mantiene el archivo en memoria y no ve cambios externos.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const csv = require('../lib/csv');
+const images = require('../lib/images');
+const { validateVehicle } = require('../lib/validation');
+const { createStore } = require('../lib/store');
+const { loadConfig } = require('../lib/config');
+const { recordHistory, priceChangeFields } = require('../lib/history');
+const { monedaDe } = require('../lib/currency');
+
+// Usuario con el que se registran en el historial los cambios importados
+const HISTORY_USER = 'importación';
+
+// Columnas del CSV, en orden
+const CSV_COLUMNS = [
+  'id', 'marca', 'modelo', 'version', 'anio', 'precio', 'moneda', 'km', 'combustible', 'transmision',
+  'carroceria', 'puertas', 'color', 'equipamiento', 'descripcion', 'destacado', 'imagenes',
+];
+// Separador de los elementos de una lista (imágenes, equipamiento) dentro de una celda
+const CSV_LIST_SEPARATOR = '|';
+
+// Lee las opciones de la línea de comandos
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--formato') args.formato = argv[++i];
+    else if (arg === '--con-imagenes') args.conImagenes = true;
+    else if (arg === '--dry-run') args.dryRun = true;
+    else args._.push(arg);
+  }
+  return args;
+}
+
+// Formato a usar: el indicado o el de la extensión del archivo
+function resolveFormat(formato, file) {
+  const format = formato || (file && path.extname(file).slice(1).toLowerCase()) || 'json';
+  if (format !== 'json' && format !== 'csv') {
+    throw new Error('Formato no soportado: ' + format + ' (use json o csv)');
+  }
+  return format;
+}
+
+// Recorre todas las páginas del store y devuelve el catálogo completo
+async function allVehicles(store) {
+  const list = [];
+  for (let page = 1; ; page++) {
+    const { vehiculos, total } = await store.vehicles.list({ filters: {}, sort: null, page, limit: 100 });
+    list.push(...vehiculos);
+    if (!vehiculos.length || list.length >= total) return list;
+  }
+}
+
+// Convierte una imagen guardada al formato que acepta la importación
+async function exportImage(storage, entry, conImagenes) {
+  const focus = {
+    offsetX: entry && typeof entry.offsetX === 'number' ? entry.offsetX : 50,
+    offsetY: entry && typeof entry.offsetY === 'number' ? entry.offsetY : 50,
+  };
+  if (entry && entry.imagen) {
+    if (conImagenes) {
+      const buffer = await images.readImage(storage, entry.imagen, 'full');
+      if (buffer) return { src: 'data:image/jpeg;base64,' + buffer.toString('base64'), ...focus };
+      console.warn('Imagen ' + entry.imagen + ' no encontrada en el almacén; se exporta la referencia');
+    }
+    return { id: entry.imagen, ...focus };
+  }
+  return { url: typeof entry === 'string' ? entry : entry.url, ...focus };
+}
+
+async function exportCatalog(store, storage, args) {
+  const file = args._[1];
+  const format = resolveFormat(args.formato, file);
+  const vehicles = [];
+  for (const v of await allVehicles(store)) {
+    const imagenes = [];
+    for (const entry of v.imagenes || []) {
+      imagenes.push(await exportImage(storage, entry, args.conImagenes));
+    }
+    vehicles.push({ ...v, moneda: monedaDe(v), imagenes });
+  }
+  let output;
+  if (format === 'csv') {
+    const rows = vehicles.map((v) => ({
+      ...v,
+      imagenes: v.imagenes.map((img) => img.id || img.url || img.src).join(CSV_LIST_SEPARATOR),
+      equipamiento: (v.equipamiento || []).join(CSV_LIST_SEPARATOR),
+    }));
+    output = csv.stringify(CSV_COLUMNS, rows);
+  } else {
+    output = JSON.stringify(vehicles, null, 2) + '\n';
+  }
+  if (file) {
+    await fs.promises.writeFile(file, output);
+    console.error(vehicles.length + ' vehículos exportados a ' + file);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+// Lee los registros a importar. En CSV las celdas vacías se descartan y
+// las imágenes se separan en una lista.
+async function readRecords(file, format) {
+  const text = await fs.promises.readFile(file, 'utf8');
+  if (format === 'json') {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data)) throw new Error('El archivo JSON debe contener una lista de vehículos');
+    return data;
+  }
+  return csv.parse(text).map((row) => {
+    const record = {};
+    Object.keys(row).forEach((col) => {
+      const value = row[col].trim();
+      if (value === '') return;
+      record[col] =
+        col === 'imagenes'
+          ? value.split(CSV_LIST_SEPARATOR).map((s) => s.trim()).filter(Boolean)
+          : value;
+    });
+    return record;
+  });
+}
+
+// Representación comparable de un valor (las imágenes se reducen a su
+// referencia y punto focal; un vehículo sin moneda está en pesos)
+function comparable(field, value) {
+  if (field === 'moneda') return monedaDe({ moneda: value });
+  if (field !== 'imagenes') return JSON.stringify(value === undefined ? null : value);
+  return JSON.stringify(
+    (value || []).map((e) =>
+      typeof e === 'string'
+        ? [e, 50, 50]
+        : [e.imagen || e.url || e.dataUrl, e.offsetX === undefined ? 50 : e.offsetX, e.offsetY === undefined ? 50 : e.offsetY]
+    )
+  );
+}
+
+// Texto corto de un valor para mostrar en el resumen de cambios
+function preview(field, value) {
+  if (field === 'imagenes') return (value || []).length + ' imágenes';
+  const text = value === undefined || value === null ? '—' : String(value);
+  return text.length > 40 ? text.slice(0, 37) + '...' : text;
+}
+
+async function importCatalog(store, storage, args) {
+  const file = args._[1];
+  if (!file) throw new Error('Indique el archivo a importar');
+  const format = resolveFormat(args.formato, file);
+  const records = await readRecords(file, format);
+  const stats = { nuevos: 0, modificados: 0, iguales: 0, errores: 0 };
+  const seen = new Set();
+  const prefix = args.dryRun ? '[simulación] ' : '';
+
+  for (let i = 0; i < records.length; i++) {
+    const record = records[i] && typeof records[i] === 'object' ? records[i] : {};
+    const fila = 'fila ' + (i + 1);
+    const reportErrors = (errores) => {
+      stats.errores++;
+      const detalle = Object.keys(errores).map((campo) => campo + ': ' + errores[campo]).join('; ');
+      console.log('! ' + fila + ': ' + detalle);
+    };
+
+    let id;
+    if (record.id !== undefined && record.id !== null && record.id !== '') {
+      id = Number(record.id);
+      if (!Number.isInteger(id) || id < 1) {
+        reportErrors({ id: 'Debe ser un número entero positivo' });
+        continue;
+      }
+      if (seen.has(id)) {
+        reportErrors({ id: 'El id ' + id + ' está repetido en el archivo' });
+        continue;
+      }
+      seen.add(id);
+    }
+    const existing = id ? await store.vehicles.get(id) : null;
+    const { data, errores } = validateVehicle(record, { partial: !!existing });
+    if (errores) {
+      reportErrors(errores);
+      continue;
+    }
+    const label = (existing || data).marca + ' ' + (existing || data).modelo;
+
+    if (existing) {
+      const changed = Object.keys(data).filter(
+        (field) => comparable(field, existing[field]) !== comparable(field, data[field])
+      );
+      if (!changed.length) {
+        stats.iguales++;
+        console.log('= #' + id + ' ' + label + ' sin cambios');
+        continue;
+      }
+      stats.modificados++;
+      const detalle = changed
+        .map((f) => f + ' ' + preview(f, existing[f]) + ' → ' + preview(f, data[f]))
+        .join(', ');
+      console.log('~ #' + id + ' ' + label + ': ' + detalle);
+      if (!args.dryRun) {
+        const cambios = {};
+        changed.forEach((f) => {
+          cambios[f] = data[f];
+        });
+        if (cambios.imagenes) cambios.imagenes = await images.resolveImageInputs(storage, cambios.imagenes);
+        Object.assign(cambios, priceChangeFields(existing, cambios.precio, cambios.moneda));
+        const { anterior, actualizado } = await store.vehicles.update(id, cambios);
+        await recordHistory(store, {
+          accion: 'edicion',
+          vehiculoId: id,
+          usuario: HISTORY_USER,
+          antes: anterior,
+          despues: actualizado,
+        });
+      }
+    } else {
+      stats.nuevos++;
+      console.log('+ ' + (id ? '#' + id : '(id nuevo)') + ' ' + label);
+      if (!args.dryRun) {
+        data.imagenes = await images.resolveImageInputs(storage, data.imagenes);
+        const nuevo = await store.vehicles.create(id ? { ...data, id } : data);
+        await recordHistory(store, { accion: 'alta', vehiculoId: nuevo.id, usuario: HISTORY_USER, despues: nuevo });
+      }
+    }
+  }
+
+  console.log(
+    prefix +
+      stats.nuevos + ' nuevos, ' +
+      stats.modificados + ' modificados, ' +
+      stats.iguales + ' sin cambios, ' +
+      stats.errores + ' con errores.'
+  );
+  if (stats.errores) process.exitCode = 1;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const command = args._[0];
+  if (command !== 'export' && command !== 'import') {
+    console.error('Uso:');
+    console.error('  npm run catalog -- export [archivo] [--formato json|csv] [--con-imagenes]');
+    console.error('  npm run catalog -- import <archivo> [--formato json|csv] [--dry-run]');
+    process.exitCode = 1;
+    return;
+  }
+  const config = loadConfig();
+  const store = createStore(config.store);
+  await store.connect();
+  try {
+    const storage = images.createImageStorage(config.images);
+    if (command === 'export') await exportCatalog(store, storage, args);
+    else await importCatalog(store, storage, args);
+  } finally {
+    await store.close();
+  }
+}
+
+main().catch((err) => {
+  console.error('Error:', err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,14 @@
+/*
+ * scripts/hash-password.js - Genera el valor de ADMIN_PASSWORD_HASH
+ *
+ * Uso: npm run hash-password -- <contraseña>
+ */
+
+const { hashPassword } = require('../lib/auth');
+
+const password = process.argv[2];
+if (!password) {
+  console.error('Uso: npm run hash-password -- <contraseña>');
+  process.exit(1);
+}
+console.log(hashPassword(password));
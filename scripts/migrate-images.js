@@ -0,0 +1,94 @@
+/*
+ * scripts/migrate-images.js - Migra las imágenes de los vehículos al almacén
+ *
+ * Recorre los vehículos de MongoDB y convierte cada entrada de `imagenes`
+ * guardada con el esquema anterior (una cadena por imagen):
+ *   - DataURL  → se guarda en el almacén de imágenes y se reemplaza por
+ *                { imagen: <id> }.
+ *   - URL      → se conserva como { url } o, con --descargar, se descarga
+ *                y se guarda en el almacén como las demás.
+ * Las entradas que ya tienen el formato nuevo no se modifican, por lo que
+ * el script puede ejecutarse varias veces.
+ *
+ * Uso: npm run migrate-images -- [--dry-run] [--descargar]
+ * Utiliza las mismas variables de entorno que el servidor (MONGO_URL,
+ * IMAGE_STORAGE, UPLOADS_DIR).
+ */
+
+const mongoose = require('mongoose');
+const images = require('../lib/images');
+const { loadConfig } = require('../lib/config');
+
+const dryRun = process.argv.includes('--dry-run');
+const descargar = process.argv.includes('--descargar');
+
+// Descarga una imagen remota y la guarda en el almacén
+async function downloadImage(storage, url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error('HTTP ' + res.status);
+  return images.storeImage(storage, Buffer.from(await res.arrayBuffer()));
+}
+
+// Convierte una entrada de `imagenes` al formato nuevo
+async function migrateEntry(storage, entry, stats) {
+  if (typeof entry !== 'string') return entry;
+  const parsed = images.parseImageInput(entry);
+  if (!parsed) {
+    stats.descartadas++;
+    return null;
+  }
+  if (parsed.dataUrl) {
+    stats.dataUrls++;
+    return dryRun ? parsed : (await images.resolveImageInputs(storage, [parsed]))[0];
+  }
+  if (parsed.url && descargar) {
+    stats.descargadas++;
+    if (dryRun) return parsed;
+    try {
+      return { imagen: await downloadImage(storage, parsed.url), offsetX: 50, offsetY: 50 };
+    } catch (err) {
+      console.warn('  No se pudo descargar ' + parsed.url + ' (' + err.message + '), se conserva la URL');
+      return parsed;
+    }
+  }
+  stats.urls++;
+  return parsed;
+}
+
+async function main() {
+  const config = loadConfig();
+  await mongoose.connect(config.store.mongoUrl);
+  const storage = images.createImageStorage(config.images);
+  const vehicles = mongoose.connection.collection('vehicles');
+  const stats = { vehiculos: 0, dataUrls: 0, urls: 0, descargadas: 0, descartadas: 0 };
+  const cursor = vehicles.find({}, { projection: { id: 1, marca: 1, modelo: 1, imagenes: 1 } });
+  for await (const doc of cursor) {
+    const list = Array.isArray(doc.imagenes) ? doc.imagenes : [];
+    if (!list.some((entry) => typeof entry === 'string')) continue;
+    stats.vehiculos++;
+    console.log('#' + doc.id + ' ' + doc.marca + ' ' + doc.modelo + ': ' + list.length + ' imágenes');
+    const migrated = [];
+    for (const entry of list) {
+      const result = await migrateEntry(storage, entry, stats);
+      if (result) migrated.push(result);
+    }
+    if (!dryRun) {
+      await vehicles.updateOne({ _id: doc._id }, { $set: { imagenes: migrated } });
+    }
+  }
+  console.log(
+    (dryRun ? '[simulación] ' : '') +
+      stats.vehiculos + ' vehículos a migrar; ' +
+      stats.dataUrls + ' DataURLs guardadas, ' +
+      stats.descargadas + ' URLs descargadas, ' +
+      stats.urls + ' URLs conservadas, ' +
+      stats.descartadas + ' entradas inválidas descartadas.'
+  );
+}
+
+main()
+  .catch((err) => {
+    console.error('Error en la migración:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,68 @@
+/*
+ * start.js - Arranque del servidor de "Autos en Campana"
+ *
+ * Lee la configuración de las variables de entorno (lib/config.js), crea
+ * el store, espera a que se conecte y recién entonces empieza a escuchar
+ * en PORT con la aplicación de server.js. Si la configuración es inválida
+ * o la base de datos no responde, termina con un código de error para que
+ * el servicio de hosting lo reinicie en lugar de atender sin datos.
+ *
+ * Al recibir SIGTERM (lo envían Render, Railway o Docker antes de detener
+ * el proceso) o SIGINT (Ctrl+C) deja de aceptar conexiones, espera a que
+ * terminen las peticiones en curso y cierra el store (la conexión a
+ * MongoDB o las escrituras pendientes de los archivos JSON). Si eso tarda
+ * más de SHUTDOWN_TIMEOUT_MS, sale igual.
+ *
+ * Uso: npm start
+ */
+
+const { loadConfig, ConfigError } = require('./lib/config');
+const { createStore } = require('./lib/store');
+const { createApp } = require('./server');
+
+async function main() {
+  const config = loadConfig();
+  const store = createStore(config.store);
+  await store.connect();
+  console.log('Conectado al almacenamiento de datos: ' + store.description);
+
+  const app = createApp({ store, config });
+  const server = app.listen(config.port, () => {
+    console.log(`Servidor escuchando en puerto ${server.address().port}`);
+  });
+
+  let closing = false;
+  const shutdown = (signal) => {
+    // Una segunda señal (por ejemplo, Ctrl+C dos veces) no espera más
+    if (closing) process.exit(1);
+    closing = true;
+    console.log(signal + ' recibido: terminando las peticiones en curso...');
+    const timer = setTimeout(() => {
+      console.error('El servidor no terminó en ' + config.shutdownTimeoutMs + ' ms; se fuerza la salida.');
+      process.exit(1);
+    }, config.shutdownTimeoutMs);
+    timer.unref();
+    // close() deja de aceptar conexiones y espera a las peticiones activas;
+    // las conexiones keep-alive ociosas se cierran para no demorar la salida
+    server.close(async (err) => {
+      if (err) console.error('Error al cerrar el servidor:', err);
+      try {
+        await store.close();
+        console.log('Servidor detenido.');
+        process.exit(0);
+      } catch (closeErr) {
+        console.error('Error al cerrar el almacenamiento de datos:', closeErr);
+        process.exit(1);
+      }
+    });
+    server.closeIdleConnections();
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+main().catch((err) => {
+  if (err instanceof ConfigError) console.error(err.message);
+  else console.error('Error al iniciar el servidor:', err);
+  process.exit(1);
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonStore = require('../lib/store/json');
+const { validateEvent, registerAnalyticsRoutes } = require('../lib/analytics');
+const { localNow } = require('../lib/bookings');
+
+// Store con dos vehículos publicados, en un directorio temporal
+async function openStore(t) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'aec-analytics-'));
+  const store = new JsonStore({ dir });
+  await store.connect();
+  await store.vehicles.create({ marca: 'Ford', modelo: 'Ka' });
+  await store.vehicles.create({ marca: 'Fiat', modelo: 'Uno' });
+  t.after(async () => {
+    await store.close();
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+  return store;
+}
+
+// Devuelve una función que envía un evento a POST /api/eventos sin
+// levantar un servidor ni pasar por el límite de envíos
+function eventRoute(store, { admin = false } = {}) {
+  const handlers = {};
+  const app = {
+    post: (route, ...fns) => (handlers['POST ' + route] = fns[fns.length - 1]),
+    get: (route, ...fns) => (handlers['GET ' + route] = fns[fns.length - 1]),
+  };
+  registerAnalyticsRoutes(app, { store, requireAdmin: () => {}, getSessionUser: () => (admin ? 'admin' : null) });
+  return async (body, { ip = '10.0.0.1', ua = 'Firefox' } = {}) => {
+    const req = { body, ip, get: (name) => (name === 'user-agent' ? ua : undefined) };
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      end() {},
+      json(data) {
+        this.body = data;
+      },
+    };
+    await handlers['POST /api/eventos'](req, res);
+    return res;
+  };
+}
+
+const totales = (registros) => registros.map((r) => [r.vehiculoId, r.tipo, r.total, r.unicos]);
+
+test('validateEvent acepta un vehículo o una lista sin repetidos', () => {
+  assert.deepStrictEqual(validateEvent({ tipo: 'vista', vehiculoId: '3' }).data, { tipo: 'vista', vehiculoIds: [3] });
+  assert.deepStrictEqual(validateEvent({ tipo: 'impresion', vehiculoIds: [1, 2, 1] }).data.vehiculoIds, [1, 2]);
+  assert.deepStrictEqual(validateEvent({ tipo: 'compra', vehiculoIds: [] }).errores, {
+    tipo: 'Debe ser uno de: impresion, vista, galeria, whatsapp',
+    vehiculoIds: 'Debe ser una lista de 1 a 50 vehículos',
+  });
+  assert.deepStrictEqual(validateEvent({ tipo: 'vista', vehiculoIds: [1, 'x'] }).errores, {
+    vehiculoIds: 'Vehículo inválido',
+  });
+});
+
+test('los eventos se acumulan en memoria y se guardan juntos', async (t) => {
+  const store = await openStore(t);
+  const enviar = eventRoute(store);
+  assert.strictEqual((await enviar({ tipo: 'impresion', vehiculoIds: [1, 2, 99] })).statusCode, 204);
+  await enviar({ tipo: 'impresion', vehiculoIds: [1] });
+  await enviar({ tipo: 'vista', vehiculoIds: [1] }, { ip: '10.0.0.2' });
+
+  // Nada se escribió todavía: la lista guarda los pendientes antes de leer
+  assert.deepStrictEqual(await store.analyticsFile.read(), []);
+  const registros = await store.analytics.list({});
+  assert.deepStrictEqual(totales(registros), [
+    [1, 'impresion', 2, 1],
+    [1, 'vista', 1, 1],
+    [2, 'impresion', 1, 1],
+  ]);
+  // Sólo se guardan totales: ni IPs ni hashes de visitantes
+  assert.deepStrictEqual(Object.keys(registros[0]).sort(), ['fecha', 'tipo', 'total', 'unicos', 'vehiculoId']);
+  assert.strictEqual(registros[0].fecha, localNow().fecha);
+});
+
+test('al cerrar el store se guardan los eventos pendientes', async (t) => {
+  const store = await openStore(t);
+  await eventRoute(store)({ tipo: 'whatsapp', vehiculoIds: [2] });
+  await store.close();
+  const otro = new JsonStore({ dir: store.dir });
+  await otro.connect();
+  assert.deepStrictEqual(totales(await otro.analytics.list({})), [[2, 'whatsapp', 1, 1]]);
+});
+
+test('un visitante es único por día, tipo y vehículo', async (t) => {
+  const store = await openStore(t);
+  const enviar = eventRoute(store);
+  await enviar({ tipo: 'vista', vehiculoIds: [1] });
+  await enviar({ tipo: 'vista', vehiculoIds: [1] });
+  // Otro navegador desde la misma IP es otro visitante
+  await enviar({ tipo: 'vista', vehiculoIds: [1] }, { ua: 'Chrome' });
+  await enviar({ tipo: 'galeria', vehiculoIds: [1] });
+  assert.deepStrictEqual(totales(await store.analytics.list({})), [
+    [1, 'vista', 3, 2],
+    [1, 'galeria', 1, 1],
+  ]);
+});
+
+test('al cambiar el día la sal se renueva y los visitantes vuelven a contar', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2030-03-04T15:00:00Z') });
+  const store = await openStore(t);
+  const enviar = eventRoute(store);
+  await enviar({ tipo: 'vista', vehiculoIds: [1] });
+  await enviar({ tipo: 'vista', vehiculoIds: [1] });
+  t.mock.timers.tick(24 * 60 * 60 * 1000);
+  await enviar({ tipo: 'vista', vehiculoIds: [1] });
+  assert.deepStrictEqual(
+    (await store.analytics.list({})).map((r) => [r.fecha, r.total, r.unicos]),
+    [
+      ['2030-03-04', 2, 1],
+      ['2030-03-05', 1, 1],
+    ]
+  );
+});
+
+test('las visitas del administrador no se cuentan', async (t) => {
+  const store = await openStore(t);
+  assert.strictEqual((await eventRoute(store, { admin: true })({ tipo: 'vista', vehiculoIds: [1] })).statusCode, 204);
+  assert.deepStrictEqual(await store.analytics.list({}), []);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { hashPassword, verifyPassword, createAuth } = require('../lib/auth');
+
+// Ejecuta las rutas de autenticación registradas sin levantar un servidor
+function collectRoutes(auth) {
+  const routes = {};
+  const app = {};
+  ['get', 'post'].forEach((method) => {
+    app[method] = (path, handler) => {
+      routes[method.toUpperCase() + ' ' + path] = handler;
+    };
+  });
+  auth.registerAuthRoutes(app);
+  return (route, body) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      setHeader(name, value) {
+        this.headers[name.toLowerCase()] = value;
+      },
+      json(data) {
+        this.body = data;
+        return this;
+      },
+    };
+    routes[route]({ body, headers: {} }, res);
+    return res;
+  };
+}
+
+function login(auth, usuario, password) {
+  const res = collectRoutes(auth)('POST /api/auth/login', { usuario, password });
+  const cookie = res.headers['set-cookie'];
+  return { res, cookie: cookie ? cookie.split(';')[0] : null };
+}
+
+const withCookie = (cookie) => ({ headers: { cookie } });
+
+test('verifyPassword acepta la contraseña correcta y rechaza las demás', () => {
+  const hash = hashPassword('secreta');
+  assert.match(hash, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+  assert.notStrictEqual(hashPassword('secreta'), hash);
+  assert.strictEqual(verifyPassword('secreta', hash), true);
+  assert.strictEqual(verifyPassword('Secreta', hash), false);
+  assert.strictEqual(verifyPassword('secreta', ''), false);
+  assert.strictEqual(verifyPassword('secreta', 'scrypt$abc$'), false);
+  assert.strictEqual(verifyPassword('secreta', 'md5$abc$def'), false);
+});
+
+test('el inicio de sesión entrega una cookie firmada que identifica al usuario', () => {
+  const auth = createAuth({ passwordHash: hashPassword('secreta'), sessionSecret: 'clave' });
+  const { res, cookie } = login(auth, 'admin', 'secreta');
+  assert.strictEqual(res.statusCode, 200);
+  assert.match(res.headers['set-cookie'], /HttpOnly; SameSite=Strict; Max-Age=28800$/);
+  assert.strictEqual(auth.getSessionUser(withCookie('otra=1; ' + cookie)), 'admin');
+});
+
+test('una contraseña o un usuario incorrectos no inician sesión', () => {
+  const auth = createAuth({ passwordHash: hashPassword('secreta'), sessionSecret: 'clave' });
+  assert.strictEqual(login(auth, 'admin', 'otra').res.statusCode, 401);
+  assert.strictEqual(login(auth, 'root', 'secreta').res.statusCode, 401);
+  assert.strictEqual(login(auth, 'admin', 'otra').cookie, null);
+});
+
+test('sin hash de contraseña configurado el acceso queda deshabilitado', () => {
+  const auth = createAuth({ sessionSecret: 'clave' });
+  assert.strictEqual(login(auth, 'admin', '').res.statusCode, 503);
+});
+
+test('una cookie alterada, de otra clave o mal codificada no abre sesión', () => {
+  const auth = createAuth({ passwordHash: hashPassword('secreta'), sessionSecret: 'clave' });
+  const { cookie } = login(auth, 'admin', 'secreta');
+  const [payload, signature] = cookie.slice(cookie.indexOf('=') + 1).split('.');
+  const falso = Buffer.from(JSON.stringify({ u: 'otro', exp: Date.now() + 60000 })).toString('base64url');
+
+  assert.strictEqual(auth.getSessionUser(withCookie('aec_sesion=' + falso + '.' + signature)), null);
+  assert.strictEqual(auth.getSessionUser(withCookie('aec_sesion=' + payload + '.')), null);
+  assert.strictEqual(auth.getSessionUser(withCookie('aec_sesion=%E0%A4%A')), null);
+  assert.strictEqual(auth.getSessionUser({ headers: {} }), null);
+
+  const otra = createAuth({ passwordHash: hashPassword('secreta'), sessionSecret: 'otra clave' });
+  assert.strictEqual(otra.getSessionUser(withCookie(cookie)), null);
+});
+
+test('una sesión expirada ya no es válida', (t) => {
+  const auth = createAuth({ passwordHash: hashPassword('secreta'), sessionSecret: 'clave' });
+  const { cookie } = login(auth, 'admin', 'secreta');
+  t.mock.method(Date, 'now', () => Date.prototype.getTime.call(new Date()) + 9 * 60 * 60 * 1000);
+  assert.strictEqual(auth.getSessionUser(withCookie(cookie)), null);
+});
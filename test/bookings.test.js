@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bookings = require('../lib/bookings');
+
+const schedule = bookings.parseSchedule(bookings.DEFAULT_SCHEDULE);
+
+// Próximo día hábil (lunes a viernes) desde mañana
+function nextWeekday() {
+  let fecha = bookings.addDays(bookings.localNow().fecha, 1);
+  while ([0, 6].includes(new Date(fecha + 'T12:00:00Z').getUTCDay())) fecha = bookings.addDays(fecha, 1);
+  return fecha;
+}
+
+test('parseSchedule arma los horarios de cada franja', () => {
+  assert.deepStrictEqual(schedule.dias, [1, 2, 3, 4, 5]);
+  const horas = ['09:30', '10:00', '10:30', '11:00', '11:30', '17:00', '17:30', '18:00', '18:30'];
+  assert.deepStrictEqual(schedule.horas, horas);
+  assert.throws(() => bookings.parseSchedule({ horario: '12:00-09:00' }), /Franja horaria inválida/);
+  assert.throws(() => bookings.parseSchedule({ dias: '1-7' }), /Días de atención inválidos/);
+});
+
+test('checkSlot rechaza feriados, días sin atención y horarios fuera del horario', () => {
+  const fecha = nextWeekday();
+  assert.strictEqual(bookings.checkSlot(schedule, [], fecha, '10:00'), null);
+  assert.deepStrictEqual(bookings.checkSlot(schedule, [{ fecha, motivo: 'Inventario' }], fecha, '10:00'), {
+    campo: 'fecha',
+    mensaje: 'Ese día no atendemos (Inventario)',
+  });
+  assert.strictEqual(bookings.checkSlot(schedule, [], fecha, '13:00').campo, 'hora');
+  assert.strictEqual(bookings.checkSlot(schedule, [], bookings.addDays(fecha, 60), '10:00').campo, 'fecha');
+  assert.strictEqual(bookings.checkSlot(schedule, [], '2000-01-03', '10:00').campo, 'fecha');
+});
+
+test('availability marca ocupados los horarios con un turno confirmado', async () => {
+  const fecha = nextWeekday();
+  const turnos = [{ vehiculoId: 1, fecha, hora: '10:00', estado: 'confirmado' }];
+  const store = {
+    holidays: { list: async () => [] },
+    bookings: {
+      list: async (filters) => {
+        assert.deepStrictEqual([filters.vehiculoId, filters.estado], [1, 'confirmado']);
+        return turnos;
+      },
+    },
+  };
+  const [dia] = await bookings.availability(store, schedule, { vehiculoId: 1, desde: fecha, dias: 1 });
+  assert.strictEqual(dia.fecha, fecha);
+  assert.deepStrictEqual(dia.horarios.filter((h) => !h.disponible).map((h) => h.hora), ['10:00']);
+});
+
+test('validateBooking exige un nombre y un medio de contacto', () => {
+  const { errores } = bookings.validateBooking({ vehiculoId: '3', fecha: '2030-02-30', hora: '9:00' });
+  assert.deepStrictEqual(errores, {
+    fecha: 'Elige un día',
+    hora: 'Elige un horario',
+    nombre: 'Este campo es obligatorio',
+    telefono: 'Indica un teléfono o un email para poder confirmarte el turno',
+  });
+  const { data } = bookings.validateBooking({
+    vehiculoId: '3',
+    fecha: '2030-03-04',
+    hora: '09:30',
+    nombre: ' Ana ',
+    email: 'ana@example.com',
+  });
+  assert.deepStrictEqual(data, {
+    vehiculoId: 3,
+    fecha: '2030-03-04',
+    hora: '09:30',
+    tipo: 'prueba',
+    nombre: 'Ana',
+    telefono: '',
+    email: 'ana@example.com',
+  });
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateConsignment, checkSalePrice, calculateSettlement } = require('../lib/consignments');
+
+const porcentaje = { comisionTipo: 'porcentaje', comisionValor: 6.5, precioMinimo: 9000000, moneda: 'ARS' };
+const fija = { comisionTipo: 'fija', comisionValor: 500000, precioMinimo: 4000000, moneda: 'ARS' };
+
+test('calculateSettlement descuenta una comisión en porcentaje', () => {
+  const liquidacion = calculateSettlement(porcentaje, 8500000, 'admin');
+  assert.strictEqual(liquidacion.comision, 552500);
+  assert.strictEqual(liquidacion.neto, 7947500);
+  assert.strictEqual(liquidacion.bajoMinimo, true);
+  assert.strictEqual(liquidacion.estado, 'pendiente');
+  assert.strictEqual(liquidacion.registradaPor, 'admin');
+});
+
+test('calculateSettlement redondea a centavos', () => {
+  const consignacion = { ...porcentaje, comisionValor: 3.333, precioMinimo: 12000, moneda: 'USD' };
+  const liquidacion = calculateSettlement(consignacion, 12345.67, null);
+  assert.strictEqual(liquidacion.comision, 411.48);
+  assert.strictEqual(liquidacion.neto, 11934.19);
+  assert.strictEqual(liquidacion.moneda, 'USD');
+  assert.strictEqual(liquidacion.bajoMinimo, false);
+});
+
+test('calculateSettlement descuenta una comisión fija', () => {
+  const liquidacion = calculateSettlement(fija, 4000000, null);
+  assert.strictEqual(liquidacion.comision, 500000);
+  assert.strictEqual(liquidacion.neto, 3500000);
+  assert.strictEqual(liquidacion.bajoMinimo, false);
+});
+
+test('checkSalePrice rechaza un precio menor que la comisión fija', () => {
+  assert.deepStrictEqual(checkSalePrice('400000', fija), [
+    null,
+    'No puede ser menor que la comisión acordada (500.000)',
+  ]);
+  assert.deepStrictEqual(checkSalePrice('500000', fija), [500000, null]);
+  assert.deepStrictEqual(checkSalePrice('100', porcentaje), [100, null]);
+  assert.match(checkSalePrice('', fija)[1], /Indica el precio final/);
+});
+
+test('validateConsignment valida el valor de la comisión según su tipo', () => {
+  const body = { vehiculoId: '4', nombre: 'Juan', precioMinimo: '1000', comisionTipo: 'porcentaje' };
+  assert.deepStrictEqual(validateConsignment({ ...body, comisionValor: '120' }).errores, {
+    comisionValor: 'Debe estar entre 0 y 100',
+  });
+  const { data } = validateConsignment({ ...body, comisionValor: '6,5' });
+  assert.strictEqual(data.vehiculoId, 4);
+  assert.strictEqual(data.comisionValor, 6.5);
+  assert.ok(validateConsignment({ ...body, comisionTipo: 'fija', comisionValor: '120' }).data);
+});
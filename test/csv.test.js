@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const csv = require('../lib/csv');
+
+test('escapeFormulas antepone un apóstrofo a las celdas que serían fórmulas', () => {
+  const rows = [
+    { mensaje: '=HYPERLINK("http://x","clic")' },
+    { mensaje: '+54 9 3489' },
+    { mensaje: '-1' },
+    { mensaje: '@SUM(A1)' },
+    { mensaje: '\tcmd' },
+    { mensaje: '\rcmd' },
+    { mensaje: 'Hola = chau' },
+  ];
+  const lines = csv.stringify(['mensaje'], rows, { escapeFormulas: true }).split('\r\n');
+  assert.deepStrictEqual(lines.slice(1, -1), [
+    '"\'=HYPERLINK(""http://x"",""clic"")"',
+    "'+54 9 3489",
+    "'-1",
+    "'@SUM(A1)",
+    "'\tcmd",
+    '"\'\rcmd"',
+    'Hola = chau',
+  ]);
+});
+
+test('sin escapeFormulas el CSV se puede volver a importar sin cambios', () => {
+  const rows = [{ descripcion: '-10% contado, "sin" permuta', km: '' }];
+  const text = csv.stringify(['descripcion', 'km'], rows);
+  assert.deepStrictEqual(csv.parse(text), rows);
+});
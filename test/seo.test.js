@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const seo = require('../lib/seo');
+
+const TEMPLATE = '<html><head><title>Detalle</title>\n    <!-- metadatos -->\n</head><body></body></html>';
+
+test('renderVehiclePage no interpreta los "$" de los textos como patrones de reemplazo', () => {
+  const vehiculo = {
+    id: 3,
+    marca: 'Ford',
+    modelo: "Ka $' $&",
+    anio: 2018,
+    precio: 5000000,
+    moneda: 'ARS',
+    km: 1000,
+    descripcion: "precio $' contado, $` y $$ con $& incluido",
+    imagenes: [],
+  };
+  const html = seo.renderVehiclePage(TEMPLATE, vehiculo, 'https://example.com');
+  assert.ok(html.includes("<title>Ford Ka $' $&amp; 2018 - "), html);
+  assert.ok(html.includes("precio $' contado, $` y $$ con $&amp; incluido\" />"), html);
+  assert.ok(html.includes('"description":"precio $\' contado, $` y $$ con $& incluido"'), html);
+  // La plantilla aparece una sola vez
+  assert.strictEqual(html.split('<body>').length, 2);
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonStore = require('../lib/store/json');
+
+// Store conectado sobre un directorio temporal que se borra al terminar
+async function openStore(t) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'aec-store-'));
+  const store = new JsonStore({ dir });
+  await store.connect();
+  t.after(async () => {
+    await store.close();
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+  return store;
+}
+
+const criteria = (extra) => ({ filters: {}, page: 1, limit: 50, ...extra });
+
+test('vehicles: alta, lectura, edición y baja', async (t) => {
+  const store = await openStore(t);
+  const creado = await store.vehicles.create({ marca: 'Ford', modelo: 'Ranger', precio: 100 });
+  assert.strictEqual(creado.id, 1);
+  assert.ok(creado.createdAt);
+  assert.deepStrictEqual(await store.vehicles.get(1), creado);
+
+  const { anterior, actualizado } = await store.vehicles.update(1, { precio: 200, id: 99 });
+  assert.strictEqual(anterior.precio, 100);
+  assert.strictEqual(actualizado.precio, 200);
+  assert.strictEqual(actualizado.id, 1);
+  assert.strictEqual(await store.vehicles.update(2, { precio: 1 }), null);
+
+  assert.strictEqual((await store.vehicles.remove(1)).id, 1);
+  assert.strictEqual(await store.vehicles.get(1), null);
+  assert.strictEqual(await store.vehicles.remove(1), null);
+});
+
+test('vehicles: lo leído es una copia del contenido guardado', async (t) => {
+  const store = await openStore(t);
+  const creado = await store.vehicles.create({ marca: 'Ford', modelo: 'Ka' });
+  creado.marca = 'Otra';
+  (await store.vehicles.get(1)).modelo = 'Otro';
+  assert.deepStrictEqual(await store.vehicles.get(1), { ...creado, marca: 'Ford' });
+});
+
+test('vehicles: las altas simultáneas reciben ids distintos', async (t) => {
+  const store = await openStore(t);
+  const creados = await Promise.all(
+    Array.from({ length: 20 }, (_, i) => store.vehicles.create({ marca: 'Fiat', modelo: 'Uno ' + i }))
+  );
+  const ids = creados.map((v) => v.id).sort((a, b) => a - b);
+  assert.deepStrictEqual(ids, Array.from({ length: 20 }, (_, i) => i + 1));
+  assert.strictEqual((await store.vehicles.list(criteria())).total, 20);
+});
+
+test('vehicles: un id indicado que ya existe falla con 409', async (t) => {
+  const store = await openStore(t);
+  await store.vehicles.create({ id: 7, marca: 'Fiat', modelo: 'Cronos' });
+  await assert.rejects(store.vehicles.create({ id: 7, marca: 'Fiat', modelo: 'Toro' }), { status: 409 });
+  assert.strictEqual((await store.vehicles.get(7)).modelo, 'Cronos');
+  assert.strictEqual((await store.vehicles.create({ marca: 'Fiat', modelo: 'Mobi' })).id, 8);
+});
+
+test('vehicles: lo guardado se conserva al volver a abrir el directorio', async (t) => {
+  const store = await openStore(t);
+  await store.vehicles.create({ marca: 'Renault', modelo: 'Kangoo' });
+  await store.close();
+  const otro = new JsonStore({ dir: store.dir });
+  await otro.connect();
+  assert.strictEqual((await otro.vehicles.get(1)).modelo, 'Kangoo');
+  // Sin archivos temporales de escrituras a medio terminar
+  assert.deepStrictEqual((await fs.promises.readdir(store.dir)).filter((f) => !f.endsWith('.json')), []);
+});
+
+test('vehicles: filtros, búsqueda por prefijo y paginación', async (t) => {
+  const store = await openStore(t);
+  await store.vehicles.create({ marca: 'Volkswagen', modelo: 'Amarok', anio: 2018, precio: 300 });
+  await store.vehicles.create({ marca: 'Volkswagen', modelo: 'Gol', anio: 2012, precio: 100 });
+  await store.vehicles.create({ marca: 'Toyota', modelo: 'Hilux', anio: 2020, precio: 400 });
+
+  const porMarca = await store.vehicles.list(criteria({ filters: { marca: 'Volkswagen' } }));
+  assert.deepStrictEqual(porMarca.vehiculos.map((v) => v.id), [1, 2]);
+  const busqueda = await store.vehicles.list(criteria({ search: 'amar' }));
+  assert.deepStrictEqual(busqueda.vehiculos.map((v) => v.modelo), ['Amarok']);
+  const pagina = await store.vehicles.list(criteria({ sort: { field: 'anio', dir: -1 }, page: 2, limit: 2 }));
+  assert.deepStrictEqual(pagina, { vehiculos: [await store.vehicles.get(2)], total: 3 });
+});
+
+test('bookings: de dos reservas simultáneas del mismo horario sólo una se confirma', async (t) => {
+  const store = await openStore(t);
+  const turno = { vehiculoId: 1, fecha: '2030-03-04', hora: '10:00', estado: 'confirmado' };
+  const creados = await Promise.all([store.bookings.create(turno), store.bookings.create(turno)]);
+  assert.strictEqual(creados.filter(Boolean).length, 1);
+  assert.strictEqual((await store.bookings.list({ vehiculoId: 1 })).length, 1);
+
+  // Otro vehículo u otra hora no están ocupados
+  assert.ok(await store.bookings.create({ ...turno, vehiculoId: 2 }));
+  assert.ok(await store.bookings.create({ ...turno, hora: '10:30' }));
+
+  // Un turno cancelado libera el horario
+  const confirmado = creados.find(Boolean);
+  await store.bookings.update(confirmado.id, { estado: 'cancelado' });
+  assert.ok(await store.bookings.create(turno));
+  assert.strictEqual(await store.bookings.removeByVehicle(1), 3);
+  assert.deepStrictEqual(await store.bookings.list({ vehiculoId: 1 }), []);
+});
+
+test('consignments: un vehículo tiene a lo sumo una consignación', async (t) => {
+  const store = await openStore(t);
+  const data = { vehiculoId: 1, nombre: 'Juan', comisionTipo: 'fija', comisionValor: 100 };
+  const creadas = await Promise.all([store.consignments.create(data), store.consignments.create(data)]);
+  assert.strictEqual(creadas.filter(Boolean).length, 1);
+  assert.strictEqual((await store.consignments.findByVehicle(1)).nombre, 'Juan');
+  assert.ok(await store.consignments.create({ ...data, vehiculoId: 2 }));
+
+  const { id } = await store.consignments.findByVehicle(1);
+  assert.strictEqual((await store.consignments.remove(id)).vehiculoId, 1);
+  assert.strictEqual(await store.consignments.findByVehicle(1), null);
+  assert.ok(await store.consignments.create(data));
+});
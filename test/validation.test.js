@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateVehicle, LIMITS } = require('../lib/validation');
+
+const base = { marca: ' Toyota ', modelo: 'Hilux', anio: '2020', precio: '25000000', km: '0' };
+
+test('validateVehicle convierte los valores y acepta un 0 km', () => {
+  const { data, errores } = validateVehicle({
+    ...base,
+    color: 'GRIS plata',
+    carroceria: 'Pick-up',
+    equipamiento: 'bluetooth|Aire acondicionado, abs',
+    destacado: 'true',
+  });
+  assert.strictEqual(errores, null);
+  assert.strictEqual(data.marca, 'Toyota');
+  assert.strictEqual(data.anio, 2020);
+  assert.strictEqual(data.precio, 25000000);
+  assert.strictEqual(data.km, 0);
+  assert.strictEqual(data.moneda, 'ARS');
+  assert.strictEqual(data.color, 'Gris plata');
+  assert.strictEqual(data.carroceria, 'pickup');
+  assert.deepStrictEqual(data.equipamiento, ['aire', 'abs', 'bluetooth']);
+  assert.strictEqual(data.destacado, true);
+  assert.deepStrictEqual(data.imagenes, []);
+});
+
+test('validateVehicle exige los campos obligatorios al crear', () => {
+  const { data, errores } = validateVehicle({ marca: '  ', km: '' });
+  assert.strictEqual(data, null);
+  assert.deepStrictEqual(Object.keys(errores).sort(), ['anio', 'km', 'marca', 'modelo', 'precio']);
+  assert.strictEqual(errores.marca, 'Este campo es obligatorio');
+});
+
+test('validateVehicle rechaza valores fuera de los límites', () => {
+  const { errores } = validateVehicle({
+    ...base,
+    marca: 'x'.repeat(LIMITS.marca.maxLength + 1),
+    anio: LIMITS.anio.max + 1,
+    precio: 0,
+    km: '1.5',
+    puertas: 7,
+    combustible: 'vapor',
+    moneda: 'EUR',
+    equipamiento: ['aire', 'turbo'],
+    imagenes: new Array(LIMITS.imagenes.max + 1).fill('/uploads/a.jpg'),
+  });
+  assert.deepStrictEqual(errores, {
+    marca: 'No puede superar los 60 caracteres',
+    anio: 'Debe estar entre 1900 y ' + LIMITS.anio.max,
+    precio: 'Debe estar entre 1 y 10.000.000.000',
+    km: 'Debe ser un número entero',
+    puertas: 'Debe estar entre 2 y 5',
+    combustible: 'Debe ser uno de: Nafta, Diésel, GNC, Nafta / GNC, Híbrido, Eléctrico',
+    moneda: 'Debe ser una de: ARS, USD',
+    equipamiento: 'Ítem de equipamiento desconocido: turbo',
+    imagenes: 'Se permite un máximo de 5 imágenes',
+  });
+});
+
+test('con partial sólo se validan los campos enviados', () => {
+  assert.deepStrictEqual(validateVehicle({ precio: '1500' }, { partial: true }), {
+    data: { precio: 1500 },
+    errores: null,
+  });
+  assert.deepStrictEqual(validateVehicle({ modelo: '' }, { partial: true }).errores, {
+    modelo: 'Este campo es obligatorio',
+  });
+});